@@ -2,6 +2,7 @@ import _ from 'lodash'
 import cashaddr from 'cashaddrjs'
 import $ from './util/preconditions'
 import Base58Check from './encoding/base58check'
+import Chains from './chains'
 import errors from './errors'
 import Hash from './crypto/hash'
 import JSUtil from './util/js'
@@ -73,7 +74,7 @@ class Address {
       throw new TypeError('Third argument must be "pubkeyhash" or "scripthash".')
     }
 
-    const info = Address._classifyArguments(data, network, type)
+    const info = this.constructor._classifyArguments(data, network, type)
 
     // set defaults if not set
     info.network = info.network || Networks.get(network) || Networks.defaultNetwork
@@ -109,7 +110,7 @@ class Address {
       return Address._transformScript(data, network)
     }
     if (typeof data === 'string') {
-      return Address._transformString(data, network, type, Address.DefaultFormat)
+      return Address._transformString(data, network, type, this.DefaultFormat)
     }
     if (_.isObject(data)) {
       return Address._transformObject(data)
@@ -333,7 +334,7 @@ class Address {
    * @private
    */
   static _transformStringCashAddr(data, network, type) {
-    if (!(typeof network === 'string')) {
+    if (network && !(typeof network === 'string')) {
       network = network.toString()
     }
     const decoded = cashaddr.decode(data)
@@ -457,7 +458,7 @@ class Address {
   static fromString(str, network, type, format) {
     format = format || this.DefaultFormat
     const info = this._transformString(str, network, type, format)
-    return new Address(info.hashBuffer, info.network, info.type)
+    return new this(info.hashBuffer, info.network, info.type)
   }
 
   /**
@@ -565,7 +566,7 @@ class Address {
    * @returns {string} Bitcoin address
    */
   toString(format) {
-    format = format || Address.DefaultFormat
+    format = format || this.constructor.DefaultFormat
     if (format === Address.LegacyFormat) {
       return this._toStringLegacy()
     }
@@ -623,6 +624,17 @@ class Address {
   inspect() {
     return `<Address: ${this.toString()}, type: ${this.type}, network: ${this.network}>`
   }
+
+  /**
+   * Creates an address class that parses and prints addresses in the default address format of
+   * the given chain profile.
+   *
+   * @param {Chain} chain
+   * @returns {Function} the address class for the chain
+   */
+  static forChain(chain) {
+    return Chains.extendClass(this, { DefaultFormat: chain.defaultAddressFormat })
+  }
 }
 
 Address.LegacyFormat = 'legacy'
@@ -0,0 +1,329 @@
+import _ from 'lodash'
+import JSUtil from './util/js'
+import Opcode from './opcode'
+
+const chains = []
+const chainMaps = {}
+
+// Opcodes that were disabled in the original client and have not been re-enabled on Bitcoin Cash.
+// The opcodes re-enabled by the May 2018 upgrade are controlled by the
+// SCRIPT_ENABLE_MONOLITH_OPCODES interpreter flag instead.
+const DISABLED_OPCODES = [
+  Opcode.OP_INVERT,
+  Opcode.OP_2MUL,
+  Opcode.OP_2DIV,
+  Opcode.OP_MUL,
+  Opcode.OP_LSHIFT,
+  Opcode.OP_RSHIFT,
+]
+
+// Bitcoin SV re-enabled OP_MUL, OP_LSHIFT, OP_RSHIFT and OP_INVERT in its November 2018 upgrade
+const BSV_DISABLED_OPCODES = [Opcode.OP_2MUL, Opcode.OP_2DIV]
+
+// The resource limits of the original client's script interpreter
+const DEFAULT_SCRIPT_LIMITS = {
+  maxOpsPerScript: 201,
+  maxScriptElementSize: 520,
+  maxStackSize: 1000,
+  maxScriptSize: 10000,
+  maxScriptNumLength: 4,
+}
+
+// The maximum length of a chain of unconfirmed transactions accepted by the original client
+const DEFAULT_CHAINED_TRANSACTION_LIMIT = 25
+
+/**
+ * A chain profile collects the parameters in which the chains supported by this library differ:
+ * script limits, disabled opcodes, the OP_RETURN data carrier size, the chained transaction limit,
+ * the BIP44 coin type, the default address format, the peer-to-peer constants of each network and
+ * the signature hashing rules.
+ *
+ * `Script.Interpreter`, `Transaction`, `Address`, `Networks` and `HDAccount` read these values
+ * from the profile they are bound to, see `Bitcoin.bch()` and `Bitcoin.bsv()`.
+ * @constructor
+ */
+function Chain() {}
+
+Chain.prototype.toString = function toString() {
+  return this.name
+}
+
+/**
+ * @param {number} opcodenum
+ * @return {boolean} true if executing the opcode fails the script on this chain
+ */
+Chain.prototype.isOpcodeDisabled = function isOpcodeDisabled(opcodenum) {
+  return this.disabledOpcodes.indexOf(opcodenum) !== -1
+}
+
+/**
+ * @param {Network|string} network - 'livenet', 'testnet' or 'regtest'
+ * @return {Object} the network magic, port and dns seeds used on this chain
+ */
+Chain.prototype.getNetworkParams = function getNetworkParams(network) {
+  const name = network && network.regtestEnabled ? 'regtest' : String(network)
+  const params = this.networks[name === 'mainnet' ? 'livenet' : name]
+  if (!params) {
+    throw new TypeError(`Chain ${this.name} has no parameters for network ${name}`)
+  }
+  return params
+}
+
+/**
+ * Resolves the resource limits applied by the script interpreter: the maximum number of non-push
+ * operations per script, the maximum size of a stack element, the maximum number of elements on
+ * the stacks, the maximum size of a script and the maximum size of a number operand.
+ *
+ * @param {string|Object=} limits - 'consensus' (the default) or the name of another preset of the
+ *   chain, or an object overriding some of the consensus limits
+ * @return {Object} the limits
+ */
+Chain.prototype.getScriptLimits = function getScriptLimits(limits) {
+  if (_.isUndefined(limits)) {
+    return this.scriptLimits.consensus
+  }
+  if (_.isString(limits)) {
+    if (!this.scriptLimits[limits]) {
+      throw new TypeError(`Chain ${this.name} has no ${limits} script limits`)
+    }
+    return this.scriptLimits[limits]
+  }
+  return _.defaults({}, limits, this.scriptLimits.consensus)
+}
+
+/**
+ * @function
+ * @member Chains#get
+ * Retrieves the chain profile associated with a name or alias.
+ * @param {string|Chain} arg
+ * @return Chain
+ */
+function get(arg) {
+  if (~chains.indexOf(arg)) {
+    return arg
+  }
+  return chainMaps[arg]
+}
+
+/**
+ * @function
+ * @member Chains#add
+ * Will add a custom chain profile
+ * @param {Object} data
+ * @param {string} data.name - The name of the chain
+ * @param {string} data.alias - The aliased name of the chain
+ * @param {Number} data.maxOpsPerScript - The maximum number of non-push operations per script
+ * @param {Object=} data.scriptLimits - The `consensus` limits of the script interpreter, and other
+ *   named presets such as `standard`, see Chain#getScriptLimits. Consensus limits that are not
+ *   given are the ones of the original client, and the other presets default to the consensus
+ *   limits.
+ * @param {Array} data.disabledOpcodes - Opcodes that fail the script when they are executed
+ * @param {Array.<string>=} data.scriptFlags - The interpreter flags of the script rules enforced
+ *   by the consensus of the chain, by the name used in the test vectors of bitcoind (e.g. 'P2SH'
+ *   for Interpreter.SCRIPT_VERIFY_P2SH and 'SCHNORR' for Interpreter.SCRIPT_ENABLE_SCHNORR). Only
+ *   the rules the interpreter implements can be given. None by default.
+ * @param {Number} data.dataCarrierSize - The maximum size of an OP_RETURN output script
+ * @param {Number=} data.chainedTransactionLimit - The maximum length of a chain of unconfirmed
+ *   transactions accepted by the nodes, 25 by default
+ * @param {Number} data.coinType - The BIP44 coin type of the chain, registered in SLIP-44
+ * @param {string} data.defaultAddressFormat - 'legacy', 'bitpay' or 'cashaddr'
+ * @param {Number} data.forkId - The fork id committed to by SIGHASH_FORKID signatures
+ * @param {boolean} data.enableSighashForkId - Whether SIGHASH_FORKID signatures use the BIP143
+ *   style digest
+ * @param {Object} data.networks - The network magic, port and dns seeds for livenet, testnet
+ *   and regtest
+ * @return Chain
+ */
+function addChain(data) {
+  const chain = new Chain()
+  const scriptLimits = data.scriptLimits || {}
+  const consensusLimits = _.defaults(
+    {},
+    scriptLimits.consensus,
+    { maxOpsPerScript: data.maxOpsPerScript },
+    DEFAULT_SCRIPT_LIMITS
+  )
+  // the other presets, such as policy limits, override some of the consensus limits
+  const presets = _.mapValues(_.omit(scriptLimits, 'consensus'), (limits) =>
+    Object.freeze(_.defaults({}, limits, consensusLimits))
+  )
+
+  JSUtil.defineImmutable(chain, {
+    name: data.name,
+    alias: data.alias,
+    maxOpsPerScript: consensusLimits.maxOpsPerScript,
+    scriptLimits: Object.freeze({ ...presets, consensus: Object.freeze(consensusLimits) }),
+    disabledOpcodes: data.disabledOpcodes,
+    scriptFlags: data.scriptFlags || [],
+    dataCarrierSize: data.dataCarrierSize,
+    chainedTransactionLimit: data.chainedTransactionLimit || DEFAULT_CHAINED_TRANSACTION_LIMIT,
+    coinType: data.coinType,
+    defaultAddressFormat: data.defaultAddressFormat,
+    forkId: data.forkId,
+    enableSighashForkId: data.enableSighashForkId,
+    networks: data.networks,
+  })
+
+  _.each([chain.name, chain.alias], (value) => {
+    if (!_.isUndefined(value)) {
+      chainMaps[value] = chain
+    }
+  })
+
+  chains.push(chain)
+
+  return chain
+}
+
+/**
+ * @function
+ * @member Chains#remove
+ * Will remove a custom chain profile
+ * @param {Chain} chain
+ */
+function removeChain(chain) {
+  for (let i = 0; i < chains.length; i += 1) {
+    if (chains[i] === chain) {
+      chains.splice(i, 1)
+    }
+  }
+  Object.keys(chainMaps).forEach((key) => {
+    if (chainMaps[key] === chain) {
+      delete chainMaps[key]
+    }
+  })
+}
+
+addChain({
+  name: 'bch',
+  alias: 'bitcoincash',
+  maxOpsPerScript: 201,
+  disabledOpcodes: DISABLED_OPCODES,
+  // since the November 2019 upgrade
+  scriptFlags: [
+    'P2SH',
+    'STRICTENC',
+    'DERSIG',
+    'LOW_S',
+    'SIGPUSHONLY',
+    'MINIMALDATA',
+    'CHECKLOCKTIMEVERIFY',
+    'CHECKSEQUENCEVERIFY',
+    'MONOLITH_OPCODES',
+    'CHECKDATASIG',
+    'SCHNORR',
+    'SCHNORR_MULTISIG',
+  ],
+  dataCarrierSize: 223,
+  chainedTransactionLimit: 25,
+  coinType: 145,
+  defaultAddressFormat: 'cashaddr',
+  forkId: 0,
+  enableSighashForkId: true,
+  networks: {
+    livenet: {
+      networkMagic: 0xe3e1f3e8,
+      port: 8333,
+      dnsSeeds: [
+        'seed.bitcoinabc.org',
+        'seed-abc.bitcoinforks.org',
+        'seed.bitcoinunlimited.info',
+        'seed.bitprim.org',
+        'seed.deadalnix.me',
+      ],
+    },
+    testnet: {
+      networkMagic: 0xf4e5f3f4,
+      port: 18333,
+      dnsSeeds: [
+        'testnet-seed.bitcoinabc.org',
+        'testnet-seed-abc.bitcoinforks.org',
+        'testnet-seed.bitprim.org',
+        'testnet-seed.deadalnix.me',
+      ],
+    },
+    regtest: {
+      networkMagic: 0xdab5bffa,
+      port: 18444,
+      dnsSeeds: [],
+    },
+  },
+})
+
+/**
+ * @instance
+ * @member Chains#bch
+ */
+const bch = get('bch')
+
+addChain({
+  name: 'bsv',
+  alias: 'bitcoinsv',
+  maxOpsPerScript: 500,
+  disabledOpcodes: BSV_DISABLED_OPCODES,
+  // Bitcoin SV didn't adopt the upgrades of Bitcoin Cash since November 2018
+  scriptFlags: [
+    'P2SH',
+    'STRICTENC',
+    'DERSIG',
+    'LOW_S',
+    'CHECKLOCKTIMEVERIFY',
+    'CHECKSEQUENCEVERIFY',
+    'MONOLITH_OPCODES',
+  ],
+  dataCarrierSize: 100000,
+  chainedTransactionLimit: 25,
+  coinType: 236,
+  defaultAddressFormat: 'legacy',
+  forkId: 0,
+  enableSighashForkId: true,
+  networks: {
+    livenet: {
+      networkMagic: 0xe3e1f3e8,
+      port: 8333,
+      dnsSeeds: ['seed.bitcoinsv.io', 'seed.cascharia.com', 'seed.satoshisvision.network'],
+    },
+    testnet: {
+      networkMagic: 0xf4e5f3f4,
+      port: 18333,
+      dnsSeeds: ['testnet-seed.bitcoinsv.io', 'testnet-seed.cascharia.com'],
+    },
+    regtest: {
+      networkMagic: 0xdab5bffa,
+      port: 18444,
+      dnsSeeds: [],
+    },
+  },
+})
+
+/**
+ * @instance
+ * @member Chains#bsv
+ */
+const bsv = get('bsv')
+
+/**
+ * Creates a subclass of a class of the library with the static properties it reads from a chain
+ * profile, as done by the forChain methods, leaving the class itself unchanged.
+ *
+ * @param {Function} Clazz - the class to extend
+ * @param {Object} statics - the static properties of the subclass
+ * @return {Function} the subclass
+ */
+const extendClass = function (Clazz, statics) {
+  const ChainClass = class extends Clazz {}
+  return Object.assign(ChainClass, statics)
+}
+
+/**
+ * @namespace Chains
+ */
+export default {
+  add: addChain,
+  extendClass,
+  remove: removeChain,
+  defaultChain: bch,
+  bch,
+  bsv,
+  get,
+}
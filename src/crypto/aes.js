@@ -0,0 +1,133 @@
+import $ from '../util/preconditions'
+import BufferUtil from '../util/buffer'
+
+/**
+ * The AES block cipher, https://csrc.nist.gov/publications/detail/fips/197/final
+ *
+ * Only single blocks are ciphered (as in ECB mode), which is all BIP38 needs.
+ */
+const AES = {}
+
+// multiplication in GF(2^8)
+const xtime = (a) => ((a << 1) ^ (a & 0x80 ? 0x1b : 0)) & 0xff
+const multiply = function (a, b) {
+  let product = 0
+  for (; b; b >>= 1) {
+    if (b & 1) {
+      product ^= a
+    }
+    a = xtime(a)
+  }
+  return product
+}
+
+const SBOX = []
+const INV_SBOX = []
+for (let i = 0; i < 256; i += 1) {
+  let inverse = 0
+  for (let j = 1; i && !inverse; j += 1) {
+    inverse = multiply(i, j) === 1 ? j : 0
+  }
+  let s = inverse
+  for (let k = 0; k < 4; k += 1) {
+    inverse = ((inverse << 1) | (inverse >> 7)) & 0xff
+    s ^= inverse
+  }
+  SBOX[i] = s ^ 0x63
+  INV_SBOX[SBOX[i]] = i
+}
+
+// the round keys, 16 bytes each
+const expandKey = function (key) {
+  const Nk = key.length / 4
+  const rounds = Nk + 6
+  const words = []
+  let rcon = 1
+  for (let i = 0; i < 4 * (rounds + 1); i += 1) {
+    if (i < Nk) {
+      words.push(Array.from(key.slice(4 * i, 4 * i + 4)))
+    } else {
+      let temp = words[i - 1]
+      if (i % Nk === 0) {
+        temp = [SBOX[temp[1]] ^ rcon, SBOX[temp[2]], SBOX[temp[3]], SBOX[temp[0]]]
+        rcon = xtime(rcon)
+      } else if (Nk > 6 && i % Nk === 4) {
+        temp = temp.map((byte) => SBOX[byte])
+      }
+      words.push(temp.map((byte, j) => byte ^ words[i - Nk][j]))
+    }
+  }
+  const keys = []
+  for (let round = 0; round <= rounds; round += 1) {
+    keys.push([].concat(...words.slice(4 * round, 4 * round + 4)))
+  }
+  return keys
+}
+
+const addRoundKey = (state, key) => state.map((byte, i) => byte ^ key[i])
+
+// the state is in column order: the byte at row r and column c is state[4 * c + r]
+const shiftRows = (state, direction) =>
+  state.map((byte, i) => state[(i + 4 * direction * (i % 4) + 16) % 16])
+
+const mixColumns = function (state, coefficients) {
+  return state.map((byte, i) => {
+    const column = i - (i % 4)
+    let result = 0
+    for (let k = 0; k < 4; k += 1) {
+      result ^= multiply(state[column + k], coefficients[(k - (i % 4) + 4) % 4])
+    }
+    return result
+  })
+}
+
+const checkArguments = function (block, key) {
+  $.checkArgument(BufferUtil.isBuffer(block) && block.length === 16, 'block must be 16 bytes')
+  $.checkArgument(
+    BufferUtil.isBuffer(key) && [16, 24, 32].includes(key.length),
+    'key must be 16, 24 or 32 bytes'
+  )
+}
+
+/**
+ * @param {Buffer} block - 16 bytes
+ * @param {Buffer} key - 16, 24 or 32 bytes
+ * @return {Buffer} the ciphertext of the block
+ */
+AES.encrypt = function (block, key) {
+  checkArguments(block, key)
+  const keys = expandKey(key)
+  let state = addRoundKey(Array.from(block), keys[0])
+  for (let round = 1; round < keys.length; round += 1) {
+    state = shiftRows(
+      state.map((byte) => SBOX[byte]),
+      1
+    )
+    if (round < keys.length - 1) {
+      state = mixColumns(state, [2, 3, 1, 1])
+    }
+    state = addRoundKey(state, keys[round])
+  }
+  return Buffer.from(state)
+}
+
+/**
+ * @param {Buffer} block - 16 bytes
+ * @param {Buffer} key - 16, 24 or 32 bytes
+ * @return {Buffer} the plaintext of the block
+ */
+AES.decrypt = function (block, key) {
+  checkArguments(block, key)
+  const keys = expandKey(key)
+  let state = Array.from(block)
+  for (let round = keys.length - 1; round > 0; round -= 1) {
+    state = addRoundKey(state, keys[round])
+    if (round < keys.length - 1) {
+      state = mixColumns(state, [14, 11, 13, 9])
+    }
+    state = shiftRows(state, -1).map((byte) => INV_SBOX[byte])
+  }
+  return Buffer.from(addRoundKey(state, keys[0]))
+}
+
+export default AES
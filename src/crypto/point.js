@@ -73,6 +73,16 @@ Point.getN = function getN() {
   return new BN(ec.curve.n.toArray())
 }
 
+/**
+ *
+ * Will return the size of the field the curve is defined over
+ *
+ * @returns {BN} A BN instance of the field size
+ */
+Point.getP = function getP() {
+  return new BN(ec.curve.p.toArray())
+}
+
 Point.prototype._getX = Point.prototype.getX
 
 /**
@@ -130,6 +140,23 @@ Point.prototype.validate = function validate() {
   return this
 }
 
+/**
+ *
+ * Will determine if the Y coordinate of the Point is a quadratic residue modulo the field size,
+ * as Schnorr signatures require of their R point
+ *
+ * @returns {boolean}
+ */
+Point.prototype.hasSquare = function hasSquare() {
+  if (this.isInfinity()) {
+    return false
+  }
+  // Euler's criterion: y^((p - 1) / 2) is 1 for quadratic residues
+  const p = Point.getP()
+  const red = BN.red(p)
+  return this.getY().toRed(red).redPow(p.subn(1).shrn(1)).fromRed().cmp(BN.One) === 0
+}
+
 Point.pointToCompressed = function pointToCompressed(point) {
   const xbuf = point.getX().toBuffer({ size: 32 })
   const ybuf = point.getY().toBuffer({ size: 32 })
@@ -0,0 +1,139 @@
+import $ from '../util/preconditions'
+import BN from './bn'
+import BufferUtil from '../util/buffer'
+import Hash from './hash'
+import Point from './point'
+import Signature from './signature'
+
+// Additional data mixed into the RFC6979 nonce, so that ECDSA and Schnorr signatures of the same
+// message with the same key never share a nonce
+const ALGO16 = Buffer.from('Schnorr+SHA256  ', 'ascii')
+
+/**
+ * Schnorr signatures as specified for Bitcoin Cash (May 2019 upgrade).
+ *
+ * A signature is the 64 byte concatenation of r, the x coordinate of a point R whose y coordinate
+ * is a quadratic residue, and s = k + e * d, where e = sha256(r || compressed pubkey || message).
+ *
+ * @link https://github.com/bitcoincashorg/bitcoincash.org/blob/master/spec/2019-05-15-schnorr.md
+ */
+const Schnorr = {}
+
+/**
+ * Returns the message in big endian byte order.
+ */
+const readHashbuf = function (hashbuf, endian) {
+  return endian === 'little' ? BufferUtil.reverse(hashbuf) : hashbuf
+}
+
+/**
+ * Computes the challenge e = sha256(r || compressed pubkey || message) mod n
+ */
+const challenge = function (r, pubkey, message) {
+  const buf = Buffer.concat([
+    r.toBuffer({ size: 32 }),
+    Point.pointToCompressed(pubkey.point),
+    message,
+  ])
+  return BN.fromBuffer(Hash.sha256(buf)).umod(Point.getN())
+}
+
+/**
+ * Deterministic nonce, as generated by libsecp256k1's RFC6979 nonce function with the
+ * "Schnorr+SHA256  " algorithm tag.
+ *
+ * @param {BN} d - the private key
+ * @param {Buffer} message - the message, in big endian byte order
+ * @return {BN} a nonce between 1 and n - 1
+ */
+Schnorr.nonce = function (d, message) {
+  const N = Point.getN()
+  const keydata = Buffer.concat([
+    d.toBuffer({ size: 32 }),
+    BN.fromBuffer(message).umod(N).toBuffer({ size: 32 }),
+    ALGO16,
+  ])
+
+  let v = Buffer.alloc(32, 0x01)
+  let k = Buffer.alloc(32, 0x00)
+  k = Hash.sha256hmac(Buffer.concat([v, Buffer.from([0x00]), keydata]), k)
+  v = Hash.sha256hmac(v, k)
+  k = Hash.sha256hmac(Buffer.concat([v, Buffer.from([0x01]), keydata]), k)
+  v = Hash.sha256hmac(v, k)
+  v = Hash.sha256hmac(v, k)
+  let T = BN.fromBuffer(v)
+
+  // try the next candidate until the nonce is in the proper range (0, N)
+  while (!(T.lt(N) && T.gt(BN.Zero))) {
+    k = Hash.sha256hmac(Buffer.concat([v, Buffer.from([0x00])]), k)
+    v = Hash.sha256hmac(v, k)
+    v = Hash.sha256hmac(v, k)
+    T = BN.fromBuffer(v)
+  }
+  return T
+}
+
+/**
+ * Signs a 32 byte hash
+ *
+ * @param {Buffer} hashbuf
+ * @param {PrivateKey} privkey
+ * @param {string=} endian - 'little' if hashbuf is reversed, as for transaction sighashes
+ * @return {Signature} a signature with `isSchnorr` set
+ */
+Schnorr.sign = function (hashbuf, privkey, endian) {
+  $.checkArgument(BufferUtil.isBuffer(hashbuf), 'hashbuf must be a buffer')
+  $.checkArgument(hashbuf.length === 32, 'hashbuf must be 32 bytes')
+  $.checkArgument(privkey && privkey.bn, 'invalid private key')
+
+  const message = readHashbuf(hashbuf, endian)
+  const N = Point.getN()
+  const d = privkey.bn
+
+  let k = Schnorr.nonce(d, message)
+  const R = Point.getG().mul(k)
+  if (!R.hasSquare()) {
+    k = N.sub(k)
+  }
+  const r = R.getX()
+  const e = challenge(r, privkey.toPublicKey(), message)
+  const s = k.add(e.mul(d)).umod(N)
+
+  return new Signature({
+    r,
+    s,
+    isSchnorr: true,
+  })
+}
+
+/**
+ * Verifies a signature of a 32 byte hash
+ *
+ * @param {Buffer} hashbuf
+ * @param {Signature} sig
+ * @param {PublicKey} pubkey
+ * @param {string=} endian - 'little' if hashbuf is reversed, as for transaction sighashes
+ * @return {boolean}
+ */
+Schnorr.verify = function (hashbuf, sig, pubkey, endian) {
+  if (!BufferUtil.isBuffer(hashbuf) || hashbuf.length !== 32) {
+    return false
+  }
+  const message = readHashbuf(hashbuf, endian)
+  const N = Point.getN()
+  const { r, s } = sig
+
+  if (r.cmp(Point.getP()) >= 0 || s.cmp(N) >= 0) {
+    return false
+  }
+
+  // R = sG - eP
+  const e = challenge(r, pubkey, message)
+  const R = Point.getG().mulAdd(s, pubkey.point, N.sub(e))
+  if (R.isInfinity() || !R.hasSquare()) {
+    return false
+  }
+  return R.getX().cmp(r) === 0
+}
+
+export default Schnorr
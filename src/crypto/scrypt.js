@@ -0,0 +1,129 @@
+import hash from 'hash.js'
+import $ from '../util/preconditions'
+import BufferUtil from '../util/buffer'
+
+// PBKDF2-HMAC-SHA256 with a single iteration, the only one scrypt uses
+const pbkdf2 = function (password, salt, dkLen) {
+  const blocks = []
+  for (let i = 1; blocks.length * 32 < dkLen; i += 1) {
+    const index = Buffer.alloc(4)
+    index.writeUInt32BE(i, 0)
+    blocks.push(Buffer.from(hash.hmac(hash.sha256, password).update(salt).update(index).digest()))
+  }
+  return Buffer.concat(blocks).slice(0, dkLen)
+}
+
+const rotl = (a, b) => (a << b) | (a >>> (32 - b))
+
+// the Salsa20/8 core, applied in place to the 16 words of B at offset
+const salsa208 = function (B, offset, x) {
+  for (let i = 0; i < 16; i += 1) {
+    x[i] = B[offset + i]
+  }
+  for (let i = 0; i < 8; i += 2) {
+    x[4] ^= rotl(x[0] + x[12], 7)
+    x[8] ^= rotl(x[4] + x[0], 9)
+    x[12] ^= rotl(x[8] + x[4], 13)
+    x[0] ^= rotl(x[12] + x[8], 18)
+    x[9] ^= rotl(x[5] + x[1], 7)
+    x[13] ^= rotl(x[9] + x[5], 9)
+    x[1] ^= rotl(x[13] + x[9], 13)
+    x[5] ^= rotl(x[1] + x[13], 18)
+    x[14] ^= rotl(x[10] + x[6], 7)
+    x[2] ^= rotl(x[14] + x[10], 9)
+    x[6] ^= rotl(x[2] + x[14], 13)
+    x[10] ^= rotl(x[6] + x[2], 18)
+    x[3] ^= rotl(x[15] + x[11], 7)
+    x[7] ^= rotl(x[3] + x[15], 9)
+    x[11] ^= rotl(x[7] + x[3], 13)
+    x[15] ^= rotl(x[11] + x[7], 18)
+    x[1] ^= rotl(x[0] + x[3], 7)
+    x[2] ^= rotl(x[1] + x[0], 9)
+    x[3] ^= rotl(x[2] + x[1], 13)
+    x[0] ^= rotl(x[3] + x[2], 18)
+    x[6] ^= rotl(x[5] + x[4], 7)
+    x[7] ^= rotl(x[6] + x[5], 9)
+    x[4] ^= rotl(x[7] + x[6], 13)
+    x[5] ^= rotl(x[4] + x[7], 18)
+    x[11] ^= rotl(x[10] + x[9], 7)
+    x[8] ^= rotl(x[11] + x[10], 9)
+    x[9] ^= rotl(x[8] + x[11], 13)
+    x[10] ^= rotl(x[9] + x[8], 18)
+    x[12] ^= rotl(x[15] + x[14], 7)
+    x[13] ^= rotl(x[12] + x[15], 9)
+    x[14] ^= rotl(x[13] + x[12], 13)
+    x[15] ^= rotl(x[14] + x[13], 18)
+  }
+  for (let i = 0; i < 16; i += 1) {
+    B[offset + i] += x[i]
+  }
+}
+
+// BlockMix of the 2 * r blocks of B into Y
+const blockMix = function (B, Y, r, x) {
+  const X = B.slice((2 * r - 1) * 16, 2 * r * 16)
+  for (let i = 0; i < 2 * r; i += 1) {
+    for (let j = 0; j < 16; j += 1) {
+      X[j] ^= B[i * 16 + j]
+    }
+    salsa208(X, 0, x)
+    // the even blocks go to the first half of Y, and the odd blocks to the second half
+    Y.set(X, (i % 2) * r * 16 + (i >> 1) * 16)
+  }
+}
+
+const roMix = function (B, r, N) {
+  const size = 32 * r
+  const V = new Uint32Array(size * N)
+  let Y = new Uint32Array(size)
+  const x = new Uint32Array(16)
+  let X = B
+  for (let i = 0; i < N; i += 1) {
+    V.set(X, i * size)
+    blockMix(X, Y, r, x)
+    ;[X, Y] = [Y, X]
+  }
+  for (let i = 0; i < N; i += 1) {
+    const j = X[(2 * r - 1) * 16] & (N - 1)
+    for (let k = 0; k < size; k += 1) {
+      X[k] ^= V[j * size + k]
+    }
+    blockMix(X, Y, r, x)
+    ;[X, Y] = [Y, X]
+  }
+  return X
+}
+
+/**
+ * The scrypt key derivation function
+ * https://tools.ietf.org/html/rfc7914
+ *
+ * @param {Buffer} password
+ * @param {Buffer} salt
+ * @param {number} N - the cost, a power of 2
+ * @param {number} r - the block size
+ * @param {number} p - the parallelization
+ * @param {number} dkLen - the length of the key, in bytes
+ * @return {Buffer}
+ */
+const scrypt = function (password, salt, N, r, p, dkLen) {
+  $.checkArgument(BufferUtil.isBuffer(password), 'password must be a buffer')
+  $.checkArgument(BufferUtil.isBuffer(salt), 'salt must be a buffer')
+  $.checkArgument(N > 1 && (N & (N - 1)) === 0, 'N must be a power of 2')
+
+  const B = pbkdf2(password, salt, p * 128 * r)
+  const words = new Uint32Array(32 * r)
+  for (let i = 0; i < p; i += 1) {
+    const offset = i * 128 * r
+    for (let k = 0; k < words.length; k += 1) {
+      words[k] = B.readUInt32LE(offset + k * 4)
+    }
+    const mixed = roMix(words.slice(), r, N)
+    for (let k = 0; k < mixed.length; k += 1) {
+      B.writeUInt32LE(mixed[k], offset + k * 4)
+    }
+  }
+  return pbkdf2(password, B, dkLen)
+}
+
+export default scrypt
@@ -25,6 +25,7 @@ Signature.prototype.set = function (obj) {
   this.i = typeof obj.i !== 'undefined' ? obj.i : this.i // public key recovery parameter in range [0, 3]
   this.compressed = typeof obj.compressed !== 'undefined' ? obj.compressed : this.compressed // whether the recovered pubkey is compressed
   this.nhashtype = obj.nhashtype || this.nhashtype || undefined
+  this.isSchnorr = typeof obj.isSchnorr !== 'undefined' ? obj.isSchnorr : this.isSchnorr
   return this
 }
 
@@ -65,20 +66,51 @@ Signature.fromDER = function (buf, strict) {
   return sig
 }
 
-Signature.fromBuffer = Signature.fromDER
+/**
+ * Parses a 64 byte Schnorr signature: r and s as 32 byte big endian numbers.
+ */
+Signature.fromSchnorr = function (buf) {
+  $.checkArgument(BufferUtil.isBuffer(buf), 'Schnorr signature should be a buffer')
+  $.checkArgument(buf.length === 64, 'Schnorr signature should be 64 bytes')
+
+  return new Signature({
+    r: BN.fromBuffer(buf.slice(0, 32)),
+    s: BN.fromBuffer(buf.slice(32, 64)),
+    isSchnorr: true,
+  })
+}
+
+/**
+ * Parses a signature in DER format, or a Schnorr signature if it is 64 bytes long (64 byte
+ * ECDSA signatures are not valid on Bitcoin Cash).
+ */
+Signature.fromBuffer = function (buf, strict) {
+  if (buf.length === 64) {
+    return Signature.fromSchnorr(buf)
+  }
+  return Signature.fromDER(buf, strict)
+}
 
-// The format used in a tx
-Signature.fromTxFormat = function (buf) {
+/**
+ * The format used in a tx: the signature followed by the hashtype byte.
+ *
+ * @param {Buffer} buf
+ * @param {boolean=} isSchnorr - defaults to whether the signature is 64 bytes long
+ */
+Signature.fromTxFormat = function (buf, isSchnorr) {
   const nhashtype = buf.readUInt8(buf.length - 1)
-  const derbuf = buf.slice(0, buf.length - 1)
-  const sig = Signature.fromDER(derbuf, false)
+  const sigbuf = buf.slice(0, buf.length - 1)
+  if (_.isUndefined(isSchnorr)) {
+    isSchnorr = sigbuf.length === 64
+  }
+  const sig = isSchnorr ? Signature.fromSchnorr(sigbuf) : Signature.fromDER(sigbuf, false)
   sig.nhashtype = nhashtype
   return sig
 }
 
 Signature.fromString = function (str) {
   const buf = Buffer.from(str, 'hex')
-  return Signature.fromDER(buf)
+  return Signature.fromBuffer(buf)
 }
 
 /**
@@ -160,7 +192,7 @@ Signature.prototype.toCompact = function (i, compressed) {
   return Buffer.concat([b1, b2, b3])
 }
 
-Signature.prototype.toBuffer = function () {
+Signature.prototype.toDER = function () {
   const rnbuf = this.r.toBuffer()
   const snbuf = this.s.toBuffer()
 
@@ -186,31 +218,38 @@ Signature.prototype.toBuffer = function () {
   return der
 }
 
-Signature.prototype.toDER = Signature.prototype.toBuffer
+/**
+ * @returns {Buffer} the 64 byte r || s encoding for Schnorr signatures, DER otherwise
+ */
+Signature.prototype.toBuffer = function () {
+  if (this.isSchnorr) {
+    return Buffer.concat([this.r.toBuffer({ size: 32 }), this.s.toBuffer({ size: 32 })])
+  }
+  return this.toDER()
+}
 
 Signature.prototype.toString = function () {
-  const buf = this.toDER()
+  const buf = this.toBuffer()
   return buf.toString('hex')
 }
 
 /**
- * This function is translated from bitcoind's IsDERSignature and is used in
- * the script interpreter.  This "DER" format actually includes an extra byte,
- * the nhashtype, at the end. It is really the tx format, not DER format.
+ * This function is translated from bitcoind's IsValidDERSignatureEncoding and checks a strict DER
+ * signature without a hashtype, as used by OP_CHECKDATASIG.
  *
- * A canonical signature exists of: [30] [total len] [02] [len R] [R] [02] [len S] [S] [hashtype]
+ * A canonical signature exists of: [30] [total len] [02] [len R] [R] [02] [len S] [S]
  * Where R and S are not negative (their first byte has its highest bit not set), and not
  * excessively padded (do not start with a 0 byte, unless an otherwise negative number follows,
  * in which case a single 0 byte is necessary and even required).
  *
  * See https://bitcointalk.org/index.php?topic=8392.msg127623#msg127623
  */
-Signature.isTxDER = function (buf) {
-  if (buf.length < 9) {
+Signature.isDER = function (buf) {
+  if (buf.length < 8) {
     //  Non-canonical signature: too short
     return false
   }
-  if (buf.length > 73) {
+  if (buf.length > 72) {
     // Non-canonical signature: too long
     return false
   }
@@ -218,7 +257,7 @@ Signature.isTxDER = function (buf) {
     //  Non-canonical signature: wrong type
     return false
   }
-  if (buf[1] !== buf.length - 3) {
+  if (buf[1] !== buf.length - 2) {
     //  Non-canonical signature: wrong length marker
     return false
   }
@@ -228,7 +267,7 @@ Signature.isTxDER = function (buf) {
     return false
   }
   const nLenS = buf[5 + nLenR]
-  if (nLenR + nLenS + 7 !== buf.length) {
+  if (nLenR + nLenS + 6 !== buf.length) {
     //  Non-canonical signature: R+S length mismatch
     return false
   }
@@ -271,6 +310,17 @@ Signature.isTxDER = function (buf) {
   return true
 }
 
+/**
+ * This function is translated from bitcoind's IsDERSignature and is used in
+ * the script interpreter.  This "DER" format actually includes an extra byte,
+ * the nhashtype, at the end. It is really the tx format, not DER format.
+ *
+ * See Signature.isDER
+ */
+Signature.isTxDER = function (buf) {
+  return Signature.isDER(buf.slice(0, buf.length - 1))
+}
+
 /**
  * Compares to bitcoind's IsLowDERSignature
  * See also ECDSA signature algorithm which enforces this.
@@ -303,10 +353,10 @@ Signature.prototype.hasDefinedHashtype = function () {
 }
 
 Signature.prototype.toTxFormat = function () {
-  const derbuf = this.toDER()
+  const sigbuf = this.toBuffer()
   const buf = Buffer.alloc(1)
   buf.writeUInt8(this.nhashtype, 0)
-  return Buffer.concat([derbuf, buf])
+  return Buffer.concat([sigbuf, buf])
 }
 
 Signature.SIGHASH_ALL = 0x01
@@ -315,4 +365,26 @@ Signature.SIGHASH_SINGLE = 0x03
 Signature.SIGHASH_FORKID = 0x40
 Signature.SIGHASH_ANYONECANPAY = 0x80
 
+/**
+ * Returns the name of a sighash type, as printed by bitcoind after signatures in script assembly
+ *
+ * @param {number} nhashtype
+ * @return {string} e.g. 'ALL|FORKID|ANYONECANPAY', or the value in hexadecimal if undefined
+ */
+Signature.sighashToString = function (nhashtype) {
+  const names = ['ALL', 'NONE', 'SINGLE']
+  const base = nhashtype & ~(Signature.SIGHASH_FORKID | Signature.SIGHASH_ANYONECANPAY)
+  if (base < Signature.SIGHASH_ALL || base > Signature.SIGHASH_SINGLE) {
+    return `0x${nhashtype.toString(16)}`
+  }
+  let str = names[base - 1]
+  if (nhashtype & Signature.SIGHASH_FORKID) {
+    str += '|FORKID'
+  }
+  if (nhashtype & Signature.SIGHASH_ANYONECANPAY) {
+    str += '|ANYONECANPAY'
+  }
+  return str
+}
+
 export default Signature
@@ -0,0 +1,437 @@
+import _ from 'lodash'
+import $ from './util/preconditions'
+import Address from './address'
+import BN from './crypto/bn'
+import Chains from './chains'
+import errors from './errors'
+import HDPrivateKey from './hdprivatekey'
+import HDPublicKey from './hdpublickey'
+import JSUtil from './util/js'
+import Networks from './networks'
+import PublicKey from './publickey'
+import Script from './script/script'
+
+const INPUT_CHARSET =
+  '0123456789()[],\'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#"\\ '
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l'
+const GENERATOR = ['f5dee51989', 'a9fdca3312', '1bab10e32d', '3706b1677a', '644d626ffd'].map(
+  (hex) => new BN(hex, 16)
+)
+
+// the script expressions allowed at the top level, and inside sh()
+const TOP_LEVEL = ['pk', 'pkh', 'multi', 'sortedmulti', 'sh', 'addr', 'raw']
+const INSIDE_SH = ['pk', 'pkh', 'multi', 'sortedmulti']
+
+// the BCH-like checksum of descriptors, over 40 bits
+const polymod = function (symbols) {
+  let chk = new BN(1)
+  symbols.forEach((value) => {
+    const top = chk.shrn(35).toNumber()
+    chk = chk.maskn(35).ishln(5).ixor(new BN(value))
+    GENERATOR.forEach((generator, i) => {
+      if ((top >> i) & 1) {
+        chk = chk.xor(generator)
+      }
+    })
+  })
+  return chk
+}
+
+// each character is 5 bits of symbol, and its group of 32 characters is packed by 3
+const expand = function (string) {
+  const symbols = []
+  let groups = []
+  _.each(string, (character) => {
+    const value = INPUT_CHARSET.indexOf(character)
+    symbols.push(value & 31)
+    groups.push(value >> 5)
+    if (groups.length === 3) {
+      symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2])
+      groups = []
+    }
+  })
+  if (groups.length === 1) {
+    symbols.push(groups[0])
+  } else if (groups.length === 2) {
+    symbols.push(groups[0] * 3 + groups[1])
+  }
+  return symbols
+}
+
+// splits the arguments of an expression at the commas that are not nested in () or []
+const splitArguments = function (string) {
+  const args = ['']
+  let depth = 0
+  _.each(string, (character) => {
+    if (character === ',' && depth === 0) {
+      args.push('')
+      return
+    }
+    if (character === '(' || character === '[') {
+      depth += 1
+    } else if (character === ')' || character === ']') {
+      depth -= 1
+    }
+    args[args.length - 1] += character
+  })
+  return args
+}
+
+/**
+ * An output script descriptor, as in bitcoind: a textual description of the output scripts of a
+ * wallet, that can be exported and imported. The supported expressions are:
+ *
+ * - `pk(KEY)` and `pkh(KEY)`: pay to public key and pay to public key hash
+ * - `multi(k,KEY,...)` and `sortedmulti(k,KEY,...)`: k of n multisig, the public keys in the given
+ *   order or sorted as in BIP67
+ * - `sh(SCRIPT)`: pay to script hash of one of the expressions above
+ * - `addr(ADDRESS)` and `raw(HEX)`: the output script of an address, or any script
+ *
+ * A KEY is a public key in hex, or an extended public key followed by non hardened derivation
+ * steps, and optionally `/*` for the index of a range (for instance `xpub.../1/*`). It can be
+ * prefixed by the origin of the key, the fingerprint of a master key and the path from it, as in
+ * `[d34db33f/45']xpub.../0/*`. Extended private keys are not accepted.
+ *
+ * A descriptor ends with a checksum after a `#`, which is verified if present when parsing.
+ *
+ * @example
+ * ```javascript
+ * var descriptor = new Descriptor('sh(sortedmulti(2,xpub1.../0/*,xpub2.../0/*))');
+ * var address = descriptor.getAddress(0);
+ * var scripts = descriptor.getScripts(0, 20);
+ * var exported = descriptor.toString(); // with its checksum
+ * ```
+ *
+ * @param {string} string - the descriptor, with or without checksum
+ */
+class Descriptor {
+  constructor(string) {
+    if (string instanceof Descriptor) {
+      return string
+    }
+    $.checkArgument(_.isString(string), 'A descriptor must be a string')
+    const [body, checksum, ...rest] = string.trim().split('#')
+    const parseError = (reason) => new errors.Descriptor.ParseError(string, reason)
+    if (rest.length > 0) {
+      throw parseError('more than one #')
+    }
+    const invalid = _.find(body, (character) => INPUT_CHARSET.indexOf(character) === -1)
+    if (invalid) {
+      throw parseError(`invalid character ${invalid}`)
+    }
+    if (!_.isUndefined(checksum) && checksum !== Descriptor.checksum(body)) {
+      throw new errors.Descriptor.InvalidChecksum(body, Descriptor.checksum(body))
+    }
+
+    const node = this._parseExpression(body, TOP_LEVEL, parseError)
+    const networks = _.uniq(
+      _.compact(this._getKeys(node).map((key) => key.network)).concat(
+        node.address ? [node.address.network] : []
+      )
+    )
+    if (networks.length > 1) {
+      throw parseError('the keys and addresses must be of the same network')
+    }
+
+    JSUtil.defineImmutable(this, {
+      _node: node,
+      type: node.type,
+      keys: this._getKeys(node),
+      network: networks[0] || null,
+    })
+  }
+
+  /**
+   * Computes the checksum of a descriptor.
+   *
+   * @param {string} body - the descriptor, without checksum
+   * @return {string} the 8 characters of its checksum
+   */
+  static checksum(body) {
+    const symbols = expand(body).concat([0, 0, 0, 0, 0, 0, 0, 0])
+    const checksum = polymod(symbols).ixor(new BN(1))
+    return _.range(8)
+      .map((i) => CHECKSUM_CHARSET[checksum.shrn(5 * (7 - i)).andln(31)])
+      .join('')
+  }
+
+  /**
+   * @param {string} string
+   * @return {Descriptor}
+   */
+  static fromString(string) {
+    return new this(string)
+  }
+
+  _parseExpression(expression, allowed, parseError) {
+    const match = expression.match(/^([a-z]+)\((.*)\)$/)
+    if (!match) {
+      throw parseError(`${expression} is not an expression`)
+    }
+    const [, type, inner] = match
+    if (!_.includes(allowed, type)) {
+      throw parseError(`${type}() is not allowed here`)
+    }
+    const args = splitArguments(inner)
+    if (type === 'sh') {
+      return { type, inner: this._parseExpression(inner, INSIDE_SH, parseError) }
+    }
+    if (type === 'addr') {
+      return { type, address: this._parseAddress(inner, parseError) }
+    }
+    if (type === 'raw') {
+      if (!JSUtil.isHexa(inner)) {
+        throw parseError('raw() needs a script in hex')
+      }
+      return { type, script: Script.fromHex(inner) }
+    }
+    if (type === 'pk' || type === 'pkh') {
+      if (args.length !== 1) {
+        throw parseError(`${type}() needs a single key`)
+      }
+      return { type, keys: [this._parseKey(inner, parseError)] }
+    }
+    const threshold = Number(args[0])
+    const keys = args.slice(1).map((arg) => this._parseKey(arg, parseError))
+    // a multisig script of more keys doesn't fit in the 520 bytes of a redeem script
+    if (!/^[0-9]+$/.test(args[0]) || threshold < 1 || threshold > keys.length || keys.length > 15) {
+      throw parseError(`${type}() needs a threshold between 1 and the number of keys, at most 15`)
+    }
+    return { type, threshold, keys }
+  }
+
+  _parseAddress(string, parseError) {
+    const { Address: ChainAddress } = this.constructor
+    const formats = _.uniq([
+      ChainAddress.DefaultFormat,
+      Address.CashAddrFormat,
+      Address.LegacyFormat,
+    ])
+    let address
+    _.find(formats, (format) => {
+      try {
+        address = ChainAddress.fromString(string, undefined, undefined, format)
+      } catch (e) {
+        return false
+      }
+      return true
+    })
+    if (!address) {
+      throw parseError(`invalid address ${string}`)
+    }
+    return address
+  }
+
+  _parseKey(string, parseError) {
+    const match = string.match(/^(?:\[([0-9a-f]{8})((?:\/[0-9]+['h]?)*)\])?([^/]+)((?:\/[^/]+)*)$/)
+    if (!match) {
+      throw parseError(`invalid key ${string}`)
+    }
+    const [, fingerprint, originPath, encoded, derivation] = match
+    const key = {
+      origin: fingerprint ? { fingerprint, path: `m${originPath.replace(/h/g, "'")}` } : null,
+    }
+    if (JSUtil.isHexa(encoded) && PublicKey.isValid(encoded)) {
+      if (derivation) {
+        throw parseError(`public key ${encoded} can't be derived`)
+      }
+      key.publicKey = new PublicKey(encoded)
+      return key
+    }
+    if (!HDPublicKey.isValidSerialized(encoded)) {
+      throw parseError(
+        HDPrivateKey.isValidSerialized(encoded)
+          ? 'extended private keys are not supported'
+          : `invalid key ${encoded}`
+      )
+    }
+    const steps = _.compact(derivation.split('/'))
+    key.hdPublicKey = new HDPublicKey(encoded)
+    key.network = key.hdPublicKey.network
+    key.wildcard = _.last(steps) === '*'
+    key.path = (key.wildcard ? _.initial(steps) : steps).map((step) => {
+      if (/['h*]/.test(step)) {
+        throw parseError(
+          `${string} needs hardened derivation, which is not possible from public keys`
+        )
+      }
+      const index = Number(step)
+      if (!/^[0-9]+$/.test(step) || index >= HDPrivateKey.Hardened) {
+        throw parseError(`invalid derivation step ${step}`)
+      }
+      return index
+    })
+    return key
+  }
+
+  _getKeys(node) {
+    return node.inner ? this._getKeys(node.inner) : node.keys || []
+  }
+
+  /**
+   * @return {boolean} whether the descriptor describes a range of scripts, when a key ends with /*
+   */
+  isRange() {
+    return _.some(this.keys, 'wildcard')
+  }
+
+  /**
+   * @param {number=} index - the index in the range, for descriptors with /*
+   * @return {Array.<PublicKey>} the public keys of the descriptor at the index
+   */
+  getPublicKeys(index) {
+    return this.keys.map((key) => this._derivePublicKey(key, index))
+  }
+
+  _derivePublicKey(key, index) {
+    if (key.publicKey) {
+      return key.publicKey
+    }
+    let hdPublicKey = key.path.reduce((parent, step) => parent.deriveChild(step), key.hdPublicKey)
+    if (key.wildcard) {
+      $.checkArgument(
+        _.isInteger(index) && index >= 0 && index < HDPrivateKey.Hardened,
+        'An index is needed to expand a range descriptor'
+      )
+      hdPublicKey = hdPublicKey.deriveChild(index)
+    }
+    return hdPublicKey.publicKey
+  }
+
+  _buildScript(node, index) {
+    switch (node.type) {
+      case 'sh':
+        return Script.buildScriptHashOut(this._buildScript(node.inner, index))
+      case 'addr':
+        return Script.fromAddress(node.address)
+      case 'raw':
+        return Script.fromBuffer(node.script.toBuffer())
+      case 'pk':
+        return Script.buildPublicKeyOut(this._derivePublicKey(node.keys[0], index))
+      case 'pkh':
+        return Script.buildPublicKeyHashOut(this._derivePublicKey(node.keys[0], index))
+      default:
+        return Script.buildMultisigOut(
+          node.keys.map((key) => this._derivePublicKey(key, index)),
+          node.threshold,
+          { noSorting: node.type === 'multi' }
+        )
+    }
+  }
+
+  /**
+   * @param {number=} index - the index in the range, for descriptors with /*
+   * @return {Script} the output script at the index
+   */
+  getScript(index) {
+    return this._buildScript(this._node, index)
+  }
+
+  /**
+   * @param {number=} index - the index in the range, for descriptors with /*
+   * @return {Script|null} the redeem script of a sh() descriptor at the index
+   */
+  getRedeemScript(index) {
+    return this._node.inner ? this._buildScript(this._node.inner, index) : null
+  }
+
+  /**
+   * @param {number} start - the first index
+   * @param {number} count
+   * @return {Array.<Script>} the output scripts of a range
+   */
+  getScripts(start, count) {
+    return _.range(start, start + count).map((index) => this.getScript(index))
+  }
+
+  /**
+   * The address of the output script at the index. The network is the one of the extended keys
+   * or of the address of the descriptor, and the default network for public keys in hex.
+   *
+   * @param {number=} index - the index in the range, for descriptors with /*
+   * @param {Network|string=} network - the network of descriptors without extended keys
+   * @return {Address}
+   */
+  getAddress(index, network) {
+    const script = this.getScript(index)
+    $.checkState(
+      script.isPublicKeyHashOut() || script.isScriptHashOut(),
+      `The scripts of ${this.type}() descriptors have no address`
+    )
+    const { Address: ChainAddress } = this.constructor
+    return new ChainAddress(
+      script,
+      this.network || Networks.get(network) || Networks.defaultNetwork
+    )
+  }
+
+  /**
+   * @param {number} start - the first index
+   * @param {number} count
+   * @param {string=} format - 'legacy', 'bitpay' or 'cashaddr': the addresses are returned as
+   *    strings in this format
+   * @return {Array.<Address|string>} the addresses of a range
+   */
+  getAddresses(start, count, format) {
+    return _.range(start, start + count).map((index) => {
+      const address = this.getAddress(index)
+      return format ? address.toString(format) : address
+    })
+  }
+
+  _nodeToString(node) {
+    switch (node.type) {
+      case 'sh':
+        return `sh(${this._nodeToString(node.inner)})`
+      case 'addr':
+        return `addr(${node.address.toString()})`
+      case 'raw':
+        return `raw(${node.script.toHex()})`
+      default: {
+        const keys = node.keys.map((key) => {
+          const origin = key.origin ? `[${key.origin.fingerprint}${key.origin.path.slice(1)}]` : ''
+          if (key.publicKey) {
+            return origin + key.publicKey.toString()
+          }
+          const path = key.path.map((step) => `/${step}`).join('')
+          return `${origin}${key.hdPublicKey.xpubkey}${path}${key.wildcard ? '/*' : ''}`
+        })
+        const args = node.threshold ? [node.threshold].concat(keys) : keys
+        return `${node.type}(${args.join(',')})`
+      }
+    }
+  }
+
+  /**
+   * @param {Object=} opts
+   * @param {boolean=} opts.checksum - add the checksum, true by default
+   * @return {string} the descriptor
+   */
+  toString(opts = {}) {
+    const body = this._nodeToString(this._node)
+    return opts.checksum === false ? body : `${body}#${Descriptor.checksum(body)}`
+  }
+
+  /**
+   * @return {string} a string formatted for the console
+   */
+  inspect() {
+    return `<Descriptor: ${this.toString()}>`
+  }
+
+  /**
+   * Creates a descriptor class that parses and prints addresses in the default format of the
+   * given chain profile.
+   *
+   * @param {Chain} chain
+   * @return {Function} the descriptor class for the chain
+   */
+  static forChain(chain) {
+    return Chains.extendClass(this, { Address: Address.forChain(chain) })
+  }
+}
+
+// Address class of the addresses of descriptors
+Descriptor.Address = Address
+
+export default Descriptor
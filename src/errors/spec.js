@@ -77,6 +77,14 @@ export default [
             name: 'MissingPreviousOutput',
             message: 'No previous output information.',
           },
+          {
+            name: 'BlockHeightOutOfRange',
+            message: 'Relative lock time in blocks can only be between 0 and 65535',
+          },
+          {
+            name: 'LockTimeRange',
+            message: 'Relative lock time in seconds can only be between 0 and 33553920',
+          },
         ],
       },
       {
@@ -112,6 +120,10 @@ export default [
         name: 'InvalidSatoshis',
         message: 'Output satoshis are invalid',
       },
+      {
+        name: 'DataOutputTooLarge',
+        message: 'Data output is larger than the data carrier size of {0} bytes',
+      },
       {
         name: 'FeeError',
         message: 'Internal Error on Fee {0}',
@@ -134,6 +146,24 @@ export default [
         name: 'ChangeAddressMissing',
         message: 'Change address is missing',
       },
+      {
+        name: 'InsufficientFunds',
+        message: 'Insufficient funds: {0}',
+      },
+      {
+        name: 'Partial',
+        message: 'Internal Error on partially signed transaction {0}',
+        errors: [
+          {
+            name: 'InvalidFormat',
+            message: 'Invalid partially signed transaction: {0}',
+          },
+          {
+            name: 'Mismatch',
+            message: 'Partially signed transactions of different transactions: {0} and {1}',
+          },
+        ],
+      },
       {
         name: 'BlockHeightTooHigh',
         message: 'Block Height can be at most 2^32 -1',
@@ -148,6 +178,51 @@ export default [
       },
     ],
   },
+  {
+    name: 'Descriptor',
+    message: 'Internal Error on Descriptor {0}',
+    errors: [
+      {
+        name: 'ParseError',
+        message: 'Invalid descriptor {0}: {1}',
+      },
+      {
+        name: 'InvalidChecksum',
+        message: 'Invalid checksum for descriptor {0}, expected {1}',
+      },
+    ],
+  },
+  {
+    name: 'UtxoSet',
+    message: 'Internal Error on UtxoSet {0}',
+    errors: [
+      {
+        name: 'MissingOutput',
+        message: 'Output {0} is not in the set',
+      },
+      {
+        name: 'DoubleSpend',
+        message: 'Output {0} is already spent by transaction {1}',
+      },
+      {
+        name: 'TooLongChain',
+        message:
+          'Transaction {0} ends a chain of {1} unconfirmed transactions, over the limit of {2}',
+      },
+      {
+        name: 'AlreadyApplied',
+        message: 'Transaction {0} is already applied',
+      },
+      {
+        name: 'UnknownTransaction',
+        message: 'Transaction {0} is not applied',
+      },
+      {
+        name: 'OutputSpent',
+        message: 'Output {0} is spent by transaction {1}, undo it first',
+      },
+    ],
+  },
   {
     name: 'Script',
     message: 'Internal Error on Script {0}',
@@ -165,12 +240,42 @@ export default [
         name: 'InvalidBuffer',
         message: "Invalid script buffer: can't parse valid script from given buffer {0}",
       },
+      {
+        name: 'InvalidTemplate',
+        message: 'Invalid script template: {0}',
+      },
+      {
+        name: 'InvalidTemplateParameter',
+        message: 'Invalid value for template parameter {0}: {1}',
+      },
+      {
+        name: 'UnsupportedFlag',
+        message: 'Unsupported script verification flag: {0}',
+      },
+    ],
+  },
+  {
+    name: 'PrivateKey',
+    message: 'Internal Error on PrivateKey {0}',
+    errors: [
+      {
+        name: 'InvalidBIP38',
+        message: 'Invalid BIP38 encrypted key or intermediate code: {0}',
+      },
+      {
+        name: 'InvalidBIP38Passphrase',
+        message: 'Invalid passphrase for the BIP38 encrypted key {0}',
+      },
     ],
   },
   {
     name: 'HDPrivateKey',
     message: 'Internal Error on HDPrivateKey {0}',
     errors: [
+      {
+        name: 'ArgumentIsPublicExtended',
+        message: 'Argument is an extended public key: {0}',
+      },
       {
         name: 'InvalidDerivationArgument',
         message: 'Invalid derivation argument {0}, expected string, or number and boolean',
@@ -197,6 +302,10 @@ export default [
         name: 'InvalidPath',
         message: 'Invalid derivation path: {0}',
       },
+      {
+        name: 'InvalidVersion',
+        message: 'Invalid version for an extended private key: {0}',
+      },
       {
         name: 'UnrecognizedArgument',
         message:
@@ -224,6 +333,10 @@ export default [
         name: 'InvalidPath',
         message: 'Invalid derivation path, it should look like: "m/1/100", got "{0}"',
       },
+      {
+        name: 'InvalidVersion',
+        message: 'Invalid version for an extended public key: {0}',
+      },
       {
         name: 'InvalidIndexCantDeriveHardened',
         message: 'Invalid argument: creating a hardened path requires an HDPrivateKey',
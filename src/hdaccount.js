@@ -0,0 +1,266 @@
+import _ from 'lodash'
+import $ from './util/preconditions'
+import Address from './address'
+import Chains from './chains'
+import HDPrivateKey from './hdprivatekey'
+import HDPublicKey from './hdpublickey'
+import Networks from './networks'
+
+const RECEIVE = 0
+const CHANGE = 1
+
+const checkChain = (chain) =>
+  $.checkArgument(chain === RECEIVE || chain === CHANGE, 'chain must be 0 (receive) or 1 (change)')
+
+/**
+ * A BIP44 account: the extended key at m/44'/coin_type'/account', with a receive chain (/0) of
+ * addresses given to others and a change chain (/1) of addresses for the change of the
+ * transactions of the account.
+ *
+ * The account is watch-only when built from an extended public key. Addresses are derived from
+ * the public key in any case, and printed in the default format of the chain of the class, see
+ * HDAccount.forChain.
+ *
+ * @example
+ * ```javascript
+ * var account = HDAccount.fromMasterKey(hdPrivateKey, 0);
+ * var address = account.getReceiveAddress(0);
+ * var watchOnly = new HDAccount(account.xpubkey);
+ * ```
+ *
+ * @param {HDPublicKey|HDPrivateKey|string} key - the extended key of the account
+ * @param {Object=} opts
+ * @param {number=} opts.gapLimit - the number of consecutive addresses without history after
+ *    which discovery stops, HDAccount.GAP_LIMIT by default
+ */
+class HDAccount {
+  constructor(key, opts = {}) {
+    if (key instanceof HDPrivateKey || (_.isString(key) && !HDPublicKey.isValidSerialized(key))) {
+      this.hdPrivateKey = new HDPrivateKey(key)
+      this.hdPublicKey = this.hdPrivateKey.hdPublicKey
+    } else {
+      this.hdPrivateKey = null
+      this.hdPublicKey = new HDPublicKey(key)
+    }
+    this.gapLimit = opts.gapLimit || HDAccount.GAP_LIMIT
+    $.checkArgument(_.isInteger(this.gapLimit) && this.gapLimit > 0, 'Invalid gap limit')
+    this._chains = [this.hdPublicKey.deriveChild(RECEIVE), this.hdPublicKey.deriveChild(CHANGE)]
+  }
+
+  /**
+   * @return {Network}
+   */
+  get network() {
+    return this.hdPublicKey.network
+  }
+
+  /**
+   * The extended public key of the account, to share with watch-only wallets
+   *
+   * @return {string}
+   */
+  get xpubkey() {
+    return this.hdPublicKey.xpubkey
+  }
+
+  /**
+   * The derivation path of an account from the master key: m/44'/coin_type'/account'. The coin
+   * type of the testnet is 1 for all chains.
+   *
+   * @param {number} accountIndex
+   * @param {Network|string=} network - the default network by default
+   * @return {string}
+   */
+  static getPath(accountIndex, network) {
+    $.checkArgument(
+      _.isInteger(accountIndex) && accountIndex >= 0 && accountIndex < HDPrivateKey.Hardened,
+      'Invalid account index'
+    )
+    const coinType =
+      Networks.get(network || Networks.defaultNetwork) === Networks.testnet
+        ? 1
+        : this.chain.coinType
+    return `m/44'/${coinType}'/${accountIndex}'`
+  }
+
+  /**
+   * Derives an account from a master key. Account keys are hardened, so a master private key is
+   * needed.
+   *
+   * @param {HDPrivateKey|string} masterKey
+   * @param {number=} accountIndex - 0 by default
+   * @param {Object=} opts - see HDAccount
+   * @return {HDAccount}
+   */
+  static fromMasterKey(masterKey, accountIndex = 0, opts = {}) {
+    const hdPrivateKey = new HDPrivateKey(masterKey)
+    return new this(
+      hdPrivateKey.deriveChild(this.getPath(accountIndex, hdPrivateKey.network)),
+      opts
+    )
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {HDPublicKey} the extended public key at chain/index of the account
+   */
+  deriveKey(chain, index) {
+    checkChain(chain)
+    return this._chains[chain].deriveChild(index)
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {PrivateKey} the private key of the address at chain/index of the account
+   */
+  getPrivateKey(chain, index) {
+    checkChain(chain)
+    $.checkState(this.hdPrivateKey, 'The account is watch-only')
+    return this.hdPrivateKey.deriveChild(chain).deriveChild(index).privateKey
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {Address} the pay to public key hash address at chain/index of the account
+   */
+  getAddress(chain, index) {
+    const { Address: ChainAddress } = this.constructor
+    return new ChainAddress(this.deriveKey(chain, index).publicKey, this.network)
+  }
+
+  /**
+   * @param {number} index
+   * @return {Address}
+   */
+  getReceiveAddress(index) {
+    return this.getAddress(RECEIVE, index)
+  }
+
+  /**
+   * @param {number} index
+   * @return {Address}
+   */
+  getChangeAddress(index) {
+    return this.getAddress(CHANGE, index)
+  }
+
+  /**
+   * Derives consecutive addresses of a chain.
+   *
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} start - the index of the first address
+   * @param {number} count
+   * @param {string=} format - 'legacy', 'bitpay' or 'cashaddr': the addresses are returned as
+   *    strings in this format
+   * @return {Array.<Address|string>}
+   */
+  getAddresses(chain, start, count, format) {
+    return _.range(start, start + count).map((index) => {
+      const address = this.getAddress(chain, index)
+      return format ? address.toString(format) : address
+    })
+  }
+
+  /**
+   * Finds the addresses of the account that have been used, following the BIP44 gap limit: each
+   * chain is scanned until `gapLimit` consecutive addresses have no history. The addresses of a
+   * batch of `gapLimit` addresses are checked concurrently.
+   *
+   * @example
+   * ```javascript
+   * account.discover(function (address) {
+   *   return insight.getHistory(address.toString()).then((txs) => txs.length > 0);
+   * }).then(function (result) {
+   *   var next = account.getReceiveAddress(result.receive.nextIndex);
+   * });
+   * ```
+   *
+   * @param {Function} hasHistory - called with an address, its chain and index, returns whether
+   *    the address has been used, or a promise of it
+   * @return {Promise.<Object>} for the `receive` and `change` chains, the `used` indexes and the
+   *    `nextIndex`, the index after the last one used
+   */
+  async discover(hasHistory) {
+    $.checkArgument(_.isFunction(hasHistory), 'hasHistory must be a function')
+    return {
+      receive: await this._discoverChain(RECEIVE, hasHistory),
+      change: await this._discoverChain(CHANGE, hasHistory),
+    }
+  }
+
+  /**
+   * Checks the addresses of a chain from `start` to `gapLimit` addresses after the last one used,
+   * and the ones after them until `gapLimit` consecutive addresses have no history.
+   */
+  async _discoverChain(chain, hasHistory, start = 0, used = []) {
+    const nextIndex = used.length > 0 ? _.last(used) + 1 : 0
+    if (start >= nextIndex + this.gapLimit) {
+      return { used, nextIndex }
+    }
+    const indexes = _.range(start, nextIndex + this.gapLimit)
+    const results = await Promise.all(
+      indexes.map((index) => hasHistory(this.getAddress(chain, index), chain, index))
+    )
+    const found = indexes.filter((index, i) => results[i])
+    return this._discoverChain(chain, hasHistory, _.last(indexes) + 1, used.concat(found))
+  }
+
+  /**
+   * BIP44 account discovery: derives the accounts of a master key in order, and discovers their
+   * addresses until an account has no history on its receive chain.
+   *
+   * @param {HDPrivateKey|string} masterKey
+   * @param {Function} hasHistory - see HDAccount#discover
+   * @param {Object=} opts - see HDAccount
+   * @return {Promise.<Array.<Object>>} for each account used, the `account` and the result of
+   *    HDAccount#discover
+   */
+  static async discoverAccounts(masterKey, hasHistory, opts = {}) {
+    return this._discoverAccounts(masterKey, hasHistory, opts, [])
+  }
+
+  static async _discoverAccounts(masterKey, hasHistory, opts, accounts) {
+    const account = this.fromMasterKey(masterKey, accounts.length, opts)
+    const result = await account.discover(hasHistory)
+    if (result.receive.used.length === 0) {
+      return accounts
+    }
+    return this._discoverAccounts(
+      masterKey,
+      hasHistory,
+      opts,
+      accounts.concat(_.assign({ account }, result))
+    )
+  }
+
+  /**
+   * Creates an account class that derives the accounts with the coin type of the given chain
+   * profile, and prints addresses in its default format.
+   *
+   * @param {Chain} chain
+   * @return {Function} the account class for the chain
+   */
+  static forChain(chain) {
+    return Chains.extendClass(this, { chain, Address: Address.forChain(chain) })
+  }
+}
+
+// Chain profile giving the coin type of accounts that are not created through HDAccount.forChain
+HDAccount.chain = Chains.defaultChain
+
+// Address class of the addresses of the account
+HDAccount.Address = Address
+
+// The chain of the addresses given to others
+HDAccount.RECEIVE = RECEIVE
+
+// The chain of the change addresses
+HDAccount.CHANGE = CHANGE
+
+// The number of consecutive addresses without history after which discovery stops, see BIP44
+HDAccount.GAP_LIMIT = 20
+
+export default HDAccount
@@ -0,0 +1,187 @@
+import _ from 'lodash'
+import $ from './util/preconditions'
+import Address from './address'
+import Chains from './chains'
+import HDAccount from './hdaccount'
+import HDPrivateKey from './hdprivatekey'
+import HDPublicKey from './hdpublickey'
+import Script from './script/script'
+
+/**
+ * A watch-only multisig account: the account keys of N co-signers and the number of signatures
+ * needed to spend. Like HDAccount, it has a receive chain (/0) and a change chain (/1); the
+ * address at chain/index pays to script hash a multisig script of the public keys of every
+ * co-signer at chain/index.
+ *
+ * The account keys are usually derived with hardened paths (for instance m/45' or
+ * m/48'/145'/0'), which co-signers can't derive from each other's extended public key: give these
+ * paths in `opts.paths`, so that each co-signer is told the full path of the key it signs with.
+ *
+ * @example
+ * ```javascript
+ * var account = new HDMultisigAccount([xpub1, xpub2, xpub3], 2, {
+ *   paths: ["m/45'", "m/45'", "m/45'"],
+ * });
+ * var address = account.getReceiveAddress(0);
+ * var info = account.getSigningInfo(HDAccount.RECEIVE, 0);
+ * var transaction = new Transaction().from(utxo, info.publicKeys, info.threshold);
+ * ```
+ *
+ * @param {Array.<HDPublicKey|HDPrivateKey|string>} keys - the account keys of the co-signers,
+ *    private keys are only used for their public key
+ * @param {number} threshold - the number of signatures needed
+ * @param {Object=} opts
+ * @param {Array.<string>=} opts.paths - the derivation path of each account key from the master
+ *    key of its co-signer, 'm' by default
+ * @param {boolean=} opts.noSorting - keep the public keys in the order of the account keys in the
+ *    multisig scripts, instead of sorting them as in BIP67
+ */
+class HDMultisigAccount {
+  constructor(keys, threshold, opts = {}) {
+    $.checkArgument(_.isArray(keys) && keys.length > 0, 'keys must be a non empty array')
+    // a multisig script of more keys doesn't fit in the 520 bytes of a redeem script
+    $.checkArgument(keys.length <= 15, 'At most 15 keys can be used')
+    $.checkArgument(
+      _.isInteger(threshold) && threshold > 0 && threshold <= keys.length,
+      'threshold must be between 1 and the number of keys'
+    )
+    this.hdPublicKeys = keys.map((key) => new HDPublicKey(key))
+    this.threshold = threshold
+    this.noSorting = !!opts.noSorting
+    this.paths = opts.paths || _.fill(Array(keys.length), 'm')
+
+    const { network } = this.hdPublicKeys[0]
+    $.checkArgument(
+      _.every(this.hdPublicKeys, (hdPublicKey) => hdPublicKey.network === network),
+      'All keys must be of the same network'
+    )
+    $.checkArgument(
+      _.uniqBy(this.hdPublicKeys, 'xpubkey').length === keys.length,
+      'The keys must be different'
+    )
+    $.checkArgument(
+      this.paths.length === keys.length &&
+        _.every(this.paths, (path) => HDPrivateKey.isValidPath(path)),
+      'paths must give a valid derivation path for each key'
+    )
+    this._chains = this.hdPublicKeys.map((hdPublicKey) => [
+      hdPublicKey.deriveChild(HDAccount.RECEIVE),
+      hdPublicKey.deriveChild(HDAccount.CHANGE),
+    ])
+  }
+
+  /**
+   * @return {Network}
+   */
+  get network() {
+    return this.hdPublicKeys[0].network
+  }
+
+  /**
+   * @return {Array.<string>} the extended public keys of the co-signers
+   */
+  get xpubkeys() {
+    return this.hdPublicKeys.map((hdPublicKey) => hdPublicKey.xpubkey)
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {Array.<PublicKey>} the public key of each co-signer at chain/index, in the order of
+   *    the account keys
+   */
+  deriveKeys(chain, index) {
+    $.checkArgument(
+      chain === HDAccount.RECEIVE || chain === HDAccount.CHANGE,
+      'chain must be 0 (receive) or 1 (change)'
+    )
+    return this._chains.map((chains) => chains[chain].deriveChild(index).publicKey)
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {Script} the multisig redeem script at chain/index
+   */
+  getRedeemScript(chain, index) {
+    return Script.buildMultisigOut(this.deriveKeys(chain, index), this.threshold, {
+      noSorting: this.noSorting,
+    })
+  }
+
+  /**
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {Address} the pay to script hash address at chain/index
+   */
+  getAddress(chain, index) {
+    const { Address: ChainAddress } = this.constructor
+    return new ChainAddress(
+      Script.buildScriptHashOut(this.getRedeemScript(chain, index)),
+      this.network
+    )
+  }
+
+  /**
+   * @param {number} index
+   * @return {Address}
+   */
+  getReceiveAddress(index) {
+    return this.getAddress(HDAccount.RECEIVE, index)
+  }
+
+  /**
+   * @param {number} index
+   * @return {Address}
+   */
+  getChangeAddress(index) {
+    return this.getAddress(HDAccount.CHANGE, index)
+  }
+
+  /**
+   * Everything needed to spend the outputs paying to the address at chain/index: the public keys
+   * and threshold for Transaction#from, which builds a MultiSigScriptHashInput, and the key each
+   * co-signer signs with. Spend the outputs of an account with `noSorting` with the `noSorting`
+   * option of Transaction#from.
+   *
+   * @param {number} chain - HDAccount.RECEIVE or HDAccount.CHANGE
+   * @param {number} index
+   * @return {Object} the `address`, `redeemScript`, `publicKeys` in the order of the redeem script,
+   *    `threshold`, and the `cosigners`: for each account key, its `xpubkey`, the `path` of the
+   *    signing key from the master key of the co-signer, and its `publicKey`
+   */
+  getSigningInfo(chain, index) {
+    const publicKeys = this.deriveKeys(chain, index)
+    const redeemScript = this.getRedeemScript(chain, index)
+    const { Address: ChainAddress } = this.constructor
+    return {
+      address: new ChainAddress(Script.buildScriptHashOut(redeemScript), this.network),
+      redeemScript,
+      publicKeys: this.noSorting
+        ? publicKeys
+        : _.sortBy(publicKeys, (publicKey) => publicKey.toString('hex')),
+      threshold: this.threshold,
+      cosigners: this.hdPublicKeys.map((hdPublicKey, i) => ({
+        xpubkey: hdPublicKey.xpubkey,
+        path: `${this.paths[i]}/${chain}/${index}`,
+        publicKey: publicKeys[i],
+      })),
+    }
+  }
+
+  /**
+   * Creates an account class that prints addresses in the default format of the given chain
+   * profile.
+   *
+   * @param {Chain} chain
+   * @return {Function} the account class for the chain
+   */
+  static forChain(chain) {
+    return Chains.extendClass(this, { Address: Address.forChain(chain) })
+  }
+}
+
+// Address class of the addresses of the account
+HDMultisigAccount.Address = Address
+
+export default HDMultisigAccount
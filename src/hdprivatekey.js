@@ -258,7 +258,7 @@ HDPrivateKey.prototype._deriveWithNumber = function (index, hardened, nonComplia
   }
 
   const derived = new HDPrivateKey({
-    network: this.network,
+    version: this._buffers.version,
     depth: this.depth + 1,
     parentFingerPrint: this.fingerPrint,
     childIndex: index,
@@ -326,6 +326,11 @@ HDPrivateKey.getSerializedError = function (data, network) {
       return error
     }
   }
+  const version = BufferUtil.integerFromBuffer(data.slice(0, 4))
+  const versions = Network.getHDVersions(version)
+  if (versions && version === versions.xpubkey) {
+    return new hdErrors.ArgumentIsPublicExtended()
+  }
   return null
 }
 
@@ -335,7 +340,7 @@ HDPrivateKey._validateNetwork = function (data, networkArg) {
     return new errors.InvalidNetworkArgument(networkArg)
   }
   const version = data.slice(0, 4)
-  if (BufferUtil.integerFromBuffer(version) !== network.xprivkey) {
+  if (!_.some(network.hdVersions, { xprivkey: BufferUtil.integerFromBuffer(version) })) {
     return new errors.InvalidNetwork(version)
   }
   return null
@@ -351,6 +356,29 @@ HDPrivateKey.fromObject = function (arg) {
   return new HDPrivateKey(arg)
 }
 
+/**
+ * Returns the same extended private key with other version bytes, like a SLIP-132 prefix
+ * registered with Networks.addHDVersion, or the prefix of another network. Its extended public
+ * key gets the matching public version.
+ *
+ * @param {number|Network|string} version - a registered xprivkey version, or a network to use its
+ *     default version
+ * @return {HDPrivateKey}
+ */
+HDPrivateKey.prototype.withVersion = function (version) {
+  const xprivkey = _.isNumber(version) ? version : _.get(Network.get(version), 'xprivkey')
+  const versions = Network.getHDVersions(xprivkey)
+  if (!versions || versions.xprivkey !== xprivkey) {
+    throw new hdErrors.InvalidVersion(version)
+  }
+  return new HDPrivateKey(
+    _.assign({}, this._buffers, {
+      version: BufferUtil.integerAsBuffer(xprivkey),
+      checksum: undefined,
+    })
+  )
+}
+
 HDPrivateKey.prototype._buildFromJSON = function (arg) {
   return this._buildFromObject(JSON.parse(arg))
 }
@@ -573,7 +601,7 @@ HDPrivateKey.prototype.toString = function () {
  */
 HDPrivateKey.prototype.toJSON = function toObject() {
   return {
-    network: Network.get(BufferUtil.integerFromBuffer(this._buffers.version), 'xprivkey').name,
+    network: this.network.name,
     depth: BufferUtil.integerFromSingleByteBuffer(this._buffers.depth),
     fingerPrint: BufferUtil.integerFromBuffer(this.fingerPrint),
     parentFingerPrint: BufferUtil.integerFromBuffer(this._buffers.parentFingerPrint),
@@ -162,7 +162,7 @@ HDPublicKey.prototype._deriveWithNumber = function (index, hardened) {
   }
 
   const derived = new HDPublicKey({
-    network: this.network,
+    version: this._buffers.version,
     depth: this.depth + 1,
     parentFingerPrint: this.fingerPrint,
     childIndex: index,
@@ -230,7 +230,8 @@ HDPublicKey.getSerializedError = function (data, network) {
     }
   }
   const version = BufferUtil.integerFromBuffer(data.slice(0, 4))
-  if (version === Network.livenet.xprivkey || version === Network.testnet.xprivkey) {
+  const versions = Network.getHDVersions(version)
+  if (versions && version === versions.xprivkey) {
     return new hdErrors.ArgumentIsPrivateExtended()
   }
   return null
@@ -242,7 +243,7 @@ HDPublicKey._validateNetwork = function (data, networkArg) {
     return new errors.InvalidNetworkArgument(networkArg)
   }
   const version = data.slice(HDPublicKey.VersionStart, HDPublicKey.VersionEnd)
-  if (BufferUtil.integerFromBuffer(version) !== network.xpubkey) {
+  if (!_.some(network.hdVersions, { xpubkey: BufferUtil.integerFromBuffer(version) })) {
     return new errors.InvalidNetwork(version)
   }
   return null
@@ -253,7 +254,7 @@ HDPublicKey.prototype._buildFromPrivate = function (arg) {
   const point = Point.getG().mul(BN.fromBuffer(args.privateKey))
   args.publicKey = Point.pointToCompressed(point)
   args.version = BufferUtil.integerAsBuffer(
-    Network.get(BufferUtil.integerFromBuffer(args.version)).xpubkey
+    Network.getHDVersions(BufferUtil.integerFromBuffer(args.version)).xpubkey
   )
   args.privateKey = undefined
   args.checksum = undefined
@@ -393,6 +394,28 @@ HDPublicKey.fromObject = function (arg) {
   return new HDPublicKey(arg)
 }
 
+/**
+ * Returns the same extended public key with other version bytes, like a SLIP-132 prefix
+ * registered with Networks.addHDVersion, or the prefix of another network.
+ *
+ * @param {number|Network|string} version - a registered xpubkey version, or a network to use its
+ *     default version
+ * @return {HDPublicKey}
+ */
+HDPublicKey.prototype.withVersion = function (version) {
+  const xpubkey = _.isNumber(version) ? version : _.get(Network.get(version), 'xpubkey')
+  const versions = Network.getHDVersions(xpubkey)
+  if (!versions || versions.xpubkey !== xpubkey) {
+    throw new hdErrors.InvalidVersion(version)
+  }
+  return new HDPublicKey(
+    _.assign({}, this._buffers, {
+      version: BufferUtil.integerAsBuffer(xpubkey),
+      checksum: undefined,
+    })
+  )
+}
+
 /**
  * Returns the base58 checked representation of the public key
  * @return {string} a string starting with "xpub..." in livenet
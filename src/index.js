@@ -3,6 +3,7 @@ import elliptic from 'elliptic'
 import bnjs from 'bn.js'
 import bs58 from 'bs58'
 import Address from './address'
+import AES from './crypto/aes'
 import Base58 from './encoding/base58'
 import Base58Check from './encoding/base58check'
 import Block from './block/block'
@@ -11,9 +12,13 @@ import BN from './crypto/bn'
 import BufferReader from './encoding/bufferreader'
 import BufferUtil from './util/buffer'
 import BufferWriter from './encoding/bufferwriter'
+import Chains from './chains'
+import Descriptor from './descriptor'
 import ECDSA from './crypto/ecdsa'
 import errors from './errors'
 import Hash from './crypto/hash'
+import HDAccount from './hdaccount'
+import HDMultisigAccount from './hdmultisigaccount'
 import HDPrivateKey from './hdprivatekey'
 import HDPublicKey from './hdpublickey'
 import MerkleBlock from './block/merkleblock'
@@ -28,10 +33,17 @@ import Point from './crypto/point'
 import PrivateKey from './privatekey'
 import PublicKey from './publickey'
 import Random from './crypto/random'
+import Schnorr from './crypto/schnorr'
+import scrypt from './crypto/scrypt'
 import Script from './script/script'
+import ScriptConformance from './script/conformance'
 import ScriptInterpreter from './script/interpreter'
+import ScriptTemplate from './script/template'
 import Signature from './crypto/signature'
 import Transaction from './transaction/transaction'
+import TransactionCoinSelection from './transaction/coinselection'
+import TransactionHTLCClaimInput from './transaction/input/htlcclaim'
+import TransactionHTLCRefundInput from './transaction/input/htlcrefund'
 import TransactionInput from './transaction/input/input'
 import TransactionMultiSigInput from './transaction/input/multisig'
 import TransactionMultiSigScriptHashInput from './transaction/input/multisigscripthash'
@@ -40,9 +52,13 @@ import TransactionPublicKeyHashInput from './transaction/input/publickeyhash'
 import TransactionScriptHashInput from './transaction/input/scripthash'
 import TransactionOutput from './transaction/output'
 import TransactionOutputId from './transaction/output-id'
+import TransactionPartialTransaction from './transaction/partialtransaction'
+import TransactionPolicy from './transaction/policy'
 import TransactionSighash from './transaction/sighash'
 import TransactionSignature from './transaction/signature'
+import TransactionSizeEstimator from './transaction/sizeestimator'
 import TransactionUnspentOutput from './transaction/unspentoutput'
+import TransactionUtxoSet from './transaction/utxoset'
 import Unit from './unit'
 import URI from './uri'
 import Varint from './encoding/varint'
@@ -66,11 +82,14 @@ global._bitcoin = Bitcoin.version
 
 // crypto
 Bitcoin.crypto = {}
+Bitcoin.crypto.AES = AES
 Bitcoin.crypto.BN = BN
 Bitcoin.crypto.ECDSA = ECDSA
 Bitcoin.crypto.Hash = Hash
 Bitcoin.crypto.Random = Random
 Bitcoin.crypto.Point = Point
+Bitcoin.crypto.Schnorr = Schnorr
+Bitcoin.crypto.scrypt = scrypt
 Bitcoin.crypto.Signature = Signature
 
 // encoding
@@ -96,6 +115,10 @@ Bitcoin.Block = Block
 Bitcoin.Block.BlockHeader = BlockHeader
 Bitcoin.Block.MerkleBlock = MerkleBlock
 Bitcoin.BlockHeader = BlockHeader
+Bitcoin.Chains = Chains
+Bitcoin.Descriptor = Descriptor
+Bitcoin.HDAccount = HDAccount
+Bitcoin.HDMultisigAccount = HDMultisigAccount
 Bitcoin.HDPrivateKey = HDPrivateKey
 Bitcoin.HDPublicKey = HDPublicKey
 Bitcoin.MerkleBlock = MerkleBlock
@@ -106,22 +129,81 @@ Bitcoin.Opcode = Opcode
 Bitcoin.PrivateKey = PrivateKey
 Bitcoin.PublicKey = PublicKey
 Bitcoin.Script = Script
+Bitcoin.Script.Conformance = ScriptConformance
 Bitcoin.Script.Interpreter = ScriptInterpreter
+Bitcoin.Script.Template = ScriptTemplate
 Bitcoin.Transaction = Transaction
+Bitcoin.Transaction.CoinSelection = TransactionCoinSelection
 Bitcoin.Transaction.Input = TransactionInput
 Bitcoin.Transaction.Input.MultiSig = TransactionMultiSigInput
 Bitcoin.Transaction.Input.MultiSigScriptHash = TransactionMultiSigScriptHashInput
 Bitcoin.Transaction.Input.PublicKey = TransactionPublicKeyInput
 Bitcoin.Transaction.Input.PublicKeyHash = TransactionPublicKeyHashInput
 Bitcoin.Transaction.Input.ScriptHash = TransactionScriptHashInput
+Bitcoin.Transaction.Input.HTLCClaim = TransactionHTLCClaimInput
+Bitcoin.Transaction.Input.HTLCRefund = TransactionHTLCRefundInput
 Bitcoin.Transaction.Output = TransactionOutput
 Bitcoin.Transaction.OutputId = TransactionOutputId
+Bitcoin.Transaction.PartialTransaction = TransactionPartialTransaction
+Bitcoin.Transaction.Policy = TransactionPolicy
 Bitcoin.Transaction.Sighash = TransactionSighash
 Bitcoin.Transaction.Signature = TransactionSignature
+Bitcoin.Transaction.SizeEstimator = TransactionSizeEstimator
 Bitcoin.Transaction.UnspentOutput = TransactionUnspentOutput
+Bitcoin.Transaction.UtxoSet = TransactionUtxoSet
 Bitcoin.Unit = Unit
 Bitcoin.URI = URI
 
+/**
+ * Returns the library exports for a chain profile. `Address`, `Descriptor`, `HDAccount`,
+ * `HDMultisigAccount`, `Networks`, `Script.Interpreter` and `Transaction` are replaced by variants
+ * that read their parameters from the profile, so that libraries for different chains can be used
+ * side by side. All other exports are shared.
+ *
+ * @param {Chain} chain
+ * @return {Object}
+ */
+function forChain(chain) {
+  const Interpreter = ScriptInterpreter.forChain(chain)
+
+  // Script itself does not depend on the chain, only the interpreter attached to it does
+  const ChainScript = function ChainScript(from) {
+    return new Script(from)
+  }
+  Object.setPrototypeOf(ChainScript, Script)
+  ChainScript.prototype = Script.prototype
+  ChainScript.Interpreter = Interpreter
+
+  return {
+    ...Bitcoin,
+    chain,
+    Address: Address.forChain(chain),
+    Descriptor: Descriptor.forChain(chain),
+    HDAccount: HDAccount.forChain(chain),
+    HDMultisigAccount: HDMultisigAccount.forChain(chain),
+    Networks: Networks.forChain(chain),
+    Script: ChainScript,
+    Transaction: Transaction.forChain(chain),
+  }
+}
+
+Bitcoin.chain = Chains.defaultChain
+Bitcoin.forChain = forChain
+
+/**
+ * @return {Object} the library exports for Bitcoin Cash
+ */
+Bitcoin.bch = function bch() {
+  return forChain(Chains.bch)
+}
+
+/**
+ * @return {Object} the library exports for Bitcoin SV
+ */
+Bitcoin.bsv = function bsv() {
+  return forChain(Chains.bsv)
+}
+
 // dependencies, subject to change
 Bitcoin.deps = {}
 Bitcoin.deps.bnjs = bnjs
@@ -1,6 +1,7 @@
 import _ from 'lodash'
 import BufferUtil from './util/buffer'
 import JSUtil from './util/js'
+import $ from './util/preconditions'
 
 const networks = []
 const networkMaps = {}
@@ -45,6 +46,54 @@ function get(arg, keys) {
   return networkMaps[arg]
 }
 
+/**
+ * @function
+ * @member Networks#getHDVersions
+ * Retrieves the pair of extended key versions to which a version magic number belongs.
+ * @param {Number} version
+ * @return {Object|undefined} the `xpubkey` and `xprivkey` magic numbers
+ */
+function getHDVersions(version) {
+  return _.find(
+    _.flatMap(networks, 'hdVersions'),
+    (versions) => versions.xpubkey === version || versions.xprivkey === version
+  )
+}
+
+/**
+ * @function
+ * @member Networks#addHDVersion
+ * Registers other version magic numbers for the extended keys of a network, like the SLIP-132
+ * prefixes of a wallet or of a coin. Extended keys with these versions are then recognized as
+ * keys of the network, and keep their version when derived.
+ * @param {Network|string} network
+ * @param {Object} versions
+ * @param {Number} versions.xpubkey - The extended public key magic
+ * @param {Number} versions.xprivkey - The extended private key magic
+ * @return Network
+ */
+function addHDVersion(networkArg, versions) {
+  const network = get(networkArg)
+  $.checkArgument(network, 'Unknown network')
+  $.checkArgument(
+    _.isNumber(versions.xpubkey) && _.isNumber(versions.xprivkey),
+    'Both the xpubkey and the xprivkey versions are needed'
+  )
+  const pair = _.pick(versions, ['xpubkey', 'xprivkey'])
+  const existing = getHDVersions(pair.xpubkey) || getHDVersions(pair.xprivkey)
+  if (existing) {
+    $.checkArgument(
+      _.includes(network.hdVersions, existing) && _.isEqual(existing, pair),
+      `Versions ${pair.xpubkey} and ${pair.xprivkey} are already used`
+    )
+    return network
+  }
+  network.hdVersions.push(pair)
+  networkMaps[versions.xpubkey] = network
+  networkMaps[versions.xprivkey] = network
+  return network
+}
+
 /**
  * @function
  * @member Networks#add
@@ -57,6 +106,8 @@ function get(arg, keys) {
  * @param {Number} data.scripthash - The scripthash prefix
  * @param {Number} data.xpubkey - The extended public key magic
  * @param {Number} data.xprivkey - The extended private key magic
+ * @param {Array=} data.hdVersions - Other versions of extended keys of the network, as pairs of
+ *   `xpubkey` and `xprivkey` magic numbers, see Networks#addHDVersion
  * @param {Number} data.networkMagic - The network magic number
  * @param {Number} data.port - The network port
  * @param {Array}  data.dnsSeeds - An array of dns seeds
@@ -73,6 +124,7 @@ function addNetwork(data) {
     scripthash: data.scripthash,
     xpubkey: data.xpubkey,
     xprivkey: data.xprivkey,
+    hdVersions: [{ xpubkey: data.xpubkey, xprivkey: data.xprivkey }],
   })
 
   if (data.networkMagic) {
@@ -99,6 +151,7 @@ function addNetwork(data) {
   })
 
   networks.push(network)
+  _.each(data.hdVersions, (versions) => addHDVersion(network, versions))
 
   return network
 }
@@ -246,12 +299,62 @@ function disableRegtest() {
   testnet.regtestEnabled = false
 }
 
+/**
+ * @function
+ * @member Networks#forChain
+ * Returns a copy of this namespace in which livenet and testnet use the network magic, port and
+ * DNS seeds of a chain profile. The networks of the copy inherit every other value (and the
+ * regtest setting) from the default networks, and `get` maps to them as well.
+ * @param {Chain} chain
+ * @return {Object} the networks namespace for the chain
+ */
+function forChain(chain) {
+  const views = {}
+  ;[livenet, testnet].forEach((network) => {
+    const view = Object.create(network)
+    ;['networkMagic', 'port', 'dnsSeeds'].forEach((key) => {
+      Object.defineProperty(view, key, {
+        enumerable: true,
+        configurable: false,
+        get() {
+          const value = chain.getNetworkParams(this)[key]
+          return key === 'networkMagic' ? BufferUtil.integerAsBuffer(value) : value
+        },
+      })
+    })
+    views[network.name] = view
+  })
+
+  const getForChain = function (arg, keys) {
+    const isView = _.some(views, (view) => view === arg)
+    const network = get(isView ? Object.getPrototypeOf(arg) : arg, keys)
+    return (network && views[network.name]) || network
+  }
+
+  return {
+    add: addNetwork,
+    remove: removeNetwork,
+    addHDVersion,
+    getHDVersions,
+    defaultNetwork: views.livenet,
+    livenet: views.livenet,
+    mainnet: views.livenet,
+    testnet: views.testnet,
+    get: getForChain,
+    enableRegtest,
+    disableRegtest,
+    forChain,
+  }
+}
+
 /**
  * @namespace Networks
  */
 export default {
   add: addNetwork,
   remove: removeNetwork,
+  addHDVersion,
+  getHDVersions,
   defaultNetwork: livenet,
   livenet,
   mainnet: livenet,
@@ -259,4 +362,5 @@ export default {
   get,
   enableRegtest,
   disableRegtest,
+  forChain,
 }
@@ -135,9 +135,14 @@ Opcode.map = {
 
   // splice ops
   OP_CAT: 126,
+  // names used before the May 2018 upgrade, kept as aliases
   OP_SUBSTR: 127,
   OP_LEFT: 128,
   OP_RIGHT: 129,
+
+  OP_SPLIT: 127,
+  OP_NUM2BIN: 128,
+  OP_BIN2NUM: 129,
   OP_SIZE: 130,
 
   // bit logic
@@ -195,6 +200,7 @@ Opcode.map = {
   OP_CHECKMULTISIGVERIFY: 175,
 
   OP_CHECKLOCKTIMEVERIFY: 177,
+  OP_CHECKSEQUENCEVERIFY: 178,
 
   // expansion
   OP_NOP1: 176,
@@ -208,6 +214,10 @@ Opcode.map = {
   OP_NOP9: 184,
   OP_NOP10: 185,
 
+  // November 2018 upgrade
+  OP_CHECKDATASIG: 186,
+  OP_CHECKDATASIGVERIFY: 187,
+
   // template matching params
   OP_PUBKEYHASH: 253,
   OP_PUBKEY: 254,
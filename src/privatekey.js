@@ -1,13 +1,29 @@
 import _ from 'lodash'
+import unorm from 'unorm'
 import $ from './util/preconditions'
 import Address from './address'
+import AES from './crypto/aes'
 import Base58Check from './encoding/base58check'
 import BN from './crypto/bn'
+import BufferUtil from './util/buffer'
+import ECDSA from './crypto/ecdsa'
+import errors from './errors'
+import Hash from './crypto/hash'
 import JSUtil from './util/js'
 import Networks from './networks'
 import Point from './crypto/point'
 import PublicKey from './publickey'
 import Random from './crypto/random'
+import scrypt from './crypto/scrypt'
+
+// BIP38 encrypted keys start with 0x01 0x42, or 0x01 0x43 in EC multiply mode
+const BIP38_PREFIX = 0x01
+const BIP38_TYPE = 0x42
+const BIP38_EC_MULTIPLY_TYPE = 0x43
+const BIP38_COMPRESSED_FLAG = 0x20
+const BIP38_LOT_SEQUENCE_FLAG = 0x04
+// the magic bytes of intermediate codes, followed by 0x51 with a lot and sequence, 0x53 without
+const BIP38_INTERMEDIATE_MAGIC = Buffer.from('2ce9b3e1ff39e2', 'hex')
 
 /**
  * Instantiate a PrivateKey from a BN, Buffer and WIF.
@@ -356,6 +372,21 @@ PrivateKey.prototype.toPublicKey = function () {
   return this._pubkey
 }
 
+/**
+ * Will sign data for OP_CHECKDATASIG, the signature commits to the SHA256 hash of the data
+ *
+ * @param {Buffer|string} data - the message to sign, strings are encoded as utf8
+ * @returns {Signature} A low-S signature, `toDER()` returns the value to push in a script
+ */
+PrivateKey.prototype.signData = function (data) {
+  $.checkArgument(
+    BufferUtil.isBuffer(data) || _.isString(data),
+    'First argument should be a buffer or a string'
+  )
+  const buf = _.isString(data) ? Buffer.from(data, 'utf8') : data
+  return ECDSA.sign(Hash.sha256(buf), this)
+}
+
 /**
  * Will return an address for the private key
  * @param {Network=} network - optional parameter specifying
@@ -380,6 +411,234 @@ PrivateKey.prototype.toJSON = function toObject() {
 }
 PrivateKey.prototype.toObject = PrivateKey.prototype.toJSON
 
+const xor = function (a, b) {
+  return Buffer.from(a.map((byte, i) => byte ^ b[i]))
+}
+
+const bip38Passphrase = function (passphrase) {
+  $.checkArgument(_.isString(passphrase), 'passphrase must be a string')
+  return Buffer.from(unorm.nfc(passphrase), 'utf8')
+}
+
+// the first 4 bytes of the double SHA256 of the legacy address, the salt of the encryption
+const bip38AddressHash = function (publicKey, network) {
+  const address = Address.fromPublicKey(publicKey, network).toString(Address.LegacyFormat)
+  return Hash.sha256sha256(Buffer.from(address, 'utf8')).slice(0, 4)
+}
+
+// the passfactor of EC multiply mode, from the passphrase and the owner entropy
+const bip38PassFactor = function (passphrase, ownerEntropy, hasLotSequence) {
+  const ownerSalt = hasLotSequence ? ownerEntropy.slice(0, 4) : ownerEntropy
+  const preFactor = scrypt(passphrase, ownerSalt, 16384, 8, 8, 32)
+  return BN.fromBuffer(
+    hasLotSequence ? Hash.sha256sha256(Buffer.concat([preFactor, ownerEntropy])) : preFactor
+  )
+}
+
+/**
+ * Will encrypt the private key with a passphrase, as described in BIP38
+ * https://github.com/bitcoin/bips/blob/master/bip-0038.mediawiki
+ *
+ * @param {string} passphrase
+ * @returns {string} The encrypted key, starting with 6P
+ */
+PrivateKey.prototype.toBIP38 = function (passphrase) {
+  const addressHash = bip38AddressHash(this.toPublicKey(), this.network)
+  const derived = scrypt(bip38Passphrase(passphrase), addressHash, 16384, 8, 8, 64)
+  const key = xor(this.bn.toBuffer({ size: 32 }), derived.slice(0, 32))
+  const flag = 0xc0 | (this.compressed ? BIP38_COMPRESSED_FLAG : 0)
+  return Base58Check.encode(
+    Buffer.concat([
+      Buffer.from([BIP38_PREFIX, BIP38_TYPE, flag]),
+      addressHash,
+      AES.encrypt(key.slice(0, 16), derived.slice(32)),
+      AES.encrypt(key.slice(16), derived.slice(32)),
+    ])
+  )
+}
+
+/**
+ * Instantiate a PrivateKey from a BIP38 encrypted key, made with or without EC multiply
+ *
+ * @param {string} str - The encrypted key, starting with 6P
+ * @param {string} passphrase
+ * @param {Network|string=} network - The network of the address of the key, which is checked
+ *    against the encrypted key, the default network if not given
+ * @returns {PrivateKey} A new valid instance of PrivateKey
+ */
+PrivateKey.fromBIP38 = function (str, passphrase, network) {
+  $.checkArgument(_.isString(str), 'First argument is expected to be a string.')
+  const password = bip38Passphrase(passphrase)
+  network = network ? Networks.get(network) : Networks.defaultNetwork
+
+  let buf
+  try {
+    buf = Base58Check.decode(str)
+  } catch (e) {
+    throw new errors.PrivateKey.InvalidBIP38(str)
+  }
+  if (
+    buf.length !== 39 ||
+    buf[0] !== BIP38_PREFIX ||
+    (buf[1] !== BIP38_TYPE && buf[1] !== BIP38_EC_MULTIPLY_TYPE)
+  ) {
+    throw new errors.PrivateKey.InvalidBIP38(str)
+  }
+  const flag = buf[2]
+  const addressHash = buf.slice(3, 7)
+
+  let bn
+  if (buf[1] === BIP38_TYPE) {
+    const derived = scrypt(password, addressHash, 16384, 8, 8, 64)
+    const key = Buffer.concat([
+      AES.decrypt(buf.slice(7, 23), derived.slice(32)),
+      AES.decrypt(buf.slice(23, 39), derived.slice(32)),
+    ])
+    bn = BN.fromBuffer(xor(key, derived.slice(0, 32)))
+  } else {
+    const ownerEntropy = buf.slice(7, 15)
+    const passFactor = bip38PassFactor(password, ownerEntropy, flag & BIP38_LOT_SEQUENCE_FLAG)
+    const passPoint = PublicKey.fromPoint(Point.getG().mul(passFactor), true)
+    const derived = scrypt(
+      passPoint.toBuffer(),
+      Buffer.concat([addressHash, ownerEntropy]),
+      1024,
+      1,
+      1,
+      64
+    )
+    // the second encrypted part also encrypts the end of the first one
+    const part2 = xor(AES.decrypt(buf.slice(23, 39), derived.slice(32)), derived.slice(16, 32))
+    const part1 = xor(
+      AES.decrypt(Buffer.concat([buf.slice(15, 23), part2.slice(0, 8)]), derived.slice(32)),
+      derived.slice(0, 16)
+    )
+    const factorB = BN.fromBuffer(Hash.sha256sha256(Buffer.concat([part1, part2.slice(8)])))
+    bn = passFactor.mul(factorB).umod(Point.getN())
+  }
+
+  // a wrong passphrase gives another key, whose address doesn't match the address hash
+  if (bn.isZero() || !bn.lt(Point.getN())) {
+    throw new errors.PrivateKey.InvalidBIP38Passphrase(str)
+  }
+  const privateKey = new PrivateKey({
+    bn: bn.toString('hex'),
+    compressed: !!(flag & BIP38_COMPRESSED_FLAG),
+    network: network.toString(),
+  })
+  if (!bip38AddressHash(privateKey.toPublicKey(), network).equals(addressHash)) {
+    throw new errors.PrivateKey.InvalidBIP38Passphrase(str)
+  }
+  return privateKey
+}
+
+/**
+ * Will create the intermediate code of a passphrase, as described in BIP38: whoever has it can
+ * generate keys in EC multiply mode with `PrivateKey.generateBIP38`, which only the owner of the
+ * passphrase can decrypt.
+ *
+ * @param {string} passphrase
+ * @param {Object=} opts
+ * @param {number=} opts.lot - a number between 0 and 1048575, to be given with `opts.sequence`
+ * @param {number=} opts.sequence - a number between 0 and 4095
+ * @returns {string} The intermediate code, starting with "passphrase"
+ */
+PrivateKey.createBIP38Intermediate = function (passphrase, opts = {}) {
+  const password = bip38Passphrase(passphrase)
+  const hasLotSequence = !_.isUndefined(opts.lot) || !_.isUndefined(opts.sequence)
+  let ownerEntropy
+  if (hasLotSequence) {
+    $.checkArgument(
+      _.isInteger(opts.lot) && opts.lot >= 0 && opts.lot <= 1048575,
+      'lot must be a number between 0 and 1048575'
+    )
+    $.checkArgument(
+      _.isInteger(opts.sequence) && opts.sequence >= 0 && opts.sequence <= 4095,
+      'sequence must be a number between 0 and 4095'
+    )
+    const lotSequence = Buffer.alloc(4)
+    lotSequence.writeUInt32BE(opts.lot * 4096 + opts.sequence, 0)
+    ownerEntropy = Buffer.concat([Random.getRandomBuffer(4), lotSequence])
+  } else {
+    ownerEntropy = Random.getRandomBuffer(8)
+  }
+  const passFactor = bip38PassFactor(password, ownerEntropy, hasLotSequence)
+  const passPoint = PublicKey.fromPoint(Point.getG().mul(passFactor), true)
+  return Base58Check.encode(
+    Buffer.concat([
+      BIP38_INTERMEDIATE_MAGIC,
+      Buffer.from([hasLotSequence ? 0x51 : 0x53]),
+      ownerEntropy,
+      passPoint.toBuffer(),
+    ])
+  )
+}
+
+/**
+ * Will generate a new key encrypted in EC multiply mode from an intermediate code, as described
+ * in BIP38. The key is not known to the caller, only its address.
+ *
+ * @param {string} intermediate - The intermediate code made by `PrivateKey.createBIP38Intermediate`
+ * @param {Object=} opts
+ * @param {boolean=} opts.compressed - false to use the uncompressed public key, true by default
+ * @param {Network|string=} opts.network - The network of the address, the default network if not
+ *    given
+ * @returns {Object} The `encryptedKey` and its `address`
+ */
+PrivateKey.generateBIP38 = function (intermediate, opts = {}) {
+  $.checkArgument(_.isString(intermediate), 'First argument is expected to be a string.')
+  const network = opts.network ? Networks.get(opts.network) : Networks.defaultNetwork
+  const compressed = opts.compressed !== false
+
+  let buf
+  try {
+    buf = Base58Check.decode(intermediate)
+  } catch (e) {
+    throw new errors.PrivateKey.InvalidBIP38(intermediate)
+  }
+  if (
+    buf.length !== 49 ||
+    !buf.slice(0, 7).equals(BIP38_INTERMEDIATE_MAGIC) ||
+    (buf[7] !== 0x51 && buf[7] !== 0x53)
+  ) {
+    throw new errors.PrivateKey.InvalidBIP38(intermediate)
+  }
+  const ownerEntropy = buf.slice(8, 16)
+  const passPoint = PublicKey.fromBuffer(buf.slice(16))
+
+  const seedB = Random.getRandomBuffer(24)
+  const factorB = BN.fromBuffer(Hash.sha256sha256(seedB))
+  const publicKey = PublicKey.fromPoint(passPoint.point.mul(factorB), compressed)
+  const addressHash = bip38AddressHash(publicKey, network)
+  const derived = scrypt(
+    passPoint.toBuffer(),
+    Buffer.concat([addressHash, ownerEntropy]),
+    1024,
+    1,
+    1,
+    64
+  )
+  const part1 = AES.encrypt(xor(seedB.slice(0, 16), derived.slice(0, 16)), derived.slice(32))
+  const part2 = AES.encrypt(
+    xor(Buffer.concat([part1.slice(8), seedB.slice(16)]), derived.slice(16, 32)),
+    derived.slice(32)
+  )
+  const flag =
+    (compressed ? BIP38_COMPRESSED_FLAG : 0) | (buf[7] === 0x51 ? BIP38_LOT_SEQUENCE_FLAG : 0)
+  return {
+    encryptedKey: Base58Check.encode(
+      Buffer.concat([
+        Buffer.from([BIP38_PREFIX, BIP38_EC_MULTIPLY_TYPE, flag]),
+        addressHash,
+        ownerEntropy,
+        part1.slice(0, 8),
+        part2,
+      ])
+    ),
+    address: Address.fromPublicKey(publicKey, network),
+  }
+}
+
 /**
  * Will return a string formatted for the console
  *
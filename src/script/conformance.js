@@ -0,0 +1,308 @@
+import _ from 'lodash'
+import BN from '../crypto/bn'
+import BufferWriter from '../encoding/bufferwriter'
+import errors from '../errors'
+import Interpreter from './interpreter'
+import Opcode from '../opcode'
+import Script from './script'
+import Sighash from '../transaction/sighash'
+import Transaction from '../transaction/transaction'
+
+/**
+ * Runs the reference test vectors of bitcoind (script_tests.json, the older script_valid.json and
+ * script_invalid.json, tx_valid.json, tx_invalid.json and sighash.json) against the interpreter
+ * and the transaction code, and reports the result of every vector.
+ *
+ * Each runner returns an array with one result per vector:
+ *   - index: the position of the vector in the file
+ *   - comment: the comment of the vector, or of the comment rows preceding it
+ *   - status: 'pass', 'fail', or 'skip' when the vector uses flags this library doesn't support
+ *   - expected and actual: the expected and the obtained result
+ *   - reason: why the vector was skipped, or the error of a vector that couldn't be parsed or run
+ */
+const Conformance = {}
+
+/**
+ * The interpreter flags, keyed by the name used in the test vectors (e.g. 'P2SH' for
+ * Interpreter.SCRIPT_VERIFY_P2SH and 'CHECKDATASIG' for Interpreter.SCRIPT_ENABLE_CHECKDATASIG)
+ */
+Conformance.flags = _.transform(
+  Object.keys(Interpreter),
+  (flags, key) => {
+    const match = /^SCRIPT_(VERIFY|ENABLE)_(.+)$/.exec(key)
+    if (match) {
+      flags[match[2]] = Interpreter[key]
+    }
+  },
+  {}
+)
+
+/**
+ * Parses a comma separated list of flag names, with or without their SCRIPT_VERIFY_ or
+ * SCRIPT_ENABLE_ prefix.
+ *
+ * @param {string} str - e.g. 'P2SH,STRICTENC'. 'NONE' and the empty string mean no flags.
+ * @return {number} the interpreter flags
+ * @throws {errors.Script.UnsupportedFlag} if the interpreter doesn't implement a flag
+ */
+Conformance.parseFlags = function (str) {
+  return str
+    .split(',')
+    .map((name) => name.trim().replace(/^SCRIPT_(VERIFY|ENABLE)_/, ''))
+    .filter((name) => name !== '')
+    .reduce((flags, name) => {
+      if (_.isUndefined(Conformance.flags[name])) {
+        throw new errors.Script.UnsupportedFlag(name)
+      }
+      return flags | Conformance.flags[name]
+    }, 0)
+}
+
+/**
+ * Parses a script in the format of the bitcoind test vectors: opcode names with or without their
+ * OP_ prefix, decimal numbers, 'quoted strings' and raw hex bytes prefixed with 0x.
+ *
+ * @param {string} str
+ * @return {Script}
+ */
+Conformance.parseScript = function (str) {
+  const bw = new BufferWriter()
+  str.split(' ').forEach((token) => {
+    if (token === '') {
+      return
+    }
+    if (token[0] === '0' && token[1] === 'x') {
+      bw.write(Buffer.from(token.slice(2), 'hex'))
+    } else if (token[0] === "'") {
+      bw.write(
+        Script()
+          .add(Buffer.from(token.slice(1, token.length - 1)))
+          .toBuffer()
+      )
+    } else if (!_.isUndefined(Opcode[`OP_${token}`])) {
+      bw.writeUInt8(Opcode[`OP_${token}`])
+    } else if (_.isNumber(Opcode[token])) {
+      bw.writeUInt8(Opcode[token])
+    } else if (!Number.isNaN(parseInt(token, 10))) {
+      bw.write(Script().add(new BN(token).toScriptNumBuffer()).toBuffer())
+    } else {
+      throw new Error(`Could not determine type of script value ${token}`)
+    }
+  })
+  return Script.fromBuffer(bw.concat())
+}
+
+/**
+ * Calls fn on each vector that is not a comment row, with the comment rows preceding it
+ */
+const eachVector = function (vectors, fn) {
+  let comments = []
+  vectors.forEach((vector, index) => {
+    if (vector.length === 1 && _.isString(vector[0])) {
+      comments.push(vector[0])
+      return
+    }
+    fn(vector, index, comments.join(' '))
+    comments = []
+  })
+}
+
+/**
+ * Runs a vector, reporting it as skipped if its flags aren't supported, and as failed if it can't
+ * be parsed or run, so that one vector doesn't stop the whole run
+ */
+const runVector = function (result, run) {
+  try {
+    return _.extend(result, run())
+  } catch (e) {
+    if (e instanceof errors.Script.UnsupportedFlag) {
+      return _.extend(result, { status: 'skip', reason: e.message })
+    }
+    return _.extend(result, { status: 'fail', reason: e.message })
+  }
+}
+
+/**
+ * Spends an output with the scriptPubkey in the transaction used by the script test vectors
+ */
+const buildSpendingTransaction = function (scriptSig, scriptPubkey, satoshis) {
+  const credit = new Transaction()
+  credit.uncheckedAddInput(
+    new Transaction.Input({
+      prevTxId: '0000000000000000000000000000000000000000000000000000000000000000',
+      outputIndex: 0xffffffff,
+      sequenceNumber: 0xffffffff,
+      script: Script('OP_0 OP_0'),
+    })
+  )
+  credit.addOutput(new Transaction.Output({ script: scriptPubkey, satoshis }))
+
+  const spend = new Transaction()
+  spend.uncheckedAddInput(
+    new Transaction.Input({
+      prevTxId: credit.id,
+      outputIndex: 0,
+      sequenceNumber: 0xffffffff,
+      script: scriptSig,
+    })
+  )
+  spend.addOutput(new Transaction.Output({ script: new Script(), satoshis }))
+  return spend
+}
+
+/**
+ * Runs script test vectors.
+ *
+ * Vectors of script_tests.json are `[[amount]?, scriptSig, scriptPubKey, flags, expected error,
+ * comment?]`, where the expected error is 'OK' for valid scripts. The older script_valid.json and
+ * script_invalid.json files have no error column, pass `{ expected: true }` or
+ * `{ expected: false }` for them. Only the validity is compared, as the error codes of this
+ * interpreter are not always the same as bitcoind's; `actual` holds the error of the interpreter.
+ *
+ * @param {Array} vectors
+ * @param {Object=} opts
+ * @param {boolean=} opts.expected - the expected validity of all vectors
+ * @param {number=} opts.flags - interpreter flags set for every vector, for the upgrades that the
+ *   node which wrote the vectors always enables (e.g. the Schnorr signatures for Bitcoin ABC)
+ * @return {Object[]} the results
+ */
+Conformance.runScriptTests = function (vectors, opts) {
+  opts = opts || {}
+  const results = []
+  eachVector(vectors, (vector, index, comments) => {
+    const amount = _.isArray(vector[0]) ? vector[0][vector[0].length - 1] : 0
+    const fields = _.isArray(vector[0]) ? vector.slice(1) : vector
+    const hasErrorColumn = _.isUndefined(opts.expected)
+    const expected = hasErrorColumn ? fields[3] : opts.expected
+    const result = {
+      index,
+      comment: fields[hasErrorColumn ? 4 : 3] || comments,
+      expected,
+    }
+    results.push(
+      runVector(result, () => {
+        const flags = Conformance.parseFlags(fields[2]) | (opts.flags || 0)
+        const scriptSig = Conformance.parseScript(fields[0])
+        const scriptPubkey = Conformance.parseScript(fields[1])
+        const tx = buildSpendingTransaction(scriptSig, scriptPubkey, Math.round(amount * 1e8))
+        const interpreter = new Interpreter()
+        const valid = interpreter.verify(scriptSig, scriptPubkey, tx, 0, flags)
+        if (!hasErrorColumn) {
+          return { actual: valid, status: valid === expected ? 'pass' : 'fail' }
+        }
+        return {
+          actual: valid ? 'OK' : interpreter.errstr,
+          status: valid === (expected === 'OK') ? 'pass' : 'fail',
+        }
+      })
+    )
+  })
+  return results
+}
+
+/**
+ * Runs transaction test vectors of tx_valid.json or tx_invalid.json:
+ * `[[[prevout hash, prevout index, prevout scriptPubKey], ...], serialized transaction, flags]`.
+ *
+ * A transaction is valid if Transaction#verify succeeds and the script of every input verifies.
+ * `actual` is the validity of the transaction, and `errors` lists the errors found.
+ *
+ * @param {Array} vectors
+ * @param {Object} opts
+ * @param {boolean} opts.expected - true for tx_valid.json, false for tx_invalid.json
+ * @return {Object[]} the results
+ */
+Conformance.runTxTests = function (vectors, opts) {
+  const results = []
+  eachVector(vectors, (vector, index, comments) => {
+    const result = { index, comment: comments, expected: opts.expected }
+    results.push(
+      runVector(result, () => {
+        const flags = Conformance.parseFlags(vector[2])
+        const prevouts = {}
+        vector[0].forEach((input) => {
+          // bitcoind casts -1 to an unsigned int
+          const outputIndex = input[1] === -1 ? 0xffffffff : input[1]
+          prevouts[`${input[0]}:${outputIndex}`] = Conformance.parseScript(input[2])
+        })
+
+        const failures = []
+        let tx
+        try {
+          tx = new Transaction(vector[1])
+        } catch (e) {
+          failures.push(`Unable to parse the transaction: ${e.message}`)
+        }
+        const txError = tx && tx.verify()
+        if (tx && txError !== true) {
+          failures.push(txError)
+        }
+        if (tx) {
+          tx.inputs.forEach((input, i) => {
+            if (input.isNull()) {
+              return
+            }
+            const scriptPubkey = prevouts[`${input.prevTxId.toString('hex')}:${input.outputIndex}`]
+            const interpreter = new Interpreter()
+            if (!scriptPubkey) {
+              failures.push(`Input ${i}: missing previous output`)
+            } else if (!interpreter.verify(input.script, scriptPubkey, tx, i, flags)) {
+              failures.push(`Input ${i}: ${interpreter.errstr}`)
+            }
+          })
+        }
+        const actual = failures.length === 0
+        return {
+          actual,
+          errors: failures,
+          status: actual === opts.expected ? 'pass' : 'fail',
+        }
+      })
+    )
+  })
+  return results
+}
+
+/**
+ * Runs sighash test vectors of sighash.json:
+ * `[raw transaction, script, input index, hash type, signature hash]`.
+ * The signature hash is computed for an amount of zero satoshis.
+ *
+ * @param {Array} vectors
+ * @return {Object[]} the results
+ */
+Conformance.runSighashTests = function (vectors) {
+  const results = []
+  eachVector(vectors, (vector, index, comments) => {
+    const result = { index, comment: comments, expected: vector[4] }
+    results.push(
+      runVector(result, () => {
+        const tx = new Transaction(vector[0])
+        const actual = Sighash.sighash(
+          tx,
+          vector[3],
+          vector[2],
+          new Script(Buffer.from(vector[1], 'hex')),
+          BN.Zero
+        ).toString('hex')
+        return { actual, status: actual === vector[4] ? 'pass' : 'fail' }
+      })
+    )
+  })
+  return results
+}
+
+/**
+ * @param {Object[]} results - results returned by the runners
+ * @return {Object} the number of vectors that passed, failed and were skipped, and the total
+ */
+Conformance.summarize = function (results) {
+  return _.defaults(_.countBy(results, 'status'), {
+    pass: 0,
+    fail: 0,
+    skip: 0,
+    total: results.length,
+  })
+}
+
+export default Conformance
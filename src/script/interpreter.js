@@ -1,8 +1,12 @@
 import _ from 'lodash'
 import BN from '../crypto/bn'
+import Chains from '../chains'
+import ECDSA from '../crypto/ecdsa'
 import Hash from '../crypto/hash'
+import Input from '../transaction/input/input'
 import Opcode from '../opcode'
 import PublicKey from '../publickey'
+import Schnorr from '../crypto/schnorr'
 import Script from './script'
 import Signature from '../crypto/signature'
 import Transaction from '../transaction/transaction'
@@ -27,6 +31,8 @@ const Interpreter = function Interpreter(obj) {
   } else {
     this.initialize()
   }
+  // the limits of the calls of Interpreter#verify that give none
+  this.defaultLimits = this.limits
 }
 
 /**
@@ -39,10 +45,14 @@ const Interpreter = function Interpreter(obj) {
  *    to check signature validity for some opcodes like OP_CHECKSIG)
  * @param {number} nin - index of the transaction input containing the scriptSig verified.
  * @param {number} flags - evaluation flags. See Interpreter.SCRIPT_* constants
+ * @param {string|Object=} limits - the resource limits applied to the scripts during this call:
+ *    the name of a preset of the chain such as 'consensus', or an object overriding some of the
+ *    consensus limits, see Chain#getScriptLimits. Defaults to the limits given to the constructor
+ *    or the consensus limits of the chain.
  *
  * Translated from bitcoind's VerifyScript
  */
-Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags) {
+Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags, limits) {
   if (_.isUndefined(tx)) {
     tx = new Transaction()
   }
@@ -52,12 +62,15 @@ Interpreter.prototype.verify = function (scriptSig, scriptPubkey, tx, nin, flags
   if (_.isUndefined(flags)) {
     flags = 0
   }
+  // each call starts from a clean state, with the limits of the call
+  this.initialize()
   this.set({
     script: scriptSig,
     tx,
     nin,
     flags,
   })
+  this.limits = limits ? this.chain.getScriptLimits(limits) : this.defaultLimits
   let stackCopy
 
   if ((flags & Interpreter.SCRIPT_VERIFY_SIGPUSHONLY) !== 0 && !scriptSig.isPushOnly()) {
@@ -157,6 +170,7 @@ Interpreter.prototype.initialize = function () {
   this.vfExec = []
   this.errstr = ''
   this.flags = 0
+  this.chain = this.chain || Chains.defaultChain
 }
 
 Interpreter.prototype.set = function (obj) {
@@ -172,11 +186,115 @@ Interpreter.prototype.set = function (obj) {
   this.vfExec = obj.vfExec || this.vfExec
   this.errstr = obj.errstr || this.errstr
   this.flags = typeof obj.flags !== 'undefined' ? obj.flags : this.flags
+  this.chain = obj.chain || this.chain
+  this.onStep = obj.onStep || this.onStep
+  this.limits = obj.limits ? this.chain.getScriptLimits(obj.limits) : this.limits
+}
+
+/**
+ * @return {Object} the resource limits applied by this interpreter
+ */
+Interpreter.prototype.getLimits = function () {
+  return this.limits || this.chain.getScriptLimits()
+}
+
+/**
+ * The flags of the script rules of the chain of this interpreter that it implements, see
+ * Chain#scriptFlags. The NULLFAIL, CLEANSTACK and SIGHASH_FORKID rules aren't implemented, so
+ * they are not part of them.
+ *
+ * @return {number} the flags
+ */
+Interpreter.prototype.getChainFlags = function () {
+  return this.chain.scriptFlags.reduce(
+    (flags, name) =>
+      flags | (Interpreter[`SCRIPT_VERIFY_${name}`] || Interpreter[`SCRIPT_ENABLE_${name}`]),
+    0
+  )
+}
+
+/**
+ * Returns a JSON serializable snapshot of the interpreter after executing the instruction at the
+ * given position of the current script.
+ *
+ * @param {number} pc - the position of the executed instruction
+ * @return {Object} the program counter, the opcode and its assembly, copies of the stacks as
+ *    hex strings, the vfExec state and the op count
+ */
+Interpreter.prototype.getTraceStep = function (pc) {
+  const chunk = this.script.chunks[pc]
+  return {
+    pc,
+    opcode: chunk.opcodenum,
+    instruction: this.script._chunkToString(chunk, 'asm').substr(1),
+    stack: this.stack.map((buf) => buf.toString('hex')),
+    altstack: this.altstack.map((buf) => buf.toString('hex')),
+    vfExec: this.vfExec.slice(),
+    nOpCount: this.nOpCount,
+  }
+}
+
+/**
+ * Verifies a script like Interpreter#verify, tracing every executed instruction.
+ *
+ * Each step of the trace is a snapshot taken by Interpreter#getTraceStep, along with the part of
+ * the script being run ('scriptSig', 'scriptPubkey' or 'redeemScript'). The last step is the
+ * instruction that failed, if any.
+ *
+ * @param {Script} scriptSig
+ * @param {Script} scriptPubkey
+ * @param {Transaction=} tx
+ * @param {number=} nin
+ * @param {number=} flags
+ * @param {string|Object=} limits
+ * @return {Object} a JSON serializable object with `success`, `errstr` and `steps`
+ */
+Interpreter.debug = function (scriptSig, scriptPubkey, tx, nin, flags, limits) {
+  const steps = []
+  const interpreter = new this({
+    onStep(step) {
+      let script = 'redeemScript'
+      if (this.script === scriptSig) {
+        script = 'scriptSig'
+      } else if (this.script === scriptPubkey) {
+        script = 'scriptPubkey'
+      }
+      steps.push(_.extend({ script }, step))
+    },
+  })
+  const success = interpreter.verify(scriptSig, scriptPubkey, tx, nin, flags, limits)
+  return {
+    success,
+    errstr: interpreter.errstr,
+    steps,
+  }
+}
+
+/**
+ * Creates an interpreter class whose instances read script limits and disabled opcodes from the
+ * given chain profile. The constants of Interpreter are available on the new class as well.
+ *
+ * @param {Chain} chain
+ * @return {Function} the interpreter for the chain
+ */
+Interpreter.forChain = function (chain) {
+  const ChainInterpreter = function ChainInterpreter(obj) {
+    if (!(this instanceof ChainInterpreter)) {
+      return new ChainInterpreter(obj)
+    }
+    Interpreter.call(this, obj)
+  }
+  Object.setPrototypeOf(ChainInterpreter, Interpreter)
+  ChainInterpreter.prototype = Object.create(Interpreter.prototype)
+  ChainInterpreter.prototype.constructor = ChainInterpreter
+  ChainInterpreter.prototype.chain = chain
+  return ChainInterpreter
 }
 
 Interpreter.true = Buffer.from([1])
 Interpreter.false = Buffer.from([])
 
+// the limit of the original client, the interpreter applies the one of Interpreter#getLimits
 Interpreter.MAX_SCRIPT_ELEMENT_SIZE = 520
 
 Interpreter.LOCKTIME_THRESHOLD = 500000000
@@ -229,6 +347,95 @@ Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS = 1 << 7
 // CLTV See BIP65 for details.
 Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY = 1 << 9
 
+// support CHECKSEQUENCEVERIFY opcode
+//
+// See BIP112 for details
+Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY = 1 << 10
+
+// Enable the opcodes re-enabled by the May 2018 upgrade (OP_CAT, OP_SPLIT, OP_AND, OP_OR, OP_XOR,
+// OP_DIV, OP_MOD, OP_NUM2BIN and OP_BIN2NUM). Without it they fail the script, even in an
+// unexecuted branch.
+Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES = 1 << 18
+
+// Enable OP_CHECKDATASIG and OP_CHECKDATASIGVERIFY (November 2018 upgrade). Without it they are
+// treated as undefined opcodes.
+Interpreter.SCRIPT_ENABLE_CHECKDATASIG = 1 << 19
+
+// Accept 64 byte Schnorr signatures (65 bytes with the hashtype) in OP_CHECKSIG(VERIFY) and
+// OP_CHECKDATASIG(VERIFY) (May 2019 upgrade). ECDSA signatures of that size are not accepted.
+Interpreter.SCRIPT_ENABLE_SCHNORR = 1 << 20
+
+// OP_CHECKMULTISIG(VERIFY) with a non-empty dummy element reads it as a bitfield of the public
+// keys to check, and accepts only Schnorr signatures (November 2019 upgrade).
+Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG = 1 << 21
+
+Interpreter.MONOLITH_OPCODES = [
+  Opcode.OP_CAT,
+  Opcode.OP_SPLIT,
+  Opcode.OP_AND,
+  Opcode.OP_OR,
+  Opcode.OP_XOR,
+  Opcode.OP_DIV,
+  Opcode.OP_MOD,
+  Opcode.OP_NUM2BIN,
+  Opcode.OP_BIN2NUM,
+]
+
+/**
+ * Returns the shortest encoding of a script number, for example 0x0100 becomes 0x01 and
+ * 0x0080 (negative zero) becomes an empty buffer.
+ * @param {Buffer} buf
+ * @return {Buffer}
+ */
+Interpreter.minimallyEncode = function (buf) {
+  return BN.fromScriptNumBuffer(buf, false, buf.length).toScriptNumBuffer()
+}
+
+/**
+ * Shifts the bits of a value to the left, as OP_LSHIFT: the value is read as a big endian
+ * sequence of bits and keeps its size, the bits shifted out are dropped.
+ * @param {Buffer} buf
+ * @param {number} n - the number of bits to shift by, not negative
+ * @return {Buffer}
+ */
+Interpreter.lshift = function (buf, n) {
+  const byteShift = Math.floor(n / 8)
+  const bitShift = n % 8
+  const result = Buffer.alloc(buf.length)
+  for (let i = 0; i < buf.length; i += 1) {
+    const k = i - byteShift
+    if (k >= 0) {
+      result[k] |= (buf[i] << bitShift) & 0xff
+    }
+    if (k - 1 >= 0 && bitShift > 0) {
+      result[k - 1] |= buf[i] >> (8 - bitShift)
+    }
+  }
+  return result
+}
+
+/**
+ * Shifts the bits of a value to the right, as OP_RSHIFT, see Interpreter.lshift
+ * @param {Buffer} buf
+ * @param {number} n - the number of bits to shift by, not negative
+ * @return {Buffer}
+ */
+Interpreter.rshift = function (buf, n) {
+  const byteShift = Math.floor(n / 8)
+  const bitShift = n % 8
+  const result = Buffer.alloc(buf.length)
+  for (let i = 0; i < buf.length; i += 1) {
+    const k = i + byteShift
+    if (k < buf.length) {
+      result[k] |= buf[i] >> bitShift
+    }
+    if (k + 1 < buf.length && bitShift > 0) {
+      result[k + 1] |= (buf[i] << (8 - bitShift)) & 0xff
+    }
+  }
+  return result
+}
+
 Interpreter.castToBool = function (buf) {
   for (let i = 0; i < buf.length; i += 1) {
     if (buf[i] !== 0) {
@@ -242,11 +449,49 @@ Interpreter.castToBool = function (buf) {
   return false
 }
 
+/**
+ * @param {number} opcodenum
+ * @return {boolean} true if executing the opcode fails the script with the current flags
+ */
+Interpreter.prototype.isOpcodeDisabled = function (opcodenum) {
+  if (
+    Interpreter.MONOLITH_OPCODES.indexOf(opcodenum) !== -1 &&
+    !(this.flags & Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES)
+  ) {
+    return true
+  }
+  return this.chain.isOpcodeDisabled(opcodenum)
+}
+
+/**
+ * @param {Buffer} buf - a signature
+ * @param {boolean=} isDataSig - true if the signature has no hashtype byte, as for OP_CHECKDATASIG
+ * @return {boolean} true if the signature is a Schnorr signature with the current flags
+ */
+Interpreter.prototype.isSchnorrSig = function (buf, isDataSig) {
+  return (
+    (this.flags & Interpreter.SCRIPT_ENABLE_SCHNORR) !== 0 && buf.length === (isDataSig ? 64 : 65)
+  )
+}
+
 /**
  * Translated from bitcoind's CheckSignatureEncoding
  */
 Interpreter.prototype.checkSignatureEncoding = function (buf) {
   let sig
+  if (this.isSchnorrSig(buf)) {
+    // Schnorr signatures have no encoding rules besides their size
+    if ((this.flags & Interpreter.SCRIPT_VERIFY_STRICTENC) !== 0) {
+      // SIGHASH_FORKID is a defined hashtype bit on the forks
+      sig = Signature.fromTxFormat(buf)
+      sig.nhashtype &= ~Signature.SIGHASH_FORKID
+      if (!sig.hasDefinedHashtype()) {
+        this.errstr = 'SCRIPT_ERR_SIG_HASHTYPE'
+        return false
+      }
+    }
+    return true
+  }
   if (
     (this.flags &
       (Interpreter.SCRIPT_VERIFY_DERSIG |
@@ -274,6 +519,65 @@ Interpreter.prototype.checkSignatureEncoding = function (buf) {
   return true
 }
 
+/**
+ * Translated from bitcoind's CheckTransactionECDSASignatureEncoding, for the signatures of
+ * OP_CHECKMULTISIG without a bitfield.
+ */
+Interpreter.prototype.checkECDSASignatureEncoding = function (buf) {
+  if (this.isSchnorrSig(buf)) {
+    this.errstr = 'SCRIPT_ERR_SIG_BADLENGTH'
+    return false
+  }
+  return this.checkSignatureEncoding(buf)
+}
+
+/**
+ * Translated from bitcoind's CheckTransactionSchnorrSignatureEncoding, for the signatures of
+ * OP_CHECKMULTISIG with a bitfield.
+ */
+Interpreter.prototype.checkSchnorrSignatureEncoding = function (buf) {
+  // Empty signature. Allowed here so that the signature check fails with SCRIPT_ERR_SIG_NULLFAIL
+  if (buf.length === 0) {
+    return true
+  }
+  if (!this.isSchnorrSig(buf)) {
+    this.errstr = 'SCRIPT_ERR_SIG_NONSCHNORR'
+    return false
+  }
+  return this.checkSignatureEncoding(buf)
+}
+
+/**
+ * Translated from bitcoind's CheckDataSignatureEncoding. Unlike transaction signatures, data
+ * signatures have no hashtype.
+ */
+Interpreter.prototype.checkDataSignatureEncoding = function (buf) {
+  // Empty signature. Not strictly DER encoded, but allowed to provide a
+  // compact way to provide an invalid signature for use with CHECK(MULTI)SIG
+  if (buf.length === 0) {
+    return true
+  }
+  if (this.isSchnorrSig(buf, true)) {
+    return true
+  }
+  if (
+    (this.flags &
+      (Interpreter.SCRIPT_VERIFY_DERSIG |
+        Interpreter.SCRIPT_VERIFY_LOW_S |
+        Interpreter.SCRIPT_VERIFY_STRICTENC)) !==
+      0 &&
+    !Signature.isDER(buf)
+  ) {
+    this.errstr = 'SCRIPT_ERR_SIG_DER_INVALID_FORMAT'
+    return false
+  }
+  if ((this.flags & Interpreter.SCRIPT_VERIFY_LOW_S) !== 0 && !Signature.fromDER(buf).hasLowS()) {
+    this.errstr = 'SCRIPT_ERR_SIG_DER_HIGH_S'
+    return false
+  }
+  return true
+}
+
 /**
  * Translated from bitcoind's CheckPubKeyEncoding
  */
@@ -289,28 +593,42 @@ Interpreter.prototype.checkPubkeyEncoding = function (buf) {
  * Based on bitcoind's EvalScript function, with the inner loop moved to
  * Interpreter.prototype.step()
  * bitcoind commit: b5d1b1092998bc95313856d535c632ea5a8f9104
+ *
+ * When an `onStep` callback is set, it is called on the interpreter with the result of
+ * Interpreter#getTraceStep after each executed instruction, including the one that fails.
  */
 Interpreter.prototype.evaluate = function () {
-  if (this.script.toBuffer().length > 10000) {
+  const limits = this.getLimits()
+  if (this.script.toBuffer().length > limits.maxScriptSize) {
     this.errstr = 'SCRIPT_ERR_SCRIPT_SIZE'
     return false
   }
 
+  let pc
   try {
     while (this.pc < this.script.chunks.length) {
+      pc = this.pc
       const fSuccess = this.step()
+      if (this.onStep) {
+        this.onStep(this.getTraceStep(pc))
+        // already traced, don't trace it again if the callback throws
+        pc = undefined
+      }
       if (!fSuccess) {
         return false
       }
     }
 
     // Size limits
-    if (this.stack.length + this.altstack.length > 1000) {
+    if (this.stack.length + this.altstack.length > limits.maxStackSize) {
       this.errstr = 'SCRIPT_ERR_STACK_SIZE'
       return false
     }
   } catch (e) {
     this.errstr = `SCRIPT_ERR_UNKNOWN_ERROR: ${e}`
+    if (this.onStep && !_.isUndefined(pc)) {
+      this.onStep(this.getTraceStep(pc))
+    }
     return false
   }
 
@@ -372,12 +690,72 @@ Interpreter.prototype.checkLockTime = function (nLockTime) {
   return true
 }
 
+/**
+ * Translated from bitcoind's CheckSequence
+ *
+ * @param {BN} nSequence - the relative lock time required by the script
+ * @return {boolean} true if the sequence number of the input satisfies it
+ */
+Interpreter.prototype.checkSequence = function (nSequence) {
+  // Relative lock times are supported by comparing the passed
+  // in operand to the sequence number of the input.
+  const txToSequence = this.tx.inputs[this.nin].sequenceNumber
+
+  // Fail if the transaction's version number is not set high
+  // enough to trigger BIP 68 rules.
+  if (this.tx.version >>> 0 < 2) {
+    return false
+  }
+
+  // Sequence numbers with their most significant bit set are not
+  // consensus constrained. Testing that the transaction's sequence
+  // number do not have this bit set prevents using this property
+  // to get around a CHECKSEQUENCEVERIFY check.
+  if (txToSequence & Input.SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+    return false
+  }
+
+  // Mask off any bits that do not have consensus-enforced meaning
+  // before doing the integer comparisons
+  const nLockTimeMask = Input.SEQUENCE_LOCKTIME_TYPE_FLAG | Input.SEQUENCE_LOCKTIME_MASK
+  const txToSequenceMasked = txToSequence & nLockTimeMask
+  const nSequenceMasked = nSequence.and(new BN(nLockTimeMask)).toNumber()
+
+  // There are two kinds of nSequence: lock-by-blockheight
+  // and lock-by-blocktime, distinguished by whether
+  // nSequenceMasked < SEQUENCE_LOCKTIME_TYPE_FLAG.
+  //
+  // We want to compare apples to apples, so fail the script
+  // unless the type of nSequenceMasked being tested is the same as
+  // the nSequenceMasked in the transaction.
+  if (
+    !(
+      (txToSequenceMasked < Input.SEQUENCE_LOCKTIME_TYPE_FLAG &&
+        nSequenceMasked < Input.SEQUENCE_LOCKTIME_TYPE_FLAG) ||
+      (txToSequenceMasked >= Input.SEQUENCE_LOCKTIME_TYPE_FLAG &&
+        nSequenceMasked >= Input.SEQUENCE_LOCKTIME_TYPE_FLAG)
+    )
+  ) {
+    return false
+  }
+
+  // Now that we know we're comparing apples-to-apples, the
+  // comparison is a simple numeric one.
+  if (nSequenceMasked > txToSequenceMasked) {
+    return false
+  }
+
+  return true
+}
+
 /**
  * Based on the inner loop of bitcoind's EvalScript function
  * bitcoind commit: b5d1b1092998bc95313856d535c632ea5a8f9104
  */
 Interpreter.prototype.step = function () {
   const fRequireMinimal = (this.flags & Interpreter.SCRIPT_VERIFY_MINIMALDATA) !== 0
+  const limits = this.getLimits()
+  const nMaxNumSize = limits.maxScriptNumLength
 
   // bool fExec = !count(vfExec.begin(), vfExec.end(), false);
   const fExec = this.vfExec.indexOf(false) === -1
@@ -407,7 +785,7 @@ Interpreter.prototype.step = function () {
     this.errstr = 'SCRIPT_ERR_UNDEFINED_OPCODE'
     return false
   }
-  if (chunk.buf && chunk.buf.length > Interpreter.MAX_SCRIPT_ELEMENT_SIZE) {
+  if (chunk.buf && chunk.buf.length > limits.maxScriptElementSize) {
     this.errstr = 'SCRIPT_ERR_PUSH_SIZE'
     return false
   }
@@ -415,29 +793,13 @@ Interpreter.prototype.step = function () {
   // Note how Opcode.OP_RESERVED does not count towards the opcode limit.
   if (opcodenum > Opcode.OP_16) {
     this.nOpCount += 1
-    if (this.nOpCount > 201) {
+    if (this.nOpCount > limits.maxOpsPerScript) {
       this.errstr = 'SCRIPT_ERR_OP_COUNT'
       return false
     }
   }
 
-  if (
-    opcodenum === Opcode.OP_CAT ||
-    opcodenum === Opcode.OP_SUBSTR ||
-    opcodenum === Opcode.OP_LEFT ||
-    opcodenum === Opcode.OP_RIGHT ||
-    opcodenum === Opcode.OP_INVERT ||
-    opcodenum === Opcode.OP_AND ||
-    opcodenum === Opcode.OP_OR ||
-    opcodenum === Opcode.OP_XOR ||
-    opcodenum === Opcode.OP_2MUL ||
-    opcodenum === Opcode.OP_2DIV ||
-    opcodenum === Opcode.OP_MUL ||
-    opcodenum === Opcode.OP_DIV ||
-    opcodenum === Opcode.OP_MOD ||
-    opcodenum === Opcode.OP_LSHIFT ||
-    opcodenum === Opcode.OP_RSHIFT
-  ) {
+  if (this.isOpcodeDisabled(opcodenum)) {
     this.errstr = 'SCRIPT_ERR_DISABLED_OPCODE'
     return false
   }
@@ -540,8 +902,55 @@ Interpreter.prototype.step = function () {
         }
         break
       }
-      case Opcode.OP_NOP1:
       case Opcode.OP_NOP3:
+      case Opcode.OP_CHECKSEQUENCEVERIFY: {
+        if (!(this.flags & Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY)) {
+          // not enabled; treat as a NOP3
+          if (this.flags & Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS) {
+            this.errstr = 'SCRIPT_ERR_DISCOURAGE_UPGRADABLE_NOPS'
+            return false
+          }
+          break
+        }
+
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+
+        // nSequence, like nLockTime, is a 32-bit unsigned integer
+        // field. See the comment in CHECKLOCKTIMEVERIFY regarding
+        // 5-byte numeric operands.
+        const nSequence = BN.fromScriptNumBuffer(
+          this.stack[this.stack.length - 1],
+          fRequireMinimal,
+          5
+        )
+
+        // In the rare event that the argument may be < 0 due to
+        // some arithmetic being done first, you can always use
+        // 0 MAX CHECKSEQUENCEVERIFY.
+        if (nSequence.lt(new BN(0))) {
+          this.errstr = 'SCRIPT_ERR_NEGATIVE_LOCKTIME'
+          return false
+        }
+
+        // To provide for future soft-fork extensibility, if the
+        // operand has the disabled lock-time flag set,
+        // CHECKSEQUENCEVERIFY behaves as a NOP.
+        if (!nSequence.and(new BN(Input.SEQUENCE_LOCKTIME_DISABLE_FLAG)).isZero()) {
+          break
+        }
+
+        // Compare the specified sequence number with the input.
+        if (!this.checkSequence(nSequence)) {
+          this.errstr = 'SCRIPT_ERR_UNSATISFIED_LOCKTIME'
+          return false
+        }
+        break
+      }
+
+      case Opcode.OP_NOP1:
       case Opcode.OP_NOP4:
       case Opcode.OP_NOP5:
       case Opcode.OP_NOP6:
@@ -766,7 +1175,7 @@ Interpreter.prototype.step = function () {
           return false
         }
         buf = this.stack[this.stack.length - 1]
-        bn = BN.fromScriptNumBuffer(buf, fRequireMinimal)
+        bn = BN.fromScriptNumBuffer(buf, fRequireMinimal, nMaxNumSize)
         n = bn.toNumber()
         this.stack.pop()
         if (n < 0 || n >= this.stack.length) {
@@ -819,6 +1228,108 @@ Interpreter.prototype.step = function () {
         this.stack.splice(this.stack.length - 2, 0, this.stack[this.stack.length - 1])
         break
 
+      //
+      // Splice ops
+      //
+      case Opcode.OP_CAT:
+        // (x1 x2 -- out)
+        if (this.stack.length < 2) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf1 = this.stack[this.stack.length - 2]
+        buf2 = this.stack[this.stack.length - 1]
+        if (buf1.length + buf2.length > limits.maxScriptElementSize) {
+          this.errstr = 'SCRIPT_ERR_PUSH_SIZE'
+          return false
+        }
+        this.stack.pop()
+        this.stack.pop()
+        this.stack.push(Buffer.concat([buf1, buf2]))
+        break
+
+      case Opcode.OP_SPLIT:
+        {
+          // (in position -- x1 x2)
+          if (this.stack.length < 2) {
+            this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+            return false
+          }
+          buf = this.stack[this.stack.length - 2]
+          const position = BN.fromScriptNumBuffer(
+            this.stack[this.stack.length - 1],
+            fRequireMinimal,
+            nMaxNumSize
+          ).toNumber()
+          if (position < 0 || position > buf.length) {
+            this.errstr = 'SCRIPT_ERR_INVALID_SPLIT_RANGE'
+            return false
+          }
+          this.stack.pop()
+          this.stack.pop()
+          this.stack.push(buf.slice(0, position))
+          this.stack.push(buf.slice(position))
+        }
+        break
+
+      //
+      // Conversion operations
+      //
+      case Opcode.OP_NUM2BIN:
+        {
+          // (in size -- out)
+          if (this.stack.length < 2) {
+            this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+            return false
+          }
+          const size = BN.fromScriptNumBuffer(
+            this.stack[this.stack.length - 1],
+            fRequireMinimal,
+            nMaxNumSize
+          ).toNumber()
+          if (size < 0 || size > limits.maxScriptElementSize) {
+            this.errstr = 'SCRIPT_ERR_PUSH_SIZE'
+            return false
+          }
+          this.stack.pop()
+          const rawnum = Interpreter.minimallyEncode(this.stack[this.stack.length - 1])
+          if (rawnum.length > size) {
+            // We definitively cannot.
+            this.errstr = 'SCRIPT_ERR_IMPOSSIBLE_ENCODING'
+            return false
+          }
+          // We already have an element of the right size, we don't need to do anything.
+          buf = rawnum
+          if (rawnum.length < size) {
+            // Move the sign bit of the minimal encoding to the last byte of the padded number.
+            buf = Buffer.alloc(size)
+            rawnum.copy(buf)
+            if (rawnum.length > 0) {
+              buf[rawnum.length - 1] &= 0x7f
+              buf[size - 1] = rawnum[rawnum.length - 1] & 0x80
+            }
+          }
+          this.stack.pop()
+          this.stack.push(buf)
+        }
+        break
+
+      case Opcode.OP_BIN2NUM:
+        // (in -- out)
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf = Interpreter.minimallyEncode(this.stack[this.stack.length - 1])
+        // The resulting number must be a valid number.
+        if (buf.length > nMaxNumSize) {
+          this.errstr = 'SCRIPT_ERR_INVALID_NUMBER_RANGE'
+          return false
+        }
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
       case Opcode.OP_SIZE:
         // (in -- in size)
         if (this.stack.length < 1) {
@@ -832,6 +1343,71 @@ Interpreter.prototype.step = function () {
       //
       // Bitwise logic
       //
+      case Opcode.OP_AND:
+      case Opcode.OP_OR:
+      case Opcode.OP_XOR:
+        // (x1 x2 -- out)
+        if (this.stack.length < 2) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf1 = this.stack[this.stack.length - 2]
+        buf2 = this.stack[this.stack.length - 1]
+        // Inputs must be the same size
+        if (buf1.length !== buf2.length) {
+          this.errstr = 'SCRIPT_ERR_INVALID_OPERAND_SIZE'
+          return false
+        }
+        buf = Buffer.alloc(buf1.length)
+        for (let i = 0; i < buf.length; i += 1) {
+          if (opcodenum === Opcode.OP_AND) {
+            buf[i] = buf1[i] & buf2[i]
+          } else if (opcodenum === Opcode.OP_OR) {
+            buf[i] = buf1[i] | buf2[i]
+          } else {
+            buf[i] = buf1[i] ^ buf2[i]
+          }
+        }
+        this.stack.pop()
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
+      // OP_INVERT, OP_LSHIFT and OP_RSHIFT are only enabled on chains that re-enabled them, see
+      // Chain#isOpcodeDisabled
+      case Opcode.OP_INVERT:
+        // (in -- out)
+        if (this.stack.length < 1) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        buf = Buffer.from(this.stack[this.stack.length - 1].map((byte) => ~byte & 0xff))
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
+      case Opcode.OP_LSHIFT:
+      case Opcode.OP_RSHIFT:
+        // (x n -- out)
+        if (this.stack.length < 2) {
+          this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+          return false
+        }
+        bn = BN.fromScriptNumBuffer(this.stack[this.stack.length - 1], fRequireMinimal, nMaxNumSize)
+        if (bn.cmp(BN.Zero) < 0) {
+          this.errstr = 'SCRIPT_ERR_INVALID_NUMBER_RANGE'
+          return false
+        }
+        buf1 = this.stack[this.stack.length - 2]
+        buf =
+          opcodenum === Opcode.OP_LSHIFT
+            ? Interpreter.lshift(buf1, bn.toNumber())
+            : Interpreter.rshift(buf1, bn.toNumber())
+        this.stack.pop()
+        this.stack.pop()
+        this.stack.push(buf)
+        break
+
       case Opcode.OP_EQUAL:
       case Opcode.OP_EQUALVERIFY:
         // case Opcode.OP_NOTEQUAL: // use Opcode.OP_NUMNOTEQUAL
@@ -873,7 +1449,7 @@ Interpreter.prototype.step = function () {
           return false
         }
         buf = this.stack[this.stack.length - 1]
-        bn = BN.fromScriptNumBuffer(buf, fRequireMinimal)
+        bn = BN.fromScriptNumBuffer(buf, fRequireMinimal, nMaxNumSize)
         switch (opcodenum) {
           case Opcode.OP_1ADD:
             bn = bn.add(BN.One)
@@ -905,6 +1481,9 @@ Interpreter.prototype.step = function () {
 
       case Opcode.OP_ADD:
       case Opcode.OP_SUB:
+      case Opcode.OP_MUL:
+      case Opcode.OP_DIV:
+      case Opcode.OP_MOD:
       case Opcode.OP_BOOLAND:
       case Opcode.OP_BOOLOR:
       case Opcode.OP_NUMEQUAL:
@@ -921,8 +1500,16 @@ Interpreter.prototype.step = function () {
           this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
           return false
         }
-        bn1 = BN.fromScriptNumBuffer(this.stack[this.stack.length - 2], fRequireMinimal)
-        bn2 = BN.fromScriptNumBuffer(this.stack[this.stack.length - 1], fRequireMinimal)
+        bn1 = BN.fromScriptNumBuffer(
+          this.stack[this.stack.length - 2],
+          fRequireMinimal,
+          nMaxNumSize
+        )
+        bn2 = BN.fromScriptNumBuffer(
+          this.stack[this.stack.length - 1],
+          fRequireMinimal,
+          nMaxNumSize
+        )
         bn = new BN(0)
 
         switch (opcodenum) {
@@ -934,6 +1521,29 @@ Interpreter.prototype.step = function () {
             bn = bn1.sub(bn2)
             break
 
+          // only enabled on chains that re-enabled it, see Chain#isOpcodeDisabled
+          case Opcode.OP_MUL:
+            bn = bn1.mul(bn2)
+            break
+
+          // denominator must not be 0
+          case Opcode.OP_DIV:
+            if (bn2.cmp(BN.Zero) === 0) {
+              this.errstr = 'SCRIPT_ERR_DIV_BY_ZERO'
+              return false
+            }
+            bn = bn1.div(bn2)
+            break
+
+          // divisor must not be 0
+          case Opcode.OP_MOD:
+            if (bn2.cmp(BN.Zero) === 0) {
+              this.errstr = 'SCRIPT_ERR_MOD_BY_ZERO'
+              return false
+            }
+            bn = bn1.mod(bn2)
+            break
+
           // case Opcode.OP_BOOLAND:       bn = (bn1 != bnZero && bn2 != bnZero); break;
           case Opcode.OP_BOOLAND:
             bn = new BN((bn1.cmp(BN.Zero) !== 0 && bn2.cmp(BN.Zero) !== 0) + 0)
@@ -1002,9 +1612,21 @@ Interpreter.prototype.step = function () {
             this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
             return false
           }
-          bn1 = BN.fromScriptNumBuffer(this.stack[this.stack.length - 3], fRequireMinimal)
-          bn2 = BN.fromScriptNumBuffer(this.stack[this.stack.length - 2], fRequireMinimal)
-          const bn3 = BN.fromScriptNumBuffer(this.stack[this.stack.length - 1], fRequireMinimal)
+          bn1 = BN.fromScriptNumBuffer(
+            this.stack[this.stack.length - 3],
+            fRequireMinimal,
+            nMaxNumSize
+          )
+          bn2 = BN.fromScriptNumBuffer(
+            this.stack[this.stack.length - 2],
+            fRequireMinimal,
+            nMaxNumSize
+          )
+          const bn3 = BN.fromScriptNumBuffer(
+            this.stack[this.stack.length - 1],
+            fRequireMinimal,
+            nMaxNumSize
+          )
           // bool fValue = (bn2 <= bn1 && bn1 < bn3);
           fValue = bn2.cmp(bn1) <= 0 && bn1.cmp(bn3) < 0
           this.stack.pop()
@@ -1080,7 +1702,7 @@ Interpreter.prototype.step = function () {
           }
 
           try {
-            sig = Signature.fromTxFormat(bufSig)
+            sig = Signature.fromTxFormat(bufSig, this.isSchnorrSig(bufSig))
             pubkey = PublicKey.fromBuffer(bufPubkey, false)
             fSuccess = this.tx.verifySignature(sig, pubkey, this.nin, subscript)
           } catch (e) {
@@ -1103,6 +1725,61 @@ Interpreter.prototype.step = function () {
         }
         break
 
+      case Opcode.OP_CHECKDATASIG:
+      case Opcode.OP_CHECKDATASIGVERIFY:
+        {
+          // Make sure this remains an error before activation.
+          if (!(this.flags & Interpreter.SCRIPT_ENABLE_CHECKDATASIG)) {
+            this.errstr = 'SCRIPT_ERR_BAD_OPCODE'
+            return false
+          }
+
+          // (sig message pubkey -- bool)
+          if (this.stack.length < 3) {
+            this.errstr = 'SCRIPT_ERR_INVALID_STACK_OPERATION'
+            return false
+          }
+
+          bufSig = this.stack[this.stack.length - 3]
+          const bufMessage = this.stack[this.stack.length - 2]
+          bufPubkey = this.stack[this.stack.length - 1]
+
+          if (!this.checkDataSignatureEncoding(bufSig) || !this.checkPubkeyEncoding(bufPubkey)) {
+            return false
+          }
+
+          fSuccess = false
+          if (bufSig.length > 0) {
+            try {
+              pubkey = PublicKey.fromBuffer(bufPubkey, false)
+              if (this.isSchnorrSig(bufSig, true)) {
+                sig = Signature.fromSchnorr(bufSig)
+                fSuccess = Schnorr.verify(Hash.sha256(bufMessage), sig, pubkey)
+              } else {
+                sig = Signature.fromDER(bufSig, false)
+                fSuccess = ECDSA.verify(Hash.sha256(bufMessage), sig, pubkey)
+              }
+            } catch (e) {
+              // invalid sig or pubkey
+              fSuccess = false
+            }
+          }
+
+          this.stack.pop()
+          this.stack.pop()
+          this.stack.pop()
+          this.stack.push(fSuccess ? Interpreter.true : Interpreter.false)
+          if (opcodenum === Opcode.OP_CHECKDATASIGVERIFY) {
+            if (fSuccess) {
+              this.stack.pop()
+            } else {
+              this.errstr = 'SCRIPT_ERR_CHECKDATASIGVERIFY'
+              return false
+            }
+          }
+        }
+        break
+
       case Opcode.OP_CHECKMULTISIG:
       case Opcode.OP_CHECKMULTISIGVERIFY:
         {
@@ -1116,14 +1793,15 @@ Interpreter.prototype.step = function () {
 
           let nKeysCount = BN.fromScriptNumBuffer(
             this.stack[this.stack.length - i],
-            fRequireMinimal
+            fRequireMinimal,
+            nMaxNumSize
           ).toNumber()
           if (nKeysCount < 0 || nKeysCount > 20) {
             this.errstr = 'SCRIPT_ERR_PUBKEY_COUNT'
             return false
           }
           this.nOpCount += nKeysCount
-          if (this.nOpCount > 201) {
+          if (this.nOpCount > limits.maxOpsPerScript) {
             this.errstr = 'SCRIPT_ERR_OP_COUNT'
             return false
           }
@@ -1138,7 +1816,8 @@ Interpreter.prototype.step = function () {
 
           let nSigsCount = BN.fromScriptNumBuffer(
             this.stack[this.stack.length - i],
-            fRequireMinimal
+            fRequireMinimal,
+            nMaxNumSize
           ).toNumber()
           if (nSigsCount < 0 || nSigsCount > nKeysCount) {
             this.errstr = 'SCRIPT_ERR_SIG_COUNT'
@@ -1164,38 +1843,117 @@ Interpreter.prototype.step = function () {
             subscript.findAndDelete(new Script().add(bufSig))
           }
 
-          fSuccess = true
-          while (fSuccess && nSigsCount > 0) {
-            // valtype& vchSig  = stacktop(-isig);
-            bufSig = this.stack[this.stack.length - isig]
-            // valtype& vchPubKey = stacktop(-ikey);
-            bufPubkey = this.stack[this.stack.length - ikey]
+          const bufDummy = this.stack[this.stack.length - i]
+          const isSchnorrMultisig =
+            (this.flags & Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG) !== 0 && bufDummy.length > 0
 
-            if (!this.checkSignatureEncoding(bufSig) || !this.checkPubkeyEncoding(bufPubkey)) {
+          if (isSchnorrMultisig) {
+            // The dummy element is a bitfield of the public keys to check, in script order
+            if (bufDummy.length !== Math.ceil(nKeysCount / 8)) {
+              this.errstr = 'SCRIPT_ERR_INVALID_BITFIELD_SIZE'
               return false
             }
-
-            let fOk
-            try {
-              sig = Signature.fromTxFormat(bufSig)
-              pubkey = PublicKey.fromBuffer(bufPubkey, false)
-              fOk = this.tx.verifySignature(sig, pubkey, this.nin, subscript)
-            } catch (e) {
-              // invalid sig or pubkey
-              fOk = false
+            let checkBits = 0
+            for (let k = 0; k < bufDummy.length; k += 1) {
+              checkBits |= bufDummy[k] << (8 * k)
             }
-
-            if (fOk) {
-              isig += 1
-              nSigsCount -= 1
+            if (checkBits >= 2 ** nKeysCount) {
+              this.errstr = 'SCRIPT_ERR_INVALID_BIT_RANGE'
+              return false
+            }
+            let nBits = 0
+            for (let bits = checkBits; bits > 0; bits >>= 1) {
+              nBits += bits & 1
+            }
+            if (nBits !== nSigsCount) {
+              this.errstr = 'SCRIPT_ERR_INVALID_BIT_COUNT'
+              return false
             }
-            ikey += 1
-            nKeysCount -= 1
 
-            // If there are more signatures left than keys left,
-            // then too many signatures have failed
-            if (nSigsCount > nKeysCount) {
-              fSuccess = false
+            const idxBottomKey = ikey + nKeysCount - 1
+            const idxBottomSig = isig + nSigsCount - 1
+            let iKey = 0
+            for (let iSig = 0; iSig < nSigsCount; iSig += 1) {
+              if (checkBits >> iKey === 0) {
+                this.errstr = 'SCRIPT_ERR_INVALID_BIT_RANGE'
+                return false
+              }
+              // Find the next key to check
+              while (((checkBits >> iKey) & 0x01) === 0) {
+                iKey += 1
+              }
+              if (iKey >= nKeysCount) {
+                this.errstr = 'SCRIPT_ERR_PUBKEY_COUNT'
+                return false
+              }
+
+              bufSig = this.stack[this.stack.length - idxBottomSig + iSig]
+              bufPubkey = this.stack[this.stack.length - idxBottomKey + iKey]
+              if (
+                !this.checkSchnorrSignatureEncoding(bufSig) ||
+                !this.checkPubkeyEncoding(bufPubkey)
+              ) {
+                return false
+              }
+
+              let fOk
+              try {
+                sig = Signature.fromTxFormat(bufSig, true)
+                pubkey = PublicKey.fromBuffer(bufPubkey, false)
+                fOk = this.tx.verifySignature(sig, pubkey, this.nin, subscript)
+              } catch (e) {
+                // invalid sig or pubkey
+                fOk = false
+              }
+              if (!fOk) {
+                // Every signature selected by the bitfield has to be valid
+                this.errstr = 'SCRIPT_ERR_SIG_NULLFAIL'
+                return false
+              }
+              iKey += 1
+            }
+            if (checkBits >> iKey !== 0) {
+              this.errstr = 'SCRIPT_ERR_INVALID_BIT_COUNT'
+              return false
+            }
+            fSuccess = true
+          } else {
+            fSuccess = true
+            while (fSuccess && nSigsCount > 0) {
+              // valtype& vchSig  = stacktop(-isig);
+              bufSig = this.stack[this.stack.length - isig]
+              // valtype& vchPubKey = stacktop(-ikey);
+              bufPubkey = this.stack[this.stack.length - ikey]
+
+              if (
+                !this.checkECDSASignatureEncoding(bufSig) ||
+                !this.checkPubkeyEncoding(bufPubkey)
+              ) {
+                return false
+              }
+
+              let fOk
+              try {
+                sig = Signature.fromTxFormat(bufSig, false)
+                pubkey = PublicKey.fromBuffer(bufPubkey, false)
+                fOk = this.tx.verifySignature(sig, pubkey, this.nin, subscript)
+              } catch (e) {
+                // invalid sig or pubkey
+                fOk = false
+              }
+
+              if (fOk) {
+                isig += 1
+                nSigsCount -= 1
+              }
+              ikey += 1
+              nKeysCount -= 1
+
+              // If there are more signatures left than keys left,
+              // then too many signatures have failed
+              if (nSigsCount > nKeysCount) {
+                fSuccess = false
+              }
             }
           }
 
@@ -1216,6 +1974,7 @@ Interpreter.prototype.step = function () {
             return false
           }
           if (
+            !isSchnorrMultisig &&
             this.flags & Interpreter.SCRIPT_VERIFY_NULLDUMMY &&
             this.stack[this.stack.length - 1].length
           ) {
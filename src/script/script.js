@@ -1,6 +1,7 @@
 import _ from 'lodash'
 import $ from '../util/preconditions'
 import Address from '../address'
+import BN from '../crypto/bn'
 import BufferReader from '../encoding/bufferreader'
 import BufferUtil from '../util/buffer'
 import BufferWriter from '../encoding/bufferwriter'
@@ -10,6 +11,7 @@ import JSUtil from '../util/js'
 import Networks from '../networks'
 import Opcode from '../opcode'
 import PublicKey from '../publickey'
+import ScriptTemplate from './template'
 import Signature from '../crypto/signature'
 
 /**
@@ -284,6 +286,148 @@ Script.prototype.inspect = function () {
   return `<Script: ${this.toString()}>`
 }
 
+/**
+ * Protocols of OP_RETURN outputs, keyed by the hex of their first push
+ */
+Script.dataProtocols = {
+  '534c5000': 'SLP token',
+  '01010101': 'Cash Account',
+  '6d01': 'memo.cash set name',
+  '6d02': 'memo.cash post',
+  '6d03': 'memo.cash reply',
+  '6d04': 'memo.cash like',
+  '6d05': 'memo.cash set profile text',
+  '6d06': 'memo.cash follow',
+  '6d07': 'memo.cash unfollow',
+  '6d0a': 'memo.cash set profile picture',
+  '6d0c': 'memo.cash topic post',
+}
+
+const isPrintable = function (buf) {
+  return buf.length > 0 && buf.every((byte) => byte >= 0x20 && byte < 0x7f)
+}
+
+/**
+ * @returns {Script|undefined} the redeem script pushed last by a p2sh input script
+ */
+Script.prototype._getRedeemScript = function (type) {
+  const last = this.chunks[this.chunks.length - 1]
+  if (type !== Script.types.SCRIPTHASH_IN && type !== Script.types.UNKNOWN) {
+    return undefined
+  }
+  if (!last || !last.buf || !this.isPushOnly()) {
+    return undefined
+  }
+  try {
+    const redeemScript = Script.fromBuffer(last.buf)
+    // unknown input scripts are only rendered as p2sh if the last push looks like code
+    if (type === Script.types.SCRIPTHASH_IN || !redeemScript.isPushOnly()) {
+      return redeemScript
+    }
+  } catch (e) {
+    if (!(e instanceof errors.Script.InvalidBuffer)) {
+      throw e
+    }
+  }
+  return undefined
+}
+
+/**
+ * @returns {string|undefined} a description of the element pushed by chunk i
+ */
+Script.prototype._describeChunk = function (i, type) {
+  const { buf } = this.chunks[i]
+  if (!buf) {
+    return undefined
+  }
+  if (this.chunks[0].opcodenum === Opcode.OP_RETURN) {
+    const protocol = Script.dataProtocols[buf.toString('hex')]
+    if (i === 1 && protocol) {
+      return `protocol prefix, ${protocol}`
+    }
+    return isPrintable(buf) ? `text "${buf.toString()}"` : undefined
+  }
+  if (type === Script.types.PUBKEYHASH_OUT && i === 2) {
+    return 'public key hash'
+  }
+  if (type === Script.types.SCRIPTHASH_OUT && i === 1) {
+    return 'script hash'
+  }
+  if ((buf.length === 33 || buf.length === 65) && PublicKey.isValid(buf)) {
+    return buf.length === 33 ? 'public key' : 'uncompressed public key'
+  }
+  if (buf.length > 0 && Signature.isTxDER(buf)) {
+    return `signature [${Signature.sighashToString(buf[buf.length - 1])}]`
+  }
+  const sighash = buf.length === 65 ? Signature.sighashToString(buf[64]) : undefined
+  if (sighash && !sighash.startsWith('0x')) {
+    return `Schnorr signature [${sighash}]`
+  }
+  if (Signature.isDER(buf)) {
+    return 'signature of data'
+  }
+  if (buf.length === 20 || buf.length === 32) {
+    return `${buf.length} byte hash`
+  }
+  if (buf.length > 0 && buf.length <= 4) {
+    const number = BN.fromScriptNumBuffer(buf, false).toNumber()
+    let minimal = this.checkMinimalPush(i)
+    try {
+      BN.fromScriptNumBuffer(buf, true)
+    } catch (e) {
+      minimal = false
+    }
+    return minimal ? `number ${number}` : `number ${number}, not minimally encoded`
+  }
+  return undefined
+}
+
+/**
+ * Disassembles the script, describing the elements it pushes: public keys, signatures with their
+ * sighash type, hashes, numbers, texts and protocol prefixes of OP_RETURN outputs. The redeem
+ * script of a p2sh input is disassembled as well.
+ *
+ * @returns {Object[]} an object for each chunk with its `asm`, its `annotation` if one applies, and
+ *    the disassembled `redeemScript` and its `type` for the last push of p2sh inputs
+ */
+Script.prototype.disassemble = function () {
+  const type = this.classify()
+  const redeemScript = this._getRedeemScript(type)
+  return this.chunks.map((chunk, i) => {
+    const instruction = {
+      asm: this._chunkToString(chunk, 'asm').substr(1),
+    }
+    if (redeemScript && i === this.chunks.length - 1) {
+      const redeemType = redeemScript.classify()
+      instruction.annotation =
+        redeemType === Script.types.UNKNOWN ? 'redeem script' : `redeem script, ${redeemType}`
+      instruction.redeemScript = redeemScript.disassemble()
+      return instruction
+    }
+    const annotation = this._describeChunk(i, type)
+    if (annotation) {
+      instruction.annotation = annotation
+    }
+    return instruction
+  })
+}
+
+/**
+ * @returns {string} the disassembly of Script#disassemble, one chunk per line with its
+ *    annotation as a comment, and redeem scripts indented below their push
+ */
+Script.prototype.toAnnotatedASM = function () {
+  const render = (instructions, indent) =>
+    instructions.reduce((lines, instruction) => {
+      const comment = instruction.annotation ? ` # ${instruction.annotation}` : ''
+      lines.push(`${indent}${instruction.asm}${comment}`)
+      return instruction.redeemScript
+        ? lines.concat(render(instruction.redeemScript, `${indent}  `))
+        : lines
+    }, [])
+  return render(this.disassemble(), '').join('\n')
+}
+
 // script classification methods
 
 /**
@@ -301,6 +445,14 @@ Script.prototype.isPublicKeyHashOut = function () {
   )
 }
 
+/**
+ * @returns {boolean} if the buffer looks like a signature with a hashtype byte: DER encoded ECDSA,
+ *   or a 64 byte Schnorr signature
+ */
+const isTxSignature = function (buf) {
+  return !!buf && buf.length > 0 && (buf[0] === 0x30 || buf.length === 65)
+}
+
 /**
  * @returns {boolean} if this is a pay to public key hash input script
  */
@@ -308,13 +460,7 @@ Script.prototype.isPublicKeyHashIn = function () {
   if (this.chunks.length === 2) {
     const signatureBuf = this.chunks[0].buf
     const pubkeyBuf = this.chunks[1].buf
-    if (
-      signatureBuf &&
-      signatureBuf.length &&
-      signatureBuf[0] === 0x30 &&
-      pubkeyBuf &&
-      pubkeyBuf.length
-    ) {
+    if (isTxSignature(signatureBuf) && pubkeyBuf && pubkeyBuf.length) {
       const version = pubkeyBuf[0]
       if ((version === 0x04 || version === 0x06 || version === 0x07) && pubkeyBuf.length === 65) {
         return true
@@ -371,7 +517,7 @@ Script.prototype.isPublicKeyOut = function () {
 Script.prototype.isPublicKeyIn = function () {
   if (this.chunks.length === 1) {
     const signatureBuf = this.chunks[0].buf
-    if (signatureBuf && signatureBuf.length && signatureBuf[0] === 0x30) {
+    if (isTxSignature(signatureBuf)) {
       return true
     }
   }
@@ -437,12 +583,24 @@ Script.prototype.isMultisigOut = function () {
  * @returns {boolean} if this is a multisig input script
  */
 Script.prototype.isMultisigIn = function () {
+  if (this.chunks.length < 2) {
+    return false
+  }
+  const signatureChunks = this.chunks.slice(1, this.chunks.length)
+  if (this.chunks[0].opcodenum === 0) {
+    return signatureChunks.every(
+      (obj) => obj.buf && BufferUtil.isBuffer(obj.buf) && Signature.isTxDER(obj.buf)
+    )
+  }
+  // Schnorr signatures follow a bitfield of at most 3 bytes (20 public keys) instead of OP_0
+  const dummy = this.chunks[0]
+  const isBitfield =
+    dummy.opcodenum === Opcode.OP_1NEGATE ||
+    Opcode.isSmallIntOp(dummy.opcodenum) ||
+    (!!dummy.buf && dummy.buf.length > 0 && dummy.buf.length <= 3)
   return (
-    this.chunks.length >= 2 &&
-    this.chunks[0].opcodenum === 0 &&
-    this.chunks
-      .slice(1, this.chunks.length)
-      .every((obj) => obj.buf && BufferUtil.isBuffer(obj.buf) && Signature.isTxDER(obj.buf))
+    isBitfield &&
+    signatureChunks.every((obj) => obj.buf && BufferUtil.isBuffer(obj.buf) && obj.buf.length === 65)
   )
 }
 
@@ -461,6 +619,58 @@ Script.prototype.isDataOut = function () {
   )
 }
 
+/**
+ * Any script starting with OP_RETURN is unspendable and only carries data. Unlike isDataOut, the
+ * size and the content of the data aren't checked, as the limits depend on the chain.
+ *
+ * @returns {boolean} true if this script starts with OP_RETURN
+ */
+Script.prototype.isDataCarrier = function () {
+  return this.chunks.length > 0 && this.chunks[0].opcodenum === Opcode.OP_RETURN
+}
+
+// the redeem scripts of hash time locked contracts, by the hash function of the hash lock
+const HTLC_TEMPLATES = _.mapValues(
+  { sha256: 'OP_SHA256 <hash:hash256>', hash160: 'OP_HASH160 <hash:hash160>' },
+  (hashLock) =>
+    `OP_IF ${hashLock} OP_EQUALVERIFY OP_DUP OP_HASH160 <recipient:hash160> ` +
+    'OP_ELSE <locktime:number> OP_CHECKLOCKTIMEVERIFY OP_DROP OP_DUP OP_HASH160 <refund:hash160> ' +
+    'OP_ENDIF OP_EQUALVERIFY OP_CHECKSIG'
+)
+
+/**
+ * @returns {boolean} if this is the redeem script of a hash time locked contract, as built by
+ *   Script.buildHTLCOut
+ */
+Script.prototype.isHTLCOut = function () {
+  return !!this.getHTLCParams()
+}
+
+/**
+ * Retrieve the parameters of a hash time locked contract, as given to Script.buildHTLCOut.
+ *
+ * @param {Network=} network - the network of the addresses, the one of the script by default
+ * @returns {Object|null} hash, hashFunction ('sha256' or 'hash160'), recipient and refund addresses
+ *   and locktime. null if this is not the redeem script of a hash time locked contract.
+ */
+Script.prototype.getHTLCParams = function (network) {
+  const hashFunctions = Object.keys(HTLC_TEMPLATES)
+  for (let i = 0; i < hashFunctions.length; i += 1) {
+    const values = new ScriptTemplate(HTLC_TEMPLATES[hashFunctions[i]]).match(this)
+    if (values && values.locktime >= 0) {
+      network = Networks.get(network) || this._network || Networks.defaultNetwork
+      return {
+        hash: values.hash,
+        hashFunction: hashFunctions[i],
+        recipient: new Address(values.recipient, network, Address.PayToPublicKeyHash),
+        refund: new Address(values.refund, network, Address.PayToPublicKeyHash),
+        locktime: values.locktime,
+      }
+    }
+  }
+  return null
+}
+
 /**
  * Retrieve the associated data for this script.
  * In the case of a pay to public key hash or P2SH, return the hash.
@@ -721,6 +931,24 @@ Script.buildMultisigOut = function (publicKeys, threshold, opts) {
   return script
 }
 
+/**
+ * The dummy element consumed by OP_CHECKMULTISIG: OP_0, or the checkBits bitfield for Schnorr
+ * signatures. A single byte bitfield is pushed as a small integer where possible, so that the
+ * push is minimal.
+ */
+const multisigDummy = function (checkBits) {
+  if (!checkBits) {
+    return Opcode.OP_0
+  }
+  if (checkBits.length === 1 && checkBits[0] >= 1 && checkBits[0] <= 16) {
+    return Opcode.smallInt(checkBits[0])
+  }
+  if (checkBits.length === 1 && checkBits[0] === 0x81) {
+    return Opcode.OP_1NEGATE
+  }
+  return checkBits
+}
+
 /**
  * A new Multisig input script for the given public keys, requiring m of those public keys to spend
  *
@@ -731,19 +959,18 @@ Script.buildMultisigOut = function (publicKeys, threshold, opts) {
  * @param {boolean=} opts.noSorting don't sort the given public keys before creating the script
  *   (false by default)
  * @param {Script=} opts.cachedMultisig don't recalculate the redeemScript
+ * @param {Buffer=} opts.checkBits bitfield of the public keys the signatures are for, pushed in
+ *   place of OP_0 when spending with Schnorr signatures
  *
  * @returns {Script}
  */
-// #weirdstuff - "opts" is never used in the function, but if we remove it tests go red. We should
-// look into this in more detail and try to figure out what is happening.
-// eslint-disable-next-line no-unused-vars
 Script.buildMultisigIn = function (pubkeys, threshold, signatures, opts) {
   $.checkArgument(_.isArray(pubkeys))
   $.checkArgument(_.isNumber(threshold))
   $.checkArgument(_.isArray(signatures))
   opts = opts || {}
   const s = new this()
-  s.add(Opcode.OP_0)
+  s.add(multisigDummy(opts.checkBits))
   signatures.forEach((signature) => {
     $.checkArgument(BufferUtil.isBuffer(signature), 'Signatures must be an array of Buffers')
     // TODO: allow signatures to be an array of Signature objects
@@ -763,6 +990,8 @@ Script.buildMultisigIn = function (pubkeys, threshold, signatures, opts) {
  * @param {boolean=} opts.noSorting don't sort the given public keys before creating the script
  *   (false by default)
  * @param {Script=} opts.cachedMultisig don't recalculate the redeemScript
+ * @param {Buffer=} opts.checkBits bitfield of the public keys the signatures are for, pushed in
+ *   place of OP_0 when spending with Schnorr signatures
  *
  * @returns {Script}
  */
@@ -772,7 +1001,7 @@ Script.buildP2SHMultisigIn = function (pubkeys, threshold, signatures, opts) {
   $.checkArgument(_.isArray(signatures))
   opts = opts || {}
   const s = new this()
-  s.add(Opcode.OP_0)
+  s.add(multisigDummy(opts.checkBits))
   signatures.forEach((signature) => {
     $.checkArgument(BufferUtil.isBuffer(signature), 'Signatures must be an array of Buffers')
     // TODO: allow signatures to be an array of Signature objects
@@ -834,6 +1063,57 @@ Script.buildDataOut = function (data, encoding) {
   return s
 }
 
+/**
+ * Builds the redeem script of a hash time locked contract: the recipient can spend the output with
+ * the preimage of the hash, and the refund address once the lock time is reached.
+ *
+ *    OP_IF <OP_SHA256|OP_HASH160> <hash> OP_EQUALVERIFY OP_DUP OP_HASH160 <recipient>
+ *    OP_ELSE <locktime> OP_CHECKLOCKTIMEVERIFY OP_DROP OP_DUP OP_HASH160 <refund>
+ *    OP_ENDIF OP_EQUALVERIFY OP_CHECKSIG
+ *
+ * @param {Object} params
+ * @param {Buffer|string} params.hash - the hash of the preimage, SHA256 if it is 32 bytes long and
+ *   HASH160 (RIPEMD160 of SHA256) if it is 20 bytes long
+ * @param {Address|PublicKey|string} params.recipient - who can spend with the preimage
+ * @param {Address|PublicKey|string} params.refund - who can spend once the lock time is reached
+ * @param {number|Date} params.locktime - a block height, or a time (a Date or a timestamp in
+ *   seconds), as for Transaction#nLockTime
+ * @returns {Script} a new redeem script, to pay to with Script.buildScriptHashOut
+ */
+Script.buildHTLCOut = function (params) {
+  $.checkArgument(_.isObject(params), 'params must be an object')
+  const hash = _.isString(params.hash) ? Buffer.from(params.hash, 'hex') : params.hash
+  $.checkArgument(
+    BufferUtil.isBuffer(hash) && (hash.length === 32 || hash.length === 20),
+    'hash must be a 32 byte SHA256 hash or a 20 byte HASH160 hash'
+  )
+  const toAddress = function (to) {
+    $.checkArgument(to instanceof PublicKey || to instanceof Address || _.isString(to))
+    return to instanceof PublicKey ? to.toAddress() : new Address(to)
+  }
+  const recipient = toAddress(params.recipient)
+  const refund = toAddress(params.refund)
+  const locktime = _.isDate(params.locktime)
+    ? Math.floor(params.locktime.getTime() / 1000)
+    : params.locktime
+  // pushed as a 4 byte script number at most, so timestamps go up to 2038
+  $.checkArgument(
+    _.isInteger(locktime) && locktime >= 0 && locktime <= 0x7fffffff,
+    'locktime must be a block height or a timestamp'
+  )
+
+  const s = new this(
+    new ScriptTemplate(HTLC_TEMPLATES[hash.length === 32 ? 'sha256' : 'hash160']).compile({
+      hash,
+      recipient: recipient.hashBuffer,
+      refund: refund.hashBuffer,
+      locktime,
+    })
+  )
+  s._network = recipient.network
+  return s
+}
+
 /**
  * @param {Script|Address} script - the redeemScript for the new p2sh output.
  *    It can also be a p2sh address
@@ -1089,7 +1369,12 @@ Script.prototype.getSignatureOperationsCount = function (accurate) {
   let lastOpcode = Opcode.OP_INVALIDOPCODE
   self.chunks.forEach((chunk) => {
     const opcode = chunk.opcodenum
-    if (opcode === Opcode.OP_CHECKSIG || opcode === Opcode.OP_CHECKSIGVERIFY) {
+    if (
+      opcode === Opcode.OP_CHECKSIG ||
+      opcode === Opcode.OP_CHECKSIGVERIFY ||
+      opcode === Opcode.OP_CHECKDATASIG ||
+      opcode === Opcode.OP_CHECKDATASIGVERIFY
+    ) {
       n += 1
     } else if (opcode === Opcode.OP_CHECKMULTISIG || opcode === Opcode.OP_CHECKMULTISIGVERIFY) {
       if (accurate && lastOpcode >= Opcode.OP_1 && lastOpcode <= Opcode.OP_16) {
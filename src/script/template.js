@@ -0,0 +1,323 @@
+import _ from 'lodash'
+import $ from '../util/preconditions'
+import Address from '../address'
+import BN from '../crypto/bn'
+import BufferUtil from '../util/buffer'
+import errors from '../errors'
+import JSUtil from '../util/js'
+import Opcode from '../opcode'
+import PublicKey from '../publickey'
+import Script from './script'
+import Signature from '../crypto/signature'
+
+const PLACEHOLDER = /^<([A-Za-z_][A-Za-z0-9_]*)(?::([A-Za-z0-9]+))?(\.\.\.)?>$/
+
+// Schnorr signatures have no encoding rules besides their size, so 65 byte pushes are only taken
+// for signatures if they end with a defined hashtype, as checked by
+// Interpreter#checkSignatureEncoding, with or without the fork id
+const isSchnorrTxFormat = function (buf) {
+  const signature = Signature.fromTxFormat(buf)
+  signature.nhashtype &= ~Signature.SIGHASH_FORKID
+  return signature.hasDefinedHashtype()
+}
+
+// checks for the data placeholder types, the number type is handled separately
+const TYPES = {
+  data: () => true,
+  pubkey: (buf) => PublicKey.isValid(buf),
+  sig: (buf) => Signature.isTxDER(buf) || (buf.length === 65 && isSchnorrTxFormat(buf)),
+  hash160: (buf) => buf.length === 20,
+  hash256: (buf) => buf.length === 32,
+}
+
+/**
+ * A script with named placeholders for the values pushed on the stack, written in the format of
+ * Script#toASM:
+ *
+ *    OP_DUP OP_HASH160 <pkh:hash160> OP_EQUALVERIFY OP_CHECKSIG
+ *
+ * A placeholder is written `<name>` or `<name:type>`, where type is one of:
+ *   - data (the default): any data push
+ *   - a number of bytes, e.g. `<secret:32>`: a data push of exactly that size
+ *   - pubkey: a valid public key
+ *   - sig: a signature with its hashtype byte, DER encoded ECDSA or Schnorr
+ *   - hash160, hash256: a 20 or 32 byte hash
+ *   - number: a script number, pushed with OP_0, OP_1NEGATE and OP_1 to OP_16 when possible
+ * A `...` suffix, as in `<pubkeys:pubkey...>`, makes the placeholder take one or more values.
+ *
+ * @constructor
+ * @param {string} template
+ */
+const ScriptTemplate = function ScriptTemplate(template) {
+  if (!(this instanceof ScriptTemplate)) {
+    return new ScriptTemplate(template)
+  }
+  if (template instanceof ScriptTemplate) {
+    return template
+  }
+  $.checkArgument(_.isString(template), 'template must be a string')
+  this.template = template.trim()
+  this.elements = ScriptTemplate._parse(this.template)
+}
+
+/**
+ * Templates for the standard scripts recognized by Script#classify
+ */
+ScriptTemplate.templates = {
+  publicKeyHashOut: 'OP_DUP OP_HASH160 <pkh:hash160> OP_EQUALVERIFY OP_CHECKSIG',
+  publicKeyHashIn: '<sig:sig> <pubkey:pubkey>',
+  publicKeyOut: '<pubkey:pubkey> OP_CHECKSIG',
+  publicKeyIn: '<sig:sig>',
+  scriptHashOut: 'OP_HASH160 <hash:hash160> OP_EQUAL',
+  multisigOut: '<threshold:number> <pubkeys:pubkey...> <count:number> OP_CHECKMULTISIG',
+  dataOut: 'OP_RETURN <data>',
+}
+
+ScriptTemplate._parse = function (template) {
+  const elements = []
+  const names = []
+  let literals = []
+
+  const flushLiterals = function () {
+    if (literals.length > 0) {
+      Script.fromASM(literals.join(' ')).chunks.forEach((chunk) => {
+        elements.push({ chunk })
+      })
+      literals = []
+    }
+  }
+
+  template.split(/\s+/).forEach((token) => {
+    const match = PLACEHOLDER.exec(token)
+    if (!match) {
+      const isOpcode = !_.isUndefined(Opcode(token).toNumber())
+      if (!isOpcode && !(JSUtil.isHexa(token) && token.length % 2 === 0)) {
+        throw new errors.Script.InvalidTemplate(`unknown token ${token}`)
+      }
+      literals.push(token)
+      return
+    }
+    const [, name, type = 'data', variadic] = match
+    if (_.includes(names, name)) {
+      throw new errors.Script.InvalidTemplate(`placeholder ${name} is used twice`)
+    }
+    const size = /^[0-9]+$/.test(type) ? Number(type) : undefined
+    if (_.isUndefined(size) && type !== 'number' && !TYPES[type]) {
+      throw new errors.Script.InvalidTemplate(`unknown placeholder type ${type}`)
+    }
+    flushLiterals()
+    names.push(name)
+    elements.push({
+      name,
+      type: _.isUndefined(size) ? type : 'data',
+      size,
+      variadic: !!variadic,
+    })
+  })
+  flushLiterals()
+
+  if (elements.length === 0) {
+    throw new errors.Script.InvalidTemplate('empty template')
+  }
+  return elements
+}
+
+/**
+ * @return {string[]} the names of the placeholders of the template
+ */
+ScriptTemplate.prototype.getPlaceholders = function () {
+  return this.elements.filter((element) => element.name).map((element) => element.name)
+}
+
+/**
+ * Returns an error message if the data can't fill the placeholder
+ */
+const checkData = function (placeholder, buf) {
+  if (!_.isUndefined(placeholder.size) && buf.length !== placeholder.size) {
+    return `expected ${placeholder.size} bytes, got ${buf.length}`
+  }
+  if (!TYPES[placeholder.type](buf)) {
+    return `not a valid ${placeholder.type}`
+  }
+  return undefined
+}
+
+/**
+ * Reads the value of a placeholder from a chunk
+ *
+ * @return {Buffer|number|undefined} the value, or undefined if the chunk doesn't match
+ */
+const readValue = function (placeholder, chunk) {
+  const { opcodenum } = chunk
+  if (placeholder.type === 'number') {
+    if (opcodenum === Opcode.OP_1NEGATE) {
+      return -1
+    }
+    if (Opcode.isSmallIntOp(opcodenum)) {
+      return opcodenum === Opcode.OP_0 ? 0 : opcodenum - Opcode.OP_1 + 1
+    }
+    if (!chunk.buf || chunk.buf.length > 4) {
+      return undefined
+    }
+    try {
+      return BN.fromScriptNumBuffer(chunk.buf, true).toNumber()
+    } catch (e) {
+      return undefined
+    }
+  }
+  if (opcodenum > Opcode.OP_PUSHDATA4) {
+    return undefined
+  }
+  const buf = chunk.buf || Buffer.alloc(0)
+  return checkData(placeholder, buf) ? undefined : buf
+}
+
+/**
+ * Returns the chunk pushing the value of a placeholder
+ */
+const writeValue = function (placeholder, value) {
+  const script = new Script()
+  if (placeholder.type === 'number') {
+    const number = BN.isBN(value) ? value.toNumber() : value
+    if (!_.isInteger(number)) {
+      throw new errors.Script.InvalidTemplateParameter(placeholder.name, 'not an integer')
+    }
+    if (number === -1) {
+      script.add(Opcode.OP_1NEGATE)
+    } else if (number >= 0 && number <= 16) {
+      script.add(Opcode.smallInt(number))
+    } else {
+      script.add(new BN(number).toScriptNumBuffer())
+    }
+    return script.chunks[0]
+  }
+
+  let buf = value
+  if (value instanceof PublicKey) {
+    buf = value.toBuffer()
+  } else if (value instanceof Address) {
+    buf = value.hashBuffer
+  } else if (JSUtil.isHexa(value)) {
+    buf = Buffer.from(value, 'hex')
+  } else if (value === '') {
+    buf = Buffer.alloc(0)
+  }
+  if (!BufferUtil.isBuffer(buf)) {
+    throw new errors.Script.InvalidTemplateParameter(placeholder.name, 'not a buffer')
+  }
+  const error = checkData(placeholder, buf)
+  if (error) {
+    throw new errors.Script.InvalidTemplateParameter(placeholder.name, error)
+  }
+  return script.add(buf).chunks[0]
+}
+
+/**
+ * Builds a script, replacing each placeholder with its value in params.
+ *
+ * Values of data placeholders are buffers or hex strings, public keys can be given as PublicKey
+ * and hashes as Address. Number placeholders take a number or a BN. Placeholders with `...` take
+ * a non empty array of values.
+ *
+ * @param {Object} params - the values, keyed by placeholder name
+ * @return {Script}
+ */
+ScriptTemplate.prototype.compile = function (params) {
+  params = params || {}
+  const script = new Script()
+  this.elements.forEach((element) => {
+    if (!element.name) {
+      script.add(_.clone(element.chunk))
+      return
+    }
+    const value = params[element.name]
+    if (_.isUndefined(value)) {
+      throw new errors.Script.InvalidTemplateParameter(element.name, 'missing')
+    }
+    if (!element.variadic) {
+      script.add(writeValue(element, value))
+      return
+    }
+    if (!_.isArray(value) || value.length === 0) {
+      throw new errors.Script.InvalidTemplateParameter(element.name, 'expected a non empty array')
+    }
+    value.forEach((item) => script.add(writeValue(element, item)))
+  })
+  return script
+}
+
+const chunksEqual = function (a, b) {
+  if (a.opcodenum !== b.opcodenum) {
+    return false
+  }
+  if (a.buf || b.buf) {
+    return !!(a.buf && b.buf && BufferUtil.equals(a.buf, b.buf))
+  }
+  return true
+}
+
+/**
+ * Extracts the values of the placeholders from a script.
+ *
+ * @param {Script|string|Buffer} script
+ * @return {Object|null} the values keyed by placeholder name: buffers for data, numbers for
+ *    numbers and arrays of those for `...` placeholders. null if the script doesn't match.
+ */
+ScriptTemplate.prototype.match = function (script) {
+  const { chunks } = script instanceof Script ? script : new Script(script)
+  const { elements } = this
+  const values = {}
+
+  const matchFrom = function (e, c) {
+    if (e === elements.length) {
+      return c === chunks.length
+    }
+    const element = elements[e]
+    if (c >= chunks.length) {
+      return false
+    }
+    if (!element.name) {
+      return chunksEqual(element.chunk, chunks[c]) && matchFrom(e + 1, c + 1)
+    }
+    if (!element.variadic) {
+      const value = readValue(element, chunks[c])
+      values[element.name] = value
+      return !_.isUndefined(value) && matchFrom(e + 1, c + 1)
+    }
+    const items = []
+    let value = readValue(element, chunks[c])
+    while (!_.isUndefined(value)) {
+      items.push(value)
+      value =
+        c + items.length < chunks.length ? readValue(element, chunks[c + items.length]) : undefined
+    }
+    // take as many values as possible, leaving enough chunks for the rest of the template
+    for (let count = items.length; count > 0; count -= 1) {
+      values[element.name] = items.slice(0, count)
+      if (matchFrom(e + 1, c + count)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  return matchFrom(0, 0) ? values : null
+}
+
+/**
+ * @param {Script|string|Buffer} script
+ * @return {boolean} if the script matches the template
+ */
+ScriptTemplate.prototype.test = function (script) {
+  return this.match(script) !== null
+}
+
+ScriptTemplate.prototype.toString = function () {
+  return this.template
+}
+
+ScriptTemplate.prototype.inspect = function () {
+  return `<ScriptTemplate: ${this.toString()}>`
+}
+
+export default ScriptTemplate
@@ -0,0 +1,299 @@
+import _ from 'lodash'
+import $ from '../util/preconditions'
+import errors from '../errors'
+import SizeEstimator from './sizeestimator'
+import UnspentOutput from './unspentoutput'
+
+const DEFAULT_MAX_TRIES = 100000
+
+const isSpentBy = function (transaction, utxo) {
+  return transaction.inputs.some(
+    (input) =>
+      input.prevTxId.toString('hex') === utxo.txId && input.outputIndex === utxo.outputIndex
+  )
+}
+
+const evaluate = function (context, candidates) {
+  return context.evaluate(
+    _.sumBy(candidates, 'satoshis'),
+    _.sumBy(candidates, 'size'),
+    candidates.length
+  )
+}
+
+const isEnough = function (context, candidates) {
+  return evaluate(context, candidates).excess >= 0
+}
+
+const largestFirst = function (candidates, context) {
+  const selected = []
+  const sorted = _.orderBy(candidates, 'satoshis', 'desc')
+  for (let i = 0; !isEnough(context, selected); i += 1) {
+    if (i === sorted.length) {
+      return null
+    }
+    selected.push(sorted[i])
+  }
+  return selected
+}
+
+const branchAndBound = function (candidates, context, selection) {
+  const sorted = _.orderBy(candidates, 'satoshis', 'desc')
+  // the value left after paying for the inputs of each candidate and the ones after it
+  const remaining = []
+  for (let i = sorted.length - 1; i >= 0; i -= 1) {
+    const effectiveValue = sorted[i].satoshis - context.feeFor(sorted[i].size)
+    remaining[i] = effectiveValue + (remaining[i + 1] || 0)
+  }
+
+  let best = null
+  let bestExcess = Infinity
+  let tries = 0
+  const path = []
+
+  const search = function (i, value, size) {
+    tries += 1
+    const { excess } = context.evaluate(value, size, path.length)
+    if (excess > context.costOfChange || tries > selection.maxTries) {
+      return
+    }
+    if (excess >= 0) {
+      if (excess < bestExcess) {
+        best = path.slice()
+        bestExcess = excess
+      }
+      return
+    }
+    // fees are rounded up once for the whole transaction, allow for one satoshi per input
+    if (i === sorted.length || excess + remaining[i] + sorted.length - i < 0) {
+      return
+    }
+    path.push(sorted[i])
+    search(i + 1, value + sorted[i].satoshis, size + sorted[i].size)
+    path.pop()
+    if (bestExcess > 0) {
+      search(i + 1, value, size)
+    }
+  }
+
+  search(0, 0, 0)
+  return best || largestFirst(candidates, context)
+}
+
+const randomImprove = function (candidates, context, selection) {
+  const shuffled = candidates.slice()
+  for (let i = shuffled.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(selection.random() * (i + 1))
+    ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+  }
+
+  const selected = []
+  while (!isEnough(context, selected)) {
+    if (shuffled.length === 0) {
+      return null
+    }
+    selected.push(shuffled.shift())
+  }
+
+  // aim for change of about the amount sent, but no more than twice that amount
+  const target = context.outputAmount
+  const changeFor = (items) => evaluate(context, items).change
+  shuffled.forEach((candidate) => {
+    const change = changeFor(selected)
+    const improved = changeFor(selected.concat(candidate))
+    if (Math.abs(target - improved) < Math.abs(target - change) && improved <= 2 * target) {
+      selected.push(candidate)
+    }
+  })
+  return selected
+}
+
+const avoidReuse = function (candidates, context) {
+  const groups = _.values(_.groupBy(candidates, (candidate) => candidate.utxo.script.toHex()))
+  const sorted = _.orderBy(groups, (group) => _.sumBy(group, 'satoshis'), 'desc')
+  const selected = []
+  for (let i = 0; !isEnough(context, selected); i += 1) {
+    if (i === sorted.length) {
+      return null
+    }
+    selected.push(...sorted[i])
+  }
+  return selected
+}
+
+/**
+ * Picks the unspent outputs that fund a transaction.
+ *
+ * The fee is estimated like Transaction#_updateChangeOutput does, from the fee per kilobyte of
+ * the transaction, so the change computed by the transaction once the inputs are added is the one
+ * expected by the selection. Change smaller than Transaction.DUST_AMOUNT is never created: it is
+ * left to the miners instead.
+ *
+ * The strategies are:
+ *   - largestFirst: spends the largest outputs first, using as few inputs as possible
+ *   - branchAndBound: searches for a set of outputs that needs no change, falling back to
+ *     largestFirst if there is none
+ *   - randomImprove: picks outputs at random, then keeps adding random outputs while that brings
+ *     the change closer to the amount being sent, which makes the change look like a payment and
+ *     leaves outputs of useful sizes in the wallet
+ *   - avoidReuse: spends all the outputs of an address together, so that no coins are left on an
+ *     address once it has been revealed by spending from it
+ *
+ * @param {Array.<UnspentOutput|Object>} utxos - the outputs available to spend
+ * @param {Object=} opts
+ * @param {string=} opts.strategy - the strategy, 'branchAndBound' by default
+ * @param {Array=} opts.pubkeys - the public keys of multisig outputs, as in Transaction#from
+ * @param {number=} opts.threshold - the threshold of multisig outputs, as in Transaction#from
+ * @param {Function=} opts.random - returns numbers in [0, 1) for randomImprove, Math.random by
+ *    default
+ * @param {number=} opts.maxTries - the number of combinations tried by branchAndBound
+ */
+class CoinSelection {
+  constructor(utxos, opts = {}) {
+    $.checkArgument(_.isArray(utxos), 'utxos must be an array')
+    const strategy = opts.strategy || 'branchAndBound'
+    $.checkArgument(
+      _.isFunction(CoinSelection.strategies[strategy]),
+      `Unknown coin selection strategy: ${strategy}`
+    )
+    this.utxos = utxos.map((utxo) =>
+      utxo instanceof UnspentOutput ? utxo : new UnspentOutput(utxo)
+    )
+    this.strategy = strategy
+    this.pubkeys = opts.pubkeys
+    this.threshold = opts.threshold
+    this.random = opts.random || Math.random
+    this.maxTries = opts.maxTries || DEFAULT_MAX_TRIES
+  }
+
+  /**
+   * Selects the outputs to fund the outputs of a transaction. Inputs already added to the
+   * transaction are spent as well.
+   *
+   * @param {Transaction} transaction
+   * @return {Object} the selected `utxos`, their `inputAmount`, the `fee` and the `change`,
+   *    0 if the transaction needs no change output
+   * @throws {errors.Transaction.InsufficientFunds} if the outputs can't be funded
+   */
+  select(transaction) {
+    const context = this._getContext(transaction)
+    const candidates = this.utxos
+      .filter((utxo) => !isSpentBy(transaction, utxo))
+      .map((utxo) => ({
+        utxo,
+        satoshis: utxo.satoshis,
+        size: this._estimateInputSize(transaction, utxo),
+      }))
+      // outputs that cost more in fees than their value are never worth spending
+      .filter((candidate) => candidate.satoshis > context.feeFor(candidate.size))
+
+    const selected = CoinSelection.strategies[this.strategy](candidates, context, this)
+    if (!selected) {
+      const available = _.sumBy(candidates, 'satoshis') + context.inputAmount
+      throw new errors.Transaction.InsufficientFunds(
+        `${context.outputAmount} satoshis and fees needed, ${available} available`
+      )
+    }
+    const value = _.sumBy(selected, 'satoshis')
+    const result = evaluate(context, selected)
+    return {
+      utxos: selected.map((candidate) => candidate.utxo),
+      inputAmount: context.inputAmount + value,
+      fee: result.fee,
+      change: result.change,
+    }
+  }
+
+  /**
+   * Adds the selected outputs as inputs of the transaction. If the transaction needs no change
+   * output, the remaining value is set as the fee of the transaction.
+   *
+   * @param {Transaction} transaction
+   * @return {Transaction} the transaction
+   * @throws {errors.Transaction.ChangeAddressMissing} if the transaction needs change but
+   *    has no change address
+   */
+  fund(transaction) {
+    const selection = this.select(transaction)
+    if (selection.change > 0 && !transaction._changeScript) {
+      throw new errors.Transaction.ChangeAddressMissing()
+    }
+    transaction.from(selection.utxos, this.pubkeys, this.threshold)
+    if (selection.change === 0) {
+      transaction.fee(selection.fee)
+    }
+    return transaction
+  }
+
+  _getContext(transaction) {
+    const Transaction = transaction.constructor
+    const satPerByte = transaction._getSatPerByte()
+    const fixedFee = transaction._fee
+    const outputs = transaction.outputs.filter((output, i) => i !== transaction._changeIndex)
+    const outputAmount = _.sumBy(outputs, 'satoshis')
+    const inputsSize = _.sumBy(transaction.inputs, (input) =>
+      input._estimateSize(transaction._signingMethod)
+    )
+    const outputsSize = _.sumBy(outputs, (output) => SizeEstimator.outputSize(output.script))
+    // without a change address no change is created, count a p2pkh output (25 bytes script)
+    const changeSize = SizeEstimator.outputSize(transaction._changeScript || 25)
+    const inputAmount = transaction.inputs.length > 0 ? transaction._getInputAmount() : 0
+
+    const feeFor = (size) => Math.ceil(size * satPerByte)
+    // the size of the transaction once inputs of the given size and count are added
+    const sizeWith = function (size, count, change) {
+      const outputCount = outputs.length + (change ? 1 : 0)
+      return (
+        4 +
+        SizeEstimator.varintSize(transaction.inputs.length + count) +
+        inputsSize +
+        size +
+        SizeEstimator.varintSize(outputCount) +
+        outputsSize +
+        (change ? changeSize : 0) +
+        4
+      )
+    }
+    return {
+      outputAmount,
+      inputAmount,
+      feeFor,
+      // the most that can be left to the miners instead of creating a change output
+      costOfChange: feeFor(changeSize) + Transaction.DUST_AMOUNT,
+
+      /**
+       * Returns the fee, the change and the excess over the amount needed when spending
+       * inputs of the given value, estimated size and count, on top of those of the transaction
+       */
+      evaluate(value, size, count) {
+        const available = inputAmount + value - outputAmount
+        const fee = _.isUndefined(fixedFee) ? feeFor(sizeWith(size, count, false)) : fixedFee
+        const changeFee = _.isUndefined(fixedFee) ? feeFor(sizeWith(size, count, true)) : fixedFee
+        const change = available - changeFee
+        if (change >= Transaction.DUST_AMOUNT) {
+          return { fee: changeFee, change, excess: available - fee }
+        }
+        return { fee: available, change: 0, excess: available - fee }
+      },
+    }
+  }
+
+  _estimateInputSize(transaction, utxo) {
+    const Transaction = transaction.constructor
+    const input = new Transaction().from(utxo, this.pubkeys, this.threshold).inputs[0]
+    return input._estimateSize(transaction._signingMethod)
+  }
+}
+
+/**
+ * The coin selection strategies. Each one takes the outputs that can be spent, with their value
+ * and estimated input size, and returns the ones to spend or null if they aren't enough.
+ */
+CoinSelection.strategies = {
+  largestFirst,
+  branchAndBound,
+  randomImprove,
+  avoidReuse,
+}
+
+export default CoinSelection
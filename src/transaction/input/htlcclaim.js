@@ -0,0 +1,58 @@
+import $ from '../../util/preconditions'
+import BufferUtil from '../../util/buffer'
+import Hash from '../../crypto/hash'
+import Opcode from '../../opcode'
+import PublicKey from '../../publickey'
+import Script from '../../script/script'
+import ScriptHashInput from './scripthash'
+
+const HASH_FUNCTIONS = {
+  sha256: Hash.sha256,
+  hash160: Hash.sha256ripemd160,
+}
+
+/**
+ * Spends a hash time locked contract output, built with Script.buildHTLCOut, with the preimage of
+ * its hash and a signature of the recipient. The input script is:
+ *
+ *    <sig> <pubkey> <preimage> OP_TRUE <redeemScript>
+ *
+ * @param {Object} input - the input parameters, as for Input
+ * @param {Script|Buffer|string} redeemScript - the contract
+ * @param {Buffer|string} preimage - the data that hashes to the hash of the contract
+ * @param {PublicKey|string} publicKey - the public key of the recipient
+ */
+class HTLCClaimInput extends ScriptHashInput {
+  constructor(input, redeemScript, preimage, publicKey) {
+    redeemScript = new Script(redeemScript || input.redeemScript)
+    const params = redeemScript.getHTLCParams()
+    $.checkArgument(params, 'redeemScript is not a hash time locked contract')
+    preimage = preimage || input.preimage
+    preimage = BufferUtil.isBuffer(preimage) ? preimage : Buffer.from(preimage, 'hex')
+    $.checkArgument(
+      HASH_FUNCTIONS[params.hashFunction](preimage).equals(params.hash),
+      "Provided preimage doesn't hash to the hash of the contract"
+    )
+    publicKey = new PublicKey(publicKey || input.publicKey)
+    $.checkArgument(
+      publicKey.toAddress().hashBuffer.equals(params.recipient.hashBuffer),
+      "Provided public key isn't the recipient of the contract"
+    )
+
+    super(input, redeemScript, {
+      publicKeys: [publicKey],
+      unlockingScript: (signatures) =>
+        new Script().add(signatures[0]).add(publicKey.toBuffer()).add(preimage).add(Opcode.OP_TRUE),
+    })
+    this.preimage = preimage
+  }
+
+  toObject(...args) {
+    const obj = ScriptHashInput.prototype.toObject.apply(this, args)
+    obj.preimage = this.preimage.toString('hex')
+    obj.publicKey = this.publicKeys[0].toString()
+    return obj
+  }
+}
+
+export default HTLCClaimInput
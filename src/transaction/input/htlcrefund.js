@@ -0,0 +1,46 @@
+import $ from '../../util/preconditions'
+import Opcode from '../../opcode'
+import PublicKey from '../../publickey'
+import Script from '../../script/script'
+import ScriptHashInput from './scripthash'
+
+/**
+ * Spends a hash time locked contract output, built with Script.buildHTLCOut, with a signature of
+ * the refund address once the lock time of the contract is reached. The input script is:
+ *
+ *    <sig> <pubkey> OP_FALSE <redeemScript>
+ *
+ * The transaction must have a nLockTime of the same kind and at least as late as the lock time of
+ * the contract, and the input a sequence number that isn't final, see Transaction#refundHTLC.
+ *
+ * @param {Object} input - the input parameters, as for Input
+ * @param {Script|Buffer|string} redeemScript - the contract
+ * @param {PublicKey|string} publicKey - the public key of the refund address
+ */
+class HTLCRefundInput extends ScriptHashInput {
+  constructor(input, redeemScript, publicKey) {
+    redeemScript = new Script(redeemScript || input.redeemScript)
+    const params = redeemScript.getHTLCParams()
+    $.checkArgument(params, 'redeemScript is not a hash time locked contract')
+    publicKey = new PublicKey(publicKey || input.publicKey)
+    $.checkArgument(
+      publicKey.toAddress().hashBuffer.equals(params.refund.hashBuffer),
+      "Provided public key isn't the refund address of the contract"
+    )
+
+    super(input, redeemScript, {
+      publicKeys: [publicKey],
+      unlockingScript: (signatures) =>
+        new Script().add(signatures[0]).add(publicKey.toBuffer()).add(Opcode.OP_FALSE),
+    })
+    this.locktime = params.locktime
+  }
+
+  toObject(...args) {
+    const obj = ScriptHashInput.prototype.toObject.apply(this, args)
+    obj.publicKey = this.publicKeys[0].toString()
+    return obj
+  }
+}
+
+export default HTLCRefundInput
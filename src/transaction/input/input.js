@@ -1,3 +1,4 @@
+import _ from 'lodash'
 import $ from '../../util/preconditions'
 import BufferUtil from '../../util/buffer'
 import BufferWriter from '../../encoding/bufferwriter'
@@ -5,13 +6,21 @@ import errors from '../../errors'
 import JSUtil from '../../util/js'
 import Output from '../output'
 import Script from '../../script/script'
+import ScriptTemplate from '../../script/template'
 import Sighash from '../sighash'
+import SizeEstimator from '../sizeestimator'
 
 const MAXINT = 0xffffffff // Math.pow(2, 32) - 1;
 const DEFAULT_RBF_SEQNUMBER = MAXINT - 2
 const DEFAULT_SEQNUMBER = MAXINT
 const DEFAULT_LOCKTIME_SEQNUMBER = MAXINT - 1
 
+// BIP68 relative lock time, see https://github.com/bitcoin/bips/blob/master/bip-0068.mediawiki
+const SEQUENCE_LOCKTIME_DISABLE_FLAG = 0x80000000 // (1 << 31)
+const SEQUENCE_LOCKTIME_TYPE_FLAG = 0x400000 // (1 << 22)
+const SEQUENCE_LOCKTIME_MASK = 0xffff
+const SEQUENCE_LOCKTIME_GRANULARITY = 512 // 2 ^ 9
+
 class Input {
   constructor(params) {
     if (!(this instanceof Input)) {
@@ -63,6 +72,9 @@ class Input {
     }
 
     this.setScript(params.scriptBuffer || params.script)
+    if (params.sizeDescriptor) {
+      this.setSizeDescriptor(params.sizeDescriptor)
+    }
     return this
   }
 
@@ -80,6 +92,9 @@ class Input {
     if (this.output) {
       obj.output = this.output.toObject()
     }
+    if (this.sizeDescriptor) {
+      obj.sizeDescriptor = this.sizeDescriptor
+    }
     return obj
   }
 
@@ -160,6 +175,56 @@ class Input {
     return this.sequenceNumber !== 4294967295
   }
 
+  /**
+   * Sets the sequence number so that this input can not be spent until the output it spends is
+   * the given number of blocks deep (BIP68). The transaction version must be at least 2.
+   *
+   * @param {number} blocks - between 0 and 65535
+   * @return {Input} this
+   */
+  lockForBlocks(blocks) {
+    $.checkArgument(_.isNumber(blocks), 'Number of blocks must be a number')
+    if (blocks < 0 || blocks > SEQUENCE_LOCKTIME_MASK) {
+      throw new errors.Transaction.Input.BlockHeightOutOfRange()
+    }
+    this.sequenceNumber = Math.floor(blocks)
+    return this
+  }
+
+  /**
+   * Sets the sequence number so that this input can not be spent until the given number of
+   * seconds passed since the output it spends was mined (BIP68). The lock time is rounded down to
+   * a multiple of 512 seconds. The transaction version must be at least 2.
+   *
+   * @param {number} seconds - between 0 and 33553920
+   * @return {Input} this
+   */
+  lockForSeconds(seconds) {
+    $.checkArgument(_.isNumber(seconds), 'Number of seconds must be a number')
+    if (seconds < 0 || seconds > SEQUENCE_LOCKTIME_GRANULARITY * SEQUENCE_LOCKTIME_MASK) {
+      throw new errors.Transaction.Input.LockTimeRange()
+    }
+    this.sequenceNumber =
+      SEQUENCE_LOCKTIME_TYPE_FLAG + Math.floor(seconds / SEQUENCE_LOCKTIME_GRANULARITY)
+    return this
+  }
+
+  /**
+   * Returns the relative lock time encoded in the sequence number.
+   *
+   * @return {Object|null} `{ blocks }` or `{ seconds }`, or null if relative lock time is disabled
+   */
+  getRelativeLockTime() {
+    if (this.sequenceNumber >= SEQUENCE_LOCKTIME_DISABLE_FLAG) {
+      return null
+    }
+    const value = this.sequenceNumber & SEQUENCE_LOCKTIME_MASK
+    if (this.sequenceNumber & SEQUENCE_LOCKTIME_TYPE_FLAG) {
+      return { seconds: value * SEQUENCE_LOCKTIME_GRANULARITY }
+    }
+    return { blocks: value }
+  }
+
   addSignature() {
     throw new errors.AbstractMethodInvoked('Input#addSignature')
   }
@@ -192,8 +257,54 @@ class Input {
     )
   }
 
-  _estimateSize() {
-    return this.toBufferWriter().toBuffer().length
+  /**
+   * Sets how to estimate the size of the input script before it is signed, for inputs spending
+   * scripts this library doesn't build input scripts for, like custom pay to script hash
+   * outputs. Without it, the size of the current input script is used.
+   *
+   * @param {Object} descriptor - the template of the input script and the redeem script, see
+   *    SizeEstimator.scriptSigSize
+   * @return {Input} this
+   */
+  setSizeDescriptor(descriptor) {
+    $.checkArgument(_.isObject(descriptor), 'descriptor must be an object')
+    $.checkArgument(
+      _.isString(descriptor.template) || descriptor.template instanceof ScriptTemplate,
+      'descriptor.template must be a string or a ScriptTemplate'
+    )
+    this.sizeDescriptor = _.omitBy(
+      {
+        template: descriptor.template.toString(),
+        redeemScript: descriptor.redeemScript
+          ? new Script(descriptor.redeemScript).toHex()
+          : undefined,
+        sizes: descriptor.sizes,
+        counts: descriptor.counts,
+      },
+      _.isUndefined
+    )
+    // fail now rather than when estimating the fee
+    this._estimateScriptSize()
+    return this
+  }
+
+  /**
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
+   * @return {number} the estimated size of the input script once signed
+   */
+  _estimateScriptSize(signingMethod) {
+    if (this.sizeDescriptor) {
+      return SizeEstimator.scriptSigSize(this.sizeDescriptor, signingMethod)
+    }
+    return this._scriptBuffer.length
+  }
+
+  /**
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
+   * @return {number} the estimated size of the serialized input once signed
+   */
+  _estimateSize(signingMethod) {
+    return SizeEstimator.inputSize(this._estimateScriptSize(signingMethod))
   }
 }
 
@@ -201,5 +312,9 @@ Input.MAXINT = MAXINT
 Input.DEFAULT_SEQNUMBER = DEFAULT_SEQNUMBER
 Input.DEFAULT_LOCKTIME_SEQNUMBER = DEFAULT_LOCKTIME_SEQNUMBER
 Input.DEFAULT_RBF_SEQNUMBER = DEFAULT_RBF_SEQNUMBER
+Input.SEQUENCE_LOCKTIME_DISABLE_FLAG = SEQUENCE_LOCKTIME_DISABLE_FLAG
+Input.SEQUENCE_LOCKTIME_TYPE_FLAG = SEQUENCE_LOCKTIME_TYPE_FLAG
+Input.SEQUENCE_LOCKTIME_MASK = SEQUENCE_LOCKTIME_MASK
+Input.SEQUENCE_LOCKTIME_GRANULARITY = SEQUENCE_LOCKTIME_GRANULARITY
 
 export default Input
@@ -2,10 +2,12 @@ import _ from 'lodash'
 import $ from '../../util/preconditions'
 import BufferUtil from '../../util/buffer'
 import Input from './input'
+import MultiSigSignatures from './multisigsignatures'
 import Output from '../output'
 import Script from '../../script/script'
 import Sighash from '../sighash'
 import Signature from '../../crypto/signature'
+import SizeEstimator from '../sizeestimator'
 import TransactionSignature from '../signature'
 
 class MultiSigInput extends Input {
@@ -48,7 +50,7 @@ class MultiSigInput extends Input {
     return this.signatures.map((signature) => (signature ? signature.toObject() : undefined))
   }
 
-  getSignatures(transaction, privateKey, index, sigtype) {
+  getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod) {
     $.checkState(this.output instanceof Output, 'Malformed output found when signing transaction')
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
 
@@ -68,7 +70,8 @@ class MultiSigInput extends Input {
             sigtype,
             index,
             this.output.script,
-            this.output.satoshisBN
+            this.output.satoshisBN,
+            signingMethod
           ),
           sigtype,
         })
@@ -81,6 +84,7 @@ class MultiSigInput extends Input {
       this.publicKeyIndex[signature.publicKey.toString()] !== undefined,
       'Signature has no matching public key'
     )
+    MultiSigSignatures.checkSignatureType(this, signature)
     $.checkState(this.isValidSignature(transaction, signature), 'Signature invalid')
     this.signatures[this.publicKeyIndex[signature.publicKey.toString()]] = signature
     this._updateScript()
@@ -89,7 +93,9 @@ class MultiSigInput extends Input {
 
   _updateScript() {
     this.setScript(
-      Script.buildMultisigIn(this.publicKeys, this.threshold, this._createSignatures())
+      Script.buildMultisigIn(this.publicKeys, this.threshold, this._createSignatures(), {
+        checkBits: MultiSigSignatures.createCheckBits(this),
+      })
     )
     return this
   }
@@ -98,7 +104,7 @@ class MultiSigInput extends Input {
     const definedSignatures = this.signatures.filter((signature) => signature !== undefined)
     return definedSignatures.map((signature) =>
       BufferUtil.concat([
-        signature.signature.toDER(),
+        signature.signature.toBuffer(),
         BufferUtil.integerAsSingleByteBuffer(signature.sigtype),
       ])
     )
@@ -187,12 +193,20 @@ class MultiSigInput extends Input {
     })
   }
 
-  _estimateSize() {
-    return MultiSigInput.OPCODES_SIZE + this.threshold * MultiSigInput.SIGNATURE_SIZE
+  _estimateScriptSize(signingMethod) {
+    if (this.isFullySigned()) {
+      return this._scriptBuffer.length
+    }
+    // OP_0, or the bitfield of the signing keys for Schnorr signatures, then the signatures
+    const dummySize =
+      signingMethod === 'schnorr'
+        ? SizeEstimator.pushSize(Math.ceil(this.publicKeys.length / 8))
+        : 1
+    return (
+      dummySize +
+      this.threshold * SizeEstimator.pushSize(SizeEstimator.signatureSize(signingMethod))
+    )
   }
 }
 
-MultiSigInput.OPCODES_SIZE = 1 // 0
-MultiSigInput.SIGNATURE_SIZE = 73 // size (1) + DER (<=72)
-
 export default MultiSigInput
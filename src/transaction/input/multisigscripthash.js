@@ -2,12 +2,25 @@ import _ from 'lodash'
 import $ from '../../util/preconditions'
 import BufferUtil from '../../util/buffer'
 import Input from './input'
+import MultiSigSignatures from './multisigsignatures'
 import Output from '../output'
 import Script from '../../script/script'
 import Sighash from '../sighash'
 import Signature from '../../crypto/signature'
+import SizeEstimator from '../sizeestimator'
 import TransactionSignature from '../signature'
 
+/**
+ * Spends a pay to script hash output of a multisig script. The public keys are sorted as in
+ * BIP67, unless the redeem script is given: it must hash to the output, and the public keys and
+ * threshold must be those of the redeem script, in its order, which is kept.
+ *
+ * @param {Object} input - the input parameters, as for Input
+ * @param {Array} pubkeys
+ * @param {number} threshold
+ * @param {Array=} signatures
+ * @param {Script=} redeemScript
+ */
 class MultiSigScriptHashInput extends Input {
   constructor(input, pubkeys, threshold, signatures, redeemScript) {
     super(input, pubkeys, threshold, signatures, redeemScript)
@@ -16,12 +29,25 @@ class MultiSigScriptHashInput extends Input {
     pubkeys = pubkeys || input.publicKeys
     this.threshold = threshold || input.threshold
     signatures = signatures || input.signatures
-    this.publicKeys = _.sortBy(pubkeys, (publicKey) => publicKey.toString('hex'))
-    this.redeemScript = redeemScript || Script.buildMultisigOut(this.publicKeys, this.threshold)
-    // $.checkState(
-    //   Script.buildScriptHashOut(this.redeemScript).equals(this.output.script),
-    //   'RedeemScript does not hash to the provided output'
-    // )
+    redeemScript = redeemScript || input.redeemScript
+    this.publicKeys = redeemScript
+      ? pubkeys
+      : _.sortBy(pubkeys, (publicKey) => publicKey.toString('hex'))
+    this.redeemScript = redeemScript
+      ? new Script(redeemScript)
+      : Script.buildMultisigOut(this.publicKeys, this.threshold)
+    if (redeemScript) {
+      $.checkArgument(
+        Script.buildMultisigOut(this.publicKeys, this.threshold, { noSorting: true }).equals(
+          this.redeemScript
+        ),
+        "Provided public keys and threshold don't match the redeem script"
+      )
+      $.checkArgument(
+        !this.output || Script.buildScriptHashOut(this.redeemScript).equals(this.output.script),
+        "Provided redeem script doesn't hash to the output"
+      )
+    }
     this.publicKeyIndex = {}
     this.publicKeys.forEach((publicKey, index) => {
       self.publicKeyIndex[publicKey.toString()] = index
@@ -36,6 +62,7 @@ class MultiSigScriptHashInput extends Input {
     const obj = Input.prototype.toObject.apply(this, args)
     obj.threshold = this.threshold
     obj.publicKeys = this.publicKeys.map((publicKey) => publicKey.toString())
+    obj.redeemScript = this.redeemScript.toHex()
     obj.signatures = this._serializeSignatures()
     return obj
   }
@@ -51,7 +78,7 @@ class MultiSigScriptHashInput extends Input {
   }
 
   // eslint-disable-next-line max-len
-  getSignatures(transaction, privateKey, index, sigtype) {
+  getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod) {
     $.checkState(this.output instanceof Output, 'Malformed output found when signing transaction')
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
 
@@ -71,7 +98,8 @@ class MultiSigScriptHashInput extends Input {
             sigtype,
             index,
             this.redeemScript,
-            this.output.satoshisBN
+            this.output.satoshisBN,
+            signingMethod
           ),
           sigtype,
         })
@@ -84,6 +112,7 @@ class MultiSigScriptHashInput extends Input {
       this.publicKeyIndex[signature.publicKey.toString()] !== undefined,
       'Signature has no matching public key'
     )
+    MultiSigSignatures.checkSignatureType(this, signature)
     $.checkState(this.isValidSignature(transaction, signature), 'Signature invalid')
     this.signatures[this.publicKeyIndex[signature.publicKey.toString()]] = signature
     this._updateScript()
@@ -94,6 +123,7 @@ class MultiSigScriptHashInput extends Input {
     this.setScript(
       Script.buildP2SHMultisigIn(this.publicKeys, this.threshold, this._createSignatures(), {
         cachedMultisig: this.redeemScript,
+        checkBits: MultiSigSignatures.createCheckBits(this),
       })
     )
     return this
@@ -103,7 +133,7 @@ class MultiSigScriptHashInput extends Input {
     const definedSignatures = this.signatures.filter((signature) => signature !== undefined)
     return definedSignatures.map((signature) =>
       BufferUtil.concat([
-        signature.signature.toDER(),
+        signature.signature.toBuffer(),
         BufferUtil.integerAsSingleByteBuffer(signature.sigtype),
       ])
     )
@@ -145,17 +175,22 @@ class MultiSigScriptHashInput extends Input {
     )
   }
 
-  _estimateSize() {
+  _estimateScriptSize(signingMethod) {
+    if (this.isFullySigned()) {
+      return this._scriptBuffer.length
+    }
+    // OP_0, or the bitfield of the signing keys for Schnorr signatures, the signatures and the
+    // redeem script
+    const dummySize =
+      signingMethod === 'schnorr'
+        ? SizeEstimator.pushSize(Math.ceil(this.publicKeys.length / 8))
+        : 1
     return (
-      MultiSigScriptHashInput.OPCODES_SIZE +
-      this.threshold * MultiSigScriptHashInput.SIGNATURE_SIZE +
-      this.publicKeys.length * MultiSigScriptHashInput.PUBKEY_SIZE
+      dummySize +
+      this.threshold * SizeEstimator.pushSize(SizeEstimator.signatureSize(signingMethod)) +
+      SizeEstimator.pushSize(this.redeemScript.toBuffer().length)
     )
   }
 }
 
-MultiSigScriptHashInput.OPCODES_SIZE = 7 // serialized size (<=3) + 0 .. N .. M OP_CHECKMULTISIG
-MultiSigScriptHashInput.SIGNATURE_SIZE = 74 // size (1) + DER (<=72) + sighash (1)
-MultiSigScriptHashInput.PUBKEY_SIZE = 34 // size (1) + DER (<=33)
-
 export default MultiSigScriptHashInput
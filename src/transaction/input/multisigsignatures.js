@@ -0,0 +1,47 @@
+import $ from '../../util/preconditions'
+
+/**
+ * Helpers of the multisig inputs, MultiSigInput and MultiSigScriptHashInput, which keep a
+ * signature slot for each of their `publicKeys`.
+ *
+ * @namespace MultiSigSignatures
+ */
+export default {
+  /**
+   * OP_CHECKMULTISIG checks either Schnorr or ECDSA signatures, never both, so a signature can
+   * only be added to an input with signatures of the same type.
+   *
+   * @param {Input} input - a multisig input
+   * @param {TransactionSignature} signature - the signature to add
+   */
+  checkSignatureType(input, signature) {
+    const isSchnorr = !!signature.signature.isSchnorr
+    $.checkArgument(
+      input.signatures.every((other) => !other || !!other.signature.isSchnorr === isSchnorr),
+      "Schnorr and ECDSA signatures can't be mixed in a multisig input"
+    )
+  },
+
+  /**
+   * OP_CHECKMULTISIG only accepts Schnorr signatures when its dummy element is a bitfield of the
+   * public keys to check, in which case the signatures must be in the same order as the keys.
+   *
+   * @param {Input} input - a multisig input
+   * @return {Buffer|undefined} the bitfield, if the signatures are Schnorr signatures
+   */
+  createCheckBits(input) {
+    const isSchnorr = input.signatures.some(
+      (signature) => signature && signature.signature.isSchnorr
+    )
+    if (!isSchnorr) {
+      return undefined
+    }
+    const checkBits = Buffer.alloc(Math.ceil(input.publicKeys.length / 8))
+    input.signatures.forEach((signature, index) => {
+      if (signature) {
+        checkBits[index >> 3] |= 1 << index % 8
+      }
+    })
+    return checkBits
+  },
+}
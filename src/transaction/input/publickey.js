@@ -4,6 +4,7 @@ import Output from '../output'
 import Script from '../../script/script'
 import Sighash from '../sighash'
 import Signature from '../../crypto/signature'
+import SizeEstimator from '../sizeestimator'
 import TransactionSignature from '../signature'
 
 /**
@@ -15,9 +16,11 @@ class PublicKeyInput extends Input {
    * @param {PrivateKey} privateKey - the private key with which to sign the transaction
    * @param {number} index - the index of the input in the transaction input vector
    * @param {number=} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
+   * @param {Buffer=} hashData - unused, see PublicKeyHashInput
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
    * @return {Array} of objects that can be
    */
-  getSignatures(transaction, privateKey, index, sigtype) {
+  getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod) {
     $.checkState(this.output instanceof Output, 'Malformed output found when signing transaction')
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
     const publicKey = privateKey.toPublicKey()
@@ -34,7 +37,8 @@ class PublicKeyInput extends Input {
             sigtype,
             index,
             this.output.script,
-            this.output.satoshisBN
+            this.output.satoshisBN,
+            signingMethod
           ),
           sigtype,
         }),
@@ -54,7 +58,7 @@ class PublicKeyInput extends Input {
    */
   addSignature(transaction, signature) {
     $.checkState(this.isValidSignature(transaction, signature), 'Signature invalid')
-    this.setScript(Script.buildPublicKeyIn(signature.signature.toDER(), signature.sigtype))
+    this.setScript(Script.buildPublicKeyIn(signature.signature.toBuffer(), signature.sigtype))
     return this
   }
 
@@ -75,11 +79,12 @@ class PublicKeyInput extends Input {
     return this.script.isPublicKeyIn()
   }
 
-  _estimateSize() {
-    return PublicKeyInput.SCRIPT_MAX_SIZE
+  _estimateScriptSize(signingMethod) {
+    if (this.isFullySigned()) {
+      return this._scriptBuffer.length
+    }
+    return SizeEstimator.pushSize(SizeEstimator.signatureSize(signingMethod))
   }
 }
 
-PublicKeyInput.SCRIPT_MAX_SIZE = 73 // sigsize (1 + 72)
-
 export default PublicKeyInput
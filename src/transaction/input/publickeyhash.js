@@ -3,15 +3,44 @@ import BufferUtil from '../../util/buffer'
 import Hash from '../../crypto/hash'
 import Input from './input'
 import Output from '../output'
+import PublicKey from '../../publickey'
 import Script from '../../script/script'
 import Sighash from '../sighash'
 import Signature from '../../crypto/signature'
+import SizeEstimator from '../sizeestimator'
 import TransactionSignature from '../signature'
 
 /**
  * Represents a special kind of input of PayToPublicKeyHash kind.
+ *
+ * @param {Object} input - the input parameters, as for Input
+ * @param {PublicKey|string=} input.publicKey - the public key the output pays to, if known, used to
+ *   estimate the size of the input before it is signed
  */
 class PublicKeyHashInput extends Input {
+  constructor(input) {
+    super(input)
+    if (input && input.publicKey) {
+      this.publicKey = new PublicKey(input.publicKey)
+      $.checkArgument(
+        !this.output ||
+          BufferUtil.equals(
+            Hash.sha256ripemd160(this.publicKey.toBuffer()),
+            this.output.script.getPublicKeyHash()
+          ),
+        "Provided public key doesn't hash to the output"
+      )
+    }
+  }
+
+  toObject(...args) {
+    const obj = Input.prototype.toObject.apply(this, args)
+    if (this.publicKey) {
+      obj.publicKey = this.publicKey.toString()
+    }
+    return obj
+  }
+
   /**
    * @param {Transaction} transaction - the transaction to be signed
    * @param {PrivateKey} privateKey - the private key with which to sign the transaction
@@ -19,10 +48,11 @@ class PublicKeyHashInput extends Input {
    * @param {number=} sigtype - the type of signature, defaults to Signature.SIGHASH_ALL
    * @param {Buffer=} hashData - the precalculated hash of the public key associated with the
    *   privateKey provided
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
    * @return {Array} of objects that can be
    */
   // eslint-disable-next-line max-len
-  getSignatures(transaction, privateKey, index, sigtype, hashData) {
+  getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod) {
     $.checkState(this.output instanceof Output, 'Malformed output found when signing transaction')
     hashData = hashData || Hash.sha256ripemd160(privateKey.publicKey.toBuffer())
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
@@ -40,7 +70,8 @@ class PublicKeyHashInput extends Input {
             sigtype,
             index,
             this.output.script,
-            this.output.satoshisBN
+            this.output.satoshisBN,
+            signingMethod
           ),
           sigtype,
         }),
@@ -62,10 +93,11 @@ class PublicKeyHashInput extends Input {
     $.checkState(this.isValidSignature(transaction, signature), 'Signature invalid')
     const script = Script.buildPublicKeyHashIn(
       signature.publicKey,
-      signature.signature.toDER(),
+      signature.signature.toBuffer(),
       signature.sigtype
     )
     this.setScript(script)
+    this.publicKey = signature.publicKey
     return this
   }
 
@@ -86,11 +118,17 @@ class PublicKeyHashInput extends Input {
     return this.script.isPublicKeyHashIn()
   }
 
-  _estimateSize() {
-    return PublicKeyHashInput.SCRIPT_MAX_SIZE
+  _estimateScriptSize(signingMethod) {
+    if (this.isFullySigned()) {
+      return this._scriptBuffer.length
+    }
+    return (
+      SizeEstimator.pushSize(SizeEstimator.signatureSize(signingMethod)) +
+      SizeEstimator.pushSize(
+        this.publicKey ? this.publicKey.toBuffer().length : SizeEstimator.UNCOMPRESSED_PUBKEY_SIZE
+      )
+    )
   }
 }
 
-PublicKeyHashInput.SCRIPT_MAX_SIZE = 73 + 34 // sigsize (1 + 72) + pubkey (1 + 33)
-
 export default PublicKeyHashInput
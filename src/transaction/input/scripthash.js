@@ -1,36 +1,95 @@
+import _ from 'lodash'
 import $ from '../../util/preconditions'
 import BufferUtil from '../../util/buffer'
 import Input from './input'
 import Output from '../output'
+import PublicKey from '../../publickey'
 import Script from '../../script/script'
 import Sighash from '../sighash'
 import Signature from '../../crypto/signature'
+import SizeEstimator from '../sizeestimator'
 import TransactionSignature from '../signature'
 
+/**
+ * Spends a pay to script hash output with any redeem script. The input script is built by a
+ * function that receives the signatures made by the keys of the redeem script, so contracts like
+ * hash locks or time locks can be signed with Transaction#sign.
+ *
+ * @example
+ * ```javascript
+ * // OP_SHA256 <hash> OP_EQUALVERIFY <pubkey> OP_CHECKSIG, spent with the preimage of the hash
+ * var input = new ScriptHashInput(params, redeemScript, {
+ *   unlockingScript: function (signatures) {
+ *     return new Script().add(signatures[0]).add(preimage);
+ *   },
+ * });
+ * ```
+ *
+ * The unlocking function can't be serialized, so Transaction#fromObject can't restore these
+ * inputs, except for the HTLCClaimInput and HTLCRefundInput subclasses. Create the input again
+ * with the object returned by toObject and the same options instead.
+ *
+ * @param {Object} input - the input parameters, as for Input
+ * @param {Script|Buffer|string} redeemScript
+ * @param {Object} opts
+ * @param {Function} opts.unlockingScript - receives the signatures, as buffers with their sighash
+ *    type byte, in the order of the public keys (undefined for the keys that haven't signed) and
+ *    the input, and returns the input script without the redeem script. It is called once
+ *    `threshold` signatures are collected, and to estimate the size of the input.
+ * @param {Array=} opts.publicKeys - the public keys that can sign, the ones pushed by the redeem
+ *    script by default
+ * @param {number=} opts.threshold - the number of signatures needed, 1 by default or 0 if the
+ *    redeem script has no public keys, in which case the input script is built right away
+ * @param {Object=} opts.sizeDescriptor - describes the input script, see Input#setSizeDescriptor.
+ *    By default the size is computed by building the script with signatures of the largest size.
+ */
 class ScriptHashInput extends Input {
-  constructor(input, pubkeys, redeemScript) {
-    super(input, pubkeys, redeemScript)
+  constructor(input, redeemScript, opts = {}) {
+    super(input)
 
-    const self = this
-    this.publicKeys = pubkeys || input.publicKeys
-    this.threshold = 1
-    this.redeemScript = redeemScript
+    this.redeemScript = new Script(redeemScript || input.redeemScript)
     $.checkState(
-      Script.buildScriptHashOut(this.redeemScript).equals(this.output.script),
+      this.output && Script.buildScriptHashOut(this.redeemScript).equals(this.output.script),
       "Provided redeemScript doesn't hash to the provided output"
     )
+    $.checkArgument(_.isFunction(opts.unlockingScript), 'unlockingScript must be a function')
+    this.unlockingScript = opts.unlockingScript
+    this.publicKeys = (opts.publicKeys || ScriptHashInput._getPublicKeys(this.redeemScript)).map(
+      (publicKey) => new PublicKey(publicKey)
+    )
+    this.threshold = _.isUndefined(opts.threshold)
+      ? Math.min(1, this.publicKeys.length)
+      : opts.threshold
+    $.checkArgument(
+      this.threshold <= this.publicKeys.length,
+      'Number of signatures needed must not be greater than the number of public keys'
+    )
     this.publicKeyIndex = {}
     this.publicKeys.forEach((publicKey, index) => {
-      self.publicKeyIndex[publicKey.toString()] = index
+      this.publicKeyIndex[publicKey.toString()] = index
     })
-    // Empty array of signatures
-    this.signatures = new Array(this.publicKeys.length)
+    this.signatures = input.signatures
+      ? this._deserializeSignatures(input.signatures)
+      : new Array(this.publicKeys.length)
+    if (opts.sizeDescriptor) {
+      this.setSizeDescriptor(
+        _.defaults({}, opts.sizeDescriptor, { redeemScript: this.redeemScript })
+      )
+    }
+    if (this.isFullySigned()) {
+      this._updateScript()
+    }
+  }
+
+  static _getPublicKeys(redeemScript) {
+    return redeemScript.chunks
+      .filter((chunk) => chunk.buf && PublicKey.isValid(chunk.buf))
+      .map((chunk) => new PublicKey(chunk.buf))
   }
 
   toObject(...args) {
     const obj = Input.prototype.toObject.apply(this, args)
-    obj.threshold = this.threshold
-    obj.publicKeys = this.publicKeys.map((publicKey) => publicKey.toString())
+    obj.redeemScript = this.redeemScript.toHex()
     obj.signatures = this._serializeSignatures()
     return obj
   }
@@ -45,7 +104,7 @@ class ScriptHashInput extends Input {
     return this.signatures.map((signature) => (signature ? signature.toObject() : undefined))
   }
 
-  getSignatures(transaction, privateKey, index, sigtype) {
+  getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod) {
     $.checkState(this.output instanceof Output, 'Malformed output found when signing transaction')
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
 
@@ -64,8 +123,9 @@ class ScriptHashInput extends Input {
             privateKey,
             sigtype,
             index,
-            this.output.script,
-            this.output.satoshisBN
+            this.redeemScript,
+            this.output.satoshisBN,
+            signingMethod
           ),
           sigtype,
         })
@@ -78,28 +138,33 @@ class ScriptHashInput extends Input {
       this.publicKeyIndex[signature.publicKey.toString()] !== undefined,
       'Signature has no matching public key'
     )
-    $.checkState(this.isValidSignature(transaction, signature))
+    $.checkState(this.isValidSignature(transaction, signature), 'Signature invalid')
     this.signatures[this.publicKeyIndex[signature.publicKey.toString()]] = signature
     this._updateScript()
     return this
   }
 
   _updateScript() {
-    this.setScript(
-      Script.buildP2SHMultisigIn(this.publicKeys, this.threshold, this._createSignatures(), {
-        cachedMultisig: this.redeemScript,
-      })
-    )
+    if (!this.isFullySigned()) {
+      this.setScript(Script.empty())
+      return this
+    }
+    this.setScript(this._buildScript(this._createSignatures()))
     return this
   }
 
+  _buildScript(signatures) {
+    return new Script(this.unlockingScript(signatures, this)).add(this.redeemScript.toBuffer())
+  }
+
   _createSignatures() {
-    const definedSignatures = this.signatures.filter((signature) => signature !== undefined)
-    return definedSignatures.map((signature) =>
-      BufferUtil.concat([
-        signature.signature.toDER(),
-        BufferUtil.integerAsSingleByteBuffer(signature.sigtype),
-      ])
+    return _.map(this.signatures, (signature) =>
+      signature
+        ? BufferUtil.concat([
+            signature.signature.toBuffer(),
+            BufferUtil.integerAsSingleByteBuffer(signature.sigtype),
+          ])
+        : undefined
     )
   }
 
@@ -109,11 +174,11 @@ class ScriptHashInput extends Input {
   }
 
   isFullySigned() {
-    return this.countSignatures() === this.threshold
+    return this.countSignatures() >= this.threshold
   }
 
   countMissingSignatures() {
-    return this.threshold - this.countSignatures()
+    return Math.max(this.threshold - this.countSignatures(), 0)
   }
 
   countSignatures() {
@@ -121,9 +186,8 @@ class ScriptHashInput extends Input {
   }
 
   publicKeysWithoutSignature() {
-    const self = this
     return this.publicKeys.filter(
-      (publicKey) => !self.signatures[self.publicKeyIndex[publicKey.toString()]]
+      (publicKey) => !this.signatures[this.publicKeyIndex[publicKey.toString()]]
     )
   }
 
@@ -140,17 +204,25 @@ class ScriptHashInput extends Input {
     )
   }
 
-  _estimateSize() {
-    return (
-      ScriptHashInput.OPCODES_SIZE +
-      this.threshold * ScriptHashInput.SIGNATURE_SIZE +
-      this.publicKeys.length * ScriptHashInput.PUBKEY_SIZE
-    )
+  _estimateScriptSize(signingMethod) {
+    if (this.isFullySigned()) {
+      return this._scriptBuffer.length
+    }
+    if (this.sizeDescriptor) {
+      return Input.prototype._estimateScriptSize.call(this, signingMethod)
+    }
+    // the signatures made so far, and signatures of the largest size from the first keys that
+    // haven't signed yet
+    const signatures = this._createSignatures()
+    let missing = this.countMissingSignatures()
+    signatures.forEach((signature, index) => {
+      if (!signature && missing > 0) {
+        signatures[index] = Buffer.alloc(SizeEstimator.signatureSize(signingMethod))
+        missing -= 1
+      }
+    })
+    return this._buildScript(signatures).toBuffer().length
   }
 }
 
-ScriptHashInput.OPCODES_SIZE = 7 // serialized size (<=3) + 0 .. N .. M OP_CHECKMULTISIG
-ScriptHashInput.SIGNATURE_SIZE = 74 // size (1) + DER (<=72) + sighash (1)
-ScriptHashInput.PUBKEY_SIZE = 34 // size (1) + DER (<=33)
-
 export default ScriptHashInput
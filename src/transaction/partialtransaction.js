@@ -0,0 +1,655 @@
+import _ from 'lodash'
+import $ from '../util/preconditions'
+import BufferReader from '../encoding/bufferreader'
+import BufferUtil from '../util/buffer'
+import BufferWriter from '../encoding/bufferwriter'
+import errors from '../errors'
+import Hash from '../crypto/hash'
+import HDPrivateKey from '../hdprivatekey'
+import Input from './input/input'
+import MultiSigInput from './input/multisig'
+import MultiSigScriptHashInput from './input/multisigscripthash'
+import Opcode from '../opcode'
+import Output from './output'
+import PrivateKey from '../privatekey'
+import PublicKey from '../publickey'
+import PublicKeyHashInput from './input/publickeyhash'
+import PublicKeyInput from './input/publickey'
+import Script from '../script/script'
+import Signature from '../crypto/signature'
+import Transaction from './transaction'
+import TransactionSignature from './signature'
+
+const MAGIC = Buffer.from('70736274ff', 'hex') // 'psbt' followed by 0xff
+const SEPARATOR = 0x00
+
+// Key types, as in the partially signed transactions of Bitcoin ABC: inputs carry the output they
+// spend instead of the whole previous transaction, the signature hash commits to its amount.
+const GLOBAL_UNSIGNED_TX = 0x00
+const IN_UTXO = 0x00
+const IN_PARTIAL_SIG = 0x02
+const IN_REDEEMSCRIPT = 0x04
+const IN_BIP32_DERIVATION = 0x06
+const IN_SCRIPTSIG = 0x07
+const OUT_REDEEMSCRIPT = 0x00
+const OUT_BIP32_DERIVATION = 0x02
+
+const invalidFormat = (message) => new errors.Transaction.Partial.InvalidFormat(message)
+
+const newInputEntry = () => ({ partialSigs: {}, derivations: {}, unknown: {} })
+const newOutputEntry = () => ({ derivations: {}, unknown: {} })
+
+const readBuffer = function (reader, length) {
+  if (reader.pos + length > reader.buf.length) {
+    throw invalidFormat('unexpected end of data')
+  }
+  return reader.read(length)
+}
+
+const readMap = function (reader) {
+  const entries = []
+  for (;;) {
+    if (reader.finished()) {
+      throw invalidFormat('unexpected end of data')
+    }
+    const keyLength = reader.readVarintNum()
+    if (keyLength === SEPARATOR) {
+      return entries
+    }
+    const key = readBuffer(reader, keyLength)
+    const value = readBuffer(reader, reader.readVarintNum())
+    const hex = key.toString('hex')
+    if (_.some(entries, { hex })) {
+      throw invalidFormat(`duplicate key ${hex}`)
+    }
+    entries.push({ type: key[0], keyData: key.slice(1), hex, value })
+  }
+}
+
+const writeEntry = function (writer, key, value) {
+  writer.writeVarintNum(key.length)
+  writer.write(key)
+  writer.writeVarintNum(value.length)
+  writer.write(value)
+}
+
+const keyFor = (type, keyData = BufferUtil.EMPTY_BUFFER) =>
+  Buffer.concat([Buffer.from([type]), keyData])
+
+const checkNoKeyData = function (entry) {
+  if (entry.keyData.length > 0) {
+    throw invalidFormat(`invalid key ${entry.hex}`)
+  }
+}
+
+const checkPublicKeyData = function (entry) {
+  if (!PublicKey.isValid(entry.keyData)) {
+    throw invalidFormat(`invalid public key in key ${entry.hex}`)
+  }
+  return entry.keyData.toString('hex')
+}
+
+const parseDerivation = function (value) {
+  if (value.length < 4 || value.length % 4 !== 0) {
+    throw invalidFormat(`invalid key derivation ${value.toString('hex')}`)
+  }
+  const reader = new BufferReader(value)
+  const fingerprint = reader.read(4)
+  const path = []
+  while (!reader.finished()) {
+    path.push(reader.readUInt32LE())
+  }
+  return { fingerprint, path }
+}
+
+const serializeDerivation = function (derivation) {
+  const writer = new BufferWriter()
+  writer.write(derivation.fingerprint)
+  derivation.path.forEach((index) => writer.writeUInt32LE(index))
+  return writer.toBuffer()
+}
+
+const writeDerivations = function (writer, type, derivations) {
+  _.forEach(derivations, (derivation, publicKey) =>
+    writeEntry(writer, keyFor(type, Buffer.from(publicKey, 'hex')), serializeDerivation(derivation))
+  )
+}
+
+const writeUnknown = function (writer, unknown) {
+  _.forEach(unknown, (value, key) => writeEntry(writer, Buffer.from(key, 'hex'), value))
+}
+
+// whether a script pushes the public key or its hash
+const involvesPublicKey = function (script, publicKey) {
+  const buffer = publicKey.toBuffer()
+  const hash = Hash.sha256ripemd160(buffer)
+  return (
+    !!script &&
+    script.chunks.some(
+      (chunk) =>
+        !!chunk.buf && (BufferUtil.equals(chunk.buf, buffer) || BufferUtil.equals(chunk.buf, hash))
+    )
+  )
+}
+
+const getMultisigParams = function (script) {
+  const { chunks } = script
+  return {
+    threshold: chunks[0].opcodenum - Opcode.OP_1 + 1,
+    publicKeys: chunks.slice(1, chunks.length - 2).map((chunk) => new PublicKey(chunk.buf)),
+  }
+}
+
+const toTxFormat = (signature) =>
+  BufferUtil.concat([
+    signature.signature.toBuffer(),
+    BufferUtil.integerAsSingleByteBuffer(signature.sigtype),
+  ])
+
+const buildSignature = function (input, index, publicKey, buffer) {
+  const signature = Signature.fromTxFormat(buffer)
+  return new TransactionSignature({
+    publicKey,
+    prevTxId: input.prevTxId,
+    outputIndex: input.outputIndex,
+    inputIndex: index,
+    signature,
+    sigtype: signature.nhashtype,
+  })
+}
+
+/**
+ * Multisig inputs keep their signatures along with the public key that made them, which are not
+ * in a complete input script. They are found again by checking each signature against the keys.
+ */
+const recoverSignatures = function (transaction, input, index, script) {
+  const chunks = script.chunks.slice(1, input.redeemScript ? -1 : undefined)
+  chunks.forEach((chunk) => {
+    if (!chunk.buf || input.isFullySigned()) {
+      return
+    }
+    const publicKey = _.find(input.publicKeysWithoutSignature(), (candidate) =>
+      input.isValidSignature(transaction, buildSignature(input, index, candidate, chunk.buf))
+    )
+    if (publicKey) {
+      input.addSignature(transaction, buildSignature(input, index, publicKey, chunk.buf))
+    }
+  })
+}
+
+// the input once its script is built, keeping only what is needed to verify it
+const finalizeInput = (input, finalScript) =>
+  _.assign(newInputEntry(), { utxo: input.utxo, finalScript, unknown: input.unknown })
+
+const mergeInput = function (target, source) {
+  _.defaults(target.unknown, source.unknown)
+  if (target.finalScript) {
+    return target
+  }
+  if (source.finalScript) {
+    return finalizeInput(_.defaults({}, target, source), source.finalScript)
+  }
+  target.utxo = target.utxo || source.utxo
+  target.redeemScript = target.redeemScript || source.redeemScript
+  _.defaults(target.partialSigs, source.partialSigs)
+  _.defaults(target.derivations, source.derivations)
+  return target
+}
+
+const mergeOutput = function (target, source) {
+  target.redeemScript = target.redeemScript || source.redeemScript
+  _.defaults(target.derivations, source.derivations)
+  _.defaults(target.unknown, source.unknown)
+}
+
+/**
+ * A transaction being signed by several parties, with what each of them needs to sign it: the
+ * outputs spent by its inputs, their redeem scripts, the origin of the keys expected to sign
+ * and the signatures collected so far. It is serialized like the partially signed bitcoin
+ * transactions of BIP174, as used by Bitcoin ABC.
+ *
+ * Signers combine the partial transactions they receive, sign them and send them back. Once
+ * enough signatures are collected, `finalize` builds the input scripts and `toTransaction`
+ * returns the signed transaction.
+ *
+ * @example
+ * ```javascript
+ * // the creator of the transaction
+ * var partial = new Transaction().from(utxo, publicKeys, 2).to(address, amount).toPartial();
+ * var data = partial.toString();
+ *
+ * // each signer
+ * var signed = new PartialTransaction(data).sign(privateKey).toString();
+ *
+ * // once the signers are done
+ * var transaction = new PartialTransaction(data).combine(signed1, signed2).finalize()
+ *   .toTransaction();
+ * ```
+ *
+ * @param {Transaction|PartialTransaction|Buffer|string} arg - a transaction, or a partially signed
+ *    transaction serialized in binary or base64
+ * @constructor
+ */
+class PartialTransaction {
+  constructor(arg) {
+    if (arg instanceof PartialTransaction) {
+      return arg
+    }
+    if (BufferUtil.isBuffer(arg)) {
+      return PartialTransaction.fromBuffer(arg)
+    }
+    if (_.isString(arg)) {
+      return PartialTransaction.fromString(arg)
+    }
+    $.checkArgumentType(arg, Transaction, 'arg')
+    this.transaction = arg.constructor.shallowCopy(arg)
+    this.transaction.inputs.forEach((input) => input.setScript(Script.empty()))
+    this.unknown = {}
+    this.inputs = arg.inputs.map((input) => PartialTransaction._getInputEntry(input))
+    this.outputs = arg.outputs.map(() => newOutputEntry())
+  }
+
+  static _getInputEntry(input) {
+    const entry = newInputEntry()
+    if (input.output) {
+      entry.utxo = new Output(input.output.toObject())
+    }
+    if (input.redeemScript) {
+      entry.redeemScript = input.redeemScript
+    }
+    if (input.signatures) {
+      input.signatures.forEach((signature) => {
+        if (signature) {
+          entry.partialSigs[signature.publicKey.toString()] = toTxFormat(signature)
+        }
+      })
+    } else if (input.script && input.script.chunks.length > 0) {
+      entry.finalScript = input.script
+    }
+    return entry
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @return {PartialTransaction}
+   * @throws {errors.Transaction.Partial.InvalidFormat}
+   */
+  static fromBuffer(buffer) {
+    $.checkArgument(BufferUtil.isBuffer(buffer), 'buffer must be a Buffer')
+    try {
+      return PartialTransaction._fromBufferReader(new BufferReader(buffer))
+    } catch (e) {
+      // varints and amounts read past the end of the buffer
+      if (e instanceof RangeError) {
+        throw invalidFormat('unexpected end of data')
+      }
+      throw e
+    }
+  }
+
+  static _fromBufferReader(reader) {
+    if (!BufferUtil.equals(readBuffer(reader, MAGIC.length), MAGIC)) {
+      throw invalidFormat('missing magic bytes')
+    }
+    const globals = readMap(reader)
+    const unsignedTx = _.find(globals, { type: GLOBAL_UNSIGNED_TX })
+    if (!unsignedTx) {
+      throw invalidFormat('missing unsigned transaction')
+    }
+    checkNoKeyData(unsignedTx)
+    let transaction
+    try {
+      transaction = new Transaction(unsignedTx.value)
+    } catch (e) {
+      throw invalidFormat(`invalid unsigned transaction: ${e.message}`)
+    }
+    if (transaction.inputs.some((input) => input._scriptBuffer.length > 0)) {
+      throw invalidFormat('the unsigned transaction has input scripts')
+    }
+
+    const partial = new PartialTransaction(transaction)
+    globals
+      .filter((entry) => entry !== unsignedTx)
+      .forEach((entry) => {
+        partial.unknown[entry.hex] = entry.value
+      })
+    partial.inputs.forEach((input) => {
+      readMap(reader).forEach((entry) => PartialTransaction._readInputEntry(input, entry))
+    })
+    partial.outputs.forEach((output) => {
+      readMap(reader).forEach((entry) => PartialTransaction._readOutputEntry(output, entry))
+    })
+    if (!reader.finished()) {
+      throw invalidFormat('unexpected data after the outputs')
+    }
+    return partial
+  }
+
+  static _readInputEntry(input, entry) {
+    switch (entry.type) {
+      case IN_UTXO:
+        checkNoKeyData(entry)
+        input.utxo = Output.fromBufferReader(new BufferReader(entry.value))
+        break
+      case IN_PARTIAL_SIG:
+        input.partialSigs[checkPublicKeyData(entry)] = entry.value
+        break
+      case IN_REDEEMSCRIPT:
+        checkNoKeyData(entry)
+        input.redeemScript = new Script(entry.value)
+        break
+      case IN_BIP32_DERIVATION:
+        input.derivations[checkPublicKeyData(entry)] = parseDerivation(entry.value)
+        break
+      case IN_SCRIPTSIG:
+        checkNoKeyData(entry)
+        input.finalScript = new Script(entry.value)
+        break
+      default:
+        input.unknown[entry.hex] = entry.value
+    }
+  }
+
+  static _readOutputEntry(output, entry) {
+    switch (entry.type) {
+      case OUT_REDEEMSCRIPT:
+        checkNoKeyData(entry)
+        output.redeemScript = new Script(entry.value)
+        break
+      case OUT_BIP32_DERIVATION:
+        output.derivations[checkPublicKeyData(entry)] = parseDerivation(entry.value)
+        break
+      default:
+        output.unknown[entry.hex] = entry.value
+    }
+  }
+
+  /**
+   * @param {string} string - a partially signed transaction serialized in base64
+   * @return {PartialTransaction}
+   */
+  static fromString(string) {
+    $.checkArgument(_.isString(string), 'string must be a base64 string')
+    return PartialTransaction.fromBuffer(Buffer.from(string, 'base64'))
+  }
+
+  /**
+   * @return {Buffer}
+   */
+  toBuffer() {
+    const writer = new BufferWriter()
+    writer.write(MAGIC)
+    writeEntry(writer, keyFor(GLOBAL_UNSIGNED_TX), this.transaction.toBuffer())
+    writeUnknown(writer, this.unknown)
+    writer.writeUInt8(SEPARATOR)
+
+    this.inputs.forEach((input) => {
+      if (input.utxo) {
+        writeEntry(writer, keyFor(IN_UTXO), input.utxo.toBufferWriter().toBuffer())
+      }
+      _.forEach(input.partialSigs, (signature, publicKey) =>
+        writeEntry(writer, keyFor(IN_PARTIAL_SIG, Buffer.from(publicKey, 'hex')), signature)
+      )
+      if (input.redeemScript) {
+        writeEntry(writer, keyFor(IN_REDEEMSCRIPT), input.redeemScript.toBuffer())
+      }
+      writeDerivations(writer, IN_BIP32_DERIVATION, input.derivations)
+      if (input.finalScript) {
+        writeEntry(writer, keyFor(IN_SCRIPTSIG), input.finalScript.toBuffer())
+      }
+      writeUnknown(writer, input.unknown)
+      writer.writeUInt8(SEPARATOR)
+    })
+
+    this.outputs.forEach((output) => {
+      if (output.redeemScript) {
+        writeEntry(writer, keyFor(OUT_REDEEMSCRIPT), output.redeemScript.toBuffer())
+      }
+      writeDerivations(writer, OUT_BIP32_DERIVATION, output.derivations)
+      writeUnknown(writer, output.unknown)
+      writer.writeUInt8(SEPARATOR)
+    })
+    return writer.toBuffer()
+  }
+
+  /**
+   * @return {string} the partially signed transaction serialized in base64
+   */
+  toString() {
+    return this.toBuffer().toString('base64')
+  }
+
+  inspect() {
+    return `<PartialTransaction: ${this.toString()}>`
+  }
+
+  /**
+   * Records the origin of a public key, for the inputs and outputs whose script uses it, so
+   * that signers holding the master key can find the key to sign with, and recognize their
+   * change outputs.
+   *
+   * @param {PublicKey|string} publicKey
+   * @param {Buffer|number} fingerprint - the fingerprint of the master key, as in
+   *    HDPrivateKey#fingerPrint
+   * @param {string|Array.<number>} path - the derivation path from the master key, like
+   *    "m/44'/145'/0'/0/1"
+   * @return {PartialTransaction} this, for chaining
+   */
+  addDerivation(publicKey, fingerprint, path) {
+    publicKey = new PublicKey(publicKey)
+    if (_.isNumber(fingerprint)) {
+      fingerprint = BufferUtil.integerAsBuffer(fingerprint)
+    }
+    $.checkArgument(
+      BufferUtil.isBuffer(fingerprint) && fingerprint.length === 4,
+      'fingerprint must be a 4 bytes buffer or a number'
+    )
+    const indexes = _.isString(path) ? HDPrivateKey._getDerivationIndexes(path) : path
+    $.checkArgument(
+      _.isArray(indexes) && _.every(indexes, (index) => HDPrivateKey.isValidPath(index)),
+      `Invalid derivation path: ${path}`
+    )
+
+    const derivation = { fingerprint, path: indexes }
+    this.inputs.forEach((input) => {
+      if (
+        !input.finalScript &&
+        involvesPublicKey(input.redeemScript || _.get(input, 'utxo.script'), publicKey)
+      ) {
+        input.derivations[publicKey.toString()] = derivation
+      }
+    })
+    this.outputs.forEach((output, index) => {
+      const script = output.redeemScript || this.transaction.outputs[index].script
+      if (involvesPublicKey(script, publicKey)) {
+        output.derivations[publicKey.toString()] = derivation
+      }
+    })
+    return this
+  }
+
+  /**
+   * Adds a redeem script to the inputs spending, and to the outputs paying to, its pay to script
+   * hash output script.
+   *
+   * @param {Script|Buffer|string} redeemScript
+   * @return {PartialTransaction} this, for chaining
+   */
+  addRedeemScript(redeemScript) {
+    redeemScript = new Script(redeemScript)
+    const scriptHashOut = Script.buildScriptHashOut(redeemScript)
+    this.inputs.forEach((input) => {
+      if (!input.finalScript && input.utxo && input.utxo.script.equals(scriptHashOut)) {
+        input.redeemScript = redeemScript
+      }
+    })
+    this.outputs.forEach((output, index) => {
+      if (this.transaction.outputs[index].script.equals(scriptHashOut)) {
+        output.redeemScript = redeemScript
+      }
+    })
+    return this
+  }
+
+  /**
+   * Adds the data of other partially signed versions of the same transaction, like the
+   * signatures made by other signers.
+   *
+   * @param {...(PartialTransaction|Buffer|string)} partials
+   * @return {PartialTransaction} this, for chaining
+   * @throws {errors.Transaction.Partial.Mismatch} if they are not for the same transaction
+   */
+  combine(...partials) {
+    partials.forEach((arg) => {
+      const partial = new PartialTransaction(arg)
+      if (partial.transaction.id !== this.transaction.id) {
+        throw new errors.Transaction.Partial.Mismatch(this.transaction.id, partial.transaction.id)
+      }
+      _.defaults(this.unknown, partial.unknown)
+      partial.inputs.forEach((input, index) => {
+        this.inputs[index] = mergeInput(this.inputs[index], input)
+      })
+      partial.outputs.forEach((output, index) => mergeOutput(this.outputs[index], output))
+    })
+    return this
+  }
+
+  /**
+   * Signs the inputs that the private keys can sign and that are not finalized yet. Inputs
+   * that the library doesn't know how to sign are skipped.
+   *
+   * @param {Array|String|PrivateKey} privateKeys
+   * @param {number=} sigtype - defaults to SIGHASH_ALL|SIGHASH_FORKID
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
+   * @return {PartialTransaction} this, for chaining
+   */
+  sign(privateKeys, sigtype, signingMethod) {
+    if (Array.isArray(privateKeys)) {
+      privateKeys.forEach((privateKey) => this.sign(privateKey, sigtype, signingMethod))
+      return this
+    }
+    const privateKey = new PrivateKey(privateKeys)
+    sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
+    const transaction = this.toTransaction()
+    const hashData = Hash.sha256ripemd160(privateKey.publicKey.toBuffer())
+    transaction.inputs.forEach((input, index) => {
+      const entry = this.inputs[index]
+      if (
+        entry.finalScript ||
+        !input.output ||
+        input.getSignatures === Input.prototype.getSignatures
+      ) {
+        return
+      }
+      input
+        .getSignatures(transaction, privateKey, index, sigtype, hashData, signingMethod)
+        .forEach((signature) => {
+          entry.partialSigs[signature.publicKey.toString()] = toTxFormat(signature)
+        })
+    })
+    return this
+  }
+
+  /**
+   * Builds the input scripts of the inputs that have all the signatures they need. The data
+   * only needed to sign them is then removed.
+   *
+   * @return {PartialTransaction} this, for chaining
+   */
+  finalize() {
+    const transaction = this.toTransaction()
+    transaction.inputs.forEach((input, index) => {
+      const entry = this.inputs[index]
+      if (
+        entry.finalScript ||
+        input.isFullySigned === Input.prototype.isFullySigned ||
+        !input.isFullySigned()
+      ) {
+        return
+      }
+      this.inputs[index] = finalizeInput(entry, input.script)
+    })
+    return this
+  }
+
+  /**
+   * @return {boolean} whether all the input scripts have been built
+   */
+  isFinalized() {
+    return this.inputs.every((input) => !!input.finalScript)
+  }
+
+  /**
+   * Returns the transaction, with the signatures collected so far applied to its inputs.
+   *
+   * @param {Function=} TransactionClass - the class of the transaction, to get a transaction
+   *    for another chain, see {@link Transaction.forChain}
+   * @return {Transaction}
+   */
+  toTransaction(TransactionClass = this.transaction.constructor) {
+    const transaction = new TransactionClass()
+    transaction.version = this.transaction.version
+    transaction.nLockTime = this.transaction.nLockTime
+    this.transaction.inputs.forEach((input, index) =>
+      transaction.uncheckedAddInput(PartialTransaction._buildInput(input, this.inputs[index]))
+    )
+    this.transaction.outputs.forEach((output) =>
+      transaction.addOutput(new Output(output.toObject()))
+    )
+
+    transaction.inputs.forEach((input, index) => {
+      const entry = this.inputs[index]
+      if (input.addSignature !== Input.prototype.addSignature) {
+        _.forEach(entry.partialSigs, (signature, publicKey) => {
+          if (!input.isFullySigned()) {
+            input.addSignature(transaction, buildSignature(input, index, publicKey, signature))
+          }
+        })
+        if (entry.finalScript && input.signatures) {
+          recoverSignatures(transaction, input, index, entry.finalScript)
+        }
+      }
+      if (entry.finalScript) {
+        input.setScript(entry.finalScript)
+      }
+    })
+    return transaction
+  }
+
+  static _buildInput(input, entry) {
+    const params = {
+      prevTxId: input.prevTxId,
+      outputIndex: input.outputIndex,
+      sequenceNumber: input.sequenceNumber,
+      output: entry.utxo,
+      script: Script.empty(),
+    }
+    if (!entry.utxo) {
+      return new Input(params)
+    }
+    const { script } = entry.utxo
+    // the redeem script of finalized inputs is the last value pushed by their script
+    const redeemScript =
+      entry.redeemScript ||
+      (script.isScriptHashOut() && entry.finalScript && entry.finalScript.chunks.length > 0
+        ? new Script(_.last(entry.finalScript.chunks).buf || BufferUtil.EMPTY_BUFFER)
+        : undefined)
+    if (script.isScriptHashOut() && redeemScript && redeemScript.isMultisigOut()) {
+      const { publicKeys, threshold } = getMultisigParams(redeemScript)
+      return new MultiSigScriptHashInput(params, publicKeys, threshold, undefined, redeemScript)
+    }
+    if (script.isMultisigOut()) {
+      const { publicKeys, threshold } = getMultisigParams(script)
+      return new MultiSigInput(params, publicKeys, threshold)
+    }
+    if (script.isPublicKeyHashOut()) {
+      return new PublicKeyHashInput(params)
+    }
+    if (script.isPublicKeyOut()) {
+      return new PublicKeyInput(params)
+    }
+    return new Input(params)
+  }
+}
+
+export default PartialTransaction
@@ -0,0 +1,200 @@
+import _ from 'lodash'
+import Opcode from '../opcode'
+import Script from '../script/script'
+
+const violation = (code, message, where) => _.assign({ code, message }, where)
+
+// the signature operations of the redeem script of a pay to script hash input, counted only when
+// the input is signed and spends a known output
+const countScriptHashSigOps = function (input) {
+  const { script } = input
+  if (!input.output || !input.output.script.isScriptHashOut() || !script.isPushOnly()) {
+    return 0
+  }
+  const redeemScript = _.last(script.chunks)
+  if (!redeemScript || !redeemScript.buf) {
+    return 0
+  }
+  try {
+    return new Script(redeemScript.buf).getSignatureOperationsCount(true)
+  } catch (e) {
+    // a redeem script that can't be parsed fails when it is executed, no signature is checked
+    return 0
+  }
+}
+
+const checkVersion = function (transaction, limits) {
+  if (transaction.version < 1 || transaction.version > limits.maxVersion) {
+    return [violation('version', `Transaction version ${transaction.version} is not standard`)]
+  }
+  return []
+}
+
+const checkSize = function (transaction, limits) {
+  const size = transaction.toBuffer().length
+  if (size > limits.maxTxSize) {
+    return [violation('tx-size', `Transaction size is ${size} bytes, over ${limits.maxTxSize}`)]
+  }
+  return []
+}
+
+const checkSigOps = function (transaction, limits) {
+  const sigOps =
+    _.sumBy(
+      transaction.inputs,
+      (input) => input.script.getSignatureOperationsCount(false) + countScriptHashSigOps(input)
+    ) + _.sumBy(transaction.outputs, (output) => output.script.getSignatureOperationsCount(false))
+  if (sigOps > limits.maxSigOps) {
+    return [
+      violation(
+        'bad-txns-too-many-sigops',
+        `Transaction has ${sigOps} signature operations, over ${limits.maxSigOps}`
+      ),
+    ]
+  }
+  return []
+}
+
+const checkScriptSigs = function (transaction, limits) {
+  return _.flatMap(transaction.inputs, (input, index) => {
+    const violations = []
+    const size = input._scriptBuffer.length
+    if (size > limits.maxScriptSigSize) {
+      violations.push(
+        violation(
+          'scriptsig-size',
+          `Input ${index} script is ${size} bytes, over ${limits.maxScriptSigSize}`,
+          { input: index }
+        )
+      )
+    }
+    if (!input.script.isPushOnly()) {
+      violations.push(
+        violation('scriptsig-not-pushonly', `Input ${index} script is not push only`, {
+          input: index,
+        })
+      )
+    }
+    return violations
+  })
+}
+
+const checkOutputs = function (transaction, limits) {
+  return _.flatMap(transaction.outputs, (output, index) => {
+    const { script } = output
+    if (script.isDataCarrier()) {
+      if (!script.chunks.slice(1).every((chunk) => chunk.opcodenum <= Opcode.OP_16)) {
+        return [
+          violation('scriptpubkey', `Output ${index} data is not push only`, { output: index }),
+        ]
+      }
+      return []
+    }
+    if (!script.isStandard()) {
+      return [
+        violation('scriptpubkey', `Output ${index} script is not standard`, { output: index }),
+      ]
+    }
+    if (output.satoshis < limits.dustThreshold) {
+      return [
+        violation(
+          'dust',
+          `Output ${index} value is ${output.satoshis} satoshis, under ${limits.dustThreshold}`,
+          { output: index }
+        ),
+      ]
+    }
+    return []
+  })
+}
+
+const checkDataOutputs = function (transaction, limits) {
+  const dataOutputs = transaction.outputs.filter((output) => output.script.isDataCarrier())
+  const violations = []
+  if (dataOutputs.length > limits.maxDataOutputs) {
+    violations.push(
+      violation(
+        'multi-op-return',
+        `Transaction has ${dataOutputs.length} OP_RETURN outputs, over ${limits.maxDataOutputs}`
+      )
+    )
+  }
+  const dataSize = _.sumBy(dataOutputs, (output) => output.script.toBuffer().length)
+  if (dataSize > limits.dataCarrierSize) {
+    violations.push(
+      violation(
+        'datacarrier-size',
+        `OP_RETURN outputs are ${dataSize} bytes, over ${limits.dataCarrierSize}`
+      )
+    )
+  }
+  return violations
+}
+
+/**
+ * The relay policy of the nodes: the rules that a transaction must follow, on top of the
+ * consensus rules, to be relayed and mined by nodes with the default configuration. Unlike
+ * Transaction#getSerializationError, all the rules are checked and every violation is reported.
+ *
+ * @example
+ * ```javascript
+ * var violations = new Policy({ maxDataOutputs: 2 }).check(transaction);
+ * // [{ code: 'dust', message: 'Output 1 value is 100 satoshis, under 546', output: 1 }]
+ * ```
+ *
+ * @param {Object=} opts - limits overriding the default ones
+ * @param {number=} opts.maxVersion - the highest standard transaction version
+ * @param {number=} opts.maxTxSize - the maximum size of a transaction, in bytes
+ * @param {number=} opts.maxSigOps - the maximum number of signature operations of a transaction
+ * @param {number=} opts.maxScriptSigSize - the maximum size of an input script, in bytes
+ * @param {number=} opts.dustThreshold - the minimum value of an output, Transaction.DUST_AMOUNT
+ *    by default
+ * @param {number=} opts.maxDataOutputs - the maximum number of OP_RETURN outputs
+ * @param {number=} opts.dataCarrierSize - the maximum size of the scripts of the OP_RETURN
+ *    outputs together, the one of the chain of the transaction by default
+ */
+class Policy {
+  constructor(opts = {}) {
+    this.limits = _.defaults({}, opts, Policy.DEFAULT_LIMITS)
+  }
+
+  /**
+   * Checks a transaction against every rule of the policy. Signature operations and input scripts
+   * are only meaningful once the transaction is signed.
+   *
+   * @param {Transaction} transaction
+   * @return {Array.<Object>} the violations, with a `code` (the reject reason of the nodes), a
+   *    `message`, and the index of the `input` or `output` at fault if there is one. Empty if the
+   *    transaction is standard.
+   */
+  check(transaction) {
+    const limits = _.defaults({}, this.limits, {
+      dustThreshold: transaction.constructor.DUST_AMOUNT,
+      dataCarrierSize: transaction.chain.dataCarrierSize,
+    })
+    return _.flatMap(Policy.rules, (rule) => rule(transaction, limits))
+  }
+}
+
+Policy.DEFAULT_LIMITS = {
+  maxVersion: 2,
+  maxTxSize: 100000,
+  maxSigOps: 4000,
+  maxScriptSigSize: 1650,
+  maxDataOutputs: 1,
+}
+
+/**
+ * The rules of the policy. Each one takes the transaction and the limits of the policy, and
+ * returns the violations found.
+ */
+Policy.rules = [
+  checkVersion,
+  checkSize,
+  checkSigOps,
+  checkScriptSigs,
+  checkOutputs,
+  checkDataOutputs,
+]
+
+export default Policy
@@ -8,16 +8,23 @@ import ECDSA from '../crypto/ecdsa'
 import Hash from '../crypto/hash'
 import Input from './input/input'
 import Output from './output'
+import Schnorr from '../crypto/schnorr'
 import Script from '../script/script'
 import Signature from '../crypto/signature'
 import Transaction from './transaction'
 
 const SIGHASH_SINGLE_BUG = '0000000000000000000000000000000000000000000000000000000000000001'
 const BITS_64_ON = 'ffffffffffffffff'
-const ENABLE_SIGHASH_FORKID = true
 
 class Sighash {
-  static sighashForForkId(transaction, sighashType, inputNumber, subscript, satoshisBN) {
+  static sighashForForkId(
+    transaction,
+    sighashType,
+    inputNumber,
+    subscript,
+    satoshisBN,
+    chain = transaction.chain
+  ) {
     const input = transaction.inputs[inputNumber]
     $.checkArgument(
       satoshisBN instanceof BN,
@@ -123,8 +130,8 @@ class Sighash {
     // Locktime
     writer.writeUInt32LE(transaction.nLockTime)
 
-    // sighashType
-    writer.writeUInt32LE(sighashType >>> 0)
+    // sighashType, with the fork id of the chain in the upper 24 bits
+    writer.writeUInt32LE((sighashType | (chain.forkId << 8)) >>> 0)
 
     const buf = writer.toBuffer()
     let ret = Hash.sha256sha256(buf)
@@ -145,14 +152,24 @@ class Sighash {
    *
    */
   static sighash(transaction, sighashType, inputNumber, subscript, satoshisBN) {
+    // The signature hashing rules are taken from the chain profile of the transaction
+    const { chain } = transaction
+
     // Copy transaction
     const txcopy = Transaction.shallowCopy(transaction)
 
     // Copy script
     subscript = new Script(subscript)
 
-    if (sighashType & Signature.SIGHASH_FORKID && ENABLE_SIGHASH_FORKID) {
-      return Sighash.sighashForForkId(txcopy, sighashType, inputNumber, subscript, satoshisBN)
+    if (sighashType & Signature.SIGHASH_FORKID && chain.enableSighashForkId) {
+      return Sighash.sighashForForkId(
+        txcopy,
+        sighashType,
+        inputNumber,
+        subscript,
+        satoshisBN,
+        chain
+      )
     }
 
     // For no ForkId sighash, separators need to be removed.
@@ -217,11 +234,25 @@ class Sighash {
    * @param {number} inputIndex
    * @param {Script} subscript
    * @param {satoshisBN} input's amount
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
    * @return {Signature}
    */
-  static sign(transaction, privateKey, sighashType, inputIndex, subscript, satoshisBN) {
+  static sign(
+    transaction,
+    privateKey,
+    sighashType,
+    inputIndex,
+    subscript,
+    satoshisBN,
+    signingMethod = 'ecdsa'
+  ) {
+    $.checkArgument(
+      signingMethod === 'ecdsa' || signingMethod === 'schnorr',
+      'signingMethod must be "ecdsa" or "schnorr"'
+    )
     const hashbuf = Sighash.sighash(transaction, sighashType, inputIndex, subscript, satoshisBN)
-    const sig = ECDSA.sign(hashbuf, privateKey, 'little').set({
+    const signer = signingMethod === 'schnorr' ? Schnorr : ECDSA
+    const sig = signer.sign(hashbuf, privateKey, 'little').set({
       nhashtype: sighashType,
     })
     return sig
@@ -249,6 +280,9 @@ class Sighash {
       subscript,
       satoshisBN
     )
+    if (signature.isSchnorr) {
+      return Schnorr.verify(hashbuf, signature, publicKey, 'little')
+    }
     return ECDSA.verify(hashbuf, signature, publicKey, 'little')
   }
 }
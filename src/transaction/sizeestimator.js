@@ -0,0 +1,172 @@
+import _ from 'lodash'
+import $ from '../util/preconditions'
+import errors from '../errors'
+import Script from '../script/script'
+import ScriptTemplate from '../script/template'
+
+/**
+ * Computes the serialized size of transactions, inputs and outputs before they are signed.
+ *
+ * Sizes are upper bounds: signatures are counted at their largest size for the signing method,
+ * and data pushes with the push opcode they need, so a fee computed from them is always enough.
+ */
+class SizeEstimator {
+  /**
+   * @param {number} n
+   * @return {number} the size of n encoded as a varint
+   */
+  static varintSize(n) {
+    if (n < 253) {
+      return 1
+    }
+    if (n < 0x10000) {
+      return 3
+    }
+    if (n < 0x100000000) {
+      return 5
+    }
+    return 9
+  }
+
+  /**
+   * @param {number} length - the length of the data
+   * @return {number} the size of the opcodes pushing the data, and of the data
+   */
+  static pushSize(length) {
+    if (length === 0) {
+      return 1
+    }
+    if (length < 76) {
+      return 1 + length
+    }
+    if (length < 0x100) {
+      return 2 + length
+    }
+    if (length < 0x10000) {
+      return 3 + length
+    }
+    return 5 + length
+  }
+
+  /**
+   * @param {number} scriptSize - the size of the input script
+   * @return {number} the size of an input: outpoint, script and sequence number
+   */
+  static inputSize(scriptSize) {
+    return 32 + 4 + SizeEstimator.varintSize(scriptSize) + scriptSize + 4
+  }
+
+  /**
+   * @param {Script|number} script - the output script, or its size
+   * @return {number} the size of an output: amount and script
+   */
+  static outputSize(script) {
+    const scriptSize = _.isNumber(script) ? script : script.toBuffer().length
+    return 8 + SizeEstimator.varintSize(scriptSize) + scriptSize
+  }
+
+  /**
+   * @param {number[]} inputSizes - the size of each input
+   * @param {number[]} outputSizes - the size of each output
+   * @return {number} the size of a transaction: version, inputs, outputs and lock time
+   */
+  static transactionSize(inputSizes, outputSizes) {
+    return (
+      4 +
+      SizeEstimator.varintSize(inputSizes.length) +
+      _.sum(inputSizes) +
+      SizeEstimator.varintSize(outputSizes.length) +
+      _.sum(outputSizes) +
+      4
+    )
+  }
+
+  /**
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
+   * @return {number} the largest size of a signature with its hashtype byte
+   */
+  static signatureSize(signingMethod) {
+    if (signingMethod === 'schnorr') {
+      return SizeEstimator.SCHNORR_SIGNATURE_SIZE
+    }
+    return SizeEstimator.ECDSA_SIGNATURE_SIZE
+  }
+
+  /**
+   * Computes the size of an input script from a descriptor of the values it pushes, written as a
+   * Script.Template. For pay to script hash inputs, the redeem script is pushed after them.
+   *
+   * The size of sig, pubkey, hash160, hash256 and sized placeholders is known, number placeholders
+   * are counted as 4 byte numbers. The size of data placeholders must be given in `sizes`, which
+   * can also override the others, and the number of values of `...` placeholders in `counts`.
+   *
+   * @example
+   * ```javascript
+   * // hash time locked contract, claimed with the preimage
+   * SizeEstimator.scriptSigSize({
+   *   template: '<sig:sig> <pubkey:pubkey> <preimage:32> OP_TRUE',
+   *   redeemScript: htlcScript,
+   * });
+   * ```
+   *
+   * @param {Object} descriptor
+   * @param {string|ScriptTemplate} descriptor.template - the values pushed by the input script
+   * @param {Script|Buffer|string=} descriptor.redeemScript
+   * @param {Object=} descriptor.sizes - the size in bytes of placeholders, by name
+   * @param {Object=} descriptor.counts - the number of values of `...` placeholders, by name
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
+   * @return {number} the size of the input script
+   */
+  static scriptSigSize(descriptor, signingMethod) {
+    $.checkArgument(_.isObject(descriptor), 'descriptor must be an object')
+    const template = new ScriptTemplate(descriptor.template)
+    const sizes = descriptor.sizes || {}
+    const counts = descriptor.counts || {}
+
+    let size = _.sumBy(template.elements, (element) => {
+      if (!element.name) {
+        return new Script().add(_.clone(element.chunk)).toBuffer().length
+      }
+      const count = element.variadic ? counts[element.name] : 1
+      if (!_.isNumber(count)) {
+        throw new errors.Script.InvalidTemplateParameter(element.name, 'missing count')
+      }
+      const valueSize = SizeEstimator._placeholderSize(element, sizes[element.name], signingMethod)
+      return count * SizeEstimator.pushSize(valueSize)
+    })
+    if (descriptor.redeemScript) {
+      size += SizeEstimator.pushSize(new Script(descriptor.redeemScript).toBuffer().length)
+    }
+    return size
+  }
+
+  static _placeholderSize(placeholder, size, signingMethod) {
+    if (_.isNumber(size)) {
+      return size
+    }
+    if (!_.isUndefined(placeholder.size)) {
+      return placeholder.size
+    }
+    switch (placeholder.type) {
+      case 'sig':
+        return SizeEstimator.signatureSize(signingMethod)
+      case 'pubkey':
+        return SizeEstimator.PUBKEY_SIZE
+      case 'hash160':
+        return 20
+      case 'hash256':
+        return 32
+      case 'number':
+        return 4
+      default:
+        throw new errors.Script.InvalidTemplateParameter(placeholder.name, 'missing size')
+    }
+  }
+}
+
+SizeEstimator.ECDSA_SIGNATURE_SIZE = 73 // DER (<=72) + sighash (1)
+SizeEstimator.SCHNORR_SIGNATURE_SIZE = 65 // Schnorr (64) + sighash (1)
+SizeEstimator.PUBKEY_SIZE = 33 // compressed public key
+SizeEstimator.UNCOMPRESSED_PUBKEY_SIZE = 65 // uncompressed public key
+
+export default SizeEstimator
@@ -6,19 +6,30 @@ import BN from '../crypto/bn'
 import BufferReader from '../encoding/bufferreader'
 import BufferUtil from '../util/buffer'
 import BufferWriter from '../encoding/bufferwriter'
+import Chains from '../chains'
+import CoinSelection from './coinselection'
 import errors from '../errors'
 import Hash from '../crypto/hash'
+import HTLCClaimInput from './input/htlcclaim'
+import HTLCRefundInput from './input/htlcrefund'
 import Input from './input/input'
+import Interpreter from '../script/interpreter'
 import JSUtil from '../util/js'
 import MultiSigScriptHashInput from './input/multisigscripthash'
 import MultiSigInput from './input/multisig'
 import Output from './output'
+import OutputId from './output-id'
+import PartialTransaction from './partialtransaction'
+import Policy from './policy'
 import PrivateKey from '../privatekey'
 import PublicKeyInput from './input/publickey'
 import PublicKeyHashInput from './input/publickeyhash'
 import Script from '../script/script'
+import ScriptHashInput from './input/scripthash'
 import Sighash from './sighash'
 import Signature from '../crypto/signature'
+import SizeEstimator from './sizeestimator'
+import Unit from '../unit'
 import UnspentOutput from './unspentoutput'
 
 const compare = Buffer.compare || bufferCompare
@@ -27,6 +38,144 @@ const CURRENT_VERSION = 1
 const DEFAULT_NLOCKTIME = 0
 const MAX_BLOCK_SIZE = 1000000
 
+// the outputs spent by a transaction, from an array of unspent outputs or any object with a get
+// method taking an OutputId
+const getUtxoView = function (utxoView) {
+  if (!_.isArray(utxoView)) {
+    $.checkArgument(
+      utxoView && _.isFunction(utxoView.get),
+      'utxoView must be an array or have a get method'
+    )
+    return utxoView
+  }
+  const utxos = new Map()
+  utxoView.forEach((utxo) => {
+    const txId = utxo.txid || utxo.txId
+    const outputIndex = _.isUndefined(utxo.vout) ? utxo.outputIndex : utxo.vout
+    utxos.set(new OutputId(txId, outputIndex).toString(), utxo)
+  })
+  return { get: (outputId) => utxos.get(outputId.toString()) }
+}
+
+const getOutputId = (input) =>
+  new OutputId(input.prevTxId.toString('hex'), input.outputIndex).toString()
+
+// the public keys, in hex, that have signed an input, or null if the signatures of the input
+// can't be read
+const getSigners = function (input) {
+  if (_.isArray(input.signatures)) {
+    return input.publicKeys
+      .filter((publicKey, index) => input.signatures[index])
+      .map((publicKey) => publicKey.toString())
+  }
+  if (input instanceof PublicKeyHashInput) {
+    return input.isFullySigned() ? [input.script.chunks[1].buf.toString('hex')] : []
+  }
+  if (input instanceof PublicKeyInput) {
+    return input.isFullySigned() ? [input.output.script.chunks[0].buf.toString('hex')] : []
+  }
+  return null
+}
+
+const explainOutput = function (output, network) {
+  const address = output.script.toAddress(network)
+  return {
+    address: address ? address.toString() : null,
+    satoshis: output.satoshis,
+    btc: Unit.fromSatoshis(output.satoshis).toBTC(),
+  }
+}
+
+const explainSignatures = function (input) {
+  const signers = getSigners(input)
+  if (!signers) {
+    return { fullySigned: null, signatures: null, missingSignatures: null }
+  }
+  const fullySigned = input.isFullySigned()
+  return {
+    fullySigned,
+    signatures: signers.length,
+    missingSignatures: input.countMissingSignatures
+      ? input.countMissingSignatures()
+      : Number(!fullySigned),
+  }
+}
+
+const diffValue = (from, to) => (_.isEqual(from, to) ? null : { from, to })
+
+const diffInput = function (from, to) {
+  const changes = _.pickBy({
+    script: diffValue(from.script.toHex(), to.script.toHex()),
+    sequenceNumber: diffValue(from.sequenceNumber, to.sequenceNumber),
+  })
+  const signersFrom = getSigners(from)
+  const signersTo = getSigners(to)
+  if (signersFrom && signersTo) {
+    const signatures = {
+      added: _.difference(signersTo, signersFrom),
+      removed: _.difference(signersFrom, signersTo),
+    }
+    if (signatures.added.length || signatures.removed.length) {
+      changes.signatures = signatures
+    }
+  }
+  return changes
+}
+
+// inputs are matched by the output they spend, so inputs that are moved are modified
+const diffInputs = function (a, b) {
+  const indexes = _.fromPairs(a.inputs.map((input, index) => [getOutputId(input), index]))
+  const result = { added: [], removed: [], modified: [] }
+  const matched = {}
+  b.inputs.forEach((input, index) => {
+    const outputId = getOutputId(input)
+    if (!_.has(indexes, outputId)) {
+      result.added.push({ index, outputId })
+      return
+    }
+    matched[outputId] = true
+    const previousIndex = indexes[outputId]
+    const changes = diffInput(a.inputs[previousIndex], input)
+    if (previousIndex !== index) {
+      changes.previousIndex = previousIndex
+    }
+    if (!_.isEmpty(changes)) {
+      result.modified.push(_.assign({ index, outputId }, changes))
+    }
+  })
+  a.inputs.forEach((input, index) => {
+    const outputId = getOutputId(input)
+    if (!matched[outputId]) {
+      result.removed.push({ index, outputId })
+    }
+  })
+  return result
+}
+
+// outputs have no identity, they are matched by index
+const diffOutputs = function (a, b) {
+  const summarize = (output) => ({ satoshis: output.satoshis, script: output.script.toHex() })
+  const result = { added: [], removed: [], modified: [] }
+  _.range(Math.max(a.outputs.length, b.outputs.length)).forEach((index) => {
+    const from = a.outputs[index]
+    const to = b.outputs[index]
+    if (!from) {
+      result.added.push(_.assign({ index }, summarize(to)))
+    } else if (!to) {
+      result.removed.push(_.assign({ index }, summarize(from)))
+    } else {
+      const changes = _.pickBy({
+        satoshis: diffValue(from.satoshis, to.satoshis),
+        script: diffValue(from.script.toHex(), to.script.toHex()),
+      })
+      if (!_.isEmpty(changes)) {
+        result.modified.push(_.assign({ index }, changes))
+      }
+    }
+  })
+  return result
+}
+
 /**
  * Represents a transaction, a set of inputs and outputs to change ownership of tokens
  *
@@ -42,7 +191,7 @@ class Transaction {
 
     if (serialized) {
       if (serialized instanceof Transaction) {
-        return Transaction.shallowCopy(serialized)
+        return this.constructor.shallowCopy(serialized)
       }
       if (JSUtil.isHexa(serialized)) {
         this.fromString(serialized)
@@ -60,6 +209,14 @@ class Transaction {
     }
   }
 
+  /**
+   * The chain profile this transaction is built for, see {@link Transaction.forChain}
+   * @return {Chain}
+   */
+  get chain() {
+    return this.constructor.chain
+  }
+
   get hash() {
     return new BufferReader(this._getHash()).readReverse().toString('hex')
   }
@@ -97,6 +254,8 @@ class Transaction {
    * * `disableDustOutputs`: disable checking if there are no outputs that are dust amounts
    * * `disableMoreOutputThanInput`: disable checking if the transaction spends more bitcoins than
    *    the sum of the input amounts
+   * * `disableLargeDataOutputs`: disable checking that OP_RETURN outputs fit in the data carrier
+   *    size of the chain
    * @return {string}
    */
   serialize(unsafe) {
@@ -157,7 +316,12 @@ class Transaction {
       unspentError = this._hasFeeError(opts, unspent)
     }
 
-    return unspentError || this._hasDustOutputs(opts) || this._isMissingSignatures(opts)
+    return (
+      unspentError ||
+      this._hasDustOutputs(opts) ||
+      this._hasLargeDataOutputs(opts) ||
+      this._isMissingSignatures(opts)
+    )
   }
 
   _hasFeeError(opts, unspent) {
@@ -201,7 +365,7 @@ class Transaction {
     if (!opts.disableDustOutputs) {
       // eslint-disable-next-line max-len
       const dustOutputs = this.outputs.filter(
-        (output) => output.satoshis < Transaction.DUST_AMOUNT && !output.script.isDataOut()
+        (output) => output.satoshis < Transaction.DUST_AMOUNT && !output.script.isDataCarrier()
       )
       if (dustOutputs.length > 0) {
         return new errors.Transaction.DustOutputs()
@@ -211,6 +375,21 @@ class Transaction {
     return undefined
   }
 
+  _hasLargeDataOutputs(opts) {
+    if (!opts.disableLargeDataOutputs) {
+      const { dataCarrierSize } = this.chain
+      const largeDataOutputs = this.outputs.filter(
+        (output) =>
+          output.script.isDataCarrier() && output.script.toBuffer().length > dataCarrierSize
+      )
+      if (largeDataOutputs.length > 0) {
+        return new errors.Transaction.DataOutputTooLarge(dataCarrierSize)
+      }
+    }
+
+    return undefined
+  }
+
   _isMissingSignatures(opts) {
     if (!opts.disableIsFullySigned && !this.isFullySigned()) {
       return new errors.Transaction.MissingSignatures()
@@ -218,6 +397,26 @@ class Transaction {
     return undefined
   }
 
+  /**
+   * Checks this transaction against the relay policy of the nodes (standardness), see Policy.
+   * Unlike getSerializationError, every violation found is returned.
+   *
+   * @param {Object=} opts - limits overriding the default ones of the policy
+   * @return {Array.<Object>} the violations, each with a `code`, a `message` and the index of the
+   *    `input` or `output` at fault if there is one
+   */
+  getPolicyViolations(opts) {
+    return new Policy(opts).check(this)
+  }
+
+  /**
+   * @param {Object=} opts - limits overriding the default ones of the policy
+   * @return {boolean} whether this transaction follows the relay policy of the nodes
+   */
+  isStandard(opts) {
+    return this.getPolicyViolations(opts).length === 0
+  }
+
   inspect() {
     return `<Transaction: ${this.uncheckedSerialize()}>`
   }
@@ -295,6 +494,16 @@ class Transaction {
     return this.toJSON()
   }
 
+  /**
+   * Returns a partially signed version of this transaction, to pass it to other signers with
+   * the outputs its inputs spend and the signatures collected so far.
+   *
+   * @return {PartialTransaction}
+   */
+  toPartial() {
+    return new PartialTransaction(this)
+  }
+
   fromObject(arg) {
     $.checkArgument(_.isObject(arg) || arg instanceof Transaction)
     const transaction = arg instanceof Transaction ? arg.toObject() : arg
@@ -316,6 +525,10 @@ class Transaction {
         )
       } else if (script.isPublicKeyOut()) {
         txin = new PublicKeyInput(input)
+      } else if (script.isScriptHashOut() && input.redeemScript && input.preimage) {
+        txin = new HTLCClaimInput(input)
+      } else if (script.isScriptHashOut() && input.redeemScript && input.publicKey) {
+        txin = new HTLCRefundInput(input)
       } else {
         throw new errors.Transaction.Input.UnsupportedScript(input.output.script)
       }
@@ -403,6 +616,52 @@ class Transaction {
     return this
   }
 
+  /**
+   * Sets the sequence number of an input so that it can not be spent until the output it spends
+   * is the given number of blocks deep (BIP68 relative lock time). Raises the transaction version
+   * to 2 if necessary.
+   *
+   * @param {number} inputIndex
+   * @param {number} blocks - between 0 and 65535
+   * @return {Transaction} this
+   */
+  lockInputForBlocks(inputIndex, blocks) {
+    this._checkInputIndex(inputIndex)
+    this.inputs[inputIndex].lockForBlocks(blocks)
+    this._enableRelativeLockTime()
+    return this
+  }
+
+  /**
+   * Sets the sequence number of an input so that it can not be spent until the given number of
+   * seconds passed since the output it spends was mined (BIP68 relative lock time). The lock time
+   * is rounded down to a multiple of 512 seconds. Raises the transaction version to 2 if
+   * necessary.
+   *
+   * @param {number} inputIndex
+   * @param {number} seconds - between 0 and 33553920
+   * @return {Transaction} this
+   */
+  lockInputForSeconds(inputIndex, seconds) {
+    this._checkInputIndex(inputIndex)
+    this.inputs[inputIndex].lockForSeconds(seconds)
+    this._enableRelativeLockTime()
+    return this
+  }
+
+  _checkInputIndex(inputIndex) {
+    $.checkArgument(_.isNumber(inputIndex), 'Input index must be a number')
+    if (inputIndex < 0 || inputIndex >= this.inputs.length) {
+      throw new errors.Transaction.InvalidIndex(inputIndex, this.inputs.length)
+    }
+  }
+
+  _enableRelativeLockTime() {
+    if (this.version < Transaction.RELATIVE_LOCKTIME_VERSION) {
+      this.version = Transaction.RELATIVE_LOCKTIME_VERSION
+    }
+  }
+
   /**
    *  Returns a semantic version of the transaction's nLockTime.
    *  @return {Number|Date}
@@ -447,6 +706,8 @@ class Transaction {
    * ```
    * Where `address` can be either a string or a bitcore Address object. The
    * same is true for `script`, which can be a string or a bitcore Script.
+   * A pay to public key hash output may also have the `publicKey` it pays to, so that the size of
+   * the input is known before it is signed; otherwise an uncompressed public key is assumed.
    *
    * Beware that this resets all the signatures for inputs (in further versions,
    * SIGHASH_SINGLE or SIGHASH_NONE signatures will not be reset).
@@ -469,10 +730,13 @@ class Transaction {
    * @param {(Array.<Transaction~fromObject>|Transaction~fromObject)} txs
    * @param {Array=} pubkeys
    * @param {number=} threshold
+   * @param {Object=} opts
+   * @param {boolean=} opts.noSorting - the multisig script of a pay to script hash output has the
+   *    public keys in the given order, instead of sorted as in BIP67
    */
-  from(txs, pubkeys, threshold) {
+  from(txs, pubkeys, threshold, opts = {}) {
     if (Array.isArray(txs)) {
-      txs.forEach((tx) => this.from(tx, pubkeys, threshold))
+      txs.forEach((tx) => this.from(tx, pubkeys, threshold, opts))
       return this
     }
     // TODO: Maybe prevTxId should be a string? Or defined as read only property?
@@ -516,14 +780,165 @@ class Transaction {
         prevTxId: utxo.txId,
         outputIndex: utxo.outputIndex,
         script: Script.empty(),
+        publicKey: utxo.publicKey,
       },
       pubkeys,
-      threshold
+      threshold,
+      undefined,
+      Clazz === MultiSigScriptHashInput && opts.noSorting
+        ? Script.buildMultisigOut(pubkeys, threshold, { noSorting: true })
+        : undefined
+    )
+    this.addInput(input)
+    return this
+  }
+
+  /**
+   * Add an input spending a pay to script hash output with a custom redeem script, see
+   * ScriptHashInput for the options. The input is then signed with Transaction#sign. As the
+   * unlocking function can't be serialized, Transaction#fromObject can't restore the input.
+   *
+   * @example
+   * ```javascript
+   * var transaction = new Transaction()
+   *   .fromScriptHash(utxo, redeemScript, {
+   *     unlockingScript: function (signatures) {
+   *       return new Script().add(signatures[0]).add(preimage);
+   *     },
+   *   })
+   *   .to(address, amount)
+   *   .sign(privateKey);
+   * ```
+   *
+   * @param {Transaction~fromObject} utxo
+   * @param {Script|Buffer|string} redeemScript
+   * @param {Object} opts
+   * @param {Function} opts.unlockingScript - builds the input script from the signatures
+   * @param {Array=} opts.publicKeys - the public keys that can sign
+   * @param {number=} opts.threshold - the number of signatures needed
+   * @param {Object=} opts.sizeDescriptor - describes the input script, to estimate its size
+   * @return {Transaction} this, for chaining
+   */
+  fromScriptHash(utxo, redeemScript, opts) {
+    utxo = new UnspentOutput(utxo)
+    const input = new ScriptHashInput(
+      {
+        output: new Output({
+          script: utxo.script,
+          satoshis: utxo.satoshis,
+        }),
+        prevTxId: utxo.txId,
+        outputIndex: utxo.outputIndex,
+        script: Script.empty(),
+      },
+      redeemScript,
+      opts
+    )
+    return this.addInput(input)
+  }
+
+  /**
+   * Add an input that claims a hash time locked contract output, built with Script.buildHTLCOut,
+   * with the preimage of its hash. Sign the transaction with the private key of the recipient.
+   *
+   * @example
+   * ```javascript
+   * var transaction = new Transaction()
+   *   .claimHTLC(utxo, redeemScript, preimage, recipientPublicKey)
+   *   .to(address, amount)
+   *   .sign(recipientPrivateKey);
+   * ```
+   *
+   * @param {Transaction~fromObject} utxo
+   * @param {Script|Buffer|string} redeemScript - the contract
+   * @param {Buffer|string} preimage - the data that hashes to the hash of the contract
+   * @param {PublicKey|string} publicKey - the public key of the recipient
+   * @return {Transaction} this, for chaining
+   */
+  claimHTLC(utxo, redeemScript, preimage, publicKey) {
+    utxo = new UnspentOutput(utxo)
+    const input = new HTLCClaimInput(
+      {
+        output: new Output({
+          script: utxo.script,
+          satoshis: utxo.satoshis,
+        }),
+        prevTxId: utxo.txId,
+        outputIndex: utxo.outputIndex,
+        script: Script.empty(),
+      },
+      redeemScript,
+      preimage,
+      publicKey
+    )
+    return this.addInput(input)
+  }
+
+  /**
+   * Add an input that takes back a hash time locked contract output, built with
+   * Script.buildHTLCOut, once its lock time is reached. nLockTime is raised to the lock time of the
+   * contract and the sequence number of the input is set so that nLockTime is enforced. Sign the
+   * transaction with the private key of the refund address.
+   *
+   * @param {Transaction~fromObject} utxo
+   * @param {Script|Buffer|string} redeemScript - the contract
+   * @param {PublicKey|string} publicKey - the public key of the refund address
+   * @return {Transaction} this, for chaining
+   */
+  refundHTLC(utxo, redeemScript, publicKey) {
+    utxo = new UnspentOutput(utxo)
+    const input = new HTLCRefundInput(
+      {
+        output: new Output({
+          script: utxo.script,
+          satoshis: utxo.satoshis,
+        }),
+        prevTxId: utxo.txId,
+        outputIndex: utxo.outputIndex,
+        sequenceNumber: Input.DEFAULT_LOCKTIME_SEQNUMBER,
+        script: Script.empty(),
+      },
+      redeemScript,
+      publicKey
+    )
+    const isHeight = (locktime) => locktime < Transaction.NLOCKTIME_BLOCKHEIGHT_LIMIT
+    $.checkState(
+      !this.nLockTime || isHeight(this.nLockTime) === isHeight(input.locktime),
+      'nLockTime and the lock time of the contract must both be block heights or both be times'
     )
     this.addInput(input)
+    if (this.nLockTime < input.locktime) {
+      if (isHeight(input.locktime)) {
+        this.lockUntilBlockHeight(input.locktime)
+      } else {
+        this.lockUntilDate(input.locktime)
+      }
+    }
     return this
   }
 
+  /**
+   * Picks the unspent outputs needed to pay the outputs of this transaction and the fee, among
+   * the ones given, and adds them as inputs. Change is sent to the change address, unless it
+   * would be smaller than `Transaction.DUST_AMOUNT`: the fee of the transaction is then set to
+   * the value left. Add the outputs, the change address and the fee per kilobyte first.
+   *
+   * @example
+   * ```javascript
+   * var transaction = new Transaction()
+   *   .to(address, 100000)
+   *   .change(changeAddress)
+   *   .selectCoins(utxos, { strategy: 'largestFirst' });
+   * ```
+   *
+   * @param {Array.<UnspentOutput|Object>} utxos
+   * @param {Object=} opts - options of CoinSelection, like the strategy
+   * @return {Transaction} this, for chaining
+   */
+  selectCoins(utxos, opts) {
+    return new CoinSelection(utxos, opts).fund(this)
+  }
+
   /**
    * Add an input to this transaction. The input must be an instance of the `Input` class.
    * It should have information about the Output that it's spending, but if it's not already
@@ -749,6 +1164,7 @@ class Transaction {
     this._clearSignatures()
     if (this._changeIndex !== undefined) {
       this._removeOutput(this._changeIndex)
+      this._changeIndex = undefined
     }
     const available = this._getUnspentValue()
     const fee = this.getFee()
@@ -799,12 +1215,37 @@ class Transaction {
   }
 
   /**
-   * Estimates fee from serialized transaction size in bytes.
+   * Estimates the fee needed by the transaction once it is signed. The size of the transaction
+   * is an upper bound, see SizeEstimator, so the fee is at least the fee rate.
+   *
+   * @param {Object=} opts
+   * @param {number=} opts.satPerByte - the fee rate, by default the fee per kilobyte of the
+   *    transaction divided by 1000
+   * @param {string=} opts.signingMethod - 'ecdsa' or 'schnorr', by default the method the
+   *    transaction was signed with
+   * @param {boolean=} opts.withChange - add an output to the change address to the estimate
+   * @return {number} the fee in satoshis
+   */
+  estimateFee(opts = {}) {
+    const satPerByte = _.isUndefined(opts.satPerByte) ? this._getSatPerByte() : opts.satPerByte
+    $.checkArgument(_.isNumber(satPerByte) && satPerByte >= 0, 'Invalid fee rate')
+    return Math.ceil(this._estimateSize(opts) * satPerByte)
+  }
+
+  _getSatPerByte() {
+    return (this._feePerKb || Transaction.FEE_PER_KB) / 1000
+  }
+
+  /**
+   * Estimates the fee, counting the change output that will be added if the value left is
+   * enough to pay for it.
    */
   _estimateFee() {
-    const estimatedSize = this._estimateSize()
-    const available = this._getUnspentValue()
-    return Transaction._estimateFee(estimatedSize, available, this._feePerKb)
+    const fee = this.estimateFee()
+    if (this._changeScript && this._changeIndex === undefined && this._getUnspentValue() > fee) {
+      return this.estimateFee({ withChange: true })
+    }
+    return fee
   }
 
   _getUnspentValue() {
@@ -815,13 +1256,18 @@ class Transaction {
     this.inputs.forEach((input) => input.clearSignatures())
   }
 
-  _estimateSize() {
-    let result = this.inputs.reduce(
-      (acc, input) => acc + input._estimateSize(),
-      Transaction.MAXIMUM_EXTRA_SIZE
-    )
-    result = this.outputs.reduce((acc, output) => acc + output.script.toBuffer().length + 9, result)
-    return result
+  /**
+   * @param {Object=} opts - see estimateFee
+   * @return {number} an upper bound of the size of the transaction once signed
+   */
+  _estimateSize(opts = {}) {
+    const signingMethod = opts.signingMethod || this._signingMethod
+    const inputSizes = this.inputs.map((input) => input._estimateSize(signingMethod))
+    const outputSizes = this.outputs.map((output) => SizeEstimator.outputSize(output.script))
+    if (opts.withChange && this._changeScript) {
+      outputSizes.push(SizeEstimator.outputSize(this._changeScript))
+    }
+    return SizeEstimator.transactionSize(inputSizes, outputSizes)
   }
 
   _removeOutput(index) {
@@ -944,23 +1390,28 @@ class Transaction {
    * It tries to sign each input, verifying that the signature will be valid
    * (matches a public key).
    *
+   * Schnorr signatures are smaller than ECDSA signatures, so once the transaction is signed with
+   * them the size used to estimate the fee is smaller as well.
+   *
    * @param {Array|String|PrivateKey} privateKeys
    * @param {number} sigtype
+   * @param {string=} signingMethod - 'ecdsa' (default) or 'schnorr'
    * @return {Transaction} this, for chaining
    */
-  sign(privateKeys, sigtype) {
+  sign(privateKeys, sigtype, signingMethod) {
     $.checkState(this.hasAllUtxoInfo(), 'Cannot sign because an input is not defined')
     const self = this
     if (Array.isArray(privateKeys)) {
-      privateKeys.forEach((privateKey) => self.sign(privateKey, sigtype))
+      privateKeys.forEach((privateKey) => self.sign(privateKey, sigtype, signingMethod))
       return this
     }
-    const signatures = this.getSignatures(privateKeys, sigtype)
+    const signatures = this.getSignatures(privateKeys, sigtype, signingMethod)
     signatures.forEach((signature) => self.applySignature(signature))
+    this._signingMethod = signingMethod
     return this
   }
 
-  getSignatures(privKey, sigtype) {
+  getSignatures(privKey, sigtype, signingMethod) {
     privKey = new PrivateKey(privKey)
     // By default, signs using ALL|FORKID
     sigtype = sigtype || Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID
@@ -968,7 +1419,14 @@ class Transaction {
     const results = []
     const hashData = Hash.sha256ripemd160(privKey.publicKey.toBuffer())
     this.inputs.forEach((input, index) => {
-      const signatures = input.getSignatures(transaction, privKey, index, sigtype, hashData)
+      const signatures = input.getSignatures(
+        transaction,
+        privKey,
+        index,
+        sigtype,
+        hashData,
+        signingMethod
+      )
       signatures.forEach((signature) => results.push(signature))
     })
     return results
@@ -1013,10 +1471,16 @@ class Transaction {
   }
 
   /**
+   * @param {BN=} satoshisBN - the amount of the output spent by the input, for SIGHASH_FORKID
+   *    signatures. The one of the output of the input by default.
    * @returns {bool} whether the signature is valid for this transaction input
    */
-  verifySignature(sig, pubkey, nin, subscript) {
-    return Sighash.verify(this, sig, pubkey, nin, subscript)
+  verifySignature(sig, pubkey, nin, subscript, satoshisBN) {
+    const { output } = this.inputs[nin]
+    if (_.isUndefined(satoshisBN) && output) {
+      satoshisBN = output.satoshisBN
+    }
+    return Sighash.verify(this, sig, pubkey, nin, subscript, satoshisBN)
   }
 
   /**
@@ -1078,6 +1542,144 @@ class Transaction {
     return true
   }
 
+  /**
+   * Verifies this transaction against the outputs it spends, as a node would before accepting it
+   * in a block at the given height: the structure of the transaction (see Transaction#verify),
+   * nLockTime finality, the value of the inputs, and for each input that the output it spends
+   * exists, its script, coinbase maturity and the BIP68 relative lock time.
+   *
+   * The outputs spent are read from `utxoView`, an array of unspent outputs or an object with a
+   * `get(outputId)` method, see Transaction.OutputId. Each one has a `script`, `satoshis`, and
+   * optionally the `height` of the block that confirmed it, whether it is the output of a
+   * `coinbase`, and the `mtp` (median time past) of the block before the one that confirmed it.
+   * Outputs without a height are unconfirmed: they are considered confirmed in the same block as
+   * this transaction, so chains of unconfirmed transactions can be verified.
+   *
+   * @example
+   * ```javascript
+   * var result = transaction.verifyAgainst(utxos, { height: 600000, mtp: 1569000000 });
+   * // { valid: false, errors: [], fee: 1000,
+   * //   inputs: [{ valid: false, error: 'SCRIPT_ERR_EVAL_FALSE_IN_STACK' }] }
+   * ```
+   *
+   * @param {Array|Object} utxoView - the outputs spent by the transaction
+   * @param {Object} opts
+   * @param {number} opts.height - the height of the block that would include the transaction
+   * @param {number} opts.mtp - the median time past of the block before it
+   * @param {number=} opts.flags - the script verification flags, see Interpreter.SCRIPT_*. By
+   *    default, the flags of the chain of the transaction, see Interpreter#getChainFlags: the
+   *    NULLFAIL, CLEANSTACK and SIGHASH_FORKID rules aren't enforced.
+   * @return {Object} whether the transaction is `valid`, the `errors` that concern the whole
+   *    transaction, the `fee` if the outputs spent are known, and for each input whether it is
+   *    `valid` and its `error`
+   */
+  verifyAgainst(utxoView, opts = {}) {
+    $.checkArgument(_.isNumber(opts.height), 'height must be a number')
+    $.checkArgument(_.isNumber(opts.mtp), 'mtp must be a number')
+    const flags = _.isUndefined(opts.flags)
+      ? new Interpreter({ chain: this.chain }).getChainFlags()
+      : opts.flags
+    const view = getUtxoView(utxoView)
+
+    const failures = []
+    const structure = this.verify()
+    if (structure !== true) {
+      failures.push(structure)
+    }
+    if (!this.isFinal(opts.height, opts.mtp)) {
+      failures.push('bad-txns-nonfinal')
+    }
+    if (this.isCoinbase()) {
+      return { valid: failures.length === 0, errors: failures, inputs: [] }
+    }
+
+    // the inputs are verified on a copy that has the outputs spent read from the view
+    const copy = this.constructor.shallowCopy(this)
+    const coins = copy.inputs.map((input) => {
+      const coin = view.get(new OutputId(input.prevTxId.toString('hex'), input.outputIndex))
+      if (coin) {
+        input.output = new Output({ script: coin.script, satoshis: coin.satoshis })
+      }
+      return coin
+    })
+    const inputs = copy.inputs.map((input, index) => {
+      const error = copy._verifyInputAgainst(index, coins[index], flags, opts)
+      return { valid: !error, error: error || null }
+    })
+
+    let fee
+    if (_.every(coins)) {
+      const inputAmount = _.sumBy(copy.inputs, (input) => input.output.satoshis)
+      if (inputAmount > Transaction.MAX_MONEY) {
+        failures.push('bad-txns-inputvalues-outofrange')
+      } else if (inputAmount < this.outputAmount) {
+        failures.push('bad-txns-in-belowout')
+      }
+      fee = inputAmount - this.outputAmount
+    }
+    return {
+      valid: failures.length === 0 && _.every(inputs, 'valid'),
+      errors: failures,
+      fee,
+      inputs,
+    }
+  }
+
+  _verifyInputAgainst(index, coin, flags, opts) {
+    if (!coin) {
+      return 'bad-txns-inputs-missingorspent'
+    }
+    const confirmed = !_.isUndefined(coin.height)
+    const height = confirmed ? coin.height : opts.height
+    if (coin.coinbase && opts.height - height < Transaction.COINBASE_MATURITY) {
+      return 'bad-txns-premature-spend-of-coinbase'
+    }
+
+    // BIP68 relative lock times, measured from the block that confirmed the output
+    const relativeLockTime =
+      this.version >= Transaction.RELATIVE_LOCKTIME_VERSION &&
+      this.inputs[index].getRelativeLockTime()
+    if (relativeLockTime) {
+      if (relativeLockTime.seconds !== undefined) {
+        const mtp = confirmed ? coin.mtp : opts.mtp
+        if (!_.isNumber(mtp)) {
+          return 'missing-coin-mtp'
+        }
+        if (mtp + relativeLockTime.seconds - 1 >= opts.mtp) {
+          return 'non-BIP68-final'
+        }
+      } else if (height + relativeLockTime.blocks - 1 >= opts.height) {
+        return 'non-BIP68-final'
+      }
+    }
+
+    const input = this.inputs[index]
+    const interpreter = new Interpreter({ chain: this.chain })
+    if (!interpreter.verify(input.script, input.output.script, this, index, flags)) {
+      return interpreter.errstr
+    }
+    return undefined
+  }
+
+  /**
+   * Analogous to bitcoind's IsFinalTx: whether this transaction can be included in the block at
+   * the given height.
+   *
+   * @param {number} height - the height of the block
+   * @param {number} mtp - the median time past of the block before it
+   * @return {boolean}
+   */
+  isFinal(height, mtp) {
+    if (this.nLockTime === 0) {
+      return true
+    }
+    const limit = this.nLockTime < Transaction.NLOCKTIME_BLOCKHEIGHT_LIMIT ? height : mtp
+    if (this.nLockTime < limit) {
+      return true
+    }
+    return this.inputs.every((input) => input.sequenceNumber === Input.MAXINT)
+  }
+
   /**
    * Analogous to bitcoind's IsCoinBase function in transaction.h
    */
@@ -1110,6 +1712,67 @@ class Transaction {
     return this
   }
 
+  /**
+   * Summarizes the transaction for review: who is paid and how much, the fee and the fee rate,
+   * and how far each input is signed. Amounts are given in satoshis and in BTC.
+   *
+   * Values that depend on the outputs spent are null for inputs without them, and the signature
+   * status is null for inputs whose signatures can't be read, like the inputs of a deserialized
+   * transaction.
+   *
+   * @example
+   * ```javascript
+   * transaction.explain();
+   * // { id: '...', version: 1, nLockTime: 0, size: 226,
+   * //   inputs: [{ index: 0, outputId: '...:0', sequenceNumber: 4294967295,
+   * //     address: 'mszYqVnqKoQx4jcTdJXxwKAissE3Jbrrc1', satoshis: 100000, btc: 0.001,
+   * //     fullySigned: false, signatures: 0, missingSignatures: 1 }],
+   * //   outputs: [{ index: 0, address: 'mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc', satoshis: 50000,
+   * //     btc: 0.0005 }, ...],
+   * //   inputAmount: 100000, outputAmount: 99900, fee: 100, feeRate: 0.44, fullySigned: false }
+   * ```
+   *
+   * @param {Object=} opts
+   * @param {Network|string=} opts.network - the network of the addresses, the one of the scripts
+   *    or the default network by default
+   * @return {Object}
+   */
+  explain(opts = {}) {
+    const inputs = this.inputs.map((input, index) =>
+      _.assign(
+        { index, outputId: getOutputId(input), sequenceNumber: input.sequenceNumber },
+        input.output
+          ? explainOutput(input.output, opts.network)
+          : { address: null, satoshis: null, btc: null },
+        explainSignatures(input)
+      )
+    )
+    const outputs = this.outputs.map((output, index) =>
+      _.assign({ index }, explainOutput(output, opts.network))
+    )
+    // the size once signed, estimated for the inputs that aren't signed yet
+    const size = this._estimateSize()
+    const inputAmount =
+      !this.isCoinbase() && this.inputs.every((input) => input.output)
+        ? this._getInputAmount()
+        : null
+    const fee = inputAmount === null ? null : inputAmount - this._getOutputAmount()
+    const fullySigned = inputs.map((input) => input.fullySigned)
+    return {
+      id: this.id,
+      version: this.version,
+      nLockTime: this.nLockTime,
+      size,
+      inputs,
+      outputs,
+      inputAmount,
+      outputAmount: this._getOutputAmount(),
+      fee,
+      feeRate: fee === null ? null : Math.round((fee / size) * 100) / 100,
+      fullySigned: _.includes(fullySigned, null) ? null : _.every(fullySigned),
+    }
+  }
+
   /**
    * Create a 'shallow' copy of the transaction, by serializing and deserializing
    * it dropping any additional information that inputs and outputs may have hold
@@ -1118,18 +1781,133 @@ class Transaction {
    * @return {Transaction}
    */
   static shallowCopy(transaction) {
-    return new Transaction(transaction.toBuffer())
+    return new this(transaction.toBuffer())
   }
 
-  static _estimateFee(size, amountAvailable, feePerKb) {
-    const fee = Math.ceil((size / 1000) * (feePerKb || Transaction.FEE_PER_KB))
-    if (amountAvailable > fee) {
-      size += Transaction.CHANGE_OUTPUT_MAX_SIZE
+  /**
+   * Creates a transaction from a partially signed transaction, with the signatures collected so
+   * far applied to its inputs.
+   *
+   * @param {PartialTransaction|Buffer|string} partial - a partially signed transaction, or its
+   *    binary or base64 serialization
+   * @return {Transaction}
+   */
+  static fromPartial(partial) {
+    return new PartialTransaction(partial).toTransaction(this)
+  }
+
+  /**
+   * Builds a transaction that spends an output of an unconfirmed transaction with a fee high
+   * enough for both transactions together to pay the given fee rate, so that miners include the
+   * parent to collect the fee of the child (child pays for parent). The child sends the value of
+   * the output, minus its fee, to the given address, and must then be signed.
+   *
+   * @example
+   * ```javascript
+   * var child = Transaction.childPaysForParent(stuck, 1, changeAddress, { satPerByte: 2 })
+   *   .sign(privateKey);
+   * ```
+   *
+   * @param {Transaction} parent - the unconfirmed transaction
+   * @param {number} outputIndex - the index of the output of the parent spent by the child
+   * @param {Address|string} address - the address the child pays to
+   * @param {Object=} opts
+   * @param {number=} opts.satPerByte - the fee rate of the parent and the child together, by
+   *    default Transaction.FEE_PER_KB divided by 1000
+   * @param {number=} opts.parentFee - the fee paid by the parent, computed from the outputs its
+   *    inputs spend by default, so it is needed for a parent deserialized without them
+   * @param {Array=} opts.publicKeys - the public keys that can sign a multisig output, see
+   *    Transaction#from
+   * @param {number=} opts.threshold - the number of signatures needed by a multisig output
+   * @param {string=} opts.signingMethod - 'ecdsa' or 'schnorr', the method the child will be signed
+   *    with
+   * @return {Transaction} the child transaction
+   */
+  static childPaysForParent(parent, outputIndex, address, opts = {}) {
+    $.checkArgument(parent.outputs[outputIndex], 'Invalid output index')
+    const satPerByte = _.isUndefined(opts.satPerByte)
+      ? Transaction.FEE_PER_KB / 1000
+      : opts.satPerByte
+    $.checkArgument(_.isNumber(satPerByte) && satPerByte >= 0, 'Invalid fee rate')
+    if (_.isUndefined(opts.parentFee) && parent.inputs.some((input) => !input.output)) {
+      throw new errors.Transaction.NeedMoreInfo(
+        'The outputs spent by the parent are unknown, give its fee with opts.parentFee'
+      )
+    }
+    const parentFee = _.isUndefined(opts.parentFee) ? parent._getUnspentValue() : opts.parentFee
+
+    const output = parent.outputs[outputIndex]
+    const utxo = new UnspentOutput({
+      txId: parent.id,
+      outputIndex,
+      script: output.script,
+      satoshis: output.satoshis,
+    })
+    // the whole value of the output goes to the address while the size of the child is estimated
+    const child = new this().from(utxo, opts.publicKeys, opts.threshold).change(address).fee(0)
+    const childSize = child._estimateSize(opts)
+    const packageFee = Math.ceil((parent._estimateSize() + childSize) * satPerByte)
+    // the child pays at least the fee rate for itself, even if the parent pays more than enough
+    const fee = Math.max(packageFee - parentFee, Math.ceil(childSize * satPerByte))
+    if (utxo.satoshis - fee < Transaction.DUST_AMOUNT) {
+      throw new errors.Transaction.InsufficientFunds(
+        `${fee} satoshis of fee needed, the output has ${utxo.satoshis}`
+      )
     }
-    return Math.ceil((size / 1000) * (feePerKb || Transaction.FEE_PER_KB))
+    return child.fee(fee)
+  }
+
+  /**
+   * Reports what changed between two versions of a transaction, like a transaction sent to a
+   * co-signer and the one sent back.
+   *
+   * Inputs are matched by the output they spend: for each modified input, the changes of its
+   * `script` and `sequenceNumber` are given as `{ from, to }`, the public keys whose signatures
+   * were `added` or `removed` as `signatures` (when the signatures of both inputs can be read),
+   * and its `previousIndex` if it moved. Outputs are matched by index, with the changes of their
+   * `satoshis` and `script`. Scripts are given in hex.
+   *
+   * @example
+   * ```javascript
+   * Transaction.diff(sent, received);
+   * // { version: null, nLockTime: null,
+   * //   inputs: { added: [], removed: [], modified: [{ index: 0, outputId: '...:0',
+   * //     script: { from: '', to: '0047...' }, signatures: { added: ['03...'], removed: [] } }] },
+   * //   outputs: { added: [], removed: [], modified: [] } }
+   * ```
+   *
+   * @param {Transaction} a - the original transaction
+   * @param {Transaction} b - the changed transaction
+   * @return {Object} the `version` and `nLockTime` changes, null if unchanged, and the `added`,
+   *    `removed` and `modified` `inputs` and `outputs`
+   */
+  static diff(a, b) {
+    return {
+      version: diffValue(a.version, b.version),
+      nLockTime: diffValue(a.nLockTime, b.nLockTime),
+      inputs: diffInputs(a, b),
+      outputs: diffOutputs(a, b),
+    }
+  }
+
+  /**
+   * Creates a transaction class whose instances read the data carrier size and the signature
+   * hashing rules from the given chain profile.
+   *
+   * @param {Chain} chain
+   * @return {Function} the transaction class for the chain
+   */
+  static forChain(chain) {
+    return Chains.extendClass(this, { chain })
   }
 }
 
+// Chain profile used by transactions that are not created through Transaction.forChain
+Transaction.chain = Chains.defaultChain
+
+// Number of blocks before the outputs of a coinbase transaction can be spent
+Transaction.COINBASE_MATURITY = 100
+
 // Minimum amount for an output for it not to be considered a dust output
 Transaction.DUST_AMOUNT = 546
 
@@ -1146,11 +1924,10 @@ Transaction.NLOCKTIME_BLOCKHEIGHT_LIMIT = 5e8
 // Max value for an unsigned 32 bit value
 Transaction.NLOCKTIME_MAX_VALUE = 4294967295
 
+// Minimum version for which BIP68 relative lock times are enforced
+Transaction.RELATIVE_LOCKTIME_VERSION = 2
+
 // Value used for fee estimation (satoshis per kilobyte)
 Transaction.FEE_PER_KB = 20000
 
-// Safe upper bound for change address script size in bytes
-Transaction.CHANGE_OUTPUT_MAX_SIZE = 20 + 4 + 34 + 4
-Transaction.MAXIMUM_EXTRA_SIZE = 4 + 9 + 9 + 4
-
 export default Transaction
@@ -2,6 +2,7 @@ import _ from 'lodash'
 import $ from '../util/preconditions'
 import Address from '../address'
 import JSUtil from '../util/js'
+import PublicKey from '../publickey'
 import Unit from '../unit'
 import Script from '../script/script'
 
@@ -21,6 +22,8 @@ import Script from '../script/script'
  * @param {number=} data.satoshis alias for `amount`, but expressed in satoshis
  *   (1 BTC = 1e8 satoshis)
  * @param {string|Address=} data.address the associated address to the script, if provided
+ * @param {string|PublicKey=} data.publicKey the public key a pay to public key hash output pays
+ *   to, if known
  */
 class UnspentOutput {
   constructor(data) {
@@ -48,8 +51,10 @@ class UnspentOutput {
       ? Unit.fromBTC(data.amount).toSatoshis()
       : data.satoshis
     $.checkArgument(_.isNumber(amount), 'Amount must be a number')
+    const publicKey = data.publicKey ? new PublicKey(data.publicKey) : undefined
     JSUtil.defineImmutable(this, {
       address,
+      publicKey,
       txId,
       outputIndex,
       script,
@@ -90,13 +95,17 @@ class UnspentOutput {
    * @return {object}
    */
   toJSON() {
-    return {
+    const obj = {
       address: this.address ? this.address.toString() : undefined,
       txid: this.txId,
       vout: this.outputIndex,
       scriptPubKey: this.script.toBuffer().toString('hex'),
       amount: Unit.fromSatoshis(this.satoshis).toBTC(),
     }
+    if (this.publicKey) {
+      obj.publicKey = this.publicKey.toString()
+    }
+    return obj
   }
 
   toObject() {
@@ -0,0 +1,398 @@
+import _ from 'lodash'
+import $ from '../util/preconditions'
+import Chains from '../chains'
+import errors from '../errors'
+import OutputId from './output-id'
+import Script from '../script/script'
+import UnspentOutput from './unspentoutput'
+
+const outputKey = (txId, outputIndex) => new OutputId(txId, outputIndex).toString()
+
+const spentKeys = (transaction) =>
+  transaction.isCoinbase()
+    ? []
+    : transaction.inputs.map((input) =>
+        outputKey(input.prevTxId.toString('hex'), input.outputIndex)
+      )
+
+// the transactions of a block ordered so that every transaction comes after the ones it spends,
+// as blocks sorted by transaction id (CTOR) don't guarantee it
+const sortTopologically = function (transactions) {
+  const byId = _.keyBy(transactions, (transaction) => transaction.id)
+  const sorted = []
+  const visited = {}
+  const visit = function (transaction) {
+    if (visited[transaction.id]) {
+      return
+    }
+    visited[transaction.id] = true
+    if (!transaction.isCoinbase()) {
+      transaction.inputs.forEach((input) => {
+        const parent = byId[input.prevTxId.toString('hex')]
+        if (parent) {
+          visit(parent)
+        }
+      })
+    }
+    sorted.push(transaction)
+  }
+  transactions.forEach(visit)
+  return sorted
+}
+
+/**
+ * An in-memory set of unspent outputs, keyed by Transaction.OutputId, that transactions and blocks
+ * are applied to and undone from. Transactions applied without a height are unconfirmed: they form
+ * the mempool, and the chains of unconfirmed transactions are limited to the chained transaction
+ * limit of the chain. Confirmed transactions are the ones applied with a block or a height.
+ *
+ * The set only tracks which outputs are spent, it doesn't verify the scripts or the values of the
+ * transactions: it can be passed to Transaction#verifyAgainst for that.
+ *
+ * @example
+ * ```javascript
+ * var utxoSet = new UtxoSet({ utxos: utxos });
+ * utxoSet.applyTransaction(transaction);
+ * var next = new Transaction().from(utxoSet.getUnspentOutputs(address)).to(toAddress, 10000);
+ * ```
+ *
+ * @param {Object=} opts
+ * @param {Array=} opts.utxos - the unspent outputs the set starts with, see UtxoSet#add
+ * @param {Chain|string=} opts.chain - the chain profile that gives the chained transaction limit,
+ *    the default chain by default
+ * @param {number=} opts.chainedTransactionLimit - the maximum length of a chain of unconfirmed
+ *    transactions, the one of the chain by default
+ */
+class UtxoSet {
+  constructor(opts = {}) {
+    const chain = opts.chain ? Chains.get(opts.chain) : Chains.defaultChain
+    $.checkArgument(chain, 'Unknown chain')
+    this.chainedTransactionLimit = opts.chainedTransactionLimit || chain.chainedTransactionLimit
+    // output id string -> unspent output
+    this._coins = new Map()
+    // output id string -> id of the applied transaction that spends it
+    this._spentBy = new Map()
+    // transaction id -> the applied transaction, its height and mtp, and the outputs it spent
+    this._transactions = new Map()
+    _.each(opts.utxos, (utxo) => this.add(utxo))
+  }
+
+  /**
+   * The number of unspent outputs
+   *
+   * @return {number}
+   */
+  get size() {
+    return this._coins.size
+  }
+
+  /**
+   * Adds an output that isn't created by a transaction applied to the set.
+   *
+   * @param {UnspentOutput|Object} utxo - the unspent output, see UnspentOutput
+   * @param {number=} utxo.height - the height of the block that confirmed it, unconfirmed if not set
+   * @param {number=} utxo.mtp - the median time past of the block before the one that confirmed it
+   * @param {boolean=} utxo.coinbase - whether it is an output of a coinbase transaction
+   * @return {UtxoSet} this, for chaining
+   */
+  add(utxo) {
+    const unspentOutput = new UnspentOutput(utxo)
+    const key = outputKey(unspentOutput.txId, unspentOutput.outputIndex)
+    $.checkArgument(!this._coins.has(key) && !this._spentBy.has(key), `Output ${key} is known`)
+    this._coins.set(key, {
+      txId: unspentOutput.txId,
+      outputIndex: unspentOutput.outputIndex,
+      script: unspentOutput.script,
+      satoshis: unspentOutput.satoshis,
+      height: utxo.height,
+      mtp: utxo.mtp,
+      coinbase: !!utxo.coinbase,
+    })
+    return this
+  }
+
+  /**
+   * Returns an unspent output, with its `script`, `satoshis`, and the `height`, `mtp` and
+   * `coinbase` flag expected by Transaction#verifyAgainst
+   *
+   * @param {OutputId|string} outputId
+   * @return {Object|undefined}
+   */
+  get(outputId) {
+    return this._coins.get(outputId.toString())
+  }
+
+  /**
+   * @param {OutputId|string} outputId
+   * @return {boolean} whether the output is unspent
+   */
+  has(outputId) {
+    return this._coins.has(outputId.toString())
+  }
+
+  /**
+   * @param {OutputId|string} outputId
+   * @return {string|undefined} the id of the applied transaction that spends the output
+   */
+  getSpender(outputId) {
+    return this._spentBy.get(outputId.toString())
+  }
+
+  /**
+   * @param {string} txId
+   * @return {boolean} whether the transaction is applied and unconfirmed
+   */
+  isUnconfirmed(txId) {
+    const entry = this._transactions.get(txId)
+    return !!entry && _.isUndefined(entry.height)
+  }
+
+  /**
+   * Returns the unspent outputs, in the format taken by Transaction#from.
+   *
+   * @param {Address|Script|string=} filter - only the outputs paying to this address or script
+   * @return {Array.<UnspentOutput>}
+   */
+  getUnspentOutputs(filter) {
+    let script
+    if (filter) {
+      script = filter instanceof Script ? filter : Script.fromAddress(filter)
+    }
+    const unspentOutputs = []
+    this._coins.forEach((coin) => {
+      if (!script || coin.script.equals(script)) {
+        unspentOutputs.push(new UnspentOutput(coin))
+      }
+    })
+    return unspentOutputs
+  }
+
+  /**
+   * Applies a transaction: the outputs it spends are removed from the set, and the ones it creates
+   * are added, except the OP_RETURN ones.
+   *
+   * @param {Transaction} transaction
+   * @param {Object=} opts
+   * @param {number=} opts.height - the height of the block that confirmed the transaction, the
+   *    transaction is unconfirmed if it isn't set
+   * @param {number=} opts.mtp - the median time past of the block before the one that confirmed it
+   * @return {UtxoSet} this, for chaining
+   * @throws {UtxoSet.MissingOutput} if an output spent isn't in the set
+   * @throws {UtxoSet.DoubleSpend} if an output spent is spent by another applied transaction
+   * @throws {UtxoSet.TooLongChain} if the transaction is unconfirmed and ends a chain of
+   *    unconfirmed transactions longer than the chained transaction limit
+   */
+  applyTransaction(transaction, opts = {}) {
+    this._apply(transaction, opts.height, opts.mtp)
+    if (_.isUndefined(opts.height)) {
+      const length = this._chainLength(transaction.id)
+      if (length > this.chainedTransactionLimit) {
+        this._undo(transaction.id)
+        throw new errors.UtxoSet.TooLongChain(transaction.id, length, this.chainedTransactionLimit)
+      }
+    }
+    return this
+  }
+
+  /**
+   * Undoes an applied transaction: the outputs it created are removed and the ones it spent are
+   * unspent again.
+   *
+   * @param {Transaction|string} transaction - the transaction or its id
+   * @return {UtxoSet} this, for chaining
+   * @throws {UtxoSet.UnknownTransaction} if the transaction isn't applied
+   * @throws {UtxoSet.OutputSpent} if an output of the transaction is spent, the transactions that
+   *    spend it must be undone first
+   */
+  undoTransaction(transaction) {
+    this._undo(_.isString(transaction) ? transaction : transaction.id)
+    return this
+  }
+
+  /**
+   * Applies the transactions of a block. The unconfirmed transactions already applied are
+   * confirmed, and the unconfirmed transactions that conflict with the block are undone with the
+   * transactions that spend them. If a transaction can't be applied, the set is left unchanged.
+   *
+   * @param {Block} block
+   * @param {Object} opts
+   * @param {number} opts.height - the height of the block
+   * @param {number=} opts.mtp - the median time past of the block before it
+   * @return {Array.<Transaction>} the unconfirmed transactions undone
+   */
+  applyBlock(block, opts = {}) {
+    $.checkArgument(_.isNumber(opts.height), 'height must be a number')
+    return this._atomically(() => {
+      const evicted = []
+      sortTopologically(block.transactions).forEach((transaction) => {
+        const entry = this._transactions.get(transaction.id)
+        if (entry) {
+          if (!_.isUndefined(entry.height)) {
+            throw new errors.UtxoSet.AlreadyApplied(transaction.id)
+          }
+          this._confirm(transaction.id, opts.height, opts.mtp)
+          return
+        }
+        spentKeys(transaction).forEach((key) => {
+          const spender = this._spentBy.get(key)
+          if (spender && this.isUnconfirmed(spender)) {
+            evicted.push(...this._evict(spender))
+          }
+        })
+        this._apply(transaction, opts.height, opts.mtp)
+      })
+      return evicted
+    })
+  }
+
+  /**
+   * Undoes the transactions of a block, and the unconfirmed transactions that spend their outputs.
+   * The transactions of the block that aren't coinbase can be applied again, unconfirmed, with
+   * UtxoSet#applyTransaction.
+   *
+   * @param {Block} block
+   * @return {Array.<Transaction>} the unconfirmed transactions undone
+   * @throws {UtxoSet.OutputSpent} if an output of the block is spent by a confirmed transaction
+   */
+  undoBlock(block) {
+    const ids = _.keyBy(block.transactions, (transaction) => transaction.id)
+    return this._atomically(() => {
+      const evicted = []
+      sortTopologically(block.transactions)
+        .reverse()
+        .forEach((transaction) => {
+          transaction.outputs.forEach((output, index) => {
+            const spender = this._spentBy.get(outputKey(transaction.id, index))
+            if (spender && !ids[spender] && this.isUnconfirmed(spender)) {
+              evicted.push(...this._evict(spender))
+            }
+          })
+          this._undo(transaction.id)
+        })
+      return evicted
+    })
+  }
+
+  _apply(transaction, height, mtp) {
+    const txId = transaction.id
+    if (this._transactions.has(txId)) {
+      throw new errors.UtxoSet.AlreadyApplied(txId)
+    }
+    const keys = spentKeys(transaction)
+    keys.forEach((key) => {
+      if (this._spentBy.has(key)) {
+        throw new errors.UtxoSet.DoubleSpend(key, this._spentBy.get(key))
+      }
+      if (!this._coins.has(key)) {
+        throw new errors.UtxoSet.MissingOutput(key)
+      }
+    })
+    if (_.uniq(keys).length !== keys.length) {
+      throw new errors.UtxoSet.DoubleSpend(
+        _.find(keys, (key, i) => keys.indexOf(key) !== i),
+        txId
+      )
+    }
+
+    const spent = keys.map((key) => this._coins.get(key))
+    keys.forEach((key) => {
+      this._coins.delete(key)
+      this._spentBy.set(key, txId)
+    })
+    transaction.outputs.forEach((output, outputIndex) => {
+      if (!output.script.isDataCarrier()) {
+        this._coins.set(outputKey(txId, outputIndex), {
+          txId,
+          outputIndex,
+          script: output.script,
+          satoshis: output.satoshis,
+          height,
+          mtp,
+          coinbase: transaction.isCoinbase(),
+        })
+      }
+    })
+    this._transactions.set(txId, { transaction, height, mtp, spent })
+  }
+
+  _undo(txId) {
+    const entry = this._transactions.get(txId)
+    if (!entry) {
+      throw new errors.UtxoSet.UnknownTransaction(txId)
+    }
+    const { transaction } = entry
+    transaction.outputs.forEach((output, outputIndex) => {
+      const key = outputKey(txId, outputIndex)
+      if (this._spentBy.has(key)) {
+        throw new errors.UtxoSet.OutputSpent(key, this._spentBy.get(key))
+      }
+    })
+    transaction.outputs.forEach((output, outputIndex) => {
+      this._coins.delete(outputKey(txId, outputIndex))
+    })
+    entry.spent.forEach((coin) => {
+      const key = outputKey(coin.txId, coin.outputIndex)
+      this._spentBy.delete(key)
+      this._coins.set(key, coin)
+    })
+    this._transactions.delete(txId)
+  }
+
+  // undoes an unconfirmed transaction and the transactions that spend its outputs, returns them
+  // in the order they were undone
+  _evict(txId) {
+    const { transaction } = this._transactions.get(txId)
+    const evicted = []
+    transaction.outputs.forEach((output, outputIndex) => {
+      const spender = this._spentBy.get(outputKey(txId, outputIndex))
+      if (spender) {
+        evicted.push(...this._evict(spender))
+      }
+    })
+    this._undo(txId)
+    evicted.push(transaction)
+    return evicted
+  }
+
+  _confirm(txId, height, mtp) {
+    const entry = this._transactions.get(txId)
+    this._transactions.set(txId, _.assign({}, entry, { height, mtp }))
+    entry.transaction.outputs.forEach((output, outputIndex) => {
+      const key = outputKey(txId, outputIndex)
+      const coin = this._coins.get(key)
+      if (coin) {
+        this._coins.set(key, _.assign({}, coin, { height, mtp }))
+      }
+    })
+  }
+
+  // the number of unconfirmed transactions in the longest chain that ends with the transaction
+  _chainLength(txId, lengths = {}) {
+    if (!this.isUnconfirmed(txId)) {
+      return 0
+    }
+    if (_.isUndefined(lengths[txId])) {
+      const parents = _.uniq(this._transactions.get(txId).spent.map((coin) => coin.txId))
+      lengths[txId] = 1 + _.max([0, ...parents.map((parent) => this._chainLength(parent, lengths))])
+    }
+    return lengths[txId]
+  }
+
+  // runs a function that changes the set, restoring the set if it throws. The entries of the maps
+  // are replaced rather than changed, so shallow copies are enough.
+  _atomically(fn) {
+    const coins = new Map(this._coins)
+    const spentBy = new Map(this._spentBy)
+    const transactions = new Map(this._transactions)
+    try {
+      return fn()
+    } catch (e) {
+      this._coins = coins
+      this._spentBy = spentBy
+      this._transactions = transactions
+      throw e
+    }
+  }
+}
+
+export default UtxoSet
@@ -748,5 +748,16 @@ describe('Address', function () {
         address.toString().should.equal(P2SHTestnet[i].trim())
       })
     })
+
+    it('should decode address in CashAddr format without network and type', function () {
+      const address = Address.fromString(
+        P2SHTestnetCashAddr[0],
+        undefined,
+        undefined,
+        Address.CashAddrFormat
+      )
+      address.network.should.equal(Networks.testnet)
+      address.toString().should.equal(P2SHTestnet[0].trim())
+    })
   })
 })
@@ -0,0 +1,180 @@
+import chai from 'chai'
+import Bitcoin from './bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { Chains } = Bitcoin
+
+describe('Chains', function () {
+  const privateKey = new Bitcoin.PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+  const utxo = {
+    txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+    outputIndex: 0,
+    script: Bitcoin.Script.buildPublicKeyHashOut(privateKey.toAddress()).toString(),
+    satoshis: 100000000,
+  }
+  const changeAddress = 'mgBCJAsvzgT2qNNeXsoECg2uPKrUsZ76up'
+
+  it('should contain the bch and bsv profiles', function () {
+    Chains.get('bch').should.equal(Chains.bch)
+    Chains.get('bitcoincash').should.equal(Chains.bch)
+    Chains.get('bsv').should.equal(Chains.bsv)
+    Chains.defaultChain.should.equal(Chains.bch)
+    Chains.bsv.toString().should.equal('bsv')
+  })
+
+  it('should be able to define and remove a custom chain', function () {
+    const custom = Chains.add({
+      name: 'customchain',
+      maxOpsPerScript: 1000,
+      disabledOpcodes: [],
+      dataCarrierSize: 80,
+      defaultAddressFormat: 'legacy',
+      forkId: 0,
+      enableSighashForkId: true,
+      networks: {},
+    })
+    Chains.get('customchain').should.equal(custom)
+    Chains.remove(custom)
+    should.equal(Chains.get('customchain'), undefined)
+  })
+
+  it('should resolve script limits', function () {
+    Chains.bch.getScriptLimits().should.equal(Chains.bch.scriptLimits.consensus)
+    Chains.bch.getScriptLimits('consensus').should.equal(Chains.bch.scriptLimits.consensus)
+    Chains.bsv.getScriptLimits().maxOpsPerScript.should.equal(500)
+    Chains.bsv.getScriptLimits({ maxStackSize: 2000 }).should.deep.equal({
+      maxOpsPerScript: 500,
+      maxScriptElementSize: 520,
+      maxStackSize: 2000,
+      maxScriptSize: 10000,
+      maxScriptNumLength: 4,
+    })
+    ;(function () {
+      Chains.bch.getScriptLimits('unknown')
+    }.should.throw(TypeError))
+    // the chains apply no other limits in policy than in consensus
+    ;(function () {
+      Chains.bsv.getScriptLimits('standard')
+    }.should.throw(TypeError, 'Chain bsv has no standard script limits'))
+  })
+
+  it('should define the script limits of a custom chain', function () {
+    const custom = Chains.add({
+      name: 'customchain',
+      maxOpsPerScript: 1000,
+      scriptLimits: {
+        consensus: { maxScriptSize: 20000 },
+        standard: { maxScriptSize: 5000 },
+      },
+      disabledOpcodes: [],
+      networks: {},
+    })
+    custom.scriptLimits.consensus.maxOpsPerScript.should.equal(1000)
+    custom.scriptLimits.consensus.maxScriptSize.should.equal(20000)
+    custom.scriptLimits.standard.maxScriptSize.should.equal(5000)
+    custom.scriptLimits.standard.maxOpsPerScript.should.equal(1000)
+    custom.scriptLimits.standard.maxScriptElementSize.should.equal(520)
+    custom.getScriptLimits('standard').should.equal(custom.scriptLimits.standard)
+    Chains.remove(custom)
+  })
+
+  it('should report disabled opcodes', function () {
+    Chains.bch.isOpcodeDisabled(Bitcoin.Opcode.OP_MUL).should.equal(true)
+    Chains.bch.isOpcodeDisabled(Bitcoin.Opcode.OP_ADD).should.equal(false)
+    ;['OP_MUL', 'OP_LSHIFT', 'OP_RSHIFT', 'OP_INVERT'].forEach((name) => {
+      Chains.bch.isOpcodeDisabled(Bitcoin.Opcode[name]).should.equal(true)
+      Chains.bsv.isOpcodeDisabled(Bitcoin.Opcode[name]).should.equal(false)
+    })
+    Chains.bsv.isOpcodeDisabled(Bitcoin.Opcode.OP_2MUL).should.equal(true)
+  })
+
+  it('should extend a class with the static properties of a chain', function () {
+    const ChainTransaction = Chains.extendClass(Bitcoin.Transaction, { chain: Chains.bsv })
+    ChainTransaction.chain.should.equal(Chains.bsv)
+    Bitcoin.Transaction.chain.should.equal(Chains.bch)
+    new ChainTransaction().should.be.instanceof(Bitcoin.Transaction)
+  })
+
+  describe('bch() and bsv()', function () {
+    const bch = Bitcoin.bch()
+    const bsv = Bitcoin.bsv()
+
+    it('should expose the chain profile', function () {
+      bch.chain.should.equal(Chains.bch)
+      bsv.chain.should.equal(Chains.bsv)
+      Bitcoin.chain.should.equal(Chains.defaultChain)
+    })
+
+    it('should share the chain independent classes', function () {
+      bch.PrivateKey.should.equal(Bitcoin.PrivateKey)
+      bsv.Opcode.should.equal(Bitcoin.Opcode)
+      bch.Transaction.Input.should.equal(Bitcoin.Transaction.Input)
+      ;(bch.Script('OP_1') instanceof Bitcoin.Script).should.equal(true)
+      bsv.Script.fromASM('OP_1').toString().should.equal('OP_1')
+    })
+
+    it('should use the op limit of each chain in the interpreter', function () {
+      const script = new Bitcoin.Script()
+      for (let i = 0; i < 300; i += 1) {
+        script.add('OP_NOP')
+      }
+      const bchInterpreter = new bch.Script.Interpreter()
+      bchInterpreter.verify(Bitcoin.Script('OP_1'), script).should.equal(false)
+      bchInterpreter.errstr.should.equal('SCRIPT_ERR_OP_COUNT')
+      new bsv.Script.Interpreter().verify(Bitcoin.Script('OP_1'), script).should.equal(true)
+      bsv.Script.Interpreter.SCRIPT_VERIFY_P2SH.should.equal(
+        Bitcoin.Script.Interpreter.SCRIPT_VERIFY_P2SH
+      )
+      bsv.Script.Interpreter().chain.should.equal(Chains.bsv)
+    })
+
+    it('should use the network constants of each chain', function () {
+      bch.Networks.livenet.networkMagic.should.deep.equal(Buffer.from('e3e1f3e8', 'hex'))
+      bch.Networks.livenet.dnsSeeds.should.deep.equal(Chains.bch.networks.livenet.dnsSeeds)
+      bsv.Networks.livenet.dnsSeeds.should.deep.equal(Chains.bsv.networks.livenet.dnsSeeds)
+      bsv.Networks.testnet.pubkeyhash.should.equal(Bitcoin.Networks.testnet.pubkeyhash)
+      bsv.Networks.get('testnet').should.equal(bsv.Networks.testnet)
+      bsv.Networks.get(bsv.Networks.testnet).should.equal(bsv.Networks.testnet)
+      Bitcoin.Networks.livenet.networkMagic.should.deep.equal(Buffer.from('f9beb4d9', 'hex'))
+    })
+
+    it('should follow the regtest setting of the default networks', function () {
+      bch.Networks.enableRegtest()
+      bch.Networks.testnet.networkMagic.should.deep.equal(Buffer.from('dab5bffa', 'hex'))
+      bch.Networks.testnet.port.should.equal(18444)
+      bch.Networks.disableRegtest()
+      bch.Networks.testnet.networkMagic.should.deep.equal(Buffer.from('f4e5f3f4', 'hex'))
+    })
+
+    it('should use the default address format of each chain', function () {
+      const address = new bch.Address(privateKey.publicKey, 'livenet')
+      address.toString().should.equal(address.toString('cashaddr'))
+      const bsvAddress = bsv.Address.fromString(address.toString('legacy'))
+      bsvAddress.toString().should.equal(address.toString('legacy'))
+      bch.Address.fromString(address.toString(), 'livenet')
+        .toString()
+        .should.equal(address.toString())
+    })
+
+    it('should use the data carrier size of each chain', function () {
+      const build = (Transaction) =>
+        new Transaction()
+          .from(utxo)
+          .addData(Buffer.alloc(1000))
+          .change(changeAddress)
+          .sign(privateKey)
+      expect(() => build(bch.Transaction).serialize()).to.throw(
+        Bitcoin.errors.Transaction.DataOutputTooLarge
+      )
+      expect(() => build(bsv.Transaction).serialize()).not.to.throw()
+      build(bsv.Transaction).chain.should.equal(Chains.bsv)
+    })
+
+    it('should keep the chain when copying a transaction', function () {
+      const tx = new bsv.Transaction().from(utxo).to(changeAddress, 1000)
+      new bsv.Transaction(tx).chain.should.equal(Chains.bsv)
+      bsv.Transaction.shallowCopy(tx).chain.should.equal(Chains.bsv)
+    })
+  })
+})
@@ -0,0 +1,32 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const { AES } = Bitcoin.crypto
+chai.should()
+
+describe('AES', function () {
+  // https://csrc.nist.gov/publications/detail/fips/197/final, appendix C
+  const plaintext = Buffer.from('00112233445566778899aabbccddeeff', 'hex')
+  const vectors = {
+    '000102030405060708090a0b0c0d0e0f': '69c4e0d86a7b0430d8cdb78070b4c55a',
+    '000102030405060708090a0b0c0d0e0f1011121314151617': 'dda97ca4864cdfe06eaf70a0ec0d7191',
+    '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f':
+      '8ea2b7ca516745bfeafc49904b496089',
+  }
+
+  Object.keys(vectors).forEach(function (key) {
+    it(`ciphers a block with a key of ${key.length * 4} bits`, function () {
+      const ciphertext = AES.encrypt(plaintext, Buffer.from(key, 'hex'))
+      ciphertext.toString('hex').should.equal(vectors[key])
+      AES.decrypt(ciphertext, Buffer.from(key, 'hex')).equals(plaintext).should.equal(true)
+    })
+  })
+
+  it('throws an error with blocks or keys of the wrong size', function () {
+    const key = Buffer.alloc(32)
+    AES.encrypt.bind(AES, Buffer.alloc(15), key).should.throw('block must be 16 bytes')
+    AES.decrypt
+      .bind(AES, plaintext, Buffer.alloc(20))
+      .should.throw('key must be 16, 24 or 32 bytes')
+  })
+})
@@ -21,6 +21,27 @@ describe('Point', function () {
     should.exist(p)
   })
 
+  describe('#getP', function () {
+    it('should return the field size', function () {
+      Point.getP()
+        .toString('hex')
+        .should.equal('fffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2f')
+    })
+  })
+
+  describe('#hasSquare', function () {
+    it('should tell if the y coordinate is a quadratic residue', function () {
+      const p = Point(valid.x, valid.y)
+      const negated = Point(valid.x, Point.getP().sub(new BN(valid.y, 16)).toString('hex'))
+      // exactly one of y and -y is a square, as p = 3 mod 4
+      p.hasSquare().should.not.equal(negated.hasSquare())
+    })
+
+    it('should return false for the point at infinity', function () {
+      Point.getG().mul(Point.getN()).hasSquare().should.equal(false)
+    })
+  })
+
   describe('#getX', function () {
     it('should return x', function () {
       const p = Point(valid.x, valid.y)
@@ -0,0 +1,188 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const should = chai.should()
+const { Schnorr } = Bitcoin.crypto
+const { Hash } = Bitcoin.crypto
+const { BN } = Bitcoin.crypto
+const { Point } = Bitcoin.crypto
+const { Signature } = Bitcoin.crypto
+const { PrivateKey } = Bitcoin
+const { PublicKey } = Bitcoin
+
+describe('Schnorr', function () {
+  const privkey = new PrivateKey(
+    BN.fromBuffer(
+      Buffer.from('fee0a1f7afebf9d2a5a80c0c98a31c709681cce195cbcd06342b517970c0be1e', 'hex')
+    )
+  )
+  const hashbuf = Hash.sha256(Buffer.from('test data'))
+
+  // Signature scheme test vectors shared with the original bip-schnorr proposal
+  const vectors = [
+    {
+      publicKey: '0279BE667EF9DCBBAC55A06295CE870B07029BFCDB2DCE28D959F2815B16F81798',
+      message: '0000000000000000000000000000000000000000000000000000000000000000',
+      signature:
+        '787A848E71043D280C50470E8E1532B2DD5D20EE912A45DBDD2BD1DFBF187EF67031A98831859DC34DFFEEDDA86831842CCD0079E1F92AF177F7F22CC1DCED05',
+    },
+    {
+      publicKey: '02DFF1D77F2A671C5F36183726DB2341BE58FEAE1DA2DECED843240F7B502BA659',
+      message: '243F6A8885A308D313198A2E03707344A4093822299F31D0082EFA98EC4E6C89',
+      signature:
+        '2A298DACAE57395A15D0795DDBFD1DCB564DA82B0F269BC70A74F8220429BA1D1E51A22CCEC35599B8F266912281F8365FFC2D035A230434A1A64DC59F7013FD',
+    },
+    {
+      publicKey: '03FAC2114C2FBB091527EB7C64ECB11F8021CB45E8E7809D3C0938E4B8C0E5F84B',
+      message: '5E2D58D8B3BCDF1ABADEC7829054F90DDA9805AAB56C77333024B9D0A508B75C',
+      signature:
+        '00DA9B08172A9B6F0466A2DEFD817F2D7AB437E0D253CB5395A963866B3574BE00880371D01766935B92D2AB4CD5C8A2A5837EC57FED7660773A05F0DE142380',
+    },
+  ]
+
+  describe('@verify', function () {
+    vectors.forEach(function (vector, i) {
+      it(`should verify test vector ${i}`, function () {
+        Schnorr.verify(
+          Buffer.from(vector.message, 'hex'),
+          Signature.fromSchnorr(Buffer.from(vector.signature, 'hex')),
+          PublicKey.fromString(vector.publicKey)
+        ).should.equal(true)
+      })
+    })
+
+    it('should not verify a signature of another message', function () {
+      const vector = vectors[1]
+      Schnorr.verify(
+        Buffer.from(vectors[2].message, 'hex'),
+        Signature.fromSchnorr(Buffer.from(vector.signature, 'hex')),
+        PublicKey.fromString(vector.publicKey)
+      ).should.equal(false)
+    })
+
+    it('should not verify a signature for another public key', function () {
+      const vector = vectors[1]
+      Schnorr.verify(
+        Buffer.from(vector.message, 'hex'),
+        Signature.fromSchnorr(Buffer.from(vector.signature, 'hex')),
+        PublicKey.fromString(vectors[2].publicKey)
+      ).should.equal(false)
+    })
+
+    it('should not verify a signature with r not below the field size', function () {
+      const sig = Schnorr.sign(hashbuf, privkey)
+      sig.r = sig.r.add(Point.getP())
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(false)
+    })
+
+    it('should not verify a signature with s not below the curve order', function () {
+      const sig = Schnorr.sign(hashbuf, privkey)
+      sig.s = sig.s.add(Point.getN())
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(false)
+    })
+
+    it('should not verify a signature whose R has a non square y coordinate', function () {
+      const N = Point.getN()
+      let k = new BN(1)
+      while (Point.getG().mul(k).hasSquare()) {
+        k = k.addn(1)
+      }
+      const r = Point.getG().mul(k).getX()
+      const e = BN.fromBuffer(
+        Hash.sha256(
+          Buffer.concat([r.toBuffer({ size: 32 }), privkey.publicKey.toBuffer(), hashbuf])
+        )
+      ).umod(N)
+      const s = k.add(e.mul(privkey.bn)).umod(N)
+      const sig = new Signature({ r, s, isSchnorr: true })
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(false)
+    })
+
+    it('should not verify a hash that is not 32 bytes', function () {
+      const sig = Schnorr.sign(hashbuf, privkey)
+      Schnorr.verify(hashbuf.slice(1), sig, privkey.publicKey).should.equal(false)
+    })
+  })
+
+  describe('@sign', function () {
+    it('should create a valid Schnorr signature', function () {
+      const sig = Schnorr.sign(hashbuf, privkey)
+      sig.isSchnorr.should.equal(true)
+      sig.toBuffer().length.should.equal(64)
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(true)
+    })
+
+    it('should be deterministic', function () {
+      const sig1 = Schnorr.sign(hashbuf, privkey)
+      const sig2 = Schnorr.sign(hashbuf, privkey)
+      sig1.toString().should.equal(sig2.toString())
+      Schnorr.sign(Hash.sha256(Buffer.from('other data')), privkey)
+        .toString()
+        .should.not.equal(sig1.toString())
+    })
+
+    it('should create the deterministic signature of Bitcoin ABC', function () {
+      // src/test/key_tests.cpp of Bitcoin ABC
+      const key = PrivateKey.fromWIF('5HxWvvfubhXpYYpS3tJkw6fq9jE9j18THftkZjHHfmFiWtmAbrj')
+      const hash = Hash.sha256sha256(Buffer.from('Very deterministic message'))
+      Schnorr.sign(hash, key)
+        .toBuffer()
+        .toString('hex')
+        .should.equal(
+          '2c56731ac2f7a7e7f11518fc7722a166b02438924ca9d8b4d111347b81d07175' +
+            '71846de67ad3d913a8fdf9d8f3f73161a4c48ae81cb183b214765feb86e255ce'
+        )
+    })
+
+    it('should use a nonce different from the ECDSA nonce', function () {
+      const sig = Schnorr.sign(hashbuf, privkey)
+      const ecdsa = Bitcoin.crypto.ECDSA().set({ hashbuf, privkey })
+      ecdsa.deterministicK()
+      sig.r.eq(Point.getG().mul(ecdsa.k).getX()).should.equal(false)
+    })
+
+    it('should negate nonces whose R point has a non square y coordinate', function () {
+      let negated = 0
+      for (let i = 0; i < 10; i += 1) {
+        const hash = Hash.sha256(Buffer.from([i]))
+        if (!Point.getG().mul(Schnorr.nonce(privkey.bn, hash)).hasSquare()) {
+          negated += 1
+        }
+        Schnorr.verify(hash, Schnorr.sign(hash, privkey), privkey.publicKey).should.equal(true)
+      }
+      negated.should.be.above(0)
+    })
+
+    it('should sign and verify little endian hashes', function () {
+      const sig = Schnorr.sign(hashbuf, privkey, 'little')
+      Schnorr.verify(hashbuf, sig, privkey.publicKey, 'little').should.equal(true)
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(false)
+      Schnorr.verify(Bitcoin.util.buffer.reverse(hashbuf), sig, privkey.publicKey).should.equal(
+        true
+      )
+    })
+
+    it('should sign with uncompressed public keys', function () {
+      const uncompressed = new PrivateKey({
+        bn: privkey.bn,
+        compressed: false,
+        network: 'livenet',
+      })
+      const sig = Schnorr.sign(hashbuf, uncompressed)
+      Schnorr.verify(hashbuf, sig, uncompressed.publicKey).should.equal(true)
+      Schnorr.verify(hashbuf, sig, privkey.publicKey).should.equal(true)
+    })
+
+    it('should throw with a hash that is not 32 bytes', function () {
+      ;(function () {
+        Schnorr.sign(Buffer.from('abcd', 'hex'), privkey)
+      }.should.throw('hashbuf must be 32 bytes'))
+    })
+
+    it('should throw without a private key', function () {
+      should.throw(function () {
+        Schnorr.sign(hashbuf)
+      })
+    })
+  })
+})
@@ -0,0 +1,29 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const { scrypt } = Bitcoin.crypto
+chai.should()
+
+describe('scrypt', function () {
+  // https://tools.ietf.org/html/rfc7914#section-12
+  it('derives the keys of the test vectors', function () {
+    scrypt(Buffer.alloc(0), Buffer.alloc(0), 16, 1, 1, 64)
+      .toString('hex')
+      .should.equal(
+        '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+          'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906'
+      )
+    scrypt(Buffer.from('password'), Buffer.from('NaCl'), 1024, 8, 16, 64)
+      .toString('hex')
+      .should.equal(
+        'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+          '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640'
+      )
+  })
+
+  it('throws an error when N is not a power of 2', function () {
+    scrypt
+      .bind(null, Buffer.alloc(0), Buffer.alloc(0), 15, 1, 1, 64)
+      .should.throw('N must be a power of 2')
+  })
+})
@@ -169,6 +169,42 @@ describe('Signature', function () {
     })
   })
 
+  describe('#fromSchnorr', function () {
+    const hex =
+      '787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced05'
+
+    it('should parse r and s of a Schnorr signature', function () {
+      const sig = Signature.fromSchnorr(Buffer.from(hex, 'hex'))
+      sig.isSchnorr.should.equal(true)
+      sig.r.toString('hex', 64).should.equal(hex.slice(0, 64))
+      sig.s.toString('hex', 64).should.equal(hex.slice(64))
+      sig.toBuffer().toString('hex').should.equal(hex)
+      sig.toString().should.equal(hex)
+    })
+
+    it('should be used by fromBuffer and fromString for 64 byte signatures', function () {
+      Signature.fromBuffer(Buffer.from(hex, 'hex')).isSchnorr.should.equal(true)
+      Signature.fromString(hex).isSchnorr.should.equal(true)
+    })
+
+    it('should throw for a signature that is not 64 bytes', function () {
+      ;(function () {
+        Signature.fromSchnorr(Buffer.from(hex.slice(2), 'hex'))
+      }.should.throw('Schnorr signature should be 64 bytes'))
+    })
+
+    it('should parse a Schnorr signature in tx format', function () {
+      const buf = Buffer.from(`${hex}41`, 'hex')
+      const sig = Signature.fromTxFormat(buf)
+      sig.isSchnorr.should.equal(true)
+      sig.nhashtype.should.equal(Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
+      sig.toTxFormat().toString('hex').should.equal(`${hex}41`)
+      should.throw(function () {
+        Signature.fromTxFormat(buf, false)
+      })
+    })
+  })
+
   describe('#parseDER', function () {
     it('should parse this signature generated in node', function () {
       const sighex =
@@ -341,6 +377,23 @@ describe('Signature', function () {
       testSigs(sigNonCanonical, false)
     })
   })
+  describe('@isDER', function () {
+    it('should know this is a DER signature without hashtype', function () {
+      const sighex =
+        '3042021e17cfe77536c3fb0526bd1a72d7a8e0973f463add210be14063c8a9c37632022061bfa677f825ded82ba0863fb0c46ca1388dd3e647f6a93c038168b59d131a51'
+      const sigbuf = Buffer.from(sighex, 'hex')
+      Signature.isDER(sigbuf).should.equal(true)
+      Signature.isTxDER(sigbuf).should.equal(false)
+    })
+
+    it('should know this is not a DER signature', function () {
+      const sighex =
+        '3042021e17cfe77536c3fb0526bd1a72d7a8e0973f463add210be14063c8a9c37632022061bfa677f825ded82ba0863fb0c46ca1388dd3e647f6a93c038168b59d131a5101'
+      Signature.isDER(Buffer.from(sighex, 'hex')).should.equal(false)
+      Signature.isDER(Buffer.alloc(0)).should.equal(false)
+    })
+  })
+
   describe('#hasLowS', function () {
     it('should detect high and low S', function () {
       const r = new BN(
@@ -403,4 +456,25 @@ describe('Signature', function () {
       })
     })
   })
+
+  describe('@sighashToString', function () {
+    it('should name sighash types like bitcoind', function () {
+      Signature.sighashToString(Signature.SIGHASH_ALL).should.equal('ALL')
+      Signature.sighashToString(Signature.SIGHASH_NONE | Signature.SIGHASH_FORKID).should.equal(
+        'NONE|FORKID'
+      )
+      Signature.sighashToString(
+        Signature.SIGHASH_SINGLE | Signature.SIGHASH_FORKID | Signature.SIGHASH_ANYONECANPAY
+      ).should.equal('SINGLE|FORKID|ANYONECANPAY')
+      Signature.sighashToString(
+        Signature.SIGHASH_ALL | Signature.SIGHASH_ANYONECANPAY
+      ).should.equal('ALL|ANYONECANPAY')
+    })
+
+    it('should print undefined sighash types in hexadecimal', function () {
+      Signature.sighashToString(0).should.equal('0x0')
+      Signature.sighashToString(Signature.SIGHASH_FORKID).should.equal('0x40')
+      Signature.sighashToString(0x21).should.equal('0x21')
+    })
+  })
 })
@@ -0,0 +1,145 @@
+import chai from 'chai'
+import Bitcoin from './bitcoin'
+
+const { expect } = chai
+chai.should()
+const { Descriptor } = Bitcoin
+const { HDAccount } = Bitcoin
+const { HDMultisigAccount } = Bitcoin
+const { HDPrivateKey } = Bitcoin
+const { HDPublicKey } = Bitcoin
+const { Script } = Bitcoin
+const { errors } = Bitcoin
+
+describe('Descriptor', function () {
+  // https://github.com/bitcoin/bitcoin/blob/master/doc/descriptors.md
+  const publicKey = '02c6047f9441ed7d6d3045406e95c07cd85c778e4b8cef3ca7abac09b95c709ee5'
+  const xpubkey =
+    'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8'
+  const masterKeys = [
+    '000102030405060708090a0b0c0d0e0f',
+    '101112131415161718191a1b1c1d1e1f',
+  ].map((seed) => HDPrivateKey.fromSeed(seed, 'livenet'))
+  const accountKeys = masterKeys.map((masterKey) => masterKey.deriveChild("m/45'").hdPublicKey)
+
+  it('computes the checksums of bitcoind', function () {
+    Descriptor.checksum('raw(deadbeef)').should.equal('89f8spxm')
+    Descriptor.checksum('addr(mkmZxiEcEd8ZqjQWVZuC6so5dFMKEFpN2j)').should.equal('02wpgw69')
+    Descriptor.checksum(`pkh(${publicKey})`).should.equal('8fhd9pwu')
+    new Descriptor(`pkh(${publicKey})`).toString().should.equal(`pkh(${publicKey})#8fhd9pwu`)
+    new Descriptor(`pkh(${publicKey})#8fhd9pwu`)
+      .toString({ checksum: false })
+      .should.equal(`pkh(${publicKey})`)
+  })
+
+  it('builds the script of single keys, addresses and raw scripts', function () {
+    const pkh = new Descriptor(`pkh(${publicKey})`)
+    pkh.type.should.equal('pkh')
+    pkh.isRange().should.equal(false)
+    pkh
+      .getScript()
+      .equals(Script.buildPublicKeyHashOut(new Bitcoin.PublicKey(publicKey)))
+      .should.equal(true)
+    pkh.getAddress().toString().should.equal('1cMh228HTCiwS8ZsaakH8A8wze1JR5ZsP')
+    pkh.getAddress(0, 'testnet').network.should.equal(Bitcoin.Networks.testnet)
+    new Descriptor(`pk(${publicKey})`).getScript().toHex().should.equal(`21${publicKey}ac`)
+    const addr = new Descriptor('addr(mkmZxiEcEd8ZqjQWVZuC6so5dFMKEFpN2j)')
+    addr.network.should.equal(Bitcoin.Networks.testnet)
+    addr.getAddress().toString().should.equal('mkmZxiEcEd8ZqjQWVZuC6so5dFMKEFpN2j')
+    new Descriptor('raw(deadbeef)').getScript().toHex().should.equal('deadbeef')
+  })
+
+  it('expands ranges of extended keys', function () {
+    const descriptor = new Descriptor(`pkh([d34db33f/44h/0'/0']${xpubkey}/1/*)`)
+    descriptor.isRange().should.equal(true)
+    descriptor.network.should.equal(Bitcoin.Networks.livenet)
+    descriptor.keys[0].origin.should.deep.equal({ fingerprint: 'd34db33f', path: "m/44'/0'/0'" })
+    const chain = new HDPublicKey(xpubkey).deriveChild(1)
+    descriptor
+      .getAddresses(0, 3, 'legacy')
+      .should.deep.equal(
+        [0, 1, 2].map((i) => chain.deriveChild(i).publicKey.toAddress().toString())
+      )
+    descriptor
+      .getScripts(5, 1)[0]
+      .equals(Script.buildPublicKeyHashOut(chain.deriveChild(5).publicKey))
+      .should.equal(true)
+    descriptor
+      .getPublicKeys(2)[0]
+      .toString()
+      .should.equal(chain.deriveChild(2).publicKey.toString())
+    expect(function () {
+      return descriptor.getScript()
+    }).to.throw('An index is needed to expand a range descriptor')
+  })
+
+  it('describes the addresses of multisig accounts', function () {
+    const keys = accountKeys.map((key) => `${key.xpubkey}/0/*`)
+    const sorted = new Descriptor(`sh(sortedmulti(1,${keys.join(',')}))`)
+    const account = new HDMultisigAccount(accountKeys, 1)
+    sorted
+      .getAddresses(0, 3)
+      .map(String)
+      .should.deep.equal([0, 1, 2].map((i) => account.getReceiveAddress(i).toString()))
+    sorted
+      .getRedeemScript(2)
+      .equals(account.getRedeemScript(HDAccount.RECEIVE, 2))
+      .should.equal(true)
+
+    const unsorted = new HDMultisigAccount(accountKeys.slice().reverse(), 1, { noSorting: true })
+    new Descriptor(`sh(multi(1,${keys.slice().reverse().join(',')}))`)
+      .getAddress(4)
+      .toString()
+      .should.equal(unsorted.getReceiveAddress(4).toString())
+  })
+
+  it('serializes back to the same descriptor', function () {
+    ;[
+      `pkh([d34db33f/44'/0'/0']${xpubkey}/1/*)`,
+      `sh(multi(2,${publicKey},${xpubkey}/0/*))`,
+      `sh(sortedmulti(1,${accountKeys[0].xpubkey}/*,${accountKeys[1].xpubkey}))`,
+      `pk(${xpubkey})`,
+      'addr(1cMh228HTCiwS8ZsaakH8A8wze1JR5ZsP)',
+      'raw(deadbeef)',
+    ].forEach((string) => {
+      const descriptor = new Descriptor(string)
+      descriptor.toString({ checksum: false }).should.equal(string)
+      new Descriptor(descriptor.toString()).toString().should.equal(descriptor.toString())
+    })
+    new Descriptor(`pkh([d34db33f/44h/0h]${xpubkey})`)
+      .toString({ checksum: false })
+      .should.equal(`pkh([d34db33f/44'/0']${xpubkey})`)
+  })
+
+  it('uses the address format of the chain', function () {
+    const descriptor = new (Bitcoin.bch().Descriptor)('addr(1cMh228HTCiwS8ZsaakH8A8wze1JR5ZsP)')
+    descriptor.toString().should.match(/^addr\(bitcoincash:/)
+    new Descriptor(descriptor.toString())
+      .getAddress()
+      .toString()
+      .should.equal('1cMh228HTCiwS8ZsaakH8A8wze1JR5ZsP')
+  })
+
+  it('fails to parse invalid descriptors', function () {
+    const invalid = {
+      [`pkh(${publicKey})#8fhd9pwa`]: errors.Descriptor.InvalidChecksum,
+      [`pkh(${xpubkey}/1'/*)`]: 'not possible from public keys',
+      [`pkh(${masterKeys[0].xprivkey})`]: 'extended private keys are not supported',
+      [`pkh(${publicKey}/0)`]: "can't be derived",
+      [`sh(sh(pkh(${publicKey})))`]: 'sh() is not allowed here',
+      [`wpkh(${publicKey})`]: 'wpkh() is not allowed here',
+      [`multi(3,${publicKey},${xpubkey})`]: 'needs a threshold',
+      [`sh(multi(1,${xpubkey},${new HDPrivateKey('testnet').xpubkey}))`]: 'same network',
+      'raw(xyz)': 'needs a script in hex',
+      'addr(1cMh228HTCiwS8ZsaakH8A8wze1JR5Zs)': 'invalid address',
+    }
+    Object.keys(invalid).forEach((string) => {
+      expect(function () {
+        return new Descriptor(string)
+      }).to.throw(invalid[string])
+    })
+    expect(function () {
+      return new Descriptor(`pk(${publicKey})`).getAddress()
+    }).to.throw('The scripts of pk() descriptors have no address')
+  })
+})
@@ -0,0 +1,175 @@
+import chai from 'chai'
+import Bitcoin from './bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { HDAccount } = Bitcoin
+const { HDPrivateKey } = Bitcoin
+const { Mnemonic } = Bitcoin
+
+describe('HDAccount', function () {
+  const mnemonic = new Mnemonic(
+    'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+  )
+  const masterKey = mnemonic.toHDPrivateKey()
+  // m/44'/145'/0'
+  const xpubkey =
+    'xpub6ByHsPNSQXTWZ7PLESMY2FufyYWtLXagSUpMQq7Un96SiThZH2iJB1X7pwviH1WtKVeDP6K8d6xxFzzoaFzF3s8BKCZx8oEDdDkNnp4owAZ'
+
+  // a has history callback that knows the given addresses
+  const historyOf = function (addresses) {
+    const checked = []
+    const hasHistory = function (address, chain, index) {
+      checked.push(`${chain}/${index}`)
+      return addresses.includes(address.toString())
+    }
+    hasHistory.checked = checked
+    return hasHistory
+  }
+
+  it('derives the account of a master key', function () {
+    const account = HDAccount.fromMasterKey(masterKey)
+    account.xpubkey.should.equal(xpubkey)
+    account.network.should.equal(Bitcoin.Networks.livenet)
+    HDAccount.getPath(0).should.equal("m/44'/145'/0'")
+    HDAccount.getPath(3, 'testnet').should.equal("m/44'/1'/3'")
+    HDAccount.fromMasterKey(masterKey, 1)
+      .getReceiveAddress(0)
+      .toString()
+      .should.equal('145P7nCwq6q6U7Yuw7dhTPvMJsX5M87vaT')
+  })
+
+  it('derives receive and change addresses', function () {
+    const account = new HDAccount(xpubkey)
+    account.getReceiveAddress(0).toString().should.equal('1mW6fDEMjKrDHvLvoEsaeLxSCzZBf3Bfg')
+    account.getChangeAddress(0).toString().should.equal('1Kx5UGy1vYzZLDFnCb3i7Ey22GvvtZAofn')
+    account
+      .getAddress(HDAccount.RECEIVE, 1)
+      .toString()
+      .should.equal('18Cp2ivkLHyJwHMm9NzDRBh6Gi7m4MC2we')
+    account
+      .deriveKey(HDAccount.CHANGE, 0)
+      .publicKey.toAddress()
+      .toString()
+      .should.equal('1Kx5UGy1vYzZLDFnCb3i7Ey22GvvtZAofn')
+    expect(function () {
+      return account.getAddress(2, 0)
+    }).to.throw('chain must be 0 (receive) or 1 (change)')
+  })
+
+  it('generates batches of addresses in any format', function () {
+    const account = new HDAccount(xpubkey)
+    account
+      .getAddresses(HDAccount.RECEIVE, 0, 2)
+      .map(String)
+      .should.deep.equal([
+        '1mW6fDEMjKrDHvLvoEsaeLxSCzZBf3Bfg',
+        '18Cp2ivkLHyJwHMm9NzDRBh6Gi7m4MC2we',
+      ])
+    account
+      .getAddresses(HDAccount.RECEIVE, 0, 2, 'cashaddr')
+      .should.deep.equal([
+        'bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6',
+        'bitcoincash:qp8sfdhgjlq68hlzka9lcsxtcnvuvnd0xqxugfzzc5',
+      ])
+  })
+
+  it('uses the coin type and address format of the chain', function () {
+    Bitcoin.bch()
+      .HDAccount.fromMasterKey(masterKey)
+      .getReceiveAddress(0)
+      .toString()
+      .should.equal('bitcoincash:qqyx49mu0kkn9ftfj6hje6g2wfer34yfnq5tahq3q6')
+    const bsv = Bitcoin.bsv().HDAccount.fromMasterKey(masterKey)
+    bsv.getReceiveAddress(0).toString().should.equal('1K6LZdwpKT5XkEZo2T2kW197aMXYbYMc4f')
+  })
+
+  it('uses the coin type of the testnet', function () {
+    const account = HDAccount.fromMasterKey(mnemonic.toHDPrivateKey('', 'testnet'))
+    account.getReceiveAddress(0).toString().should.equal('mkpZhYtJu2r87Js3pDiWJDmPte2NRZ8bJV')
+  })
+
+  it('gives the private keys of accounts that are not watch-only', function () {
+    const account = HDAccount.fromMasterKey(masterKey)
+    account
+      .getPrivateKey(HDAccount.CHANGE, 0)
+      .toAddress()
+      .toString()
+      .should.equal('1Kx5UGy1vYzZLDFnCb3i7Ey22GvvtZAofn')
+    new HDAccount(account.hdPrivateKey.toString()).hdPrivateKey.should.be.instanceof(HDPrivateKey)
+    const watchOnly = new HDAccount(xpubkey)
+    should.equal(watchOnly.hdPrivateKey, null)
+    expect(function () {
+      return watchOnly.getPrivateKey(HDAccount.RECEIVE, 0)
+    }).to.throw('The account is watch-only')
+  })
+
+  describe('#discover', function () {
+    const account = new HDAccount(xpubkey, { gapLimit: 5 })
+    const receive = account.getAddresses(HDAccount.RECEIVE, 0, 20, 'legacy')
+    const change = account.getAddresses(HDAccount.CHANGE, 0, 20, 'legacy')
+
+    it('finds no address in an unused account', async function () {
+      const hasHistory = historyOf([])
+      const result = await account.discover(hasHistory)
+      result.should.deep.equal({
+        receive: { used: [], nextIndex: 0 },
+        change: { used: [], nextIndex: 0 },
+      })
+      hasHistory.checked.length.should.equal(10)
+    })
+
+    it('scans each chain until the gap limit', async function () {
+      // the receive address 9 is found because address 4 is used
+      const hasHistory = historyOf([receive[0], receive[4], receive[9], change[1]])
+      const result = await account.discover(hasHistory)
+      result.receive.should.deep.equal({ used: [0, 4, 9], nextIndex: 10 })
+      result.change.should.deep.equal({ used: [1], nextIndex: 2 })
+      hasHistory.checked.should.include('0/14')
+      hasHistory.checked.should.not.include('0/15')
+      hasHistory.checked.should.include('1/6')
+      hasHistory.checked.should.not.include('1/7')
+    })
+
+    it('stops at a gap of the gap limit', async function () {
+      const result = await account.discover(historyOf([receive[0], receive[6]]))
+      result.receive.should.deep.equal({ used: [0], nextIndex: 1 })
+    })
+
+    it('accepts a callback returning promises', async function () {
+      const hasHistory = (address) => Promise.resolve(address.toString() === receive[2])
+      const result = await account.discover(hasHistory)
+      result.receive.should.deep.equal({ used: [2], nextIndex: 3 })
+    })
+
+    it('fails with the error of the callback', async function () {
+      let error
+      try {
+        await account.discover(() => Promise.reject(new Error('server down')))
+      } catch (e) {
+        error = e
+      }
+      error.message.should.equal('server down')
+    })
+  })
+
+  describe('.discoverAccounts', function () {
+    it('discovers accounts until one has no history', async function () {
+      const first = HDAccount.fromMasterKey(masterKey, 0)
+      const second = HDAccount.fromMasterKey(masterKey, 1)
+      const hasHistory = historyOf([
+        first.getReceiveAddress(0).toString(),
+        second.getReceiveAddress(3).toString(),
+        second.getChangeAddress(0).toString(),
+        // not found, as the account 2 has no history
+        HDAccount.fromMasterKey(masterKey, 3).getReceiveAddress(0).toString(),
+      ])
+      const accounts = await HDAccount.discoverAccounts(masterKey, hasHistory, { gapLimit: 5 })
+      accounts
+        .map(({ account }) => account.xpubkey)
+        .should.deep.equal([first.xpubkey, second.xpubkey])
+      accounts[1].receive.should.deep.equal({ used: [3], nextIndex: 4 })
+      accounts[1].change.should.deep.equal({ used: [0], nextIndex: 1 })
+    })
+  })
+})
@@ -434,3 +434,98 @@ describe('BIP32 compliance', function () {
     })
   })
 })
+
+describe('HDKeys version prefixes', function () {
+  // SLIP-132 versions, registered for a custom network
+  const ypub = 0x049d7cb2
+  const yprv = 0x049d7878
+  const vector1_m_ypub =
+    'ypub6QqdH2c5z7967BioGSfAWFHM1EHzHPBZK7wrND3ZpEWFtzmCqvsD1bgpaE6pSAPkiSKhkuWPCJV6mZTSNMd2tK8xYTcJ48585pZecmSUzWp'
+  const vector1_m_yprv =
+    'yprvABrGsX5C9jantheLAR8A97LcTCTVsvThwu2FZpdxFtyH2CS4JPYxToNLixTWvGygnuRmFxVEZ18ny3GJ57nPGH8skkt4tbZXKhxuaUFh6jt'
+  const vector1_m0_ypub =
+    'ypub6T73GjuQjhj76tv9BBJUx6ScyZXMX1TKNCKuvo66B6FJiwFWkCgDaCmeqRXasuHuhe5Kxeawo9oVrtFdd5xmEyjrv2VGykfEksVcmezyVve'
+  const vector1_m0_yprv =
+    'yprvAE7gsENWuLAotQqg59mUaxVtRXgs7YjTzyQK8QgUckiKr8vNCfMy2QTAzA9WR9bdijseQaryqbDv7uKWSJQYNinJwcKJGtYfv9kYvFwaAty'
+  let slipnet
+
+  before(function () {
+    slipnet = Networks.add({
+      name: 'slipnet',
+      pubkeyhash: 0x30,
+      privatekey: 0xb0,
+      scripthash: 0x32,
+      xpubkey: 0x0278b20e,
+      xprivkey: 0x0278ade4,
+      hdVersions: [{ xpubkey: ypub, xprivkey: yprv }],
+    })
+  })
+
+  after(function () {
+    Networks.remove(slipnet)
+  })
+
+  it('detects the network of any registered version', function () {
+    const key = HDPublicKey.fromString(vector1_m_ypub)
+    key.network.should.equal(slipnet)
+    key.xpubkey.should.equal(vector1_m_ypub)
+    key.toObject().network.should.equal('slipnet')
+    HDPublicKey.isValidSerialized(vector1_m_ypub, slipnet).should.equal(true)
+    HDPublicKey.isValidSerialized(vector1_m_ypub, Networks.livenet).should.equal(false)
+    HDPrivateKey.fromString(vector1_m_yprv).network.should.equal(slipnet)
+    HDPrivateKey.isValidSerialized(vector1_m_yprv, slipnet).should.equal(true)
+  })
+
+  it('keeps the version of a key when deriving it', function () {
+    const privateKey = new HDPrivateKey(vector1_m_yprv)
+    privateKey.xpubkey.should.equal(vector1_m_ypub)
+    privateKey.deriveChild(0).xprivkey.should.equal(vector1_m0_yprv)
+    privateKey.deriveChild(0).xpubkey.should.equal(vector1_m0_ypub)
+    new HDPublicKey(vector1_m_ypub).deriveChild(0).xpubkey.should.equal(vector1_m0_ypub)
+    new HDPublicKey(vector1_m_yprv).xpubkey.should.equal(vector1_m_ypub)
+  })
+
+  it('converts a key to another version', function () {
+    const publicKey = new HDPublicKey(vector1_m_public)
+    publicKey.withVersion(ypub).xpubkey.should.equal(vector1_m_ypub)
+    publicKey.withVersion(ypub).publicKey.toString().should.equal(publicKey.publicKey.toString())
+    new HDPublicKey(vector1_m_ypub).withVersion('livenet').xpubkey.should.equal(vector1_m_public)
+    new HDPublicKey(vector1_m_ypub).withVersion(slipnet).xpubkey.should.match(/^XRz4/)
+    const privateKey = new HDPrivateKey(vector1_m_private)
+    privateKey.withVersion(yprv).xprivkey.should.equal(vector1_m_yprv)
+    privateKey.withVersion(yprv).xpubkey.should.equal(vector1_m_ypub)
+    new HDPrivateKey(vector1_m_yprv)
+      .withVersion(Networks.livenet)
+      .xprivkey.should.equal(vector1_m_private)
+  })
+
+  it('fails to convert a key to a version that is not registered for its kind', function () {
+    const publicKey = new HDPublicKey(vector1_m_public)
+    expect(function () {
+      return publicKey.withVersion(yprv)
+    }).to.throw(Bitcoin.errors.HDPublicKey.InvalidVersion)
+    expect(function () {
+      return publicKey.withVersion(0x01020304)
+    }).to.throw(Bitcoin.errors.HDPublicKey.InvalidVersion)
+    expect(function () {
+      return new HDPrivateKey(vector1_m_private).withVersion(ypub)
+    }).to.throw(Bitcoin.errors.HDPrivateKey.InvalidVersion)
+  })
+
+  it('refuses extended public keys as private keys', function () {
+    HDPrivateKey.isValidSerialized(vector1_m_public).should.equal(false)
+    HDPrivateKey.isValidSerialized(vector1_m_ypub).should.equal(false)
+    expect(function () {
+      return new HDPrivateKey(vector1_m_ypub)
+    }).to.throw(Bitcoin.errors.HDPrivateKey.ArgumentIsPublicExtended)
+  })
+
+  it('uses the testnet versions on regtest', function () {
+    Networks.enableRegtest()
+    const key = new HDPrivateKey(Networks.testnet)
+    key.xprivkey.should.match(/^tprv/)
+    key.xpubkey.should.match(/^tpub/)
+    new HDPublicKey(key.xpubkey).network.should.equal(Networks.get('regtest'))
+    Networks.disableRegtest()
+  })
+})
@@ -0,0 +1,169 @@
+import chai from 'chai'
+import Bitcoin from './bitcoin'
+
+const { expect } = chai
+chai.should()
+const { Address } = Bitcoin
+const { HDAccount } = Bitcoin
+const { HDMultisigAccount } = Bitcoin
+const { HDPrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { Transaction } = Bitcoin
+
+describe('HDMultisigAccount', function () {
+  const masterKeys = [
+    '000102030405060708090a0b0c0d0e0f',
+    '101112131415161718191a1b1c1d1e1f',
+    '202122232425262728292a2b2c2d2e2f',
+  ].map((seed) => HDPrivateKey.fromSeed(seed, 'testnet'))
+  const path = "m/45'"
+  const accountKeys = masterKeys.map((masterKey) => masterKey.deriveChild(path))
+  const xpubkeys = accountKeys.map((accountKey) => accountKey.xpubkey)
+  const paths = [path, path, path]
+
+  it('derives the addresses built by hand from the co-signer keys', function () {
+    const account = new HDMultisigAccount(xpubkeys, 2, { paths })
+    account.network.should.equal(Bitcoin.Networks.testnet)
+    account.xpubkeys.should.deep.equal(xpubkeys)
+    ;[HDAccount.RECEIVE, HDAccount.CHANGE].forEach((chain) => {
+      const publicKeys = accountKeys.map(
+        (accountKey) => accountKey.hdPublicKey.deriveChild(chain).deriveChild(7).publicKey
+      )
+      const address = Address.createMultisig(publicKeys, 2, 'testnet')
+      account.getAddress(chain, 7).toString().should.equal(address.toString())
+      account
+        .getRedeemScript(chain, 7)
+        .equals(Script.buildMultisigOut(publicKeys, 2))
+        .should.equal(true)
+      account.deriveKeys(chain, 7).map(String).should.deep.equal(publicKeys.map(String))
+    })
+    account
+      .getReceiveAddress(0)
+      .toString()
+      .should.equal(account.getAddress(HDAccount.RECEIVE, 0).toString())
+    account
+      .getChangeAddress(0)
+      .toString()
+      .should.equal(account.getAddress(HDAccount.CHANGE, 0).toString())
+  })
+
+  it('keeps the order of the keys without sorting', function () {
+    const sorted = new HDMultisigAccount(xpubkeys, 2)
+    const unsorted = new HDMultisigAccount(xpubkeys, 2, { noSorting: true })
+    const reversed = new HDMultisigAccount(xpubkeys.slice().reverse(), 2, { noSorting: true })
+    const publicKeys = unsorted.deriveKeys(HDAccount.RECEIVE, 0)
+    unsorted
+      .getRedeemScript(HDAccount.RECEIVE, 0)
+      .equals(Script.buildMultisigOut(publicKeys, 2, { noSorting: true }))
+      .should.equal(true)
+    new HDMultisigAccount(xpubkeys.slice().reverse(), 2)
+      .getReceiveAddress(0)
+      .toString()
+      .should.equal(sorted.getReceiveAddress(0).toString())
+    reversed
+      .getReceiveAddress(0)
+      .toString()
+      .should.not.equal(unsorted.getReceiveAddress(0).toString())
+  })
+
+  it('gives the key each co-signer signs with', function () {
+    const account = new HDMultisigAccount(xpubkeys, 2, { paths })
+    const info = account.getSigningInfo(HDAccount.CHANGE, 3)
+    info.address.toString().should.equal(account.getChangeAddress(3).toString())
+    info.redeemScript.equals(account.getRedeemScript(HDAccount.CHANGE, 3)).should.equal(true)
+    info.threshold.should.equal(2)
+    info.cosigners
+      .map((cosigner) => cosigner.path)
+      .should.deep.equal(["m/45'/1/3", "m/45'/1/3", "m/45'/1/3"])
+    info.cosigners.forEach((cosigner, i) => {
+      cosigner.xpubkey.should.equal(xpubkeys[i])
+      masterKeys[i]
+        .deriveChild(cosigner.path)
+        .publicKey.toString()
+        .should.equal(cosigner.publicKey.toString())
+    })
+    new HDMultisigAccount(xpubkeys, 2)
+      .getSigningInfo(HDAccount.RECEIVE, 0)
+      .cosigners[0].path.should.equal('m/0/0')
+  })
+
+  it('spends its outputs with the signatures of the co-signers', function () {
+    const account = new HDMultisigAccount(xpubkeys, 2, { paths })
+    const info = account.getSigningInfo(HDAccount.RECEIVE, 5)
+    const utxo = {
+      txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+      outputIndex: 0,
+      script: Script.buildScriptHashOut(info.redeemScript),
+      satoshis: 100000,
+    }
+    const transaction = new Transaction()
+      .from(utxo, info.publicKeys, info.threshold)
+      .to(account.getChangeAddress(0), 90000)
+    transaction.inputs[0].should.be.instanceof(Transaction.Input.MultiSigScriptHash)
+    transaction.inputs[0].redeemScript.equals(info.redeemScript).should.equal(true)
+    ;[0, 2].forEach((i) => {
+      transaction.sign(masterKeys[i].deriveChild(info.cosigners[i].path).privateKey)
+    })
+    transaction.isFullySigned().should.equal(true)
+    transaction.verifyAgainst([utxo], { height: 600000, mtp: 1569000000 }).valid.should.equal(true)
+  })
+
+  it('spends the outputs of an account with noSorting', function () {
+    const account = new HDMultisigAccount(xpubkeys.slice().reverse(), 2, {
+      paths,
+      noSorting: true,
+    })
+    const info = account.getSigningInfo(HDAccount.RECEIVE, 5)
+    const utxo = {
+      txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+      outputIndex: 0,
+      script: Script.buildScriptHashOut(info.redeemScript),
+      satoshis: 100000,
+    }
+    const transaction = new Transaction()
+      .from(utxo, info.publicKeys, info.threshold, { noSorting: true })
+      .to(account.getChangeAddress(0), 90000)
+    transaction.inputs[0].redeemScript.equals(info.redeemScript).should.equal(true)
+    ;[0, 2].forEach((i) => {
+      transaction.sign(masterKeys[2 - i].deriveChild(info.cosigners[i].path).privateKey)
+    })
+    transaction.isFullySigned().should.equal(true)
+    transaction.verifyAgainst([utxo], { height: 600000, mtp: 1569000000 }).valid.should.equal(true)
+    new Transaction(transaction.toObject()).toObject().should.deep.equal(transaction.toObject())
+  })
+
+  it('uses the address format of the chain', function () {
+    const account = new (Bitcoin.bch().HDMultisigAccount)(
+      accountKeys.map((accountKey) => accountKey.hdPublicKey),
+      2
+    )
+    account
+      .getReceiveAddress(0)
+      .toString()
+      .should.equal(new HDMultisigAccount(xpubkeys, 2).getReceiveAddress(0).toString('cashaddr'))
+  })
+
+  it('checks its arguments', function () {
+    expect(function () {
+      return new HDMultisigAccount(xpubkeys, 4)
+    }).to.throw('threshold must be between 1 and the number of keys')
+    expect(function () {
+      return new HDMultisigAccount([xpubkeys[0], xpubkeys[0]], 1)
+    }).to.throw('The keys must be different')
+    expect(function () {
+      return new HDMultisigAccount(
+        [xpubkeys[0], HDPrivateKey.fromSeed(masterKeys[1].privateKey.toBuffer(), 'livenet')],
+        1
+      )
+    }).to.throw('All keys must be of the same network')
+    expect(function () {
+      return new HDMultisigAccount(xpubkeys, 2, { paths: [path] })
+    }).to.throw('paths must give a valid derivation path for each key')
+    expect(function () {
+      return new HDMultisigAccount(xpubkeys, 2).getAddress(2, 0)
+    }).to.throw('chain must be 0 (receive) or 1 (change)')
+    expect(function () {
+      return new HDMultisigAccount(xpubkeys, 2).getAddress(0, HDPrivateKey.Hardened)
+    }).to.throw(Bitcoin.errors.HDPublicKey.InvalidIndexCantDeriveHardened)
+  })
+})
@@ -86,6 +86,44 @@ describe('Networks', function () {
     networks.remove(custom)
   })
 
+  it('registers other versions of extended keys', function () {
+    const custom = {
+      name: 'versionnet',
+      pubkeyhash: 0x14,
+      privatekey: 0x94,
+      scripthash: 0x12,
+      xpubkey: 0x0278b210,
+      xprivkey: 0x0278ade6,
+      hdVersions: [{ xpubkey: 0x0278b211, xprivkey: 0x0278ade7 }],
+    }
+    const network = networks.add(custom)
+    network.hdVersions.should.deep.equal([
+      { xpubkey: 0x0278b210, xprivkey: 0x0278ade6 },
+      { xpubkey: 0x0278b211, xprivkey: 0x0278ade7 },
+    ])
+    networks.addHDVersion('versionnet', { xpubkey: 0x0278b212, xprivkey: 0x0278ade8 })
+    networks.get(0x0278ade8).should.equal(network)
+    networks
+      .getHDVersions(0x0278b212)
+      .should.deep.equal({ xpubkey: 0x0278b212, xprivkey: 0x0278ade8 })
+    // registering the same versions again does nothing
+    networks.addHDVersion(network, { xpubkey: 0x0278b211, xprivkey: 0x0278ade7 })
+    network.hdVersions.length.should.equal(3)
+    expect(function () {
+      networks.addHDVersion(network, { xpubkey: networks.livenet.xpubkey, xprivkey: 0x0278ade9 })
+    }).to.throw('already used')
+    expect(function () {
+      networks.addHDVersion(network, { xpubkey: 0x0278b213 })
+    }).to.throw('Both the xpubkey and the xprivkey versions are needed')
+    networks.getHDVersions(networks.testnet.xprivkey).should.deep.equal({
+      xpubkey: networks.testnet.xpubkey,
+      xprivkey: networks.testnet.xprivkey,
+    })
+    networks.remove(network)
+    should.not.exist(networks.get(0x0278b212))
+    should.not.exist(networks.getHDVersions(0x0278b212))
+  })
+
   const constants = ['name', 'alias', 'pubkeyhash', 'scripthash', 'xpubkey', 'xprivkey']
 
   constants.forEach(function (key) {
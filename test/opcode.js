@@ -83,8 +83,14 @@ describe('Opcode', function () {
   })
 
   describe('@map', function () {
-    it('should have a map containing 117 elements', function () {
-      _.size(Opcode.map).should.equal(117)
+    it('should have a map containing 123 elements', function () {
+      _.size(Opcode.map).should.equal(123)
+    })
+
+    it('should keep the names used before the May 2018 upgrade', function () {
+      Opcode.map.OP_SUBSTR.should.equal(Opcode.map.OP_SPLIT)
+      Opcode.map.OP_LEFT.should.equal(Opcode.map.OP_NUM2BIN)
+      Opcode.map.OP_RIGHT.should.equal(Opcode.map.OP_BIN2NUM)
     })
   })
 
@@ -93,6 +99,12 @@ describe('Opcode', function () {
       should.exist(Opcode.reverseMap)
       Opcode.reverseMap[185].should.equal('OP_NOP10')
     })
+
+    it('should use the names of the May 2018 upgrade', function () {
+      Opcode.reverseMap[127].should.equal('OP_SPLIT')
+      Opcode.reverseMap[128].should.equal('OP_NUM2BIN')
+      Opcode.reverseMap[129].should.equal('OP_BIN2NUM')
+    })
   })
   const smallints = [
     Opcode('OP_0'),
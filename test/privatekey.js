@@ -395,6 +395,34 @@ describe('PrivateKey', function () {
     })
   })
 
+  describe('#signData', function () {
+    const privkey = new PrivateKey('L3T1s1TYP9oyhHpXgkyLoJFGniEgkv2Jhi138d7R2yJ9F4QdDU2m')
+
+    it('should sign the SHA256 hash of the data', function () {
+      const data = Buffer.from('oracle message')
+      const sig = privkey.signData(data)
+      sig.hasLowS().should.equal(true)
+      Bitcoin.crypto.ECDSA.verify(
+        Bitcoin.crypto.Hash.sha256(data),
+        sig,
+        privkey.publicKey
+      ).should.equal(true)
+    })
+
+    it('should encode strings as utf8', function () {
+      privkey
+        .signData('oracle message')
+        .toString()
+        .should.equal(privkey.signData(Buffer.from('oracle message')).toString())
+    })
+
+    it('should throw with other arguments', function () {
+      expect(function () {
+        privkey.signData(1)
+      }).to.throw('First argument should be a buffer or a string')
+    })
+  })
+
   describe('#toPublicKey', function () {
     it('should convert this known PrivateKey to known PublicKey', function () {
       const privhex = '906977a061af29276e40bf377042ffbde414e496ae2260bbf1fa9d085637bfff'
@@ -426,6 +454,119 @@ describe('PrivateKey', function () {
     })
   })
 
+  describe('BIP38', function () {
+    // https://github.com/bitcoin/bips/blob/master/bip-0038.mediawiki#test-vectors
+    const vectors = [
+      {
+        passphrase: 'TestingOneTwoThree',
+        encrypted: '6PRVWUbkzzsbcVac2qwfssoUJAN1Xhrg6bNk8J7Nzm5H7kxEbn2Nh2ZoGg',
+        wif: '5KN7MzqK5wt2TP1fQCYyHBtDrXdJuXbUzm4A9rKAteGu3Qi5CVR',
+      },
+      {
+        passphrase: 'Satoshi',
+        encrypted: '6PRNFFkZc2NZ6dJqFfhRoFNMR9Lnyj7dYGrzdgXXVMXcxoKTePPX1dWByq',
+        wif: '5HtasZ6ofTHP6HCwTqTkLDuLQisYPah7aUnSKfC7h4hMUVw2gi5',
+      },
+      {
+        // GREEK UPSILON WITH HOOK, COMBINING ACUTE ACCENT, NULL, DESERET CAPITAL LONG I, PILE OF POO
+        passphrase: '\u03d2\u0301\u0000\ud801\udc00\ud83d\udca9',
+        encrypted: '6PRW5o9FLp4gJDDVqJQKJFTpMvdsSGJxMYHtHaQBF3ooa8mwD69bapcDQn',
+        wif: '5Jajm8eQ22H3pGWLEVCXyvND8dQZhiQhoLJNKjYXk9roUFTMSZ4',
+      },
+      {
+        passphrase: 'TestingOneTwoThree',
+        encrypted: '6PYNKZ1EAgYgmQfmNVamxyXVWHzK5s6DGhwP4J5o44cvXdoY7sRzhtpUeo',
+        wif: 'L44B5gGEpqEDRS9vVPz7QT35jcBG2r3CZwSwQ4fCewXAhAhqGVpP',
+      },
+      {
+        passphrase: 'Satoshi',
+        encrypted: '6PYLtMnXvfG3oJde97zRyLYFZCYizPU5T3LwgdYJz1fRhh16bU7u6PPmY7',
+        wif: 'KwYgW8gcxj1JWJXhPSu4Fqwzfhp5Yfi42mdYmMa4XqK7NJxXUSK7',
+      },
+    ]
+    const ecMultiplyVectors = [
+      {
+        passphrase: 'TestingOneTwoThree',
+        encrypted: '6PfQu77ygVyJLZjfvMLyhLMQbYnu5uguoJJ4kMCLqWwPEdfpwANVS76gTX',
+        wif: '5K4caxezwjGCGfnoPTZ8tMcJBLB7Jvyjv4xxeacadhq8nLisLR2',
+      },
+      {
+        passphrase: 'Satoshi',
+        encrypted: '6PfLGnQs6VZnrNpmVKfjotbnQuaJK4KZoPFrAjx1JMJUa1Ft8gnf5WxfKd',
+        wif: '5KJ51SgxWaAYR13zd9ReMhJpwrcX47xTJh2D3fGPG9CM8vkv5sH',
+      },
+      {
+        // with lot 263183 and sequence 1
+        passphrase: 'MOLON LABE',
+        encrypted: '6PgNBNNzDkKdhkT6uJntUXwwzQV8Rr2tZcbkDcuC9DZRsS6AtHts4Ypo1j',
+        wif: '5JLdxTtcTHcfYcmJsNVy1v2PMDx432JPoYcBTVVRHpPaxUrdtf8',
+      },
+      {
+        // with lot 806938 and sequence 1
+        passphrase: '\u039c\u039f\u039b\u03a9\u039d \u039b\u0391\u0392\u0395',
+        encrypted: '6PgGWtx25kUg8QWvwuJAgorN6k9FbE25rv5dMRwu5SKMnfpfVe5mar2ngH',
+        wif: '5KMKKuUmAkiNbA3DazMQiLfDq47qs8MAEThm4yL8R2PhV1ov33D',
+      },
+    ]
+
+    vectors.forEach(function (vector) {
+      it(`should encrypt ${vector.wif}`, function () {
+        PrivateKey.fromWIF(vector.wif).toBIP38(vector.passphrase).should.equal(vector.encrypted)
+      })
+
+      it(`should decrypt ${vector.encrypted}`, function () {
+        PrivateKey.fromBIP38(vector.encrypted, vector.passphrase).toWIF().should.equal(vector.wif)
+      })
+    })
+
+    ecMultiplyVectors.forEach(function (vector) {
+      it(`should decrypt ${vector.encrypted} in EC multiply mode`, function () {
+        PrivateKey.fromBIP38(vector.encrypted, vector.passphrase).toWIF().should.equal(vector.wif)
+      })
+    })
+
+    it('should generate keys from an intermediate code with a lot and sequence', function () {
+      const intermediate = PrivateKey.createBIP38Intermediate('MOLON LABE', {
+        lot: 263183,
+        sequence: 1,
+      })
+      intermediate.should.match(/^passphrase/)
+      const { encryptedKey, address } = PrivateKey.generateBIP38(intermediate)
+      encryptedKey.should.match(/^6P/)
+      const privkey = PrivateKey.fromBIP38(encryptedKey, 'MOLON LABE')
+      privkey.compressed.should.equal(true)
+      privkey.toAddress().toString().should.equal(address.toString())
+    })
+
+    it('should generate uncompressed keys from an intermediate code', function () {
+      const intermediate = PrivateKey.createBIP38Intermediate('Satoshi')
+      const { encryptedKey, address } = PrivateKey.generateBIP38(intermediate, {
+        compressed: false,
+        network: 'testnet',
+      })
+      encryptedKey.should.match(/^6Pf/)
+      address.network.should.equal(Networks.testnet)
+      const privkey = PrivateKey.fromBIP38(encryptedKey, 'Satoshi', 'testnet')
+      privkey.compressed.should.equal(false)
+      privkey.toAddress().toString().should.equal(address.toString())
+    })
+
+    it('should fail with a wrong passphrase or an invalid key', function () {
+      expect(function () {
+        return PrivateKey.fromBIP38(vectors[0].encrypted, 'Satoshi')
+      }).to.throw(Bitcoin.errors.PrivateKey.InvalidBIP38Passphrase)
+      expect(function () {
+        return PrivateKey.fromBIP38(vectors[0].wif, 'Satoshi')
+      }).to.throw(Bitcoin.errors.PrivateKey.InvalidBIP38)
+      expect(function () {
+        return PrivateKey.generateBIP38(vectors[0].encrypted)
+      }).to.throw(Bitcoin.errors.PrivateKey.InvalidBIP38)
+      expect(function () {
+        return PrivateKey.createBIP38Intermediate('Satoshi', { lot: 1048576, sequence: 0 })
+      }).to.throw('lot must be a number between 0 and 1048575')
+    })
+  })
+
   it('creates an address as expected from WIF, livenet', function () {
     const privkey = new PrivateKey('5J2NYGstJg7aJQEqNwYp4enG5BSfFdKXVTtBLvHicnRGD5kjxi6')
     privkey.publicKey.toAddress().toString().should.equal('135bwugFCmhmNU3SeCsJeTqvo5ViymgwZ9')
@@ -0,0 +1,179 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+import scriptTests from '../data/bitcoind/script_tests.json'
+import scriptValid from '../data/bitcoind/script_valid.json'
+import scriptInvalid from '../data/bitcoind/script_invalid.json'
+import txValid from '../data/bitcoind/tx_valid.json'
+import txInvalid from '../data/bitcoind/tx_invalid.json'
+import vectorsSighash from '../data/sighash.json'
+
+const should = chai.should()
+const { expect } = chai
+const { Conformance } = Bitcoin.Script
+const { Interpreter } = Bitcoin.Script
+const { errors } = Bitcoin
+
+describe('Script.Conformance', function () {
+  describe('@parseFlags', function () {
+    it('should map the flag names to the interpreter flags', function () {
+      Conformance.flags.P2SH.should.equal(Interpreter.SCRIPT_VERIFY_P2SH)
+      Conformance.flags.CHECKDATASIG.should.equal(Interpreter.SCRIPT_ENABLE_CHECKDATASIG)
+      Conformance.flags.SCHNORR_MULTISIG.should.equal(Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG)
+      Conformance.flags.NONE.should.equal(0)
+    })
+
+    it('should parse a list of flags', function () {
+      Conformance.parseFlags('P2SH,STRICTENC').should.equal(
+        Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_STRICTENC
+      )
+      Conformance.parseFlags('SCRIPT_VERIFY_LOW_S, SCRIPT_ENABLE_SCHNORR').should.equal(
+        Interpreter.SCRIPT_VERIFY_LOW_S | Interpreter.SCRIPT_ENABLE_SCHNORR
+      )
+      Conformance.parseFlags('NONE').should.equal(0)
+      Conformance.parseFlags('').should.equal(0)
+    })
+
+    it('should fail with unsupported flags', function () {
+      expect(function () {
+        return Conformance.parseFlags('P2SH,CLEANSTACK')
+      }).to.throw(errors.Script.UnsupportedFlag, 'CLEANSTACK')
+    })
+  })
+
+  describe('@parseScript', function () {
+    it('should parse the script format of the test vectors', function () {
+      Conformance.parseScript("0x4c 0x01 0x07 DUP OP_HASH160 'ab' -1 1000")
+        .toHex()
+        .should.equal('4c010776a9026162018102e803')
+    })
+
+    it('should fail with unknown tokens', function () {
+      expect(function () {
+        return Conformance.parseScript('DUP FOO')
+      }).to.throw('Could not determine type of script value FOO')
+    })
+  })
+
+  describe('@runScriptTests', function () {
+    it('should pass the script_valid.json and script_invalid.json vectors', function () {
+      const results = Conformance.runScriptTests(scriptValid, { expected: true }).concat(
+        Conformance.runScriptTests(scriptInvalid, { expected: false })
+      )
+      const summary = Conformance.summarize(results)
+      summary.fail.should.equal(0)
+      summary.skip.should.equal(0)
+      summary.pass.should.equal(summary.total)
+      summary.total.should.be.above(1000)
+    })
+
+    it('should run the script_tests.json vectors of Bitcoin ABC', function () {
+      // the vectors expect the upgrades that are always enabled in Bitcoin ABC. The failures are
+      // the vectors of OP_REVERSEBYTES, which isn't implemented, and of empty signatures with the
+      // DERSIG or STRICTENC flags, which the interpreter rejects
+      const results = Conformance.runScriptTests(scriptTests, {
+        flags:
+          Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES |
+          Interpreter.SCRIPT_ENABLE_CHECKDATASIG |
+          Interpreter.SCRIPT_ENABLE_SCHNORR,
+      })
+      Conformance.summarize(results).should.deep.equal({
+        pass: 1357,
+        fail: 29,
+        skip: 134,
+        total: 1520,
+      })
+    })
+
+    it('should report the vectors that cannot be parsed as failed', function () {
+      const results = Conformance.runScriptTests([
+        ['1', 'FOO', 'P2SH', 'OK'],
+        ['1', '1 EQUAL', 'P2SH', 'OK'],
+      ])
+      results[0].status.should.equal('fail')
+      results[0].reason.should.equal('Could not determine type of script value FOO')
+      should.not.exist(results[0].actual)
+      results[1].status.should.equal('pass')
+    })
+
+    it('should report each vector', function () {
+      const results = Conformance.runScriptTests([
+        ['Comment row'],
+        ['1', '2 EQUAL', 'P2SH', 'EVAL_FALSE', 'not equal'],
+        ['1', '1 EQUAL', 'P2SH,STRICTENC', 'OK'],
+        ['1', '2 EQUAL', 'P2SH', 'OK'],
+        [[0.00000001], '1', '1 EQUAL', 'P2SH', 'OK'],
+        ['1', '1 EQUAL', 'CLEANSTACK', 'OK'],
+      ])
+      results.length.should.equal(5)
+      results[0].should.deep.equal({
+        index: 1,
+        comment: 'not equal',
+        expected: 'EVAL_FALSE',
+        actual: 'SCRIPT_ERR_EVAL_FALSE_IN_STACK',
+        status: 'pass',
+      })
+      results[1].status.should.equal('pass')
+      results[1].comment.should.equal('')
+      results[2].status.should.equal('fail')
+      results[3].status.should.equal('pass')
+      results[4].status.should.equal('skip')
+      results[4].reason.should.equal('Unsupported script verification flag: CLEANSTACK')
+      should.not.exist(results[4].actual)
+    })
+  })
+
+  describe('@runTxTests', function () {
+    it('should pass the tx_valid.json and tx_invalid.json vectors', function () {
+      const valid = Conformance.runTxTests(txValid, { expected: true })
+      const invalid = Conformance.runTxTests(txInvalid, { expected: false })
+      Conformance.summarize(valid).pass.should.equal(valid.length)
+      Conformance.summarize(invalid).pass.should.equal(invalid.length)
+    })
+
+    it('should attach the preceding comment rows and the errors', function () {
+      const index = txInvalid.findIndex((vector) => vector.length > 1)
+      const [result] = Conformance.runTxTests(txInvalid.slice(0, index + 1), { expected: false })
+      result.index.should.equal(index)
+      result.comment.should.contain(txInvalid[index - 1][0])
+      result.actual.should.equal(false)
+      result.errors.length.should.be.above(0)
+    })
+  })
+
+  describe('@runSighashTests', function () {
+    it('should pass the sighash.json vectors', function () {
+      const results = Conformance.runSighashTests(vectorsSighash)
+      results.length.should.equal(vectorsSighash.filter((vector) => vector.length > 1).length)
+      Conformance.summarize(results).pass.should.equal(results.length)
+    })
+
+    it('should report the expected and actual hashes', function () {
+      const vector = vectorsSighash[1].slice()
+      vector[4] = '00'.repeat(32)
+      const [result] = Conformance.runSighashTests([vector])
+      result.status.should.equal('fail')
+      result.expected.should.equal(vector[4])
+      result.actual.should.equal(vectorsSighash[1][4])
+    })
+
+    it('should report the vectors that cannot be parsed as failed', function () {
+      const vector = vectorsSighash[1].slice()
+      vector[0] = 'ff'
+      const results = Conformance.runSighashTests([vector, vectorsSighash[1]])
+      results[0].status.should.equal('fail')
+      results[0].expected.should.equal(vector[4])
+      should.exist(results[0].reason)
+      results[1].status.should.equal('pass')
+    })
+  })
+
+  describe('@summarize', function () {
+    it('should count the results', function () {
+      Conformance.summarize([
+        { status: 'pass' },
+        { status: 'pass' },
+        { status: 'skip' },
+      ]).should.deep.equal({ pass: 2, fail: 0, skip: 1, total: 3 })
+    })
+  })
+})
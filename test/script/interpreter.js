@@ -1,3 +1,4 @@
+import _ from 'lodash'
 import chai from 'chai'
 import Bitcoin from '../bitcoin'
 import scriptValid from '../data/bitcoind/script_valid.json'
@@ -6,55 +7,14 @@ import txValid from '../data/bitcoind/tx_valid.json'
 import txInvalid from '../data/bitcoind/tx_invalid.json'
 
 const should = chai.should()
+const { Conformance } = Bitcoin.Script
 const { Interpreter } = Bitcoin.Script
 const { Transaction } = Bitcoin
 const { PrivateKey } = Bitcoin
 const { Script } = Bitcoin
 const { BN } = Bitcoin.crypto
-const { BufferWriter } = Bitcoin.encoding
 const { Opcode } = Bitcoin
 
-// the script string format used in bitcoind data tests
-Script.fromBitcoindString = function (str) {
-  const bw = new BufferWriter()
-  const tokens = str.split(' ')
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i]
-    if (token === '') {
-      continue
-    }
-
-    let opstr
-    let opcodenum
-    let tbuf
-    if (token[0] === '0' && token[1] === 'x') {
-      const hex = token.slice(2)
-      bw.write(Buffer.from(hex, 'hex'))
-    } else if (token[0] === "'") {
-      const tstr = token.slice(1, token.length - 1)
-      const cbuf = Buffer.from(tstr)
-      tbuf = Script().add(cbuf).toBuffer()
-      bw.write(tbuf)
-    } else if (typeof Opcode[`OP_${token}`] !== 'undefined') {
-      opstr = `OP_${token}`
-      opcodenum = Opcode[opstr]
-      bw.writeUInt8(opcodenum)
-    } else if (typeof Opcode[token] === 'number') {
-      opstr = token
-      opcodenum = Opcode[opstr]
-      bw.writeUInt8(opcodenum)
-    } else if (!Number.isNaN(parseInt(token, 10))) {
-      const script = Script().add(new BN(token).toScriptNumBuffer())
-      tbuf = script.toBuffer()
-      bw.write(tbuf)
-    } else {
-      throw new Error('Could not determine type of script value')
-    }
-  }
-  const buf = bw.concat()
-  return this.fromBuffer(buf)
-}
-
 describe('Interpreter', function () {
   it('should make a new interp', function () {
     const interp = new Interpreter()
@@ -97,7 +57,219 @@ describe('Interpreter', function () {
     })
   })
 
+  describe('@debug', function () {
+    it('should trace each executed instruction of every script', function () {
+      const redeemScript = Script('OP_2 OP_EQUAL')
+      const scriptSig = Script('OP_2').add(redeemScript.toBuffer())
+      const scriptPubkey = Script.buildScriptHashOut(redeemScript)
+      const trace = Interpreter.debug(
+        scriptSig,
+        scriptPubkey,
+        undefined,
+        0,
+        Interpreter.SCRIPT_VERIFY_P2SH
+      )
+      trace.success.should.equal(true)
+      trace.errstr.should.equal('')
+      trace.steps
+        .map((step) => step.script)
+        .should.deep.equal([
+          'scriptSig',
+          'scriptSig',
+          'scriptPubkey',
+          'scriptPubkey',
+          'scriptPubkey',
+          'redeemScript',
+          'redeemScript',
+        ])
+      trace.steps[2].should.deep.equal({
+        script: 'scriptPubkey',
+        pc: 0,
+        opcode: Opcode.OP_HASH160,
+        instruction: 'OP_HASH160',
+        stack: ['02', redeemScript.toScriptHashOut().chunks[1].buf.toString('hex')],
+        altstack: [],
+        vfExec: [],
+        nOpCount: 1,
+      })
+      trace.steps[6].instruction.should.equal('OP_EQUAL')
+      trace.steps[6].stack.should.deep.equal(['01'])
+    })
+
+    it('should trace conditionals and the alt stack', function () {
+      const trace = Interpreter.debug(
+        Script.empty(),
+        Script('OP_1 OP_IF OP_3 OP_TOALTSTACK OP_ELSE OP_RETURN OP_ENDIF OP_FROMALTSTACK')
+      )
+      trace.success.should.equal(true)
+      trace.steps
+        .map((step) => step.vfExec)
+        .should.deep.equal([[], [true], [true], [true], [false], [false], [], []])
+      trace.steps[3].altstack.should.deep.equal(['03'])
+      trace.steps[3].nOpCount.should.equal(2)
+      trace.steps[7].stack.should.deep.equal(['03'])
+    })
+
+    it('should end with the instruction that failed', function () {
+      const trace = Interpreter.debug(Script('OP_1'), Script('OP_ADD OP_1'))
+      trace.success.should.equal(false)
+      trace.errstr.should.equal('SCRIPT_ERR_INVALID_STACK_OPERATION')
+      trace.steps.length.should.equal(2)
+      trace.steps[1].pc.should.equal(0)
+      trace.steps[1].instruction.should.equal('OP_ADD')
+    })
+
+    it('should return a JSON serializable trace', function () {
+      const trace = Interpreter.debug(Script('OP_1 OP_2'), Script('OP_ADD OP_3 OP_EQUAL'))
+      JSON.parse(JSON.stringify(trace)).should.deep.equal(trace)
+    })
+
+    it('should call an onStep callback on the interpreter', function () {
+      const pcs = []
+      const interp = new Interpreter({
+        onStep(step) {
+          this.should.equal(interp)
+          pcs.push(step.pc)
+        },
+      })
+      interp.verify(Script('OP_1 OP_2'), Script('OP_DROP')).should.equal(true)
+      pcs.should.deep.equal([0, 1, 0])
+    })
+  })
+
+  describe('#getLimits', function () {
+    it('should default to the consensus limits of the chain', function () {
+      Interpreter().getLimits().should.equal(Bitcoin.Chains.bch.scriptLimits.consensus)
+      Interpreter().getLimits().should.deep.equal({
+        maxOpsPerScript: 201,
+        maxScriptElementSize: 520,
+        maxStackSize: 1000,
+        maxScriptSize: 10000,
+        maxScriptNumLength: 4,
+      })
+      Bitcoin.bsv().Script.Interpreter().getLimits().maxOpsPerScript.should.equal(500)
+    })
+
+    it('should use the limits given to the constructor', function () {
+      Interpreter({ limits: 'consensus' })
+        .getLimits()
+        .should.equal(Bitcoin.Chains.bch.scriptLimits.consensus)
+      const interp = Interpreter({ limits: { maxOpsPerScript: 1 } })
+      interp.getLimits().maxOpsPerScript.should.equal(1)
+      interp.getLimits().maxStackSize.should.equal(1000)
+      interp.verify(Script('OP_1'), Script('OP_NOP OP_NOP')).should.equal(false)
+      interp.errstr.should.equal('SCRIPT_ERR_OP_COUNT')
+      interp
+        .verify(Script('OP_1'), Script('OP_NOP OP_NOP'), undefined, 0, 0, { maxOpsPerScript: 2 })
+        .should.equal(true)
+      interp.verify(Script('OP_1'), Script('OP_NOP OP_NOP')).should.equal(false)
+    })
+
+    it('should give the script flags of the chain', function () {
+      Interpreter()
+        .getChainFlags()
+        .should.equal(
+          Conformance.parseFlags(
+            'P2SH,STRICTENC,DERSIG,LOW_S,SIGPUSHONLY,MINIMALDATA,CHECKLOCKTIMEVERIFY,' +
+              'CHECKSEQUENCEVERIFY,MONOLITH_OPCODES,CHECKDATASIG,SCHNORR,SCHNORR_MULTISIG'
+          )
+        )
+      const bsvFlags = Bitcoin.bsv().Script.Interpreter().getChainFlags()
+      ;(bsvFlags & Interpreter.SCRIPT_ENABLE_SCHNORR).should.equal(0)
+      ;(bsvFlags & Interpreter.SCRIPT_ENABLE_CHECKDATASIG).should.equal(0)
+      ;(bsvFlags & Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES).should.not.equal(0)
+    })
+
+    it('should fail with an unknown preset', function () {
+      ;(function () {
+        return Interpreter({ limits: 'relaxed' })
+      }.should.throw(TypeError, 'Chain bch has no relaxed script limits'))
+    })
+  })
+
   describe('#verify', function () {
+    describe('limits', function () {
+      const verify = function (scriptSig, scriptPubkey, limits) {
+        const interp = new Interpreter()
+        const result = interp.verify(scriptSig, scriptPubkey, undefined, 0, 0, limits)
+        return result || interp.errstr
+      }
+
+      it('should limit the number of operations', function () {
+        const scriptPubkey = Script(_.repeat('OP_NOP ', 202).trim())
+        verify(Script('OP_1'), scriptPubkey).should.equal('SCRIPT_ERR_OP_COUNT')
+        verify(Script('OP_1'), scriptPubkey, { maxOpsPerScript: 202 }).should.equal(true)
+        verify(Script('OP_1'), Script('OP_NOP OP_NOP'), { maxOpsPerScript: 1 }).should.equal(
+          'SCRIPT_ERR_OP_COUNT'
+        )
+      })
+
+      it('should limit the size of pushed elements', function () {
+        const scriptSig = Script().add(Buffer.alloc(521))
+        verify(scriptSig, Script('OP_DROP OP_1')).should.equal('SCRIPT_ERR_PUSH_SIZE')
+        verify(scriptSig, Script('OP_DROP OP_1'), { maxScriptElementSize: 521 }).should.equal(true)
+      })
+
+      it('should limit the size of the stacks', function () {
+        verify(Script('OP_1 OP_1'), Script('OP_TOALTSTACK'), { maxStackSize: 2 }).should.equal(true)
+        verify(Script('OP_1 OP_1'), Script('OP_TOALTSTACK OP_1'), {
+          maxStackSize: 2,
+        }).should.equal('SCRIPT_ERR_STACK_SIZE')
+      })
+
+      it('should limit the size of the scripts', function () {
+        verify(Script('OP_1'), Script('OP_1 OP_1'), { maxScriptSize: 2 }).should.equal(true)
+        verify(Script('OP_1'), Script('OP_1 OP_1 OP_1'), { maxScriptSize: 2 }).should.equal(
+          'SCRIPT_ERR_SCRIPT_SIZE'
+        )
+      })
+
+      it('should limit the size of numbers', function () {
+        const scriptSig = Script('5 0xffffffff00')
+        verify(scriptSig, Script('OP_1ADD')).should.match(/script number overflow/)
+        verify(scriptSig, Script('OP_1ADD'), { maxScriptNumLength: 5 }).should.equal(true)
+      })
+
+      it('should limit the size of numbers converted by OP_BIN2NUM', function () {
+        const flags = Interpreter.SCRIPT_ENABLE_MONOLITH_OPCODES
+        const scriptSig = Script('5 0xffffffff00')
+        const interp = new Interpreter()
+        interp.verify(scriptSig, Script('OP_BIN2NUM'), undefined, 0, flags).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_INVALID_NUMBER_RANGE')
+        Interpreter()
+          .verify(scriptSig, Script('OP_BIN2NUM'), undefined, 0, flags, { maxScriptNumLength: 5 })
+          .should.equal(true)
+      })
+
+      it('should accept the presets of the chain', function () {
+        verify(Script('OP_1'), Script('OP_NOP'), 'consensus').should.equal(true)
+      })
+
+      it('should only apply the limits to the call they are given to', function () {
+        const interp = new Interpreter()
+        const scriptPubkey = Script(_.repeat('OP_NOP ', 300).trim())
+        interp
+          .verify(Script('OP_1'), scriptPubkey, undefined, 0, 0, { maxOpsPerScript: 1000 })
+          .should.equal(true)
+        interp.verify(Script('OP_1'), scriptPubkey).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_OP_COUNT')
+        interp.getLimits().should.equal(Bitcoin.Chains.bch.scriptLimits.consensus)
+      })
+
+      it('should apply the limits to the redeem script of a p2sh output', function () {
+        const flags = Interpreter.SCRIPT_VERIFY_P2SH
+        const redeemScript = Script(_.repeat('OP_NOP ', 300).concat('OP_1'))
+        const scriptSig = Script().add(redeemScript.toBuffer())
+        const scriptPubkey = Script.buildScriptHashOut(redeemScript)
+        const interp = new Interpreter()
+        interp
+          .verify(scriptSig, scriptPubkey, undefined, 0, flags, { maxOpsPerScript: 1000 })
+          .should.equal(true)
+        interp.verify(scriptSig, scriptPubkey, undefined, 0, flags).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_OP_COUNT')
+      })
+    })
+
     it('should verify these trivial scripts', function () {
       let verified
       const si = Interpreter()
@@ -150,6 +322,382 @@ describe('Interpreter', function () {
       verified.should.equal(true)
     })
 
+    describe('opcodes re-enabled by Bitcoin SV', function () {
+      const BsvInterpreter = Bitcoin.bsv().Script.Interpreter
+      const verify = function (Clazz, scriptPubkey) {
+        const interp = new Clazz()
+        return interp.verify(Script(''), Conformance.parseScript(scriptPubkey)) || interp.errstr
+      }
+
+      it('should be disabled on Bitcoin Cash', function () {
+        ;[
+          '2 3 MUL 6 EQUAL',
+          "'a' INVERT DROP 1",
+          "'a' 1 LSHIFT DROP 1",
+          "'a' 1 RSHIFT DROP 1",
+        ].forEach((script) =>
+          verify(Interpreter, script).should.equal('SCRIPT_ERR_DISABLED_OPCODE')
+        )
+        verify(BsvInterpreter, '2 2MUL 4 EQUAL').should.equal('SCRIPT_ERR_DISABLED_OPCODE')
+      })
+
+      it('should multiply numbers', function () {
+        verify(BsvInterpreter, '2 3 MUL 6 EQUAL').should.equal(true)
+        verify(BsvInterpreter, '-7 0x02 0x0001 MUL 0x02 0x0087 EQUAL').should.equal(true)
+        verify(BsvInterpreter, '0x05 0x0000000001 2 MUL DROP 1').should.contain(
+          'script number overflow'
+        )
+      })
+
+      it('should invert the bits of a value', function () {
+        verify(BsvInterpreter, '0x02 0x00ff INVERT 0x02 0xff00 EQUAL').should.equal(true)
+        verify(BsvInterpreter, '0 INVERT 0 EQUAL').should.equal(true)
+      })
+
+      it('should shift the bits of a value', function () {
+        const value = '0x04 0x9f11f555'
+        verify(BsvInterpreter, `${value} 1 LSHIFT 0x04 0x3e23eaaa EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} 1 RSHIFT 0x04 0x4f88faaa EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} 12 LSHIFT 0x04 0x1f555000 EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} 12 RSHIFT 0x04 0x0009f11f EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} 32 LSHIFT 0x04 0x00000000 EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} 0 RSHIFT ${value} EQUAL`).should.equal(true)
+        verify(BsvInterpreter, `${value} -1 LSHIFT DROP 1`).should.equal(
+          'SCRIPT_ERR_INVALID_NUMBER_RANGE'
+        )
+        verify(BsvInterpreter, '1 RSHIFT DROP 1').should.equal('SCRIPT_ERR_INVALID_STACK_OPERATION')
+      })
+    })
+
+    describe('OP_CHECKDATASIG', function () {
+      const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+      const message = Buffer.from('oracle message')
+      const signature = privateKey.signData(message).toDER()
+      const flags =
+        Interpreter.SCRIPT_VERIFY_P2SH |
+        Interpreter.SCRIPT_VERIFY_STRICTENC |
+        Interpreter.SCRIPT_VERIFY_LOW_S |
+        Interpreter.SCRIPT_ENABLE_CHECKDATASIG
+      const buildScriptSig = (sig, data) => new Script().add(sig).add(data)
+      const scriptPubkey = new Script()
+        .add(privateKey.publicKey.toBuffer())
+        .add(Opcode.OP_CHECKDATASIG)
+      const verifyScriptPubkey = new Script()
+        .add(privateKey.publicKey.toBuffer())
+        .add(Opcode.OP_CHECKDATASIGVERIFY)
+        .add(Opcode.OP_1)
+
+      it('should verify a data signature', function () {
+        Interpreter()
+          .verify(buildScriptSig(signature, message), scriptPubkey, undefined, 0, flags)
+          .should.equal(true)
+        Interpreter()
+          .verify(buildScriptSig(signature, message), verifyScriptPubkey, undefined, 0, flags)
+          .should.equal(true)
+      })
+
+      it('should push false for a signature of other data', function () {
+        const scriptSig = buildScriptSig(signature, Buffer.from('other message'))
+        let interp = Interpreter()
+        interp.verify(scriptSig, scriptPubkey, undefined, 0, flags).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+        interp = Interpreter()
+        interp.verify(scriptSig, verifyScriptPubkey, undefined, 0, flags).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_CHECKDATASIGVERIFY')
+      })
+
+      it('should push false for an empty signature', function () {
+        const scriptSig = buildScriptSig(Buffer.alloc(0), message)
+        const notScriptPubkey = Script.fromBuffer(scriptPubkey.toBuffer()).add(Opcode.OP_NOT)
+        Interpreter().verify(scriptSig, notScriptPubkey, undefined, 0, flags).should.equal(true)
+      })
+
+      it('should require strict DER and low S signatures', function () {
+        const interp = Interpreter()
+        const sig = Bitcoin.crypto.Signature.fromDER(signature)
+        sig.s = Bitcoin.crypto.Point.getN().sub(sig.s)
+        interp
+          .verify(buildScriptSig(sig.toDER(), message), scriptPubkey, undefined, 0, flags)
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_SIG_DER_HIGH_S')
+        const txSig = Buffer.concat([
+          signature,
+          Buffer.from([Bitcoin.crypto.Signature.SIGHASH_ALL]),
+        ])
+        interp
+          .verify(buildScriptSig(txSig, message), scriptPubkey, undefined, 0, flags)
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_SIG_DER_INVALID_FORMAT')
+      })
+
+      it('should fail with too few stack elements', function () {
+        const interp = Interpreter()
+        interp
+          .verify(new Script().add(message), scriptPubkey, undefined, 0, flags)
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_INVALID_STACK_OPERATION')
+      })
+
+      it('should be a bad opcode without SCRIPT_ENABLE_CHECKDATASIG', function () {
+        const interp = Interpreter()
+        interp
+          .verify(
+            buildScriptSig(signature, message),
+            scriptPubkey,
+            undefined,
+            0,
+            flags & ~Interpreter.SCRIPT_ENABLE_CHECKDATASIG
+          )
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_BAD_OPCODE')
+      })
+    })
+
+    describe('Schnorr signatures', function () {
+      const { Schnorr, Hash, Signature } = Bitcoin.crypto
+      const { Sighash } = Transaction
+      const privateKeys = [
+        new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY'),
+        new PrivateKey('cNuW8LX2oeQXfKKCGxajGvqwhCgBtacwTQqiCGHzzKfmpHGY4TE9'),
+        new PrivateKey('cTtLHt4mv6zuJytSnM7Vd6NLxyNauYLMxD818sBC8PJ1UPiVTRSs'),
+      ]
+      const publicKeys = privateKeys.map((privateKey) => privateKey.publicKey)
+      const scriptPubkey = Script.buildMultisigOut(publicKeys, 2, { noSorting: true })
+      const tx = new Transaction()
+        .from(
+          {
+            txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+            outputIndex: 0,
+            script: scriptPubkey,
+            satoshis: 100000,
+          },
+          publicKeys,
+          2
+        )
+        .to('mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc', 90000)
+      const sign = (i, signingMethod) =>
+        Sighash.sign(
+          tx,
+          privateKeys[i],
+          Signature.SIGHASH_ALL,
+          0,
+          scriptPubkey,
+          undefined,
+          signingMethod
+        ).toTxFormat()
+      const flags =
+        Interpreter.SCRIPT_VERIFY_STRICTENC |
+        Interpreter.SCRIPT_VERIFY_NULLDUMMY |
+        Interpreter.SCRIPT_ENABLE_SCHNORR |
+        Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG
+      const verify = (dummy, sigs, verifyFlags = flags) => {
+        const interp = new Interpreter()
+        const scriptSig = new Script().add(dummy)
+        sigs.forEach((sig) => scriptSig.add(sig))
+        const result = interp.verify(scriptSig, scriptPubkey, tx, 0, verifyFlags)
+        return result || interp.errstr
+      }
+
+      it('should verify a Schnorr signature with OP_CHECKSIG', function () {
+        const p2pk = Script.buildPublicKeyOut(publicKeys[0])
+        const sig = Sighash.sign(
+          tx,
+          privateKeys[0],
+          Signature.SIGHASH_ALL,
+          0,
+          p2pk,
+          undefined,
+          'schnorr'
+        ).toTxFormat()
+        sig.length.should.equal(65)
+        const scriptSig = new Script().add(sig)
+        Interpreter().verify(scriptSig, p2pk, tx, 0, flags).should.equal(true)
+        const interp = Interpreter()
+        interp
+          .verify(scriptSig, p2pk, tx, 0, Interpreter.SCRIPT_VERIFY_STRICTENC)
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_SIG_DER_INVALID_FORMAT')
+      })
+
+      it('should accept the SIGHASH_FORKID hashtype of a Schnorr signature', function () {
+        const p2pk = Script.buildPublicKeyOut(publicKeys[0])
+        const sig = Sighash.sign(
+          tx,
+          privateKeys[0],
+          Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID,
+          0,
+          p2pk,
+          new BN(100000),
+          'schnorr'
+        ).toTxFormat()
+        const scriptSig = new Script().add(sig)
+        Interpreter().verify(scriptSig, p2pk, tx, 0, flags).should.equal(true)
+        const undefinedHashtype = Buffer.concat([sig.slice(0, 64), Buffer.from([0x44])])
+        const interp = Interpreter()
+        interp.verify(new Script().add(undefinedHashtype), p2pk, tx, 0, flags).should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_SIG_HASHTYPE')
+      })
+
+      it('should verify a Schnorr signature with OP_CHECKDATASIG', function () {
+        const message = Buffer.from('oracle message')
+        const sig = Schnorr.sign(Hash.sha256(message), privateKeys[0]).toBuffer()
+        const scriptSig = new Script().add(sig).add(message)
+        const checkDataSig = new Script().add(publicKeys[0].toBuffer()).add(Opcode.OP_CHECKDATASIG)
+        Interpreter()
+          .verify(
+            scriptSig,
+            checkDataSig,
+            undefined,
+            0,
+            flags | Interpreter.SCRIPT_ENABLE_CHECKDATASIG
+          )
+          .should.equal(true)
+        const interp = Interpreter()
+        interp
+          .verify(
+            scriptSig,
+            checkDataSig,
+            undefined,
+            0,
+            Interpreter.SCRIPT_VERIFY_STRICTENC | Interpreter.SCRIPT_ENABLE_CHECKDATASIG
+          )
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_SIG_DER_INVALID_FORMAT')
+      })
+
+      it('should verify OP_CHECKMULTISIG with a bitfield', function () {
+        verify(Buffer.from([0x05]), [sign(0, 'schnorr'), sign(2, 'schnorr')]).should.equal(true)
+        verify(Buffer.from([0x03]), [sign(0, 'schnorr'), sign(1, 'schnorr')]).should.equal(true)
+        verify(Buffer.from([0x06]), [sign(1, 'schnorr'), sign(2, 'schnorr')]).should.equal(true)
+      })
+
+      it('should require the signatures in the order of the public keys', function () {
+        verify(Buffer.from([0x05]), [sign(2, 'schnorr'), sign(0, 'schnorr')]).should.equal(
+          'SCRIPT_ERR_SIG_NULLFAIL'
+        )
+        verify(Buffer.from([0x03]), [sign(0, 'schnorr'), sign(2, 'schnorr')]).should.equal(
+          'SCRIPT_ERR_SIG_NULLFAIL'
+        )
+      })
+
+      it('should check the bitfield', function () {
+        const sigs = [sign(0, 'schnorr'), sign(2, 'schnorr')]
+        verify(Buffer.from([0x07]), sigs).should.equal('SCRIPT_ERR_INVALID_BIT_COUNT')
+        verify(Buffer.from([0x01]), sigs).should.equal('SCRIPT_ERR_INVALID_BIT_COUNT')
+        verify(Buffer.from([0x09]), sigs).should.equal('SCRIPT_ERR_INVALID_BIT_RANGE')
+        verify(Buffer.from([0x05, 0x00]), sigs).should.equal('SCRIPT_ERR_INVALID_BITFIELD_SIZE')
+      })
+
+      it('should only accept Schnorr signatures with a bitfield', function () {
+        verify(Buffer.from([0x05]), [sign(0, 'schnorr'), sign(2)]).should.equal(
+          'SCRIPT_ERR_SIG_NONSCHNORR'
+        )
+        verify(Buffer.from([0x05]), [sign(0, 'schnorr'), Buffer.alloc(0)]).should.equal(
+          'SCRIPT_ERR_SIG_NULLFAIL'
+        )
+      })
+
+      it('should not accept Schnorr signatures without a bitfield', function () {
+        verify(Opcode.OP_0, [sign(0), sign(2)]).should.equal(true)
+        verify(Opcode.OP_0, [sign(0, 'schnorr'), sign(2, 'schnorr')]).should.equal(
+          'SCRIPT_ERR_SIG_BADLENGTH'
+        )
+        const legacyFlags = flags & ~Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG
+        verify(
+          Buffer.from([0x05]),
+          [sign(0, 'schnorr'), sign(2, 'schnorr')],
+          legacyFlags
+        ).should.equal('SCRIPT_ERR_SIG_BADLENGTH')
+        verify(Buffer.from([0x05]), [sign(0), sign(2)], legacyFlags).should.equal(
+          'SCRIPT_ERR_SIG_NULLDUMMY'
+        )
+      })
+    })
+
+    describe('OP_CHECKSEQUENCEVERIFY', function () {
+      const flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_CHECKSEQUENCEVERIFY
+      const buildTx = function (lock) {
+        const tx = new Transaction().from({
+          txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+          outputIndex: 0,
+          script: Script('OP_TRUE'),
+          satoshis: 100000,
+        })
+        return lock ? lock(tx) : tx
+      }
+      const buildScript = (nSequence, opcode) =>
+        new Script().add(new BN(nSequence).toScriptNumBuffer()).add(opcode)
+      const verify = function (nSequence, tx, expectedErrstr) {
+        const interp = Interpreter()
+        const scriptPubkey = buildScript(nSequence, 'OP_CHECKSEQUENCEVERIFY')
+        interp.verify(new Script(), scriptPubkey, tx, 0, flags).should.equal(!expectedErrstr)
+        if (expectedErrstr) {
+          interp.errstr.should.equal(expectedErrstr)
+        }
+      }
+
+      it('should verify a satisfied number of blocks', function () {
+        verify(
+          10,
+          buildTx((tx) => tx.lockInputForBlocks(0, 10))
+        )
+        verify(
+          9,
+          buildTx((tx) => tx.lockInputForBlocks(0, 10))
+        )
+      })
+
+      it('should verify a satisfied number of seconds', function () {
+        verify(
+          0x400002,
+          buildTx((tx) => tx.lockInputForSeconds(0, 1024))
+        )
+      })
+
+      it('should fail for an unsatisfied lock time', function () {
+        const errstr = 'SCRIPT_ERR_UNSATISFIED_LOCKTIME'
+        verify(
+          11,
+          buildTx((tx) => tx.lockInputForBlocks(0, 10)),
+          errstr
+        )
+        verify(
+          10,
+          buildTx((tx) => tx.lockInputForSeconds(0, 10 * 512)),
+          errstr
+        )
+        verify(10, buildTx(), errstr)
+        const version1 = buildTx((tx) => tx.lockInputForBlocks(0, 10))
+        version1.version = 1
+        verify(10, version1, errstr)
+      })
+
+      it('should fail for a negative lock time', function () {
+        verify(-1, buildTx(), 'SCRIPT_ERR_NEGATIVE_LOCKTIME')
+        const interp = Interpreter()
+        interp
+          .verify(new Script(), new Script('OP_CHECKSEQUENCEVERIFY'), buildTx(), 0, flags)
+          .should.equal(false)
+        interp.errstr.should.equal('SCRIPT_ERR_INVALID_STACK_OPERATION')
+      })
+
+      it('should behave as a NOP if the disable flag is set in the operand', function () {
+        verify(0x80000000, buildTx())
+      })
+
+      it('should behave as a NOP3 without SCRIPT_VERIFY_CHECKSEQUENCEVERIFY', function () {
+        Interpreter()
+          .verify(
+            new Script(),
+            buildScript(11, 'OP_NOP3'),
+            buildTx(),
+            0,
+            Interpreter.SCRIPT_VERIFY_P2SH
+          )
+          .should.equal(true)
+      })
+    })
+
     it('should set values on interpreter', function () {
       const script = Script('OP_1')
       const tx = new Transaction()
@@ -186,45 +734,10 @@ describe('Interpreter', function () {
     })
   })
 
-  const getFlags = function getFlags(flagstr) {
-    let flags = 0
-    if (flagstr.indexOf('NONE') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_NONE
-    }
-    if (flagstr.indexOf('P2SH') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_P2SH
-    }
-    if (flagstr.indexOf('STRICTENC') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_STRICTENC
-    }
-    if (flagstr.indexOf('DERSIG') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_DERSIG
-    }
-    if (flagstr.indexOf('LOW_S') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_LOW_S
-    }
-    if (flagstr.indexOf('NULLDUMMY') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_NULLDUMMY
-    }
-    if (flagstr.indexOf('SIGPUSHONLY') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_SIGPUSHONLY
-    }
-    if (flagstr.indexOf('MINIMALDATA') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_MINIMALDATA
-    }
-    if (flagstr.indexOf('DISCOURAGE_UPGRADABLE_NOPS') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_DISCOURAGE_UPGRADABLE_NOPS
-    }
-    if (flagstr.indexOf('CHECKLOCKTIMEVERIFY') !== -1) {
-      flags |= Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY
-    }
-    return flags
-  }
-
   const testFixture = function (vector, expected) {
-    const scriptSig = Script.fromBitcoindString(vector[0])
-    const scriptPubkey = Script.fromBitcoindString(vector[1])
-    const flags = getFlags(vector[2])
+    const scriptSig = Conformance.parseScript(vector[0])
+    const scriptPubkey = Conformance.parseScript(vector[1])
+    const flags = Conformance.parseFlags(vector[2])
 
     const hashbuf = Buffer.alloc(32)
     hashbuf.fill(0)
@@ -300,7 +813,7 @@ describe('Interpreter', function () {
         it(`should pass tx_${expected ? '' : 'in'}valid vector ${cc}`, function () {
           const inputs = vector[0]
           const txhex = vector[1]
-          const flags = getFlags(vector[2])
+          const flags = Conformance.parseFlags(vector[2])
 
           const map = {}
           inputs.forEach(function (input) {
@@ -310,7 +823,7 @@ describe('Interpreter', function () {
             if (txoutnum === -1) {
               txoutnum = 0xffffffff // bitcoind casts -1 to an unsigned int
             }
-            map[`${txid}:${txoutnum}`] = Script.fromBitcoindString(scriptPubKeyStr)
+            map[`${txid}:${txoutnum}`] = Conformance.parseScript(scriptPubKeyStr)
           })
 
           const tx = new Transaction(txhex)
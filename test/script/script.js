@@ -9,6 +9,8 @@ const { Networks } = Bitcoin
 const { Opcode } = Bitcoin
 const { PublicKey } = Bitcoin
 const { Address } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Hash } = Bitcoin.crypto
 
 describe('Script', function () {
   it('should make a new script', function () {
@@ -212,6 +214,115 @@ describe('Script', function () {
     })
   })
 
+  describe('#disassemble', function () {
+    const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+    const signature = Buffer.concat([
+      Bitcoin.crypto.ECDSA.sign(Hash.sha256(Buffer.from('data')), privateKey).toDER(),
+      Buffer.from([0x41]),
+    ])
+
+    it('should annotate a p2pkh output', function () {
+      Script.buildPublicKeyHashOut(privateKey.toAddress())
+        .disassemble()
+        .should.deep.equal([
+          { asm: 'OP_DUP' },
+          { asm: 'OP_HASH160' },
+          {
+            asm: privateKey.toAddress().hashBuffer.toString('hex'),
+            annotation: 'public key hash',
+          },
+          { asm: 'OP_EQUALVERIFY' },
+          { asm: 'OP_CHECKSIG' },
+        ])
+    })
+
+    it('should annotate public keys and signatures with their sighash type', function () {
+      const uncompressed = new PublicKey(privateKey.publicKey.point, { compressed: false })
+      const instructions = Script()
+        .add(signature)
+        .add(Buffer.concat([Buffer.alloc(64, 1), Buffer.from([0xc1])]))
+        .add(privateKey.publicKey.toBuffer())
+        .add(uncompressed.toBuffer())
+        .disassemble()
+      instructions
+        .map((instruction) => instruction.annotation)
+        .should.deep.equal([
+          'signature [ALL|FORKID]',
+          'Schnorr signature [ALL|FORKID|ANYONECANPAY]',
+          'public key',
+          'uncompressed public key',
+        ])
+    })
+
+    it('should annotate hashes and numbers', function () {
+      Script(
+        'OP_SHA256 32 0x%s OP_EQUALVERIFY 2 0x9000 OP_NOP3 1 0x05 2 0x0500 OP_2DROP'.replace(
+          '%s',
+          '00'.repeat(32)
+        )
+      )
+        .disassemble()
+        .filter((instruction) => instruction.annotation)
+        .map((instruction) => instruction.annotation)
+        .should.deep.equal([
+          '32 byte hash',
+          'number 144',
+          'number 5, not minimally encoded',
+          'number 5, not minimally encoded',
+        ])
+    })
+
+    it('should annotate the protocol prefix and text of data outputs', function () {
+      Script.buildDataOut(Buffer.from('hello'))
+        .disassemble()[1]
+        .annotation.should.equal('text "hello"')
+      const instructions = Script('OP_RETURN 4 0x534c5000 1 0x01 7 0x47454e45534953').disassemble()
+      instructions[1].annotation.should.equal('protocol prefix, SLP token')
+      should.not.exist(instructions[2].annotation)
+      instructions[3].annotation.should.equal('text "GENESIS"')
+    })
+
+    it('should disassemble the redeem script of p2sh inputs', function () {
+      const publicKeys = [privateKey.publicKey, new PrivateKey().publicKey]
+      const redeemScript = Script.buildMultisigOut(publicKeys, 1)
+      const instructions = Script.buildP2SHMultisigIn(publicKeys, 1, [signature]).disassemble()
+      instructions.length.should.equal(3)
+      instructions[2].asm.should.equal(redeemScript.toHex())
+      instructions[2].annotation.should.equal('redeem script, Pay to multisig')
+      instructions[2].redeemScript.should.deep.equal(redeemScript.disassemble())
+    })
+
+    it('should disassemble redeem scripts that are not standard', function () {
+      const redeemScript = Script('OP_IF OP_2 OP_ELSE OP_3 OP_ENDIF')
+      const instructions = Script('OP_1').add(redeemScript.toBuffer()).disassemble()
+      instructions[1].annotation.should.equal('redeem script')
+      instructions[1].redeemScript.length.should.equal(5)
+      should.not.exist(Script('OP_1').add(Buffer.from('5152', 'hex')).disassemble()[1].redeemScript)
+    })
+  })
+
+  describe('#toAnnotatedASM', function () {
+    it('should print one chunk per line with its annotation', function () {
+      const redeemScript = Script('OP_HASH160 20 0x%s OP_EQUAL'.replace('%s', '11'.repeat(20)))
+      Script('OP_0')
+        .add(redeemScript.toBuffer())
+        .toAnnotatedASM()
+        .should.equal(
+          [
+            'OP_0',
+            `${redeemScript.toHex()} # redeem script, Pay to script hash`,
+            '  OP_HASH160',
+            `  ${'11'.repeat(20)} # script hash`,
+            '  OP_EQUAL',
+          ].join('\n')
+        )
+    })
+
+    it('should work with an empty script', function () {
+      Script.empty().toAnnotatedASM().should.equal('')
+    })
+  })
+
   describe('toHex', function () {
     it('should return an hexa string "03010203" as expected from [3, 1, 2, 3]', function () {
       const buf = Buffer.from([3, 1, 2, 3])
@@ -257,6 +368,21 @@ describe('Script', function () {
     })
   })
 
+  describe('#isDataCarrier', function () {
+    it('should identify scripts starting with OP_RETURN', function () {
+      Script('OP_RETURN').isDataCarrier().should.equal(true)
+      Script(`OP_RETURN OP_PUSHDATA1 81 0x${'00'.repeat(81)}`)
+        .isDataCarrier()
+        .should.equal(true)
+      Script('OP_RETURN OP_1 OP_2').isDataCarrier().should.equal(true)
+    })
+
+    it('should not identify other scripts', function () {
+      Script('').isDataCarrier().should.equal(false)
+      Script('OP_1 OP_RETURN').isDataCarrier().should.equal(false)
+    })
+  })
+
   describe('#isPublicKeyIn', function () {
     it('correctly identify scriptSig as a public key in', function () {
       // from txid: 5c85ed63469aa9971b5d01063dbb8bcdafd412b2f51a3d24abf2e310c028bbf8
@@ -271,6 +397,14 @@ describe('Script', function () {
   })
 
   describe('#isPublicKeyHashIn', function () {
+    it('should identify a pubkeyhashin with a Schnorr signature', function () {
+      Script(
+        '65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541 33 0x02aec6b86621e7fef63747fbfd6a6e7d54c8e1052044ef2dd2c5e46656ef1194d4'
+      )
+        .isPublicKeyHashIn()
+        .should.equal(true)
+    })
+
     it('should identify this known pubkeyhashin (uncompressed pubkey version)', function () {
       Script(
         '73 0x3046022100bb3c194a30e460d81d34be0a230179c043a656f67e3c5c8bf47eceae7c4042ee0221008bf54ca11b2985285be0fd7a212873d243e6e73f5fad57e8eb14c4f39728b8c601 65 0x04e365859b3c78a8b7c202412b949ebca58e147dba297be29eee53cd3e1d300a6419bc780cc9aec0dc94ed194e91c8f6433f1b781ee00eac0ead2aae1e8e0712c6'
@@ -414,6 +548,28 @@ describe('Script', function () {
   })
 
   describe('#isMultisigIn', function () {
+    it('should identify multisig in with Schnorr signatures and a bitfield', function () {
+      Script(
+        `OP_5 65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541 65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541`
+      )
+        .isMultisigIn()
+        .should.equal(true)
+      Script(
+        `2 0x0101 65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541`
+      )
+        .isMultisigIn()
+        .should.equal(true)
+      Script(
+        `OP_0 65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541`
+      )
+        .isMultisigIn()
+        .should.equal(false)
+      Script(
+        `OP_5 65 0x787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541 OP_0`
+      )
+        .isMultisigIn()
+        .should.equal(false)
+    })
     it('should identify multisig in 1', function () {
       Script(
         'OP_0 0x47 0x3044022002a27769ee33db258bdf7a3792e7da4143ec4001b551f73e6a190b8d1bde449d02206742c56ccd94a7a2e16ca52fc1ae4a0aa122b0014a867a80de104f9cb18e472c01'
@@ -754,7 +910,7 @@ describe('Script', function () {
 
   describe('#add and #prepend', function () {
     it('should add these ops', function () {
-      Script().add(1).add(10).add(186).toString().should.equal('0x01 0x0a 0xba')
+      Script().add(1).add(10).add(188).toString().should.equal('0x01 0x0a 0xbc')
       Script().add(1000).toString().should.equal('0x03e8')
       Script().add('OP_CHECKMULTISIG').toString().should.equal('OP_CHECKMULTISIG')
       Script().add('OP_1').add('OP_2').toString().should.equal('OP_1 OP_2')
@@ -845,6 +1001,39 @@ describe('Script', function () {
     })
   })
 
+  describe('#buildMultisigIn', function () {
+    const pubKeyHexes = [
+      '022df8750480ad5b26950b25c7ba79d3e37d75f640f8e5d9bcd5b150a0f85014da',
+      '03e3818b65bcc73a7d64064106a859cc1a5a728c4345ff0b641209fba0d90de6e9',
+    ]
+    const signature = Buffer.from(
+      '787a848e71043d280c50470e8e1532b2dd5d20ee912a45dbdd2bd1dfbf187ef67031a98831859dc34dffeedda86831842ccd0079e1f92af177f7f22cc1dced0541',
+      'hex'
+    )
+
+    it('should start with OP_0', function () {
+      Script.buildMultisigIn(pubKeyHexes, 1, [signature]).chunks[0].opcodenum.should.equal(
+        Opcode.OP_0
+      )
+    })
+
+    it('should push the checkBits bitfield minimally instead of OP_0', function () {
+      const build = (checkBits) =>
+        Script.buildMultisigIn(pubKeyHexes, 1, [signature], { checkBits }).chunks[0]
+      build(Buffer.from([0x05])).opcodenum.should.equal(Opcode.OP_5)
+      build(Buffer.from([0x81])).opcodenum.should.equal(Opcode.OP_1NEGATE)
+      build(Buffer.from([0x80]))
+        .buf.toString('hex')
+        .should.equal('80')
+      build(Buffer.from([0x00, 0x01]))
+        .buf.toString('hex')
+        .should.equal('0001')
+      Script.buildP2SHMultisigIn(pubKeyHexes, 1, [signature], {
+        checkBits: Buffer.from([0x10]),
+      }).chunks[0].opcodenum.should.equal(Opcode.OP_16)
+    })
+  })
+
   describe('#buildMultisigOut', function () {
     const pubKeyHexes = [
       '022df8750480ad5b26950b25c7ba79d3e37d75f640f8e5d9bcd5b150a0f85014da',
@@ -1001,6 +1190,72 @@ describe('Script', function () {
       script._network.should.equal(address.network)
     })
   })
+  describe('#buildHTLCOut', function () {
+    const recipient = new Address('1FSMWkjVPAxzUNjbxT52p3mVKC971rfW3S')
+    const refund = new Address('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH')
+    const preimage = Buffer.from('preimage')
+
+    it('should create a contract with a SHA256 hash lock', function () {
+      const s = Script.buildHTLCOut({
+        hash: Hash.sha256(preimage),
+        recipient,
+        refund,
+        locktime: 600000,
+      })
+      s.toString().should.equal(
+        'OP_IF OP_SHA256 32 0x107661134f21fc7c02223d50ab9eb3600bc3ffc3712423a1e47bb1f9a9dbf55f ' +
+          'OP_EQUALVERIFY OP_DUP OP_HASH160 20 0x9e5d488d6a6f0a9f118c6672deef50f81fa098a3 ' +
+          'OP_ELSE 3 0xc02709 OP_NOP2 OP_DROP OP_DUP OP_HASH160 ' +
+          '20 0x751e76e8199196d454941c45d1b3a323f1433bd6 OP_ENDIF OP_EQUALVERIFY OP_CHECKSIG'
+      )
+      s.isHTLCOut().should.equal(true)
+      s._network.should.equal(recipient.network)
+    })
+
+    it('should create a contract with a HASH160 hash lock', function () {
+      const s = Script.buildHTLCOut({
+        hash: Hash.sha256ripemd160(preimage).toString('hex'),
+        recipient: recipient.toString(),
+        refund: new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4').publicKey,
+        locktime: new Date(1600000000000),
+      })
+      s.chunks[1].opcodenum.should.equal(Opcode.OP_HASH160)
+      s.chunks[2].buf.should.deep.equal(Hash.sha256ripemd160(preimage))
+      s.getHTLCParams().locktime.should.equal(1600000000)
+    })
+
+    it('should fail with an invalid hash or locktime', function () {
+      expect(function () {
+        return Script.buildHTLCOut({ hash: Buffer.alloc(31), recipient, refund, locktime: 0 })
+      }).to.throw('hash must be a 32 byte SHA256 hash or a 20 byte HASH160 hash')
+      expect(function () {
+        return Script.buildHTLCOut({ hash: Buffer.alloc(32), recipient, refund, locktime: -1 })
+      }).to.throw('locktime must be a block height or a timestamp')
+    })
+  })
+  describe('#getHTLCParams', function () {
+    it('should return the parameters of the contract', function () {
+      const params = {
+        hash: Hash.sha256(Buffer.from('preimage')),
+        recipient: new Address('mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc'),
+        refund: new Address('mtX8nPZZdJ8d3QNLRJ1oJTiEi26Sj6LQXS'),
+        locktime: 16,
+      }
+      const s = Script.buildHTLCOut(params)
+      const result = s.getHTLCParams()
+      result.hashFunction.should.equal('sha256')
+      result.hash.should.deep.equal(params.hash)
+      result.recipient.toString().should.equal(params.recipient.toString())
+      result.refund.toString().should.equal(params.refund.toString())
+      result.locktime.should.equal(16)
+      Script.buildHTLCOut(result).equals(s).should.equal(true)
+    })
+
+    it('should return null for other scripts', function () {
+      should.equal(Script.buildPublicKeyHashOut(new PrivateKey().toAddress()).getHTLCParams(), null)
+      Script.empty().isHTLCOut().should.equal(false)
+    })
+  })
   describe('#toScriptHashOut', function () {
     it('should create script from another script', function () {
       const s = new Script(
@@ -1232,6 +1487,11 @@ describe('Script', function () {
       p2sh.getSignatureOperationsCount(true).should.equal(0)
       p2sh.getSignatureOperationsCount(false).should.equal(0)
     })
+    it('should count OP_CHECKDATASIG and OP_CHECKDATASIGVERIFY', function () {
+      const s1 = 'OP_CHECKDATASIG OP_IF OP_CHECKDATASIGVERIFY OP_ENDIF OP_CHECKSIG'
+      Script(s1).getSignatureOperationsCount(true).should.equal(3)
+      Script(s1).getSignatureOperationsCount(false).should.equal(3)
+    })
     it('should default the one and only argument to true', function () {
       const s1 = 'OP_1 01 FF OP_2 OP_CHECKMULTISIG'
       const trueCount = Script(s1).getSignatureOperationsCount(true)
@@ -0,0 +1,270 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { Script } = Bitcoin
+const { Template } = Bitcoin.Script
+const { Opcode } = Bitcoin
+const { PublicKey } = Bitcoin
+const { Address } = Bitcoin
+const { errors } = Bitcoin
+
+describe('Script.Template', function () {
+  const pubkeyHexes = [
+    '022df8750480ad5b26950b25c7ba79d3e37d75f640f8e5d9bcd5b150a0f85014da',
+    '03e3818b65bcc73a7d64064106a859cc1a5a728c4345ff0b641209fba0d90de6e9',
+    '021f2f6e1e50cb6a953935c3601284925decd3fd21bc445712576873fb8c6ebc18',
+  ]
+  const pubkeys = pubkeyHexes.map((hex) => new PublicKey(hex))
+  const address = Address.fromPublicKey(pubkeys[0])
+  const privateKey = new Bitcoin.PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+  const signature = Buffer.concat([
+    Bitcoin.crypto.ECDSA.sign(Bitcoin.crypto.Hash.sha256(Buffer.from('data')), privateKey).toDER(),
+    Buffer.from([0x41]),
+  ])
+
+  describe('constructor', function () {
+    it('should parse a template', function () {
+      const template = new Template('OP_DUP OP_HASH160 <pkh:hash160> OP_EQUALVERIFY OP_CHECKSIG')
+      template.elements.length.should.equal(5)
+      template.getPlaceholders().should.deep.equal(['pkh'])
+      template.toString().should.equal('OP_DUP OP_HASH160 <pkh:hash160> OP_EQUALVERIFY OP_CHECKSIG')
+    })
+
+    it('should work without new and with a template instance', function () {
+      const template = Template('<a> <b:number...> OP_DROP')
+      template.getPlaceholders().should.deep.equal(['a', 'b'])
+      Template(template).should.equal(template)
+    })
+
+    it('should parse hex data as literal pushes', function () {
+      const template = Template('OP_RETURN 6d02 <data>')
+      template.elements[1].chunk.buf.toString('hex').should.equal('6d02')
+    })
+
+    it('should fail with unknown tokens', function () {
+      expect(function () {
+        return Template('OP_DUP OP_FOO')
+      }).to.throw(errors.Script.InvalidTemplate, 'unknown token OP_FOO')
+      expect(function () {
+        return Template('OP_DUP <pkh:hash512>')
+      }).to.throw(errors.Script.InvalidTemplate, 'unknown placeholder type hash512')
+      expect(function () {
+        return Template('OP_DUP abc')
+      }).to.throw(errors.Script.InvalidTemplate)
+      expect(function () {
+        return Template('<a b>')
+      }).to.throw(errors.Script.InvalidTemplate)
+    })
+
+    it('should fail with placeholders used twice', function () {
+      expect(function () {
+        return Template('<a> <a> OP_EQUAL')
+      }).to.throw(errors.Script.InvalidTemplate, 'placeholder a is used twice')
+    })
+
+    it('should fail with an empty template', function () {
+      expect(function () {
+        return Template('  ')
+      }).to.throw(errors.Script.InvalidTemplate)
+    })
+  })
+
+  describe('#compile', function () {
+    it('should compile a p2pkh output', function () {
+      const script = Template(Template.templates.publicKeyHashOut).compile({
+        pkh: address.hashBuffer,
+      })
+      script.equals(Script.buildPublicKeyHashOut(address)).should.equal(true)
+    })
+
+    it('should accept hex strings, public keys and addresses', function () {
+      const template = Template(Template.templates.publicKeyHashOut)
+      const expected = Script.buildPublicKeyHashOut(address)
+      template.compile({ pkh: address }).equals(expected).should.equal(true)
+      template
+        .compile({ pkh: address.hashBuffer.toString('hex') })
+        .equals(expected)
+        .should.equal(true)
+      Template(Template.templates.publicKeyOut)
+        .compile({ pubkey: pubkeys[0] })
+        .equals(Script.buildPublicKeyOut(pubkeys[0]))
+        .should.equal(true)
+    })
+
+    it('should compile a multisig output', function () {
+      const script = Template(Template.templates.multisigOut).compile({
+        threshold: 2,
+        pubkeys,
+        count: 3,
+      })
+      script.equals(Script.buildMultisigOut(pubkeys, 2, { noSorting: true })).should.equal(true)
+    })
+
+    it('should push numbers minimally', function () {
+      const template = Template('<n:number> OP_CHECKSEQUENCEVERIFY')
+      template.compile({ n: 0 }).chunks[0].opcodenum.should.equal(Opcode.OP_0)
+      template.compile({ n: -1 }).chunks[0].opcodenum.should.equal(Opcode.OP_1NEGATE)
+      template.compile({ n: 16 }).chunks[0].opcodenum.should.equal(Opcode.OP_16)
+      template.compile({ n: 17 }).chunks[0].buf.toString('hex').should.equal('11')
+      template.compile({ n: 144 }).chunks[0].buf.toString('hex').should.equal('9000')
+      template.compile({ n: -500 }).chunks[0].buf.toString('hex').should.equal('f481')
+      template
+        .compile({ n: new Bitcoin.crypto.BN(1000) })
+        .chunks[0].buf.toString('hex')
+        .should.equal('e803')
+    })
+
+    it('should compile sized data placeholders', function () {
+      const secret = Buffer.alloc(32, 1)
+      const script = Template(
+        'OP_SIZE <size:number> OP_EQUALVERIFY OP_SHA256 <hash:32> OP_EQUAL'
+      ).compile({ size: 32, hash: Bitcoin.crypto.Hash.sha256(secret) })
+      script
+        .toASM()
+        .should.equal(
+          `OP_SIZE 20 OP_EQUALVERIFY OP_SHA256 ${Bitcoin.crypto.Hash.sha256(secret).toString(
+            'hex'
+          )} OP_EQUAL`
+        )
+    })
+
+    it('should compile empty data', function () {
+      Template('<data> OP_DROP')
+        .compile({ data: Buffer.alloc(0) })
+        .toHex()
+        .should.equal('0075')
+      Template('<data> OP_DROP').compile({ data: '' }).toHex().should.equal('0075')
+    })
+
+    it('should fail with missing parameters', function () {
+      expect(function () {
+        return Template(Template.templates.publicKeyHashOut).compile({})
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'pkh: missing')
+    })
+
+    it('should fail with invalid parameters', function () {
+      const template = Template(Template.templates.publicKeyHashOut)
+      expect(function () {
+        return template.compile({ pkh: Buffer.alloc(19) })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'not a valid hash160')
+      expect(function () {
+        return template.compile({ pkh: 'not hex' })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'not a buffer')
+      expect(function () {
+        return Template('<a:4>').compile({ a: Buffer.alloc(3) })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'expected 4 bytes, got 3')
+      expect(function () {
+        return Template('<key:pubkey> OP_CHECKSIG').compile({ key: Buffer.alloc(33) })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'not a valid pubkey')
+      expect(function () {
+        return Template('<n:number>').compile({ n: 1.5 })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'not an integer')
+    })
+
+    it('should require a non empty array for placeholders with more values', function () {
+      const template = Template(Template.templates.multisigOut)
+      expect(function () {
+        return template.compile({ threshold: 1, pubkeys: [], count: 0 })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'expected a non empty array')
+      expect(function () {
+        return template.compile({ threshold: 1, pubkeys: pubkeys[0], count: 1 })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'expected a non empty array')
+    })
+  })
+
+  describe('#match', function () {
+    it('should extract the values of a p2pkh output', function () {
+      const values = Template(Template.templates.publicKeyHashOut).match(
+        Script.buildPublicKeyHashOut(address)
+      )
+      values.pkh.toString('hex').should.equal(address.hashBuffer.toString('hex'))
+    })
+
+    it('should match scripts as strings and buffers', function () {
+      const script = Script.buildPublicKeyHashOut(address)
+      const template = Template(Template.templates.publicKeyHashOut)
+      template.match(script.toHex()).should.deep.equal({ pkh: address.hashBuffer })
+      template.match(script.toBuffer()).should.deep.equal({ pkh: address.hashBuffer })
+    })
+
+    it('should extract the values of a multisig output', function () {
+      const values = Template(Template.templates.multisigOut).match(
+        Script.buildMultisigOut(pubkeys, 2, { noSorting: true })
+      )
+      values.threshold.should.equal(2)
+      values.count.should.equal(3)
+      values.pubkeys.map((buf) => buf.toString('hex')).should.deep.equal(pubkeyHexes)
+    })
+
+    it('should leave values for the placeholders after one with more values', function () {
+      const values = Template('<a...> <b> <c> OP_DROP').match(Script('OP_0 OP_0 OP_0 OP_0 OP_DROP'))
+      values.a.length.should.equal(2)
+      values.b.length.should.equal(0)
+      values.c.length.should.equal(0)
+      should.equal(Template('<a...> <b> <c> OP_DROP').match(Script('OP_0 OP_0 OP_DROP')), null)
+    })
+
+    it('should extract numbers', function () {
+      const template = Template('<n:number> OP_CHECKLOCKTIMEVERIFY OP_DROP')
+      ;[0, -1, 1, 16, 17, 144, -500, 500000].forEach((n) => {
+        template.match(template.compile({ n })).n.should.equal(n)
+      })
+      should.equal(template.match(Script('5 0x0100000000 OP_CHECKLOCKTIMEVERIFY OP_DROP')), null)
+      should.equal(template.match(Script('2 0x0100 OP_CHECKLOCKTIMEVERIFY OP_DROP')), null)
+    })
+
+    it('should extract signatures and public keys', function () {
+      const template = Template(Template.templates.publicKeyHashIn)
+      const script = Script.buildPublicKeyHashIn(pubkeys[1], signature.slice(0, -1), 0x41)
+      const values = template.match(script)
+      values.sig.toString('hex').should.equal(signature.toString('hex'))
+      values.pubkey.toString('hex').should.equal(pubkeyHexes[1])
+      template.test(Script().add(Buffer.alloc(72)).add(pubkeys[1].toBuffer())).should.equal(false)
+    })
+
+    it('should only match 65 byte pushes with a defined hashtype as Schnorr signatures', function () {
+      const template = Template(Template.templates.publicKeyHashIn)
+      const schnorr = Bitcoin.crypto.Schnorr.sign(
+        Bitcoin.crypto.Hash.sha256(Buffer.from('data')),
+        privateKey
+      ).toBuffer()
+      const values = template.match(
+        Script.buildPublicKeyHashIn(pubkeys[1], Bitcoin.crypto.Signature.fromSchnorr(schnorr), 0x41)
+      )
+      values.sig.toString('hex').should.equal(`${schnorr.toString('hex')}41`)
+      ;[0x00, 0x04, 0xff].forEach((hashtype) => {
+        const push = Buffer.concat([schnorr, Buffer.from([hashtype])])
+        template.test(Script().add(push).add(pubkeys[1].toBuffer())).should.equal(false)
+      })
+    })
+
+    it('should not match scripts with other opcodes or data', function () {
+      const template = Template(Template.templates.publicKeyHashOut)
+      template
+        .test(Script.buildScriptHashOut(Script.buildPublicKeyOut(pubkeys[0])))
+        .should.equal(false)
+      template.test(Script.buildPublicKeyHashOut(address).add('OP_NOP')).should.equal(false)
+      template.test(Script('OP_DUP OP_HASH160 OP_EQUALVERIFY OP_CHECKSIG')).should.equal(false)
+      template.test(Script.empty()).should.equal(false)
+      Template('OP_RETURN 6d02 <data>')
+        .test(Script.buildDataOut(Buffer.from('6d03aa', 'hex')))
+        .should.equal(false)
+    })
+
+    it('should match the scripts detected by Script#classify', function () {
+      const { templates } = Template
+      Template(templates.scriptHashOut)
+        .test(Script.buildScriptHashOut(Script.buildPublicKeyOut(pubkeys[0])))
+        .should.equal(true)
+      Template(templates.publicKeyIn)
+        .test(Script.buildPublicKeyIn(signature.slice(0, -1), 0x41))
+        .should.equal(true)
+      Template(templates.dataOut).test(Script.buildDataOut('hello')).should.equal(true)
+      Template(templates.multisigOut)
+        .test(Script.buildMultisigOut(pubkeys.slice(0, 1), 1))
+        .should.equal(true)
+    })
+  })
+})
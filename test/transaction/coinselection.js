@@ -0,0 +1,217 @@
+import _ from 'lodash'
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { CoinSelection } = Bitcoin.Transaction
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { errors } = Bitcoin
+
+describe('CoinSelection', function () {
+  const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+  const fromAddress = privateKey.toAddress()
+  const otherPrivateKey = new PrivateKey('cNuW8LX2oeQXfKKCGxajGvqwhCgBtacwTQqiCGHzzKfmpHGY4TE9')
+  const otherAddress = otherPrivateKey.toAddress()
+  const toAddress = 'mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc'
+  const changeAddress = 'mgBCJAsvzgT2qNNeXsoECg2uPKrUsZ76up'
+
+  const buildUtxos = function (amounts, address = fromAddress) {
+    return amounts.map((satoshis, i) => ({
+      address,
+      publicKey: (address === fromAddress ? privateKey : otherPrivateKey).publicKey,
+      txId: _.padStart(`${address.toString().length}${i}`, 64, '0'),
+      outputIndex: address === fromAddress ? 0 : 1,
+      script: Script.buildPublicKeyHashOut(address).toString(),
+      satoshis,
+    }))
+  }
+
+  // at 1000 satoshis per kilobyte, a p2pkh input of a compressed public key is estimated at 149
+  // bytes and an output to an address at 34 bytes, on top of 10 bytes for the transaction
+  const buildTransaction = function (amount) {
+    return new Transaction().to(toAddress, amount).change(changeAddress).feePerKb(1000)
+  }
+
+  const amounts = function (transaction) {
+    return transaction.inputs.map((input) => input.output.satoshis)
+  }
+
+  describe('constructor', function () {
+    it('should fail with an unknown strategy', function () {
+      expect(function () {
+        return new CoinSelection([], { strategy: 'smallestFirst' })
+      }).to.throw('Unknown coin selection strategy: smallestFirst')
+    })
+
+    it('should accept unspent outputs and objects', function () {
+      const utxos = buildUtxos([1000, 2000])
+      const selection = new CoinSelection([utxos[0], new Transaction.UnspentOutput(utxos[1])])
+      selection.utxos.length.should.equal(2)
+      selection.utxos[0].should.be.instanceof(Transaction.UnspentOutput)
+      selection.strategy.should.equal('branchAndBound')
+    })
+  })
+
+  describe('#select', function () {
+    it('should return the selection without changing the transaction', function () {
+      const transaction = buildTransaction(60000)
+      const selection = new CoinSelection(buildUtxos([10000, 50000, 200000, 30000]), {
+        strategy: 'largestFirst',
+      }).select(transaction)
+      selection.utxos.length.should.equal(1)
+      selection.inputAmount.should.equal(200000)
+      selection.fee.should.equal(227)
+      selection.change.should.equal(200000 - 60000 - 227)
+      transaction.inputs.length.should.equal(0)
+    })
+
+    it('should fail with insufficient funds', function () {
+      expect(function () {
+        return new CoinSelection(buildUtxos([10000, 20000])).select(buildTransaction(30000))
+      }).to.throw(errors.Transaction.InsufficientFunds, '30000 satoshis and fees needed')
+    })
+
+    it('should skip outputs worth less than the fee to spend them', function () {
+      const selection = new CoinSelection(buildUtxos([100, 50000]), { strategy: 'largestFirst' })
+      expect(function () {
+        return selection.select(buildTransaction(49900))
+      }).to.throw(errors.Transaction.InsufficientFunds, '50000 available')
+    })
+
+    it('should count the inputs already in the transaction', function () {
+      const utxos = buildUtxos([40000, 30000])
+      const transaction = buildTransaction(60000).from(utxos[0])
+      const selection = new CoinSelection(utxos).select(transaction)
+      selection.utxos.should.deep.equal([new CoinSelection(utxos).utxos[1]])
+      selection.inputAmount.should.equal(70000)
+    })
+  })
+
+  describe('#fund', function () {
+    it('should send the change to the change address', function () {
+      const transaction = new CoinSelection(buildUtxos([10000, 50000, 200000, 30000]), {
+        strategy: 'largestFirst',
+      }).fund(buildTransaction(60000))
+      amounts(transaction).should.deep.equal([200000])
+      transaction.getChangeOutput().satoshis.should.equal(200000 - 60000 - 227)
+      transaction._getUnspentValue().should.equal(227)
+      transaction.sign(privateKey).serialize().should.be.a('string')
+    })
+
+    it('should leave change smaller than the dust amount as fee', function () {
+      const transaction = new CoinSelection(buildUtxos([100000]), {
+        strategy: 'largestFirst',
+      }).fund(buildTransaction(100000 - 227 - 300))
+      should.not.exist(transaction.getChangeOutput())
+      transaction.outputs.length.should.equal(1)
+      transaction.getFee().should.equal(527)
+      transaction.sign(privateKey).serialize().should.be.a('string')
+    })
+
+    it('should require a change address when there is change', function () {
+      const transaction = new Transaction().to(toAddress, 10000)
+      expect(function () {
+        return new CoinSelection(buildUtxos([100000])).fund(transaction)
+      }).to.throw(errors.Transaction.ChangeAddressMissing)
+      transaction.inputs.length.should.equal(0)
+    })
+
+    it('should not need a change address for an exact match', function () {
+      const transaction = new CoinSelection(buildUtxos([100000, 30000, 20000, 70000])).fund(
+        new Transaction().to(toAddress, 49650).feePerKb(1000)
+      )
+      amounts(transaction).should.deep.equal([30000, 20000])
+      transaction.getFee().should.equal(350)
+    })
+  })
+
+  describe('strategies', function () {
+    it('largestFirst should use the largest outputs', function () {
+      const transaction = new CoinSelection(buildUtxos([10000, 50000, 20000, 30000]), {
+        strategy: 'largestFirst',
+      }).fund(buildTransaction(70000))
+      amounts(transaction).should.deep.equal([50000, 30000])
+    })
+
+    it('branchAndBound should find outputs that need no change', function () {
+      const transaction = new CoinSelection(buildUtxos([100000, 30000, 20000, 70000])).fund(
+        buildTransaction(49650)
+      )
+      amounts(transaction).should.deep.equal([30000, 20000])
+      should.not.exist(transaction.getChangeOutput())
+      transaction.getFee().should.equal(350)
+      transaction.sign(privateKey).serialize().should.be.a('string')
+    })
+
+    it('branchAndBound should prefer the smallest excess', function () {
+      const transaction = new CoinSelection(buildUtxos([50200, 30000, 20000])).fund(
+        buildTransaction(49650)
+      )
+      amounts(transaction).should.deep.equal([30000, 20000])
+    })
+
+    it('branchAndBound should fall back to largestFirst', function () {
+      const transaction = new CoinSelection(buildUtxos([100000, 50000])).fund(
+        buildTransaction(70000)
+      )
+      amounts(transaction).should.deep.equal([100000])
+      transaction.getChangeOutput().satoshis.should.equal(100000 - 70000 - 227)
+    })
+
+    it('randomImprove should add outputs while the change gets closer to the amount', function () {
+      const utxos = buildUtxos([10000, 20000, 30000, 40000, 50000])
+      const transaction = new CoinSelection(utxos, {
+        strategy: 'randomImprove',
+        random: () => 0,
+      }).fund(buildTransaction(20000))
+      // with these random numbers the outputs are picked in the order 20000, 30000, 40000,
+      // 50000, 10000
+      amounts(transaction).should.deep.equal([20000, 30000])
+      const change = transaction.getChangeOutput().satoshis
+      change.should.be.above(20000)
+      change.should.be.at.most(40000)
+      transaction.sign(privateKey).serialize().should.be.a('string')
+    })
+
+    it('randomImprove should not go over twice the amount in change', function () {
+      const utxos = buildUtxos([25000, 100000])
+      const transaction = new CoinSelection(utxos, {
+        strategy: 'randomImprove',
+        random: () => 0.99,
+      }).fund(buildTransaction(20000))
+      amounts(transaction).should.deep.equal([25000])
+    })
+
+    it('avoidReuse should spend all the outputs of an address together', function () {
+      const utxos = buildUtxos([40000, 10000]).concat(buildUtxos([30000], otherAddress))
+      const transaction = new CoinSelection(utxos, { strategy: 'avoidReuse' }).fund(
+        buildTransaction(20000)
+      )
+      amounts(transaction).should.deep.equal([40000, 10000])
+      transaction.sign(privateKey).serialize().should.be.a('string')
+    })
+
+    it('should all fund transactions with many outputs', function () {
+      const utxos = buildUtxos(_.range(1, 200).map((i) => i * 1000))
+      _.keys(CoinSelection.strategies).forEach((strategy) => {
+        const transaction = new CoinSelection(utxos, { strategy }).fund(buildTransaction(1234567))
+        transaction.inputAmount.should.be.at.least(1234567 + transaction._getUnspentValue())
+        should.not.exist(transaction.getSerializationError({ disableIsFullySigned: true }))
+      })
+    })
+  })
+
+  describe('Transaction#selectCoins', function () {
+    it('should add the selected inputs and the change', function () {
+      const transaction = buildTransaction(60000).selectCoins(
+        buildUtxos([10000, 50000, 200000, 30000]),
+        { strategy: 'largestFirst' }
+      )
+      amounts(transaction).should.deep.equal([200000])
+      transaction.outputs.length.should.equal(2)
+    })
+  })
+})
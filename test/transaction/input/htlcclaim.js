@@ -0,0 +1,136 @@
+import chai from 'chai'
+import Bitcoin from '../../bitcoin'
+
+chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { Interpreter } = Bitcoin.Script
+const { Hash } = Bitcoin.crypto
+const { Signature } = Bitcoin.crypto
+const HTLCClaimInput = Bitcoin.Transaction.Input.HTLCClaim
+
+describe('HTLCClaimInput', function () {
+  const recipientKey = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4')
+  const refundKey = new PrivateKey('L4PqnaPTCkYhAqH3YQmefjxQP6zRcF4EJbdGqR8v6adtG9XSsadY')
+  const toAddress = '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'
+  const preimage = Buffer.from('the secret of the hash lock')
+  const flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_STRICTENC
+
+  const buildContract = (hash) =>
+    Script.buildHTLCOut({
+      hash,
+      recipient: recipientKey.publicKey,
+      refund: refundKey.publicKey,
+      locktime: 600000,
+    })
+  const contract = buildContract(Hash.sha256(preimage))
+  const buildUtxo = (redeemScript) => ({
+    txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+    outputIndex: 0,
+    script: Script.buildScriptHashOut(redeemScript),
+    satoshis: 1000000,
+  })
+
+  const verify = function (transaction) {
+    const input = transaction.inputs[0]
+    return new Interpreter().verify(input.script, input.output.script, transaction, 0, flags)
+  }
+
+  it('claims the output with the preimage', function () {
+    const transaction = new Transaction()
+      .claimHTLC(buildUtxo(contract), contract, preimage, recipientKey.publicKey)
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.should.be.instanceof(HTLCClaimInput)
+    input.sequenceNumber.should.equal(0xffffffff)
+    transaction.nLockTime.should.equal(0)
+    transaction.sign(recipientKey, Signature.SIGHASH_ALL)
+    input.isFullySigned().should.equal(true)
+    input.script.chunks.length.should.equal(5)
+    input.script.chunks[1].buf.should.deep.equal(recipientKey.publicKey.toBuffer())
+    input.script.chunks[2].buf.should.deep.equal(preimage)
+    input.script.chunks[3].opcodenum.should.equal(Bitcoin.Opcode.OP_TRUE)
+    verify(transaction).should.equal(true)
+  })
+  it('claims a contract with a HASH160 hash lock', function () {
+    const redeemScript = buildContract(Hash.sha256ripemd160(preimage))
+    const transaction = new Transaction()
+      .claimHTLC(
+        buildUtxo(redeemScript),
+        redeemScript,
+        preimage.toString('hex'),
+        recipientKey.publicKey
+      )
+      .to(toAddress, 990000)
+      .sign(recipientKey, Signature.SIGHASH_ALL)
+    verify(transaction).should.equal(true)
+  })
+  it('is not signed by the refund key', function () {
+    const transaction = new Transaction()
+      .claimHTLC(buildUtxo(contract), contract, preimage, recipientKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(refundKey)
+    transaction.isFullySigned().should.equal(false)
+  })
+  it('estimates the size of the input', function () {
+    const transaction = new Transaction()
+      .claimHTLC(buildUtxo(contract), contract, preimage, recipientKey.publicKey)
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    const estimate = input._estimateSize()
+    transaction.sign(recipientKey)
+    input._estimateSize().should.be.at.most(estimate)
+    input._estimateSize().should.be.at.least(estimate - 2)
+  })
+  it('fails with the wrong preimage or public key', function () {
+    expect(function () {
+      return new Transaction().claimHTLC(
+        buildUtxo(contract),
+        contract,
+        Buffer.from('wrong'),
+        recipientKey.publicKey
+      )
+    }).to.throw("Provided preimage doesn't hash to the hash of the contract")
+    expect(function () {
+      return new Transaction().claimHTLC(
+        buildUtxo(contract),
+        contract,
+        preimage,
+        refundKey.publicKey
+      )
+    }).to.throw("Provided public key isn't the recipient of the contract")
+  })
+  it('fails if the redeem script is not a contract', function () {
+    const redeemScript = Script.buildPublicKeyHashOut(recipientKey.publicKey)
+    expect(function () {
+      return new Transaction().claimHTLC(
+        buildUtxo(redeemScript),
+        redeemScript,
+        preimage,
+        recipientKey.publicKey
+      )
+    }).to.throw('redeemScript is not a hash time locked contract')
+  })
+  it('roundtrips to/from object', function () {
+    const transaction = new Transaction()
+      .claimHTLC(buildUtxo(contract), contract, preimage, recipientKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(recipientKey)
+    const input = transaction.inputs[0]
+    const roundtrip = new HTLCClaimInput(input.toObject())
+    roundtrip.toObject().should.deep.equal(input.toObject())
+    roundtrip.isFullySigned().should.equal(true)
+  })
+  it('is restored by Transaction#fromObject', function () {
+    const transaction = new Transaction()
+      .claimHTLC(buildUtxo(contract), contract, preimage, recipientKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(recipientKey)
+    const roundtrip = new Transaction(transaction.toObject())
+    roundtrip.inputs[0].should.be.instanceof(HTLCClaimInput)
+    roundtrip.toObject().should.deep.equal(transaction.toObject())
+    roundtrip.isFullySigned().should.equal(true)
+  })
+})
@@ -0,0 +1,115 @@
+import chai from 'chai'
+import Bitcoin from '../../bitcoin'
+
+chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { Interpreter } = Bitcoin.Script
+const { Hash } = Bitcoin.crypto
+const { Signature } = Bitcoin.crypto
+const HTLCRefundInput = Bitcoin.Transaction.Input.HTLCRefund
+
+describe('HTLCRefundInput', function () {
+  const recipientKey = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4')
+  const refundKey = new PrivateKey('L4PqnaPTCkYhAqH3YQmefjxQP6zRcF4EJbdGqR8v6adtG9XSsadY')
+  const toAddress = '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'
+  const flags =
+    Interpreter.SCRIPT_VERIFY_P2SH |
+    Interpreter.SCRIPT_VERIFY_STRICTENC |
+    Interpreter.SCRIPT_VERIFY_CHECKLOCKTIMEVERIFY
+
+  const buildContract = (locktime) =>
+    Script.buildHTLCOut({
+      hash: Hash.sha256(Buffer.from('the secret of the hash lock')),
+      recipient: recipientKey.publicKey,
+      refund: refundKey.publicKey,
+      locktime,
+    })
+  const contract = buildContract(600000)
+  const buildUtxo = (redeemScript) => ({
+    txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+    outputIndex: 0,
+    script: Script.buildScriptHashOut(redeemScript),
+    satoshis: 1000000,
+  })
+
+  const verify = function (transaction) {
+    const input = transaction.inputs[0]
+    return new Interpreter().verify(input.script, input.output.script, transaction, 0, flags)
+  }
+
+  it('takes back the output once the lock time is reached', function () {
+    const transaction = new Transaction()
+      .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.should.be.instanceof(HTLCRefundInput)
+    input.locktime.should.equal(600000)
+    input.sequenceNumber.should.equal(0xfffffffe)
+    transaction.nLockTime.should.equal(600000)
+    transaction.sign(refundKey, Signature.SIGHASH_ALL)
+    input.isFullySigned().should.equal(true)
+    input.script.chunks.length.should.equal(4)
+    input.script.chunks[1].buf.should.deep.equal(refundKey.publicKey.toBuffer())
+    input.script.chunks[2].opcodenum.should.equal(Bitcoin.Opcode.OP_FALSE)
+    verify(transaction).should.equal(true)
+  })
+  it('fails to verify before the lock time', function () {
+    const transaction = new Transaction()
+      .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+      .to(toAddress, 990000)
+    transaction.nLockTime = 599999
+    transaction.sign(refundKey, Signature.SIGHASH_ALL)
+    verify(transaction).should.equal(false)
+  })
+  it('locks the transaction until a date', function () {
+    const date = new Date(1600000000000)
+    const redeemScript = buildContract(date)
+    const transaction = new Transaction()
+      .refundHTLC(buildUtxo(redeemScript), redeemScript, refundKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(refundKey, Signature.SIGHASH_ALL)
+    transaction.getLockTime().should.deep.equal(date)
+    verify(transaction).should.equal(true)
+  })
+  it('keeps a later nLockTime', function () {
+    const transaction = new Transaction()
+      .lockUntilBlockHeight(700000)
+      .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+    transaction.nLockTime.should.equal(700000)
+  })
+  it('fails if nLockTime is of another kind', function () {
+    expect(function () {
+      return new Transaction()
+        .lockUntilDate(new Date(1600000000000))
+        .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+    }).to.throw('nLockTime and the lock time of the contract must both be block heights or both')
+  })
+  it('fails with the public key of the recipient', function () {
+    expect(function () {
+      return new Transaction().refundHTLC(buildUtxo(contract), contract, recipientKey.publicKey)
+    }).to.throw("Provided public key isn't the refund address of the contract")
+  })
+  it('roundtrips to/from object', function () {
+    const transaction = new Transaction()
+      .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(refundKey)
+    const input = transaction.inputs[0]
+    const roundtrip = new HTLCRefundInput(input.toObject())
+    roundtrip.toObject().should.deep.equal(input.toObject())
+    roundtrip.isFullySigned().should.equal(true)
+  })
+  it('is restored by Transaction#fromObject', function () {
+    const transaction = new Transaction()
+      .refundHTLC(buildUtxo(contract), contract, refundKey.publicKey)
+      .to(toAddress, 990000)
+      .sign(refundKey)
+    const roundtrip = new Transaction(transaction.toObject())
+    roundtrip.inputs[0].should.be.instanceof(HTLCRefundInput)
+    roundtrip.toObject().should.deep.equal(transaction.toObject())
+    roundtrip.isFullySigned().should.equal(true)
+  })
+})
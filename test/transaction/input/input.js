@@ -78,4 +78,87 @@ describe('Transaction.Input', function () {
     const input = new Input(output)
     input._estimateSize().should.equal(66)
   })
+
+  describe('#setSizeDescriptor', function () {
+    const redeemScript = Script.buildPublicKeyHashOut(address).add('OP_DROP').add('OP_TRUE')
+    const p2shOutput = _.extend({}, output, { script: Script.buildScriptHashOut(redeemScript) })
+    const descriptor = { template: '<sig:sig> <pubkey:pubkey>', redeemScript }
+
+    it('estimates the size of custom input scripts', function () {
+      const input = new Input(p2shOutput).setSizeDescriptor(descriptor)
+      // outpoint (36), script size (1), signature (74), public key (34), redeem script (1 + 27),
+      // sequence number (4)
+      input._estimateSize().should.equal(36 + 1 + 74 + 34 + 28 + 4)
+      input._estimateSize('schnorr').should.equal(36 + 1 + 66 + 34 + 28 + 4)
+    })
+
+    it('estimates a size larger than the signed input', function () {
+      const input = new Input(p2shOutput).setSizeDescriptor(descriptor)
+      const estimate = input._estimateSize()
+      const signature = Buffer.concat([Buffer.alloc(71, 1), Buffer.from([0x41])])
+      input.setScript(
+        Script().add(signature).add(publicKey.toBuffer()).add(redeemScript.toBuffer())
+      )
+      input.toBufferWriter().toBuffer().length.should.be.at.most(estimate)
+    })
+
+    it('is kept when serializing to an object', function () {
+      const input = new Input(p2shOutput).setSizeDescriptor(descriptor)
+      input.sizeDescriptor.should.deep.equal({
+        template: '<sig:sig> <pubkey:pubkey>',
+        redeemScript: redeemScript.toHex(),
+      })
+      Input.fromObject(input.toObject()).toObject().should.deep.equal(input.toObject())
+    })
+
+    it('fails with invalid descriptors', function () {
+      expect(function () {
+        return new Input(p2shOutput).setSizeDescriptor({ template: '<sig:sig> <data>' })
+      }).to.throw(errors.Script.InvalidTemplateParameter)
+    })
+
+    it('fails without a template', function () {
+      expect(function () {
+        return new Input(p2shOutput).setSizeDescriptor({ redeemScript })
+      }).to.throw(
+        errors.InvalidArgument,
+        'descriptor.template must be a string or a ScriptTemplate'
+      )
+      expect(function () {
+        return new Input(p2shOutput).setSizeDescriptor({ template: 42 })
+      }).to.throw(errors.InvalidArgument)
+    })
+  })
+
+  describe('relative lock time', function () {
+    it('encodes a number of blocks', function () {
+      const input = new Input(output).lockForBlocks(144)
+      input.sequenceNumber.should.equal(144)
+      input.getRelativeLockTime().should.deep.equal({ blocks: 144 })
+    })
+    it('encodes a number of seconds in units of 512 seconds', function () {
+      const input = new Input(output).lockForSeconds(86400)
+      input.sequenceNumber.should.equal(Input.SEQUENCE_LOCKTIME_TYPE_FLAG | 168)
+      input.getRelativeLockTime().should.deep.equal({ seconds: 86016 })
+    })
+    it('returns null if relative lock time is disabled', function () {
+      should.equal(new Input(output).getRelativeLockTime(), null)
+    })
+    it('fails if the number of blocks is out of range', function () {
+      expect(function () {
+        return new Input(output).lockForBlocks(-1)
+      }).to.throw(errors.Transaction.Input.BlockHeightOutOfRange)
+      expect(function () {
+        return new Input(output).lockForBlocks(65536)
+      }).to.throw(errors.Transaction.Input.BlockHeightOutOfRange)
+    })
+    it('fails if the number of seconds is out of range', function () {
+      expect(function () {
+        return new Input(output).lockForSeconds(-1)
+      }).to.throw(errors.Transaction.Input.LockTimeRange)
+      expect(function () {
+        return new Input(output).lockForSeconds(512 * 65536)
+      }).to.throw(errors.Transaction.Input.LockTimeRange)
+    })
+  })
 })
@@ -102,7 +102,7 @@ describe('MultiSigInput', function () {
       .from(output, [public1, public2, public3], 2)
       .to(address, 1000000)
     const input = transaction.inputs[0]
-    input._estimateSize().should.equal(147)
+    input._estimateSize().should.equal(190)
   })
   it('uses SIGHASH_ALL|FORKID by default', function () {
     const transaction = new Transaction()
@@ -112,6 +112,17 @@ describe('MultiSigInput', function () {
     const sigs = input.getSignatures(transaction, privateKey1, 0)
     sigs[0].sigtype.should.equal(Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
   })
+  it("doesn't mix Schnorr and ECDSA signatures", function () {
+    const transaction = new Transaction()
+      .from(output, [public1, public2, public3], 2)
+      .to(address, 1000000)
+      .sign(privateKey1, null, 'schnorr')
+    transaction.sign
+      .bind(transaction, privateKey2)
+      .should.throw("Schnorr and ECDSA signatures can't be mixed in a multisig input")
+    transaction.sign(privateKey2, null, 'schnorr')
+    transaction.isFullySigned().should.equal(true)
+  })
   it('roundtrips to/from object', function () {
     const transaction = new Transaction()
       .from(output, [public1, public2, public3], 2)
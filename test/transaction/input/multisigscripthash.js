@@ -79,7 +79,7 @@ describe('MultiSigScriptHashInput', function () {
       .from(output, [public1, public2, public3], 2)
       .to(address, 1000000)
     const input = transaction.inputs[0]
-    input._estimateSize().should.equal(257)
+    input._estimateSize().should.equal(299)
   })
   it('uses SIGHASH_ALL|FORKID by default', function () {
     const transaction = new Transaction()
@@ -89,6 +89,17 @@ describe('MultiSigScriptHashInput', function () {
     const sigs = input.getSignatures(transaction, privateKey1, 0)
     sigs[0].sigtype.should.equal(Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
   })
+  it("doesn't mix Schnorr and ECDSA signatures", function () {
+    const transaction = new Transaction()
+      .from(output, [public1, public2, public3], 2)
+      .to(address, 1000000)
+      .sign(privateKey1, null, 'schnorr')
+    transaction.sign
+      .bind(transaction, privateKey2)
+      .should.throw("Schnorr and ECDSA signatures can't be mixed in a multisig input")
+    transaction.sign(privateKey2, null, 'schnorr')
+    transaction.isFullySigned().should.equal(true)
+  })
   it('roundtrips to/from object', function () {
     const transaction = new Transaction()
       .from(output, [public1, public2, public3], 2)
@@ -98,6 +109,44 @@ describe('MultiSigScriptHashInput', function () {
     const roundtrip = new MultiSigScriptHashInput(input.toObject())
     roundtrip.toObject().should.deep.equal(input.toObject())
   })
+  it('keeps the order of the public keys of the redeem script', function () {
+    const redeemScript = Script.buildMultisigOut([public3, public1, public2], 2, {
+      noSorting: true,
+    })
+    const utxo = _.extend({}, output, { script: Script.buildScriptHashOut(redeemScript) })
+    const transaction = new Transaction()
+      .from(utxo, [public3, public1, public2], 2, { noSorting: true })
+      .to(address, 1000000)
+    const input = transaction.inputs[0]
+    input.redeemScript.equals(redeemScript).should.equal(true)
+    input.publicKeys.should.deep.equal([public3, public1, public2])
+    transaction.sign([privateKey1, privateKey3])
+    input.isFullySigned().should.equal(true)
+    input.script.chunks[1].buf.should.deep.equal(input.signatures[0].signature.toTxFormat())
+    new MultiSigScriptHashInput(input.toObject()).toObject().should.deep.equal(input.toObject())
+  })
+  it('checks that the redeem script hashes to the output', function () {
+    const redeemScript = Script.buildMultisigOut([public3, public1, public2], 2, {
+      noSorting: true,
+    })
+    const transaction = new Transaction()
+    transaction.from
+      .bind(transaction, output, [public3, public1, public2], 2, { noSorting: true })
+      .should.throw("Provided redeem script doesn't hash to the output")
+    const input = new Transaction().from(output, [public1, public2, public3], 2).inputs[0]
+    const obj = _.extend(input.toObject(), { redeemScript: redeemScript.toHex() })
+    ;(() => new MultiSigScriptHashInput(obj)).should.throw(
+      "Provided public keys and threshold don't match the redeem script"
+    )
+    obj.publicKeys = [public3, public1, public2].map((publicKey) => publicKey.toString())
+    ;(() => new MultiSigScriptHashInput(obj)).should.throw(
+      "Provided redeem script doesn't hash to the output"
+    )
+    obj.threshold = 3
+    ;(() => new MultiSigScriptHashInput(obj)).should.throw(
+      "Provided public keys and threshold don't match the redeem script"
+    )
+  })
   it('roundtrips to/from object when not signed', function () {
     const transaction = new Transaction()
       .from(output, [public1, public2, public3], 2)
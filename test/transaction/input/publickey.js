@@ -42,7 +42,7 @@ describe('PublicKeyInput', function () {
     tx.from(utxo)
     tx.to(destKey.toAddress(), 10000)
     const input = tx.inputs[0]
-    input._estimateSize().should.equal(73)
+    input._estimateSize().should.equal(115)
   })
 
   it("it's signature can be removed", function () {
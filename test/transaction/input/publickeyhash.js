@@ -29,7 +29,36 @@ describe('PublicKeyHashInput', function () {
   it("it's size can be estimated", function () {
     const transaction = new Transaction().from(output).to(address, 1000000)
     const input = transaction.inputs[0]
-    input._estimateSize().should.equal(107)
+    input._estimateSize().should.equal(181)
+  })
+  it('estimates its size with the public key of the output', function () {
+    const transaction = new Transaction().from({ publicKey, ...output }).to(address, 1000000)
+    const input = transaction.inputs[0]
+    input._estimateSize().should.equal(149)
+    input.toObject().publicKey.should.equal(publicKey.toString())
+    new Transaction(transaction.toObject()).inputs[0]._estimateSize().should.equal(149)
+  })
+  it('estimates the size of an input of an uncompressed public key', function () {
+    const uncompressed = new PrivateKey('5HueCGU8rMjxEXxiPuD5BDku4MkFqeZyd4dZ1jvhTVqvbTLvyTJ')
+    const transaction = new Transaction()
+      .from({
+        txId: output.txId,
+        outputIndex: 0,
+        script: Script.buildPublicKeyHashOut(uncompressed.toAddress()),
+        satoshis: 1000000,
+      })
+      .to(address, 990000)
+    const estimate = transaction._estimateSize()
+    transaction.sign(uncompressed)
+    transaction.inputs[0].isFullySigned().should.equal(true)
+    estimate.should.be.at.least(transaction.toBuffer().length)
+  })
+  it('checks that the public key hashes to the output', function () {
+    const utxo = { publicKey: new PrivateKey().publicKey, ...output }
+    const transaction = new Transaction()
+    transaction.from
+      .bind(transaction, utxo)
+      .should.throw("Provided public key doesn't hash to the output")
   })
   it("it's signature can be removed", function () {
     const transaction = new Transaction().from(output).to(address, 1000000)
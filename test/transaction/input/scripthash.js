@@ -0,0 +1,204 @@
+import chai from 'chai'
+import Bitcoin from '../../bitcoin'
+
+chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { Interpreter } = Bitcoin.Script
+const { Hash } = Bitcoin.crypto
+const { Signature } = Bitcoin.crypto
+const ScriptHashInput = Bitcoin.Transaction.Input.ScriptHash
+
+describe('ScriptHashInput', function () {
+  const privateKey1 = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4')
+  const privateKey2 = new PrivateKey('L4PqnaPTCkYhAqH3YQmefjxQP6zRcF4EJbdGqR8v6adtG9XSsadY')
+  const public1 = privateKey1.publicKey
+  const public2 = privateKey2.publicKey
+  const toAddress = '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'
+  const flags = Interpreter.SCRIPT_VERIFY_P2SH | Interpreter.SCRIPT_VERIFY_STRICTENC
+
+  const preimage = Buffer.from('the secret of the hash lock, 32b')
+  const hashLock = new Script()
+    .add('OP_SHA256')
+    .add(Hash.sha256(preimage))
+    .add('OP_EQUALVERIFY')
+    .add(public1.toBuffer())
+    .add('OP_CHECKSIG')
+  const unlockHashLock = (signatures) => new Script().add(signatures[0]).add(preimage)
+
+  // both keys must sign, the signature of the last key is checked first
+  const twoOfTwo = new Script()
+    .add(public1.toBuffer())
+    .add('OP_CHECKSIGVERIFY')
+    .add(public2.toBuffer())
+    .add('OP_CHECKSIG')
+  const unlockTwoOfTwo = (signatures) => new Script().add(signatures[1]).add(signatures[0])
+
+  const buildUtxo = (redeemScript) => ({
+    txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+    outputIndex: 0,
+    script: Script.buildScriptHashOut(redeemScript),
+    satoshis: 1000000,
+  })
+
+  const verify = function (transaction) {
+    const input = transaction.inputs[0]
+    return new Interpreter().verify(input.script, input.output.script, transaction, 0, flags)
+  }
+
+  it('builds the input script with the unlocking function', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(hashLock), hashLock, { unlockingScript: unlockHashLock })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.should.be.instanceof(ScriptHashInput)
+    input.isFullySigned().should.equal(false)
+    transaction.sign(privateKey1, Signature.SIGHASH_ALL)
+    input.isFullySigned().should.equal(true)
+    input.script.chunks.length.should.equal(3)
+    input.script.chunks[1].buf.should.deep.equal(preimage)
+    input.script.chunks[2].buf.should.deep.equal(hashLock.toBuffer())
+    verify(transaction).should.equal(true)
+  })
+  it('signs with the redeem script', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(hashLock), hashLock, { unlockingScript: unlockHashLock })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    const [signature] = input.getSignatures(transaction, privateKey1, 0)
+    signature.sigtype.should.equal(Signature.SIGHASH_ALL | Signature.SIGHASH_FORKID)
+    input.isValidSignature(transaction, signature).should.equal(true)
+    input.getSignatures(transaction, privateKey2, 0).length.should.equal(0)
+  })
+  it('waits for the number of signatures needed', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(twoOfTwo), twoOfTwo, {
+        unlockingScript: unlockTwoOfTwo,
+        threshold: 2,
+      })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.publicKeys.map(String).should.deep.equal([public1.toString(), public2.toString()])
+
+    transaction.sign(privateKey2, Signature.SIGHASH_ALL)
+    input.countSignatures().should.equal(1)
+    input.countMissingSignatures().should.equal(1)
+    input.publicKeysWithoutSignature().map(String).should.deep.equal([public1.toString()])
+    input.isFullySigned().should.equal(false)
+    input.script.chunks.length.should.equal(0)
+
+    transaction.sign(privateKey1, Signature.SIGHASH_ALL)
+    input.isFullySigned().should.equal(true)
+    verify(transaction).should.equal(true)
+  })
+  it('can clear all signatures', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(hashLock), hashLock, { unlockingScript: unlockHashLock })
+      .to(toAddress, 990000)
+      .sign(privateKey1)
+    const input = transaction.inputs[0]
+    input.clearSignatures()
+    input.isFullySigned().should.equal(false)
+    input.script.chunks.length.should.equal(0)
+  })
+  it('accepts the public keys that can sign', function () {
+    const redeemScript = Script.buildPublicKeyHashOut(public2.toAddress())
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(redeemScript), redeemScript, {
+        unlockingScript: (signatures) => new Script().add(signatures[0]).add(public2.toBuffer()),
+        publicKeys: [public2],
+      })
+      .to(toAddress, 990000)
+      .sign(privateKey2, Signature.SIGHASH_ALL)
+    transaction.isFullySigned().should.equal(true)
+    verify(transaction).should.equal(true)
+  })
+  it('estimates the size of the input with signatures of the largest size', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(twoOfTwo), twoOfTwo, {
+        unlockingScript: unlockTwoOfTwo,
+        threshold: 2,
+      })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    // outpoint and sequence number (40), script size (1), signatures (2 * 74), redeem script
+    // (1 + 70)
+    input._estimateSize().should.equal(40 + 1 + 148 + 71)
+    input._estimateSize('schnorr').should.equal(40 + 1 + 132 + 71)
+    const estimate = input._estimateSize()
+    transaction.sign([privateKey1, privateKey2])
+    input._estimateSize().should.equal(input.toBufferWriter().toBuffer().length)
+    input._estimateSize().should.be.at.most(estimate)
+  })
+  it('uses the given size descriptor', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(hashLock), hashLock, {
+        unlockingScript: unlockHashLock,
+        sizeDescriptor: { template: '<sig:sig> <preimage:32>' },
+      })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.sizeDescriptor.redeemScript.should.equal(hashLock.toHex())
+    input._estimateSize().should.equal(40 + 1 + 74 + 33 + 1 + hashLock.toBuffer().length)
+  })
+  it('spends redeem scripts without public keys', function () {
+    const keyless = new Script().add('OP_SHA256').add(Hash.sha256(preimage)).add('OP_EQUAL')
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(keyless), keyless, {
+        unlockingScript: () => new Script().add(preimage),
+      })
+      .to(toAddress, 990000)
+    const input = transaction.inputs[0]
+    input.threshold.should.equal(0)
+    input.isFullySigned().should.equal(true)
+    transaction.isFullySigned().should.equal(true)
+    input.script.chunks[0].buf.should.deep.equal(preimage)
+    verify(transaction).should.equal(true)
+  })
+  it('fails if more signatures are needed than there are public keys', function () {
+    expect(function () {
+      return new Transaction().fromScriptHash(buildUtxo(hashLock), hashLock, {
+        unlockingScript: unlockHashLock,
+        threshold: 2,
+      })
+    }).to.throw('Number of signatures needed must not be greater than the number of public keys')
+  })
+  it('fails if the redeem script does not match the output', function () {
+    expect(function () {
+      return new Transaction().fromScriptHash(buildUtxo(hashLock), twoOfTwo, {
+        unlockingScript: unlockTwoOfTwo,
+      })
+    }).to.throw("Provided redeemScript doesn't hash to the provided output")
+  })
+  it('fails without an unlocking function', function () {
+    expect(function () {
+      return new Transaction().fromScriptHash(buildUtxo(hashLock), hashLock)
+    }).to.throw('unlockingScript must be a function')
+  })
+  it('roundtrips to/from object', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(twoOfTwo), twoOfTwo, {
+        unlockingScript: unlockTwoOfTwo,
+        threshold: 2,
+      })
+      .to(toAddress, 990000)
+      .sign(privateKey1)
+    const input = transaction.inputs[0]
+    const roundtrip = new ScriptHashInput(input.toObject(), null, {
+      unlockingScript: unlockTwoOfTwo,
+      threshold: 2,
+    })
+    roundtrip.toObject().should.deep.equal(input.toObject())
+    roundtrip.countSignatures().should.equal(1)
+  })
+  it('cannot be restored by Transaction#fromObject', function () {
+    const transaction = new Transaction()
+      .fromScriptHash(buildUtxo(hashLock), hashLock, { unlockingScript: unlockHashLock })
+      .to(toAddress, 990000)
+    expect(function () {
+      return new Transaction(transaction.toObject())
+    }).to.throw(Bitcoin.errors.Transaction.Input.UnsupportedScript)
+  })
+})
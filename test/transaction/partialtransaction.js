@@ -0,0 +1,289 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { PartialTransaction } = Bitcoin.Transaction
+const { PrivateKey } = Bitcoin
+const { HDPrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { errors } = Bitcoin
+
+describe('PartialTransaction', function () {
+  const privateKey1 = new PrivateKey('KwF9LjRraetZuEjR8VqEq539z137LW5anYDUnVK11vM3mNMHTWb4')
+  const privateKey2 = new PrivateKey('L4PqnaPTCkYhAqH3YQmefjxQP6zRcF4EJbdGqR8v6adtG9XSsadY')
+  const privateKey3 = new PrivateKey('L4CTX79zFeksZTyyoFuPQAySfmP7fL3R41gWKTuepuN7hxuNuJwV')
+  const publicKeys = [privateKey1.publicKey, privateKey2.publicKey, privateKey3.publicKey]
+  const toAddress = '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'
+  const changeAddress = privateKey1.toAddress()
+
+  const buildUtxo = function (script, outputIndex = 0) {
+    return {
+      txId: '66e64ef8a3b384164b78453fa8c8194de9a473ba14f89485a0e433699daec140',
+      outputIndex,
+      script,
+      satoshis: 1000000,
+    }
+  }
+  const redeemScript = Script.buildMultisigOut(publicKeys, 2)
+  const p2shUtxo = buildUtxo(Script.buildScriptHashOut(redeemScript))
+  const multisigUtxo = buildUtxo(Script.buildMultisigOut(publicKeys, 2), 1)
+  const p2pkhUtxo = buildUtxo(Script.buildPublicKeyHashOut(privateKey3.toAddress()), 2)
+
+  const buildTransaction = function (utxo = p2shUtxo) {
+    return new Transaction().from(utxo, publicKeys, 2).to(toAddress, 990000)
+  }
+
+  describe('serialization', function () {
+    it('should start with the magic bytes', function () {
+      const partial = buildTransaction().toPartial()
+      partial.toBuffer().slice(0, 5).toString('hex').should.equal('70736274ff')
+      partial.toString().should.equal(partial.toBuffer().toString('base64'))
+    })
+
+    it('should round trip through binary and base64', function () {
+      const partial = buildTransaction().sign(privateKey1).toPartial()
+      const parsed = new PartialTransaction(partial.toString())
+      parsed.toBuffer().should.deep.equal(partial.toBuffer())
+      PartialTransaction.fromBuffer(partial.toBuffer()).toString().should.equal(partial.toString())
+      parsed.inputs[0].utxo.satoshis.should.equal(1000000)
+      parsed.inputs[0].redeemScript.toHex().should.equal(redeemScript.toHex())
+      Object.keys(parsed.inputs[0].partialSigs).should.deep.equal([
+        privateKey1.publicKey.toString(),
+      ])
+    })
+
+    it('should keep the unsigned transaction without input scripts', function () {
+      const transaction = buildTransaction().sign(privateKey1)
+      const partial = transaction.toPartial()
+      partial.transaction.id.should.equal(buildTransaction().id)
+      partial.transaction.inputs[0].script.chunks.length.should.equal(0)
+      transaction.inputs[0].countSignatures().should.equal(1)
+    })
+
+    it('should keep unknown keys', function () {
+      const partial = buildTransaction().toPartial()
+      partial.unknown.f001 = Buffer.from('01', 'hex')
+      partial.inputs[0].unknown.f002 = Buffer.from('02', 'hex')
+      partial.outputs[0].unknown.f003 = Buffer.from('03', 'hex')
+      const parsed = new PartialTransaction(partial.toBuffer())
+      parsed.unknown.should.deep.equal({ f001: Buffer.from('01', 'hex') })
+      parsed.inputs[0].unknown.should.deep.equal({ f002: Buffer.from('02', 'hex') })
+      parsed.outputs[0].unknown.should.deep.equal({ f003: Buffer.from('03', 'hex') })
+    })
+
+    it('should fail with invalid data', function () {
+      const buffer = buildTransaction().toPartial().toBuffer()
+      const invalid = [
+        Buffer.from('70736274fe00', 'hex'),
+        buffer.slice(0, buffer.length - 1),
+        Buffer.concat([buffer, Buffer.from('00', 'hex')]),
+        // a global map with two unsigned transactions
+        Buffer.concat([buffer.slice(0, 5), Buffer.from('010001000100010000', 'hex')]),
+        // an unsigned transaction that can't be parsed
+        Buffer.concat([buffer.slice(0, 5), Buffer.from('0100010000', 'hex')]),
+        // an input map with a truncated output
+        Buffer.concat([buffer.slice(0, 94), Buffer.from('010003e8030000', 'hex')]),
+        // a global map without the unsigned transaction
+        Buffer.from('70736274ff00', 'hex'),
+      ]
+      invalid.forEach((data) => {
+        expect(function () {
+          return PartialTransaction.fromBuffer(data)
+        }).to.throw(errors.Transaction.Partial.InvalidFormat)
+      })
+    })
+
+    it('should fail when the unsigned transaction has input scripts', function () {
+      const partial = buildTransaction().toPartial()
+      partial.transaction.inputs[0].setScript(Script('OP_TRUE'))
+      expect(function () {
+        return new PartialTransaction(partial.toBuffer())
+      }).to.throw(errors.Transaction.Partial.InvalidFormat, 'input scripts')
+    })
+  })
+
+  describe('signing', function () {
+    it('should collect the signatures of a multisig P2SH input', function () {
+      const data = buildTransaction().toPartial().toString()
+      const signed1 = new PartialTransaction(data).sign(privateKey1)
+      const signed3 = new PartialTransaction(data).sign(privateKey3).toString()
+
+      const partial = new PartialTransaction(data).combine(signed1, signed3)
+      Object.keys(partial.inputs[0].partialSigs).length.should.equal(2)
+      partial.isFinalized().should.equal(false)
+      partial.finalize().isFinalized().should.equal(true)
+      partial.inputs[0].partialSigs.should.deep.equal({})
+      should.not.exist(partial.inputs[0].redeemScript)
+
+      const transaction = Transaction.fromPartial(partial.toString())
+      transaction.isFullySigned().should.equal(true)
+      transaction.inputs[0].countSignatures().should.equal(2)
+      transaction.verify().should.equal(true)
+      transaction
+        .serialize()
+        .should.equal(buildTransaction().sign([privateKey1, privateKey3]).serialize())
+    })
+
+    it('should collect the signatures of a multisig input', function () {
+      const partial = buildTransaction(multisigUtxo).toPartial().sign(privateKey2)
+      const other = buildTransaction(multisigUtxo).toPartial().sign(privateKey3)
+      const transaction = partial.combine(other).finalize().toTransaction()
+      transaction.isFullySigned().should.equal(true)
+      transaction
+        .serialize()
+        .should.equal(buildTransaction(multisigUtxo).sign([privateKey2, privateKey3]).serialize())
+    })
+
+    it('should collect Schnorr signatures', function () {
+      const partial = buildTransaction().toPartial().sign(privateKey2, null, 'schnorr')
+      partial.combine(buildTransaction().toPartial().sign(privateKey3, null, 'schnorr'))
+      const transaction = partial.finalize().toTransaction()
+      transaction.isFullySigned().should.equal(true)
+      transaction
+        .serialize()
+        .should.equal(
+          buildTransaction().sign([privateKey2, privateKey3], null, 'schnorr').serialize()
+        )
+    })
+
+    it('should keep the signatures of the transaction', function () {
+      const transaction = Transaction.fromPartial(buildTransaction().sign(privateKey1).toPartial())
+      transaction.inputs[0].countSignatures().should.equal(1)
+      transaction.inputs[0].isFullySigned().should.equal(false)
+      transaction.sign(privateKey2).isFullySigned().should.equal(true)
+    })
+
+    it('should not finalize inputs missing signatures', function () {
+      const partial = buildTransaction().toPartial().sign(privateKey1).finalize()
+      partial.isFinalized().should.equal(false)
+      should.not.exist(partial.inputs[0].finalScript)
+      partial.toTransaction().isFullySigned().should.equal(false)
+    })
+
+    it('should sign other inputs', function () {
+      const transaction = new Transaction()
+        .from(p2shUtxo, publicKeys, 2)
+        .from(p2pkhUtxo)
+        .to(toAddress, 1990000)
+      const partial = transaction.toPartial().sign([privateKey1, privateKey3])
+      partial.inputs[1].partialSigs.should.have.property(privateKey3.publicKey.toString())
+      partial.finalize()
+      partial.isFinalized().should.equal(true)
+      partial.inputs[1].finalScript.isPublicKeyHashIn().should.equal(true)
+      partial
+        .toTransaction()
+        .serialize()
+        .should.equal(transaction.sign([privateKey1, privateKey3]).serialize())
+    })
+
+    it('should keep the final script of signed inputs', function () {
+      const transaction = new Transaction().from(p2pkhUtxo).to(toAddress, 990000).sign(privateKey3)
+      const partial = transaction.toPartial()
+      partial.isFinalized().should.equal(true)
+      partial.sign(privateKey3).inputs[0].partialSigs.should.deep.equal({})
+      Transaction.fromPartial(partial).serialize().should.equal(transaction.serialize())
+    })
+
+    it('should return transactions of the given class', function () {
+      const BSVTransaction = Transaction.forChain(Bitcoin.Chains.bsv)
+      const transaction = BSVTransaction.fromPartial(buildTransaction().toPartial())
+      transaction.should.be.instanceof(BSVTransaction)
+      transaction.id.should.equal(buildTransaction().id)
+    })
+  })
+
+  describe('#combine', function () {
+    it('should keep the final scripts', function () {
+      const data = buildTransaction().toPartial().toString()
+      const final = new PartialTransaction(data).sign([privateKey1, privateKey2]).finalize()
+      const partial = new PartialTransaction(data).sign(privateKey3).combine(final)
+      partial.isFinalized().should.equal(true)
+      partial.inputs[0].partialSigs.should.deep.equal({})
+      partial.toBuffer().should.deep.equal(final.toBuffer())
+    })
+
+    it('should fail with another transaction', function () {
+      const partial = buildTransaction().toPartial()
+      const other = buildTransaction(multisigUtxo).toPartial()
+      expect(function () {
+        return partial.combine(other)
+      }).to.throw(errors.Transaction.Partial.Mismatch)
+    })
+  })
+
+  describe('#addDerivation', function () {
+    const master = new HDPrivateKey(
+      'xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi'
+    )
+    const path = "m/44'/145'/0'/0/0"
+    const child = master.deriveChild(path)
+
+    it('should add the origin of the keys to the inputs and outputs using them', function () {
+      const transaction = new Transaction()
+        .from(buildUtxo(Script.buildPublicKeyHashOut(child.publicKey.toAddress()), 3))
+        .from(p2shUtxo, publicKeys, 2)
+        .to(child.publicKey.toAddress(), 10000)
+        .to(toAddress, 10000)
+      const partial = transaction
+        .toPartial()
+        .addDerivation(child.publicKey, master.fingerPrint, path)
+      const derivation = {
+        fingerprint: master.fingerPrint,
+        path: [0x8000002c, 0x80000091, 0x80000000, 0, 0],
+      }
+      const key = child.publicKey.toString()
+      partial.inputs[0].derivations.should.deep.equal({ [key]: derivation })
+      partial.inputs[1].derivations.should.deep.equal({})
+      partial.outputs[0].derivations.should.deep.equal({ [key]: derivation })
+      partial.outputs[1].derivations.should.deep.equal({})
+
+      const parsed = new PartialTransaction(partial.toString())
+      parsed.inputs[0].derivations.should.deep.equal({ [key]: derivation })
+      parsed.outputs[0].derivations.should.deep.equal({ [key]: derivation })
+    })
+
+    it('should accept numeric fingerprints and paths', function () {
+      const partial = buildTransaction()
+        .toPartial()
+        .addDerivation(privateKey2.publicKey, 0x01020304, [1, 2])
+      partial.inputs[0].derivations[privateKey2.publicKey.toString()].should.deep.equal({
+        fingerprint: Buffer.from('01020304', 'hex'),
+        path: [1, 2],
+      })
+    })
+
+    it('should fail with an invalid path', function () {
+      expect(function () {
+        return buildTransaction().toPartial().addDerivation(privateKey2.publicKey, 1, 'x/1')
+      }).to.throw('Invalid derivation path: x/1')
+    })
+  })
+
+  describe('#addRedeemScript', function () {
+    it('should add the redeem script to the inputs and outputs using it', function () {
+      const transaction = new Transaction()
+        .from(p2shUtxo, publicKeys, 2)
+        .to(Script.buildScriptHashOut(redeemScript).toAddress(), 10000)
+        .change(changeAddress)
+      const partial = transaction.toPartial()
+      partial.inputs[0].redeemScript.should.equal(transaction.inputs[0].redeemScript)
+      should.not.exist(partial.outputs[0].redeemScript)
+      partial.addRedeemScript(redeemScript)
+      partial.outputs[0].redeemScript.toHex().should.equal(redeemScript.toHex())
+      should.not.exist(partial.outputs[1].redeemScript)
+      new PartialTransaction(partial.toBuffer()).outputs[0].redeemScript
+        .toHex()
+        .should.equal(redeemScript.toHex())
+    })
+
+    it('should let inputs of unknown scripts be rebuilt as multisig inputs', function () {
+      const transaction = new Transaction().from(p2shUtxo).to(toAddress, 990000)
+      const partial = transaction.toPartial()
+      partial.toTransaction().inputs[0].should.be.instanceof(Transaction.Input)
+      partial.addRedeemScript(redeemScript)
+      partial.toTransaction().inputs[0].should.be.instanceof(Transaction.Input.MultiSigScriptHash)
+    })
+  })
+})
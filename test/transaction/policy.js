@@ -0,0 +1,158 @@
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+chai.should()
+const { Transaction } = Bitcoin
+const { Policy } = Bitcoin.Transaction
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+
+describe('Policy', function () {
+  const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+  const fromAddress = privateKey.toAddress()
+  const toAddress = 'mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc'
+  const utxo = {
+    txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+    outputIndex: 0,
+    script: Script.buildPublicKeyHashOut(fromAddress),
+    satoshis: 100000,
+  }
+
+  const buildTransaction = () => new Transaction().from(utxo).to(toAddress, 90000)
+  const addOutput = function (transaction, script, satoshis = 0) {
+    transaction.addOutput(new Transaction.Output({ script, satoshis }))
+    return transaction
+  }
+  const codes = (violations) => violations.map((violation) => violation.code)
+
+  it('accepts a standard transaction', function () {
+    const transaction = buildTransaction().addData('hello').sign(privateKey)
+    new Policy().check(transaction).should.deep.equal([])
+    transaction.isStandard().should.equal(true)
+  })
+
+  it('reports dust outputs with their index', function () {
+    const transaction = buildTransaction().to(toAddress, 545).sign(privateKey)
+    transaction
+      .getPolicyViolations()
+      .should.deep.equal([
+        { code: 'dust', message: 'Output 1 value is 545 satoshis, under 546', output: 1 },
+      ])
+    transaction.isStandard({ dustThreshold: 500 }).should.equal(true)
+  })
+
+  it('reports outputs that are not standard', function () {
+    const transaction = addOutput(buildTransaction(), Script('OP_1 OP_ADD'), 1000)
+    addOutput(transaction, Script('OP_RETURN OP_DUP'))
+    const violations = transaction.sign(privateKey).getPolicyViolations()
+    codes(violations).should.deep.equal(['scriptpubkey', 'scriptpubkey'])
+    violations.map((violation) => violation.output).should.deep.equal([1, 2])
+  })
+
+  it('limits the number and the size of OP_RETURN outputs', function () {
+    const transaction = buildTransaction().addData('hello').addData('world').sign(privateKey)
+    codes(transaction.getPolicyViolations()).should.deep.equal(['multi-op-return'])
+    transaction.isStandard({ maxDataOutputs: 2 }).should.equal(true)
+
+    const large = buildTransaction().addData(Buffer.alloc(221)).sign(privateKey)
+    codes(large.getPolicyViolations()).should.deep.equal(['datacarrier-size'])
+    large.isStandard({ dataCarrierSize: 224 }).should.equal(true)
+    large.isStandard({ dataCarrierSize: 223 }).should.equal(false)
+    // the data carrier size of the chain of the transaction
+    const BSVTransaction = Transaction.forChain(Bitcoin.Chains.get('bsv'))
+    new BSVTransaction()
+      .from(utxo)
+      .to(toAddress, 90000)
+      .addData(Buffer.alloc(221))
+      .sign(privateKey)
+      .isStandard()
+      .should.equal(true)
+  })
+
+  it('reports transactions of a version that is not standard', function () {
+    const transaction = buildTransaction().sign(privateKey)
+    transaction.version = 3
+    transaction
+      .getPolicyViolations()
+      .should.deep.equal([{ code: 'version', message: 'Transaction version 3 is not standard' }])
+  })
+
+  it('reports input scripts that are too large or not push only', function () {
+    const transaction = buildTransaction()
+    transaction.inputs[0].setScript(Script('OP_DUP').add(Buffer.alloc(1650)))
+    const violations = transaction.getPolicyViolations()
+    codes(violations).should.deep.equal(['scriptsig-size', 'scriptsig-not-pushonly'])
+    violations[0].input.should.equal(0)
+  })
+
+  it('limits the size of the transaction', function () {
+    const transaction = buildTransaction().sign(privateKey)
+    const size = transaction.toBuffer().length
+    transaction.isStandard({ maxTxSize: size }).should.equal(true)
+    transaction
+      .getPolicyViolations({ maxTxSize: size - 1 })
+      .should.deep.equal([
+        { code: 'tx-size', message: `Transaction size is ${size} bytes, over ${size - 1}` },
+      ])
+  })
+
+  it('counts the signature operations of outputs and redeem scripts', function () {
+    const keys = [privateKey, new PrivateKey(), new PrivateKey()]
+    const publicKeys = keys.map((key) => key.publicKey)
+    const redeemScript = Script.buildMultisigOut(publicKeys, 2)
+    const transaction = new Transaction()
+      .from(
+        {
+          txId: utxo.txId,
+          outputIndex: 1,
+          script: Script.buildScriptHashOut(redeemScript),
+          satoshis: 100000,
+        },
+        publicKeys,
+        2
+      )
+      .to(toAddress, 90000)
+      .sign(keys.slice(0, 2))
+    // 3 for the redeem script, counted accurately, and 1 for the output
+    transaction.isStandard({ maxSigOps: 4 }).should.equal(true)
+    codes(transaction.getPolicyViolations({ maxSigOps: 3 })).should.deep.equal([
+      'bad-txns-too-many-sigops',
+    ])
+
+    // OP_CHECKMULTISIG counts for 20 signature operations in output scripts, and OP_CHECKSIG
+    // for 1
+    const bare = addOutput(
+      buildTransaction(),
+      Script(`OP_1 33 0x${publicKeys[0].toString()} OP_1 OP_CHECKMULTISIG`),
+      1000
+    ).sign(privateKey)
+    bare.isStandard({ maxSigOps: 21 }).should.equal(true)
+    codes(bare.getPolicyViolations({ maxSigOps: 20 })).should.deep.equal([
+      'bad-txns-too-many-sigops',
+    ])
+  })
+
+  it('reports every violation found', function () {
+    const transaction = buildTransaction().to(toAddress, 1).addData('hello').addData('world')
+    transaction.version = 0
+    codes(transaction.getPolicyViolations()).should.deep.equal([
+      'version',
+      'dust',
+      'multi-op-return',
+    ])
+  })
+
+  it('can be extended with custom rules', function () {
+    const { rules } = Policy
+    Policy.rules = rules.concat([
+      (transaction) =>
+        transaction.nLockTime ? [{ code: 'locktime', message: 'nLockTime is set' }] : [],
+    ])
+    try {
+      const transaction = buildTransaction().lockUntilBlockHeight(100).sign(privateKey)
+      codes(transaction.getPolicyViolations()).should.deep.equal(['locktime'])
+    } finally {
+      Policy.rules = rules
+    }
+  })
+})
@@ -0,0 +1,102 @@
+import _ from 'lodash'
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+chai.should()
+const { expect } = chai
+const { BufferWriter } = Bitcoin.encoding
+const { SizeEstimator } = Bitcoin.Transaction
+const { Transaction } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { errors } = Bitcoin
+
+describe('SizeEstimator', function () {
+  describe('@varintSize', function () {
+    it('should return the size of varints', function () {
+      ;[0, 1, 252, 253, 0xffff, 0x10000, 0xffffffff, 0x100000000].forEach((n) => {
+        SizeEstimator.varintSize(n).should.equal(BufferWriter.varintBufNum(n).length)
+      })
+    })
+  })
+
+  describe('@pushSize', function () {
+    it('should return the size of data pushes', function () {
+      SizeEstimator.pushSize(0).should.equal(1)
+      ;[1, 20, 75, 76, 255, 256, 520, 65535, 65536].forEach((length) => {
+        SizeEstimator.pushSize(length).should.equal(
+          new Script().add(Buffer.alloc(length, 1)).toBuffer().length
+        )
+      })
+    })
+  })
+
+  describe('@transactionSize', function () {
+    it('should compute the size of a transaction from its inputs and outputs', function () {
+      const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+      const utxos = _.range(3).map((i) => ({
+        txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+        outputIndex: i,
+        script: Script.buildPublicKeyHashOut(privateKey.toAddress()),
+        satoshis: 100000,
+      }))
+      const transaction = new Transaction()
+        .from(utxos)
+        .to('mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc', 50000)
+        .addData('hello')
+        .change('2N7T3TAetJrSCruQ39aNrJvYLhG1LJosujf')
+        .sign(privateKey)
+      SizeEstimator.transactionSize(
+        transaction.inputs.map((input) => SizeEstimator.inputSize(input.script.toBuffer().length)),
+        transaction.outputs.map((output) => SizeEstimator.outputSize(output.script))
+      ).should.equal(transaction.toBuffer().length)
+    })
+  })
+
+  describe('@scriptSigSize', function () {
+    const redeemScript = Script(`OP_SHA256 32 0x${'11'.repeat(32)} OP_EQUALVERIFY OP_CHECKSIG`)
+
+    it('should compute the size of a p2pkh input script', function () {
+      const descriptor = { template: '<sig:sig> <pubkey:pubkey>' }
+      SizeEstimator.scriptSigSize(descriptor).should.equal(74 + 34)
+      SizeEstimator.scriptSigSize(descriptor, 'schnorr').should.equal(66 + 34)
+    })
+
+    it('should add the redeem script', function () {
+      SizeEstimator.scriptSigSize({
+        template: '<sig:sig> <pubkey:pubkey> <preimage:32>',
+        redeemScript,
+      }).should.equal(74 + 34 + 33 + 1 + redeemScript.toBuffer().length)
+      SizeEstimator.scriptSigSize({
+        template: '<sig:sig> <pubkey:pubkey> <preimage:32>',
+        redeemScript: redeemScript.toHex(),
+      }).should.equal(74 + 34 + 33 + 1 + redeemScript.toBuffer().length)
+    })
+
+    it('should count the opcodes of the template', function () {
+      SizeEstimator.scriptSigSize({ template: 'OP_0 <sig:sig> OP_TRUE' }).should.equal(76)
+      SizeEstimator.scriptSigSize({ template: '<n:number> 0102' }).should.equal(5 + 3)
+    })
+
+    it('should use the given sizes and counts', function () {
+      SizeEstimator.scriptSigSize({
+        template: 'OP_0 <sigs:sig...> <message>',
+        sizes: { message: 100 },
+        counts: { sigs: 3 },
+      }).should.equal(1 + 3 * 74 + 102)
+      SizeEstimator.scriptSigSize({
+        template: '<pubkey:pubkey>',
+        sizes: { pubkey: 65 },
+      }).should.equal(66)
+    })
+
+    it('should fail without the size of data placeholders', function () {
+      expect(function () {
+        return SizeEstimator.scriptSigSize({ template: '<sig:sig> <message>' })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'message: missing size')
+      expect(function () {
+        return SizeEstimator.scriptSigSize({ template: 'OP_0 <sigs:sig...>' })
+      }).to.throw(errors.Script.InvalidTemplateParameter, 'sigs: missing count')
+    })
+  })
+})
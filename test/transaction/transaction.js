@@ -336,7 +336,7 @@ describe('Transaction', function () {
   describe('change address', function () {
     it('can calculate simply the output amount', function () {
       const amount = 500000
-      const txSize = 229
+      const txSize = 259
       const transaction = new Transaction()
         .from(simpleUtxoWith1000000Satoshis)
         .to(toAddress, 500000)
@@ -421,7 +421,7 @@ describe('Transaction', function () {
         .sign(privateKey)
       transaction._estimateSize().should.be.within(1000, 1999)
       transaction.outputs.length.should.equal(2)
-      transaction.outputs[1].satoshis.should.equal(40464)
+      transaction.outputs[1].satoshis.should.equal(34896)
     })
     it('if satoshis are invalid', function () {
       const transaction = new Transaction()
@@ -631,6 +631,19 @@ describe('Transaction', function () {
           errors.Transaction.InvalidOutputAmountSum
         )
       )
+      it(
+        'can skip the check for data outputs larger than the data carrier size',
+        buildSkipTest(
+          function (transaction) {
+            return transaction
+              .addData(Buffer.alloc(Transaction.chain.dataCarrierSize))
+              .change(changeAddress)
+              .sign(privateKey)
+          },
+          'disableLargeDataOutputs',
+          errors.Transaction.DataOutputTooLarge
+        )
+      )
     })
   })
 
@@ -702,6 +715,146 @@ describe('Transaction', function () {
     })
   })
 
+  describe('#verifyAgainst', function () {
+    const tip = { height: 600000, mtp: 1570000000 }
+    const buildTransaction = (utxo = simpleUtxoWith100000Satoshis) =>
+      new Transaction().from(utxo).to(toAddress, 90000)
+
+    it('verifies a transaction against the outputs it spends', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      transaction.verifyAgainst([simpleUtxoWith100000Satoshis], tip).should.deep.equal({
+        valid: true,
+        errors: [],
+        fee: 10000,
+        inputs: [{ valid: true, error: null }],
+      })
+    })
+
+    it('reads the outputs from an object with a get method', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      const view = {
+        get: (outputId) =>
+          outputId.toString() === `${simpleUtxoWith100000Satoshis.txId}:0`
+            ? simpleUtxoWith100000Satoshis
+            : undefined,
+      }
+      transaction.verifyAgainst(view, tip).valid.should.equal(true)
+    })
+
+    it('verifies chains of unconfirmed transactions', function () {
+      const parent = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(fromAddress, 90000)
+        .sign(privateKey)
+      const parentUtxo = {
+        txId: parent.id,
+        outputIndex: 0,
+        script: parent.outputs[0].script,
+        satoshis: 90000,
+      }
+      const child = new Transaction().from(parentUtxo).to(toAddress, 80000).sign(privateKey)
+      child.verifyAgainst([simpleUtxoWith100000Satoshis, parentUtxo], tip).valid.should.equal(true)
+      child.verifyAgainst([simpleUtxoWith100000Satoshis], tip).valid.should.equal(false)
+    })
+
+    it('uses the script flags of the chain of the transaction', function () {
+      const BsvTransaction = Bitcoin.bsv().Transaction
+      const schnorr = new BsvTransaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 90000)
+        .sign(privateKey, null, 'schnorr')
+      schnorr.verifyAgainst([simpleUtxoWith100000Satoshis], tip).inputs[0].valid.should.equal(false)
+      new Transaction(schnorr.toObject())
+        .verifyAgainst([simpleUtxoWith100000Satoshis], tip)
+        .valid.should.equal(true)
+      schnorr
+        .verifyAgainst(
+          [simpleUtxoWith100000Satoshis],
+          _.assign({ flags: Script.Interpreter.SCRIPT_ENABLE_SCHNORR }, tip)
+        )
+        .valid.should.equal(true)
+    })
+
+    it('reports outputs that are missing', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      const result = transaction.verifyAgainst([], tip)
+      result.valid.should.equal(false)
+      result.inputs[0].error.should.equal('bad-txns-inputs-missingorspent')
+      should.not.exist(result.fee)
+    })
+
+    it('reports inputs with invalid scripts', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      transaction.inputs[0].setScript(Script.empty())
+      transaction
+        .verifyAgainst([simpleUtxoWith100000Satoshis], tip)
+        .inputs.should.deep.equal([{ valid: false, error: 'SCRIPT_ERR_INVALID_STACK_OPERATION' }])
+    })
+
+    it('checks that the inputs cover the outputs', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      const utxo = _.assign({}, simpleUtxoWith100000Satoshis, { satoshis: 50000 })
+      const result = transaction.verifyAgainst([utxo], tip)
+      result.errors.should.deep.equal(['bad-txns-in-belowout'])
+      result.fee.should.equal(-40000)
+      // the amount is signed with SIGHASH_FORKID
+      result.inputs[0].error.should.equal('SCRIPT_ERR_EVAL_FALSE_IN_STACK')
+    })
+
+    it('checks that nLockTime is reached', function () {
+      const transaction = buildTransaction().lockUntilBlockHeight(600000).sign(privateKey)
+      const utxos = [simpleUtxoWith100000Satoshis]
+      transaction.verifyAgainst(utxos, tip).errors.should.deep.equal(['bad-txns-nonfinal'])
+      transaction.verifyAgainst(utxos, { height: 600001, mtp: tip.mtp }).valid.should.equal(true)
+
+      const byTime = buildTransaction().lockUntilDate(tip.mtp).sign(privateKey)
+      byTime.verifyAgainst(utxos, tip).valid.should.equal(false)
+      byTime.verifyAgainst(utxos, { height: tip.height, mtp: tip.mtp + 1 }).valid.should.equal(true)
+    })
+
+    it('checks the maturity of coinbase outputs', function () {
+      const transaction = buildTransaction().sign(privateKey)
+      const utxo = _.assign({}, simpleUtxoWith100000Satoshis, { coinbase: true, height: 599901 })
+      transaction
+        .verifyAgainst([utxo], tip)
+        .inputs[0].error.should.equal('bad-txns-premature-spend-of-coinbase')
+      transaction.verifyAgainst([utxo], { height: 600001, mtp: tip.mtp }).valid.should.equal(true)
+    })
+
+    it('checks relative lock times in blocks', function () {
+      const transaction = buildTransaction().lockInputForBlocks(0, 10).sign(privateKey)
+      const utxo = _.assign({}, simpleUtxoWith100000Satoshis, { height: 599991 })
+      transaction.verifyAgainst([utxo], tip).inputs[0].error.should.equal('non-BIP68-final')
+      transaction.verifyAgainst([utxo], { height: 600001, mtp: tip.mtp }).valid.should.equal(true)
+      // unconfirmed outputs are confirmed in the same block as the transaction
+      transaction
+        .verifyAgainst([simpleUtxoWith100000Satoshis], tip)
+        .inputs[0].error.should.equal('non-BIP68-final')
+    })
+
+    it('checks relative lock times in seconds', function () {
+      const transaction = buildTransaction().lockInputForSeconds(0, 1024).sign(privateKey)
+      const utxo = _.assign({}, simpleUtxoWith100000Satoshis, {
+        height: 599990,
+        mtp: tip.mtp - 1023,
+      })
+      transaction.verifyAgainst([utxo], tip).inputs[0].error.should.equal('non-BIP68-final')
+      transaction
+        .verifyAgainst([utxo], { height: tip.height, mtp: tip.mtp + 1 })
+        .valid.should.equal(true)
+      transaction
+        .verifyAgainst([_.omit(utxo, 'mtp')], tip)
+        .inputs[0].error.should.equal('missing-coin-mtp')
+    })
+
+    it('verifies coinbase transactions without outputs to spend', function () {
+      const coinbase = new Transaction(
+        '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff0704ffff001d0104ffffffff0100f2052a0100000043410496b538e853519c726a2c91e61ec11600ae1390813a627c66fb8be7947be63c52da7589379515d4e0a604f8141781e62294721166bf621e73a82cbf2342c858eeac00000000'
+      )
+      coinbase.verifyAgainst([], tip).should.deep.equal({ valid: true, errors: [], inputs: [] })
+    })
+  })
+
   describe('to and from JSON', function () {
     it('takes a string that is a valid JSON and deserializes from it', function () {
       const simple = new Transaction()
@@ -937,6 +1090,129 @@ describe('Transaction', function () {
     })
   })
 
+  describe('handling relative lock times', function () {
+    it('locks an input for a number of blocks', function () {
+      const transaction = new Transaction().from(simpleUtxoWith1BTC).lockInputForBlocks(0, 10)
+      transaction.version.should.equal(2)
+      transaction.inputs[0].sequenceNumber.should.equal(10)
+      const copy = new Transaction(transaction.uncheckedSerialize())
+      copy.inputs[0].sequenceNumber.should.equal(10)
+      copy.version.should.equal(2)
+    })
+    it('locks an input for a number of seconds', function () {
+      const transaction = new Transaction().from(simpleUtxoWith1BTC).lockInputForSeconds(0, 1024)
+      transaction.version.should.equal(2)
+      transaction.inputs[0].sequenceNumber.should.equal(0x400002)
+    })
+    it('does not lower the version', function () {
+      const transaction = new Transaction().from(simpleUtxoWith1BTC)
+      transaction.version = 3
+      transaction.lockInputForBlocks(0, 10).version.should.equal(3)
+    })
+    it('fails with an invalid input index', function () {
+      expect(function () {
+        return new Transaction().from(simpleUtxoWith1BTC).lockInputForBlocks(1, 10)
+      }).to.throw(errors.Transaction.InvalidIndex)
+    })
+  })
+
+  describe('signing with Schnorr', function () {
+    const { Interpreter } = Script
+    const { Signature } = Bitcoin.crypto
+
+    it('signs a p2pkh input', function () {
+      const transaction = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey, null, 'schnorr')
+      transaction.isFullySigned().should.equal(true)
+      transaction.inputs[0].script.chunks[0].buf.length.should.equal(65)
+      const copy = new Transaction(transaction.toObject())
+      copy.inputs[0].script.toString().should.equal(transaction.inputs[0].script.toString())
+    })
+
+    it('creates signatures that the interpreter accepts with SCRIPT_ENABLE_SCHNORR', function () {
+      const transaction = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey, Signature.SIGHASH_ALL, 'schnorr')
+      const input = transaction.inputs[0]
+      new Interpreter()
+        .verify(
+          input.script,
+          input.output.script,
+          transaction,
+          0,
+          Interpreter.SCRIPT_ENABLE_SCHNORR
+        )
+        .should.equal(true)
+      new Interpreter()
+        .verify(input.script, input.output.script, transaction, 0, Interpreter.SCRIPT_VERIFY_NONE)
+        .should.equal(false)
+    })
+
+    it('signs a p2sh multisig input with a bitfield', function () {
+      const transaction = new Transaction()
+        .from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2)
+        .to(toAddress, 50000)
+        .sign([p2shPrivateKey1, p2shPrivateKey3], Signature.SIGHASH_ALL, 'schnorr')
+      const input = transaction.inputs[0]
+      transaction.isFullySigned().should.equal(true)
+
+      const index1 = input.publicKeyIndex[p2shPublicKey1.toString()]
+      const index3 = input.publicKeyIndex[p2shPublicKey3.toString()]
+      input.script.chunks[0].opcodenum.should.equal(
+        Opcode.smallInt((1 << index1) | (1 << index3)).toNumber()
+      )
+      input.script.isScriptHashIn().should.equal(true)
+
+      const flags =
+        Interpreter.SCRIPT_VERIFY_P2SH |
+        Interpreter.SCRIPT_VERIFY_MINIMALDATA |
+        Interpreter.SCRIPT_ENABLE_SCHNORR |
+        Interpreter.SCRIPT_ENABLE_SCHNORR_MULTISIG
+      new Interpreter()
+        .verify(input.script, input.output.script, transaction, 0, flags)
+        .should.equal(true)
+    })
+
+    it('estimates a smaller size', function () {
+      const ecdsa = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey)
+      const schnorr = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .sign(privateKey, null, 'schnorr')
+      // once signed, the size is exact
+      ecdsa._estimateSize().should.equal(ecdsa.toBuffer().length)
+      schnorr._estimateSize().should.equal(schnorr.toBuffer().length)
+      schnorr._estimateSize().should.be.below(ecdsa._estimateSize())
+
+      const multisig = new Transaction()
+        .from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2)
+        .to(toAddress, 50000)
+      const ecdsaSize = multisig._estimateSize()
+      const schnorrSize = multisig._estimateSize({ signingMethod: 'schnorr' })
+      // 8 bytes less per signature, one more for the bitfield, and the size of the input script
+      // is encoded in 1 byte instead of 3
+      schnorrSize.should.equal(ecdsaSize - 2 * 8 + 1 - 2)
+      multisig.sign([p2shPrivateKey1, p2shPrivateKey2], null, 'schnorr')
+      multisig._estimateSize().should.equal(multisig.toBuffer().length)
+      multisig._estimateSize().should.be.at.most(schnorrSize)
+    })
+
+    it('fails with an unknown signing method', function () {
+      expect(function () {
+        return new Transaction()
+          .from(simpleUtxoWith100000Satoshis)
+          .to(toAddress, 50000)
+          .sign(privateKey, null, 'rsa')
+      }).to.throw('signingMethod must be "ecdsa" or "schnorr"')
+    })
+  })
+
   it('handles anyone-can-spend utxo', function () {
     const transaction = new Transaction().from(anyoneCanSpendUTXO).to(toAddress, 50000)
     should.exist(transaction)
@@ -967,7 +1243,7 @@ describe('Transaction', function () {
     it('returns correct values for transaction with change', function () {
       const inAmount = 100000000
       const outAmount = 1000
-      const txSize = 229
+      const txSize = 259
       const transaction = new Transaction()
         .from(simpleUtxoWith1BTC)
         .change(changeAddress)
@@ -1084,7 +1360,7 @@ describe('Transaction', function () {
       tx.outputs.length.should.equal(2)
       tx.outputs[0].satoshis.should.equal(10000000)
       tx.outputs[0].script.toAddress().toString().should.equal(toAddress)
-      tx.outputs[1].satoshis.should.equal(89995420)
+      tx.outputs[1].satoshis.should.equal(89994820)
       tx.outputs[1].script.toAddress().toString().should.equal(changeAddress)
     })
   })
@@ -1193,6 +1469,282 @@ describe('Transaction', function () {
       })
     })
   })
+  describe('#estimateFee', function () {
+    const buildTransaction = function () {
+      return new Transaction().from(simpleUtxoWith1BTC).to(toAddress, 50000)
+    }
+
+    it('uses the fee per kilobyte of the transaction', function () {
+      const transaction = buildTransaction()
+      const size = transaction._estimateSize()
+      transaction.estimateFee().should.equal(size * 20)
+      transaction
+        .feePerKb(1500)
+        .estimateFee()
+        .should.equal(Math.ceil(size * 1.5))
+    })
+
+    it('accepts a fee rate in satoshis per byte', function () {
+      const transaction = buildTransaction()
+      transaction.estimateFee({ satPerByte: 1 }).should.equal(transaction._estimateSize())
+      transaction.estimateFee({ satPerByte: 0 }).should.equal(0)
+      expect(function () {
+        return transaction.estimateFee({ satPerByte: -1 })
+      }).to.throw('Invalid fee rate')
+    })
+
+    it('counts a change output', function () {
+      const transaction = buildTransaction()
+      transaction
+        .estimateFee({ satPerByte: 1, withChange: true })
+        .should.equal(transaction.estimateFee({ satPerByte: 1 }))
+      transaction.change(changeAddress)
+      transaction.getChangeOutput().satoshis.should.equal(1e8 - 50000 - transaction.estimateFee())
+      transaction.removeOutput(1)
+      transaction
+        .estimateFee({ satPerByte: 1, withChange: true })
+        .should.equal(transaction.estimateFee({ satPerByte: 1 }) + 34)
+    })
+
+    it('is an upper bound of the fee of the signed transaction', function () {
+      const transaction = buildTransaction().change(changeAddress)
+      const estimate = transaction.estimateFee({ satPerByte: 1 })
+      transaction.sign(privateKey)
+      transaction.toBuffer().length.should.be.at.most(estimate)
+      transaction.estimateFee({ satPerByte: 1 }).should.equal(transaction.toBuffer().length)
+    })
+
+    it('uses the given signing method', function () {
+      const transaction = buildTransaction()
+      transaction
+        .estimateFee({ satPerByte: 1, signingMethod: 'schnorr' })
+        .should.equal(transaction.estimateFee({ satPerByte: 1 }) - 8)
+    })
+  })
+
+  describe('#childPaysForParent', function () {
+    // a transaction paying 100 satoshis of fee, with its change to the key
+    const parent = new Transaction()
+      .from(simpleUtxoWith100000Satoshis)
+      .to(toAddress, 50000)
+      .change(fromAddress)
+      .fee(100)
+      .sign(privateKey)
+    const parentSize = parent.toBuffer().length
+
+    it('pays the fee rate for the parent and the child together', function () {
+      const child = Transaction.childPaysForParent(parent, 1, changeAddress, { satPerByte: 2 })
+      child.inputs[0].prevTxId.toString('hex').should.equal(parent.id)
+      child.inputs[0].outputIndex.should.equal(1)
+      const childSize = child._estimateSize()
+      const fee = Math.ceil((parentSize + childSize) * 2) - 100
+      child.getFee().should.equal(fee)
+      child.outputs.length.should.equal(1)
+      child.outputs[0].satoshis.should.equal(49900 - fee)
+      child.outputs[0].script.toAddress().toString().should.equal(changeAddress)
+
+      child.sign(privateKey)
+      child.toBuffer().length.should.be.at.most(childSize)
+      should.exist(child.serialize())
+    })
+
+    it('pays the fee rate for the child if the parent pays enough', function () {
+      const child = Transaction.childPaysForParent(parent, 1, changeAddress, { satPerByte: 0.1 })
+      child.getFee().should.equal(Math.ceil(child._estimateSize() * 0.1))
+    })
+
+    it('uses the fee per kilobyte by default', function () {
+      const child = Transaction.childPaysForParent(parent, 1, changeAddress)
+      child.getFee().should.equal(Math.ceil((parentSize + child._estimateSize()) * 20) - 100)
+    })
+
+    it('takes the fee of a parent whose inputs are unknown', function () {
+      const deserialized = new Transaction(parent.toString())
+      expect(function () {
+        return Transaction.childPaysForParent(deserialized, 1, changeAddress)
+      }).to.throw(errors.Transaction.NeedMoreInfo, 'give its fee with opts.parentFee')
+      Transaction.childPaysForParent(deserialized, 1, changeAddress, {
+        satPerByte: 2,
+        parentFee: 100,
+      })
+        .getFee()
+        .should.equal(
+          Transaction.childPaysForParent(parent, 1, changeAddress, { satPerByte: 2 }).getFee()
+        )
+    })
+
+    it('fails if the output is too small to pay the fee', function () {
+      expect(function () {
+        return Transaction.childPaysForParent(parent, 1, changeAddress, { satPerByte: 200 })
+      }).to.throw(errors.Transaction.InsufficientFunds)
+      expect(function () {
+        return Transaction.childPaysForParent(parent, 2, changeAddress)
+      }).to.throw('Invalid output index')
+    })
+  })
+
+  describe('#explain', function () {
+    it('summarizes the payments, the fee and the signatures', function () {
+      const transaction = new Transaction()
+        .from(simpleUtxoWith100000Satoshis)
+        .to(toAddress, 50000)
+        .change(changeAddress)
+        .fee(1000)
+      const explained = transaction.explain({ network: 'testnet' })
+      explained.id.should.equal(transaction.id)
+      explained.inputs.should.deep.equal([
+        {
+          index: 0,
+          outputId: `${simpleUtxoWith100000Satoshis.txId}:0`,
+          sequenceNumber: 0xffffffff,
+          address: fromAddress,
+          satoshis: 100000,
+          btc: 0.001,
+          fullySigned: false,
+          signatures: 0,
+          missingSignatures: 1,
+        },
+      ])
+      explained.outputs.should.deep.equal([
+        { index: 0, address: toAddress, satoshis: 50000, btc: 0.0005 },
+        { index: 1, address: changeAddress, satoshis: 49000, btc: 0.00049 },
+      ])
+      explained.inputAmount.should.equal(100000)
+      explained.outputAmount.should.equal(99000)
+      explained.fee.should.equal(1000)
+      explained.size.should.equal(transaction._estimateSize())
+      explained.feeRate.should.equal(Math.round((1000 / explained.size) * 100) / 100)
+      explained.fullySigned.should.equal(false)
+
+      transaction.sign(privateKey)
+      const signed = transaction.explain({ network: 'testnet' })
+      signed.size.should.equal(transaction.toBuffer().length)
+      signed.inputs[0].fullySigned.should.equal(true)
+      signed.inputs[0].signatures.should.equal(1)
+      signed.inputs[0].missingSignatures.should.equal(0)
+      signed.fullySigned.should.equal(true)
+    })
+
+    it('counts the signatures of multisig inputs', function () {
+      const transaction = new Transaction()
+        .from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2)
+        .to(toAddress, 50000)
+        .change(changeAddress)
+        .sign(p2shPrivateKey1)
+      const [input] = transaction.explain({ network: 'testnet' }).inputs
+      input.address.should.equal(p2shAddress.toString())
+      input.fullySigned.should.equal(false)
+      input.signatures.should.equal(1)
+      input.missingSignatures.should.equal(1)
+    })
+
+    it('explains data outputs and transactions without the outputs spent', function () {
+      const transaction = new Transaction(
+        new Transaction()
+          .from(simpleUtxoWith100000Satoshis)
+          .to(toAddress, 50000)
+          .addData('hello')
+          .sign(privateKey)
+          .toString()
+      )
+      const explained = transaction.explain({ network: 'testnet' })
+      explained.outputs[0].address.should.equal(toAddress)
+      explained.outputs[1].should.deep.equal({ index: 1, address: null, satoshis: 0, btc: 0 })
+      should.equal(explained.inputs[0].address, null)
+      should.equal(explained.inputs[0].satoshis, null)
+      should.equal(explained.inputs[0].fullySigned, null)
+      should.equal(explained.fee, null)
+      should.equal(explained.feeRate, null)
+      should.equal(explained.fullySigned, null)
+    })
+  })
+
+  describe('.diff', function () {
+    const utxo = _.assign({}, simpleUtxoWith100000Satoshis, { outputIndex: 1 })
+    const buildTransaction = () =>
+      new Transaction()
+        .from(p2shUtxoWith1BTC, [p2shPublicKey1, p2shPublicKey2, p2shPublicKey3], 2)
+        .from(utxo)
+        .to(toAddress, 50000)
+        .change(changeAddress)
+
+    it('reports nothing for the same transaction', function () {
+      const transaction = buildTransaction()
+      Transaction.diff(transaction, buildTransaction()).should.deep.equal({
+        version: null,
+        nLockTime: null,
+        inputs: { added: [], removed: [], modified: [] },
+        outputs: { added: [], removed: [], modified: [] },
+      })
+    })
+
+    it('reports the signatures added by a co-signer', function () {
+      const sent = buildTransaction().sign(p2shPrivateKey1)
+      const received = new Transaction(sent.toObject()).sign(p2shPrivateKey2)
+      const { modified } = Transaction.diff(sent, received).inputs
+      modified.length.should.equal(1)
+      modified[0].index.should.equal(0)
+      modified[0].outputId.should.equal(`${p2shUtxoWith1BTC.txId}:0`)
+      modified[0].signatures.should.deep.equal({
+        added: [p2shPublicKey2.toString()],
+        removed: [],
+      })
+      modified[0].script.from.should.equal(sent.inputs[0].script.toHex())
+      modified[0].script.to.should.equal(received.inputs[0].script.toHex())
+    })
+
+    it('reports changed sequence numbers, lock time and version', function () {
+      const a = buildTransaction()
+      const b = buildTransaction().lockUntilBlockHeight(600000)
+      b.version = 2
+      const diff = Transaction.diff(a, b)
+      diff.version.should.deep.equal({ from: 1, to: 2 })
+      diff.nLockTime.should.deep.equal({ from: 0, to: 600000 })
+      diff.inputs.modified
+        .map((input) => input.sequenceNumber)
+        .should.deep.equal([
+          { from: 0xffffffff, to: Transaction.Input.DEFAULT_LOCKTIME_SEQNUMBER },
+          { from: 0xffffffff, to: Transaction.Input.DEFAULT_LOCKTIME_SEQNUMBER },
+        ])
+    })
+
+    it('reports added, removed and moved inputs', function () {
+      const a = buildTransaction()
+      const b = new Transaction()
+        .from(utxo)
+        .from(_.assign({}, utxo, { outputIndex: 2 }))
+        .to(toAddress, 50000)
+        .change(changeAddress)
+      const { inputs } = Transaction.diff(a, b)
+      inputs.added.should.deep.equal([{ index: 1, outputId: `${utxo.txId}:2` }])
+      inputs.removed.should.deep.equal([{ index: 0, outputId: `${p2shUtxoWith1BTC.txId}:0` }])
+      inputs.modified.should.deep.equal([
+        { index: 0, outputId: `${utxo.txId}:1`, previousIndex: 1 },
+      ])
+    })
+
+    it('reports added, removed and modified outputs', function () {
+      const a = buildTransaction()
+      const b = buildTransaction().to(toAddress, 10000)
+      const { outputs } = Transaction.diff(a, b)
+      // the change output moved to the end
+      outputs.added.should.deep.equal([
+        { index: 2, satoshis: b.outputs[2].satoshis, script: b.outputs[2].script.toHex() },
+      ])
+      outputs.modified.should.deep.equal([
+        {
+          index: 1,
+          satoshis: { from: a.outputs[1].satoshis, to: 10000 },
+          script: {
+            from: Script.fromAddress(changeAddress).toHex(),
+            to: Script.fromAddress(toAddress).toHex(),
+          },
+        },
+      ])
+      Transaction.diff(b, a).outputs.removed.should.deep.equal(outputs.added)
+    })
+  })
+
   describe('Replace-by-fee', function () {
     describe('#enableRBF', function () {
       it('only enable inputs not already enabled (0xffffffff)', function () {
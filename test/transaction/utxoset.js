@@ -0,0 +1,226 @@
+import _ from 'lodash'
+import chai from 'chai'
+import Bitcoin from '../bitcoin'
+
+const should = chai.should()
+const { expect } = chai
+const { Transaction } = Bitcoin
+const { UtxoSet } = Bitcoin.Transaction
+const { OutputId } = Bitcoin.Transaction
+const { Block } = Bitcoin
+const { BlockHeader } = Bitcoin
+const { PrivateKey } = Bitcoin
+const { Script } = Bitcoin
+const { errors } = Bitcoin
+
+describe('UtxoSet', function () {
+  const privateKey = new PrivateKey('cSBnVM4xvxarwGQuAfQFwqDg9k5tErHUHzgWsEfD4zdwUasvqRVY')
+  const fromAddress = privateKey.toAddress()
+  const toAddress = 'mrU9pEmAx26HcbKVrABvgL7AwA5fjNFoDc'
+  const utxo = {
+    txId: 'a477af6b2667c29670467e4e0728b685ee07b240235771862318e29ddbe58458',
+    outputIndex: 0,
+    script: Script.buildPublicKeyHashOut(fromAddress),
+    satoshis: 1000000,
+    height: 600000,
+    mtp: 1569000000,
+  }
+  const coinbase = new Transaction(
+    '01000000010000000000000000000000000000000000000000000000000000000000000000ffffffff0704ffff001d0104ffffffff0100f2052a0100000043410496b538e853519c726a2c91e61ec11600ae1390813a627c66fb8be7947be63c52da7589379515d4e0a604f8141781e62294721166bf621e73a82cbf2342c858eeac00000000'
+  )
+  const header = new BlockHeader({
+    version: 1,
+    prevHash: '00'.repeat(32),
+    merkleRoot: '00'.repeat(32),
+    time: 1569000600,
+    bits: 0x1d00ffff,
+    nonce: 0,
+  })
+  const buildBlock = (transactions) => new Block({ header, transactions })
+
+  const outputOf = (transaction) => ({
+    txId: transaction.id,
+    outputIndex: 0,
+    script: transaction.outputs[0].script,
+    satoshis: transaction.outputs[0].satoshis,
+  })
+  const spend = (output, to = fromAddress) =>
+    new Transaction()
+      .from(output)
+      .to(to, output.satoshis - 1000)
+      .sign(privateKey)
+  // a chain of unconfirmed transactions, each one spending the previous one
+  const spendChain = function (length) {
+    const chain = [spend(utxo)]
+    while (chain.length < length) {
+      chain.push(spend(outputOf(_.last(chain))))
+    }
+    return chain
+  }
+
+  it('applies and undoes transactions', function () {
+    const utxoSet = new UtxoSet({ utxos: [utxo] })
+    const transaction = spend(utxo).addData('hello')
+    utxoSet.applyTransaction(transaction)
+    // the OP_RETURN output is not added
+    utxoSet.size.should.equal(1)
+    utxoSet.has(new OutputId(utxo.txId, 0)).should.equal(false)
+    utxoSet.getSpender(`${utxo.txId}:0`).should.equal(transaction.id)
+    utxoSet.isUnconfirmed(transaction.id).should.equal(true)
+    const coin = utxoSet.get(new OutputId(transaction.id, 0))
+    coin.satoshis.should.equal(999000)
+    should.not.exist(coin.height)
+
+    utxoSet.undoTransaction(transaction)
+    utxoSet.size.should.equal(1)
+    utxoSet.get(`${utxo.txId}:0`).height.should.equal(600000)
+    should.not.exist(utxoSet.getSpender(`${utxo.txId}:0`))
+    utxoSet.isUnconfirmed(transaction.id).should.equal(false)
+  })
+
+  it('detects double spends', function () {
+    const utxoSet = new UtxoSet({ utxos: [utxo] })
+    const transaction = spend(utxo)
+    utxoSet.applyTransaction(transaction)
+    const doubleSpend = spend(utxo, toAddress)
+    expect(function () {
+      utxoSet.applyTransaction(doubleSpend)
+    }).to.throw(errors.UtxoSet.DoubleSpend, `spent by transaction ${transaction.id}`)
+    expect(function () {
+      utxoSet.applyTransaction(transaction)
+    }).to.throw(errors.UtxoSet.AlreadyApplied)
+    utxoSet.size.should.equal(1)
+  })
+
+  it('fails to spend outputs that are not in the set', function () {
+    expect(function () {
+      new UtxoSet().applyTransaction(spend(utxo))
+    }).to.throw(errors.UtxoSet.MissingOutput, `Output ${utxo.txId}:0 is not in the set`)
+  })
+
+  it('limits the length of chains of unconfirmed transactions', function () {
+    const chain = spendChain(26)
+    const utxoSet = new UtxoSet({ utxos: [utxo] })
+    utxoSet.chainedTransactionLimit.should.equal(25)
+    chain.slice(0, 25).forEach((transaction) => utxoSet.applyTransaction(transaction))
+    expect(function () {
+      utxoSet.applyTransaction(chain[25])
+    }).to.throw(
+      errors.UtxoSet.TooLongChain,
+      `Transaction ${chain[25].id} ends a chain of 26 unconfirmed transactions, over the limit of 25`
+    )
+    should.not.exist(utxoSet.getSpender(new OutputId(chain[24].id, 0)))
+
+    // confirmed transactions don't count
+    utxoSet.applyBlock(buildBlock([chain[0]]), { height: 600001 })
+    utxoSet.applyTransaction(chain[25])
+  })
+
+  it('takes the chained transaction limit from the options', function () {
+    const [first, second] = spendChain(2)
+    const utxoSet = new UtxoSet({ utxos: [utxo], chainedTransactionLimit: 1 })
+    utxoSet.applyTransaction(first)
+    expect(function () {
+      utxoSet.applyTransaction(second)
+    }).to.throw(errors.UtxoSet.TooLongChain)
+    utxoSet.applyTransaction(second, { height: 600001 })
+    utxoSet.isUnconfirmed(second.id).should.equal(false)
+  })
+
+  it('refuses to undo a transaction whose outputs are spent', function () {
+    const [first, second] = spendChain(2)
+    const utxoSet = new UtxoSet({ utxos: [utxo] })
+    utxoSet.applyTransaction(first).applyTransaction(second)
+    expect(function () {
+      utxoSet.undoTransaction(first.id)
+    }).to.throw(errors.UtxoSet.OutputSpent, `spent by transaction ${second.id}, undo it first`)
+    utxoSet.undoTransaction(second.id).undoTransaction(first.id)
+    utxoSet.has(`${utxo.txId}:0`).should.equal(true)
+    expect(function () {
+      utxoSet.undoTransaction(first.id)
+    }).to.throw(errors.UtxoSet.UnknownTransaction)
+  })
+
+  it('feeds Transaction#from and Transaction#verifyAgainst', function () {
+    const utxoSet = new UtxoSet({ utxos: [utxo] })
+    utxoSet.applyTransaction(spend(utxo))
+    utxoSet.getUnspentOutputs(toAddress).should.deep.equal([])
+    const unspentOutputs = utxoSet.getUnspentOutputs(fromAddress)
+    unspentOutputs.length.should.equal(1)
+    unspentOutputs[0].should.be.instanceof(Transaction.UnspentOutput)
+    utxoSet.getUnspentOutputs(Script.buildPublicKeyHashOut(fromAddress)).length.should.equal(1)
+
+    const transaction = new Transaction()
+      .from(unspentOutputs)
+      .to(toAddress, 990000)
+      .sign(privateKey)
+    transaction.verifyAgainst(utxoSet, { height: 600001, mtp: 1569000600 }).valid.should.equal(true)
+  })
+
+  describe('blocks', function () {
+    it('applies blocks in any order, with coinbase outputs', function () {
+      const [first, second] = spendChain(2)
+      const utxoSet = new UtxoSet({ utxos: [utxo] })
+      utxoSet
+        .applyBlock(buildBlock([coinbase, second, first]), { height: 600001, mtp: 1569000000 })
+        .should.deep.equal([])
+      utxoSet.size.should.equal(2)
+      const coin = utxoSet.get(new OutputId(coinbase.id, 0))
+      coin.coinbase.should.equal(true)
+      coin.height.should.equal(600001)
+      utxoSet.get(new OutputId(second.id, 0)).coinbase.should.equal(false)
+    })
+
+    it('confirms unconfirmed transactions and evicts the ones in conflict', function () {
+      const [first, second, third] = spendChain(3)
+      const otherUtxo = _.assign({}, utxo, { outputIndex: 1 })
+      const other = spend(otherUtxo, toAddress)
+      const utxoSet = new UtxoSet({ utxos: [utxo, otherUtxo] })
+      utxoSet.applyTransaction(first).applyTransaction(second).applyTransaction(third)
+      utxoSet.applyTransaction(other)
+
+      const conflict = spend(outputOf(first), toAddress)
+      const evicted = utxoSet.applyBlock(buildBlock([coinbase, first, conflict]), {
+        height: 600001,
+        mtp: 1569000000,
+      })
+      evicted.map((transaction) => transaction.id).should.deep.equal([third.id, second.id])
+      utxoSet.isUnconfirmed(first.id).should.equal(false)
+      utxoSet.isUnconfirmed(other.id).should.equal(true)
+      utxoSet.getSpender(new OutputId(first.id, 0)).should.equal(conflict.id)
+      utxoSet.get(new OutputId(conflict.id, 0)).height.should.equal(600001)
+    })
+
+    it('is left unchanged when a block fails to apply', function () {
+      const [first, second] = spendChain(2)
+      const utxoSet = new UtxoSet({ utxos: [utxo] })
+      utxoSet.applyTransaction(first).applyTransaction(second)
+      const conflict = spend(utxo, toAddress)
+      const missing = spend(_.assign({}, utxo, { txId: '00'.repeat(32) }))
+      expect(function () {
+        utxoSet.applyBlock(buildBlock([conflict, missing]), { height: 600001 })
+      }).to.throw(errors.UtxoSet.MissingOutput)
+      utxoSet.isUnconfirmed(first.id).should.equal(true)
+      utxoSet.isUnconfirmed(second.id).should.equal(true)
+      utxoSet.getSpender(`${utxo.txId}:0`).should.equal(first.id)
+      utxoSet.size.should.equal(1)
+    })
+
+    it('undoes blocks and the unconfirmed transactions that spend them', function () {
+      const [first, second] = spendChain(2)
+      const block = buildBlock([coinbase, first])
+      const utxoSet = new UtxoSet({ utxos: [utxo] })
+      utxoSet.applyBlock(block, { height: 600001, mtp: 1569000000 })
+      utxoSet.applyTransaction(second)
+      utxoSet
+        .undoBlock(block)
+        .map((transaction) => transaction.id)
+        .should.deep.equal([second.id])
+      utxoSet.size.should.equal(1)
+      utxoSet.has(`${utxo.txId}:0`).should.equal(true)
+      // the transactions of the block can be applied again, unconfirmed
+      utxoSet.applyTransaction(first)
+      utxoSet.isUnconfirmed(first.id).should.equal(true)
+    })
+  })
+})